@@ -0,0 +1,116 @@
+/**
+ * AutoWalk.js — Walks the player to a tapped or clicked spot.
+ * Produces a move axis (and sprint, a jump press in front of low
+ * obstacles, and an interact press on arrival) that input sources merge
+ * into their normal queries, so walking by pointer behaves — and
+ * records — exactly like walking by key.
+ */
+export const ARRIVE_DISTANCE = 6;  // px from the target that counts as there
+const SLOW_DISTANCE = 40;          // ease off over the last few px
+const SPRINT_DISTANCE = 320;       // sprint while further away than this
+const STUCK_STEPS = 45;            // give up after this many steps without progress
+const JUMP_LOOKAHEAD = 16;         // px between the player and an obstacle when jumping
+const JUMP_CLEARANCE = 0.85;       // only jump obstacles this share of the jump height
+
+export class AutoWalk {
+    constructor() {
+        /** Destination: { x, interact } or null */
+        this.target = null;
+
+        /** Output for the current step */
+        this.axis = 0;
+        this.sprint = false;
+        this.jump = false;
+        this.interact = false;
+
+        this._lastX = null;
+        this._stuckSteps = 0;
+    }
+
+    get isActive() {
+        return this.target !== null;
+    }
+
+    /**
+     * Start walking to a world x; interact on arrival if asked
+     */
+    walkTo(x, interact = false) {
+        this.target = { x, interact };
+        this._lastX = null;
+        this._stuckSteps = 0;
+    }
+
+    cancel() {
+        this.target = null;
+        this.axis = 0;
+        this.sprint = false;
+    }
+
+    /**
+     * Work out this step's movement. Call once per step before the player moves.
+     * @param {Player} player
+     * @param {CollisionSystem} collision — the current scene's, for obstacles ahead
+     * @param {number} manualAxis — movement from keys/stick/joystick; any takes over
+     */
+    steer(player, collision, manualAxis = 0) {
+        this.axis = 0;
+        this.sprint = false;
+        const target = this.target;
+        if (!target) return;
+
+        if (manualAxis !== 0) {
+            this.cancel();
+            return;
+        }
+
+        const playerX = player.x;
+        const dx = target.x - playerX;
+        if (Math.abs(dx) <= ARRIVE_DISTANCE) {
+            this.target = null;
+            this.interact = target.interact;
+            return;
+        }
+
+        // Blocked by a wall or crate: stop rather than push forever
+        if (this._lastX !== null && Math.abs(playerX - this._lastX) < 0.01) {
+            if (++this._stuckSteps >= STUCK_STEPS) {
+                this.cancel();
+                return;
+            }
+        } else {
+            this._stuckSteps = 0;
+        }
+        this._lastX = playerX;
+
+        const direction = Math.sign(dx);
+        const distance = Math.abs(dx);
+        this.sprint = distance > SPRINT_DISTANCE;
+
+        // Jump crates and the like on the way; full speed until landed so the jump clears them
+        if (player.isGrounded && this._obstacleAhead(player, collision, direction, distance)) {
+            this.jump = true;
+        }
+        const easing = this.jump || !player.isGrounded ? 1 : Math.min(1, distance / SLOW_DISTANCE);
+        this.axis = direction * Math.max(0.3, easing);
+    }
+
+    /**
+     * A solid zone between the player and the target that a jump can clear
+     */
+    _obstacleAhead(player, collision, direction, distance) {
+        const obstacle = collision.findObstacleAhead(player, direction, JUMP_LOOKAHEAD);
+        if (!obstacle) return false;
+
+        const gap = direction > 0 ? obstacle.x - player.x : player.x - (obstacle.x + obstacle.width);
+        const reach = (player.jumpForce ** 2) / (2 * player.gravity);
+        return gap < distance && player.y - obstacle.y <= reach * JUMP_CLEARANCE;
+    }
+
+    /**
+     * Clear the one-step jump and interact presses
+     */
+    endFrame() {
+        this.jump = false;
+        this.interact = false;
+    }
+}
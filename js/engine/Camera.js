@@ -2,16 +2,28 @@
  * Camera.js — Smooth-follow camera with world bounds clamping.
  * Follows the player along the X axis with lerp easing.
  */
+import { Random } from '../utils/Random.js';
+
+const FOLLOW_SMOOTHING = 0.08;
+
 export class Camera {
-    constructor(canvasWidth, canvasHeight, worldWidth) {
+    constructor(canvasWidth, canvasHeight, worldWidth, rng = new Random()) {
+        this.rng = rng;
         this.x = 0;
         this.y = 0;
+
+        // Previous/interpolated position for fixed-step rendering
+        this.prevX = this.x;
+        this.renderX = this.x;
         this.width = canvasWidth;
         this.height = canvasHeight;
         this.worldWidth = worldWidth;
 
         // Smoothing factor (0 = no follow, 1 = instant snap)
-        this.smoothing = 0.08;
+        this.smoothing = FOLLOW_SMOOTHING;
+
+        // Comfort mode: snap to the player and never shake
+        this.reducedMotion = false;
 
         // Shake effect
         this.shakeIntensity = 0;
@@ -29,12 +41,48 @@ export class Camera {
         this.height = canvasHeight;
     }
 
+    /**
+     * Change the horizontal bounds (e.g. when switching to an interior scene)
+     */
+    setWorldWidth(worldWidth) {
+        this.worldWidth = worldWidth;
+    }
+
+    /**
+     * Comfort mode on/off
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.smoothing = reduced ? 1 : FOLLOW_SMOOTHING;
+        if (reduced) this.shakeTimer = 0;
+    }
+
+    /**
+     * Jump straight to an X position with no easing or interpolation
+     */
+    snapTo(x) {
+        this.x = Math.max(0, Math.min(x, this.worldWidth - this.width));
+        this.prevX = this.x;
+        this.renderX = this.x;
+    }
+
+    /**
+     * Step to an X position under script control (e.g. a fast-travel pan);
+     * rendering still blends from the previous step
+     */
+    moveTo(x) {
+        this.prevX = this.x;
+        this.x = Math.max(0, Math.min(x, this.worldWidth - this.width));
+    }
+
     /**
      * Update camera to follow a target (usually the player)
      * @param {object} target — must have .x property
      * @param {number} dt — delta time in seconds
      */
     update(target, dt) {
+        this.prevX = this.x;
+
         // Desired camera X centers the target on screen
         const desiredX = target.x - this.width / 2;
 
@@ -52,21 +100,29 @@ export class Camera {
             this.shakeTimer -= dt;
             const progress = this.shakeTimer / this.shakeDuration;
             const intensity = this.shakeIntensity * progress;
-            this.shakeOffsetX = (Math.random() - 0.5) * 2 * intensity;
-            this.shakeOffsetY = (Math.random() - 0.5) * 2 * intensity;
+            this.shakeOffsetX = (this.rng.next() - 0.5) * 2 * intensity;
+            this.shakeOffsetY = (this.rng.next() - 0.5) * 2 * intensity;
         } else {
             this.shakeOffsetX = 0;
             this.shakeOffsetY = 0;
         }
     }
 
+    /**
+     * Blend previous and current position for rendering
+     * @param {number} alpha — 0 (previous step) to 1 (current step)
+     */
+    interpolate(alpha) {
+        this.renderX = this.prevX + (this.x - this.prevX) * alpha;
+    }
+
     /**
      * Apply camera transform to a canvas context
      */
     applyTransform(ctx) {
         ctx.save();
         ctx.translate(
-            -Math.round(this.x) + this.shakeOffsetX,
+            -Math.round(this.renderX) + this.shakeOffsetX,
             -Math.round(this.y) + this.shakeOffsetY
         );
     }
@@ -84,18 +140,19 @@ export class Camera {
      * @param {number} duration — seconds
      */
     shake(intensity = 3, duration = 0.2) {
+        if (this.reducedMotion) return;
         this.shakeIntensity = intensity;
         this.shakeDuration = duration;
         this.shakeTimer = duration;
     }
 
     /**
-     * Convert screen coordinates to world coordinates
+     * Convert screen coordinates to world coordinates, as last rendered
      */
     screenToWorld(screenX, screenY) {
         return {
-            x: screenX + this.x,
-            y: screenY + this.y
+            x: screenX + Math.round(this.renderX),
+            y: screenY + Math.round(this.y)
         };
     }
 
@@ -104,8 +161,8 @@ export class Camera {
      */
     isVisible(worldX, worldY, width, height) {
         return (
-            worldX + width > this.x &&
-            worldX < this.x + this.width &&
+            worldX + width > this.renderX &&
+            worldX < this.renderX + this.width &&
             worldY + height > this.y &&
             worldY < this.y + this.height
         );
@@ -1,7 +1,13 @@
 /**
- * CollisionSystem.js — Simple AABB collision and boundary constraints.
- * Keeps player on the ground and within world bounds.
+ * CollisionSystem.js — AABB collision and boundary constraints.
+ * Resolves the player against solid blocks, one-way platforms, the ground
+ * and world bounds. Zones are bucketed in SpatialHash indexes so each query
+ * only tests the zones near the player.
  */
+import { SpatialHash } from './SpatialHash.js';
+
+const EPSILON = 0.5; // px tolerance for "standing on" a surface
+
 export class CollisionSystem {
     /**
      * @param {number} worldWidth — total world width in pixels
@@ -14,8 +20,16 @@ export class CollisionSystem {
         /** List of solid rectangular zones the player cannot walk through */
         this.solidZones = [];
 
+        /** One-way platforms: { x, y, width } — landable from above only */
+        this.platforms = [];
+
         /** List of interactive zones (buildings, NPCs, skills) */
         this.interactiveZones = [];
+
+        // Broadphase indexes over the lists above
+        this.solidIndex = new SpatialHash();
+        this.surfaceIndex = new SpatialHash();       // solid zones + platforms (landable tops)
+        this.interactiveIndex = new SpatialHash();   // keyed by zone centre X
     }
 
     /**
@@ -29,14 +43,28 @@ export class CollisionSystem {
      * Add a solid zone the player cannot enter
      */
     addSolidZone(x, y, width, height, id = null) {
-        this.solidZones.push({ x, y, width, height, id });
+        const zone = { x, y, width, height, id };
+        this.solidZones.push(zone);
+        this.solidIndex.insert(zone, x, x + width);
+        this.surfaceIndex.insert(zone, x, x + width);
+    }
+
+    /**
+     * Add a one-way platform whose top surface sits at y
+     */
+    addPlatform(x, y, width, id = null) {
+        const platform = { x, y, width, height: 0, id };
+        this.platforms.push(platform);
+        this.surfaceIndex.insert(platform, x, x + width);
     }
 
     /**
      * Add an interactive zone with associated data
      */
     addInteractiveZone(x, y, width, height, data) {
-        this.interactiveZones.push({ x, y, width, height, data });
+        const zone = { x, y, width, height, data };
+        this.interactiveZones.push(zone);
+        this.interactiveIndex.insert(zone, x + width / 2);
     }
 
     /**
@@ -44,46 +72,138 @@ export class CollisionSystem {
      */
     clearZones() {
         this.solidZones = [];
+        this.platforms = [];
         this.interactiveZones = [];
+        this.solidIndex.clear();
+        this.surfaceIndex.clear();
+        this.interactiveIndex.clear();
     }
 
     /**
-     * Constrain player position to valid bounds
-     * @param {object} player — must have x, y, width, height
-     * @returns {object} — corrected { x, y }
+     * Resolve the player against world bounds, solid zones, one-way
+     * platforms and the ground, on both axes.
+     *
+     * Horizontal movement is resolved first (walls), then vertical
+     * (floors, platform tops, ceilings). One-way platforms only catch the
+     * player when their feet cross the platform top while falling.
+     *
+     * @param {object} player — x (centre), y (feet), prevX, prevY, width, height, velocityY
+     * @returns {object} { x, y, grounded, landed, hitCeiling, hitWall, floorY }
      */
     constrainPlayer(player) {
         let { x, y } = player;
         const halfWidth = player.width / 2;
+        const prevY = player.prevY ?? y;
+        const vy = player.velocityY || 0;
+
+        let hitWall = false;
+        let hitCeiling = false;
 
         // Keep within world horizontal bounds
-        x = Math.max(halfWidth, Math.min(x, this.worldWidth - halfWidth));
-
-        // Keep on ground
-        y = this.groundY;
-
-        // Check solid zones (prevent walking through buildings)
-        for (const zone of this.solidZones) {
-            if (this._overlapsX(x, halfWidth, zone)) {
-                // Push player out of the zone
-                const playerLeft = x - halfWidth;
-                const playerRight = x + halfWidth;
-                const zoneLeft = zone.x;
-                const zoneRight = zone.x + zone.width;
-
-                // Determine which side is closer to push out
-                const overlapLeft = playerRight - zoneLeft;
-                const overlapRight = zoneRight - playerLeft;
-
-                if (overlapLeft < overlapRight) {
-                    x = zoneLeft - halfWidth;
-                } else {
-                    x = zoneRight + halfWidth;
+        const clampedX = Math.max(halfWidth, Math.min(x, this.worldWidth - halfWidth));
+        if (clampedX !== x) hitWall = true;
+        x = clampedX;
+
+        // --- X axis: push out of solid zones at the previous height ---
+        for (const zone of this.solidIndex.query(x - halfWidth, x + halfWidth)) {
+            if (!this._overlaps(x, prevY, player, zone)) continue;
+
+            const overlapLeft = (x + halfWidth) - zone.x;
+            const overlapRight = (zone.x + zone.width) - (x - halfWidth);
+            x = overlapLeft < overlapRight ? zone.x - halfWidth : zone.x + zone.width + halfWidth;
+            hitWall = true;
+        }
+
+        // --- Y axis: floors, ceilings, one-way platforms, ground ---
+        let surfaceY = null;
+
+        if (vy >= 0) {
+            // Land on (or keep standing on) the highest top the feet crossed
+            for (const s of this.surfaceIndex.query(x - halfWidth, x + halfWidth)) {
+                if (!this._overlapsX(x, halfWidth, s)) continue;
+                if (prevY <= s.y + EPSILON && y >= s.y - EPSILON) {
+                    surfaceY = surfaceY === null ? s.y : Math.min(surfaceY, s.y);
+                }
+            }
+            if (y >= this.groundY - EPSILON && surfaceY === null) {
+                surfaceY = this.groundY;
+            }
+        } else {
+            // Bump the head on solid zones entered from below
+            const prevTop = prevY - player.height;
+            for (const zone of this.solidIndex.query(x - halfWidth, x + halfWidth)) {
+                if (!this._overlaps(x, y, player, zone)) continue;
+                if (prevTop >= zone.y + zone.height - EPSILON) {
+                    y = zone.y + zone.height + player.height;
+                    hitCeiling = true;
                 }
             }
         }
 
-        return { x, y };
+        const grounded = surfaceY !== null;
+        if (grounded) y = surfaceY;
+
+        return {
+            x,
+            y,
+            grounded,
+            landed: grounded && !player.isGrounded,
+            hitCeiling,
+            hitWall,
+            floorY: grounded ? y : this.findFloorBelow(x, y, halfWidth)
+        };
+    }
+
+    /**
+     * Highest walkable surface at or below a point (for shadows)
+     */
+    findFloorBelow(x, y, halfWidth = 0) {
+        let floor = this.groundY;
+        for (const s of this.surfaceIndex.query(x - halfWidth, x + halfWidth)) {
+            if (s.y >= y - EPSILON && s.y < floor && this._overlapsX(x, halfWidth, s)) {
+                floor = s.y;
+            }
+        }
+        return floor;
+    }
+
+    /**
+     * Nearest solid zone in the player's way: its near side is within
+     * `distance` px of the player's leading edge and it overlaps the
+     * player's current height. Used by auto-walk to decide when to jump.
+     * @param {object} player — x (centre), y (feet), width, height
+     * @param {number} direction — 1 (right) or -1 (left)
+     * @returns {object|null} the zone
+     */
+    findObstacleAhead(player, direction, distance) {
+        const halfWidth = player.width / 2;
+        const edge = player.x + direction * halfWidth;
+        const minX = direction > 0 ? edge : edge - distance;
+        const maxX = direction > 0 ? edge + distance : edge;
+
+        let nearest = null;
+        let nearestGap = Infinity;
+        for (const zone of this.solidIndex.query(minX, maxX)) {
+            if (player.y <= zone.y + EPSILON || player.y - player.height >= zone.y + zone.height) continue;
+            const gap = direction > 0 ? zone.x - edge : edge - (zone.x + zone.width);
+            if (gap >= -EPSILON && gap <= distance && gap < nearestGap) {
+                nearest = zone;
+                nearestGap = gap;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Full AABB test between the player (feet at y) and a zone
+     */
+    _overlaps(x, y, player, zone) {
+        const halfWidth = player.width / 2;
+        return (
+            this._overlapsX(x, halfWidth, zone) &&
+            y > zone.y + EPSILON &&
+            y - player.height < zone.y + zone.height
+        );
     }
 
     /**
@@ -105,7 +225,7 @@ export class CollisionSystem {
         let closest = null;
         let closestDist = Infinity;
 
-        for (const zone of this.interactiveZones) {
+        for (const zone of this.interactiveIndex.query(player.x - range, player.x + range)) {
             const zoneCenterX = zone.x + zone.width / 2;
             const dist = Math.abs(player.x - zoneCenterX);
 
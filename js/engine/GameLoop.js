@@ -1,19 +1,64 @@
 /**
  * GameLoop.js — Core game loop with delta-time
  * Runs update() and render() at ~60fps via requestAnimationFrame.
+ *
+ * Also owns world time: pause/resume, time scale (slow-motion) and
+ * single-stepping while paused. Rendering keeps running while paused so
+ * overlays still draw on top of the frozen world.
+ *
+ * Supports two modes:
+ *   - Variable step (default): update callbacks receive the frame delta.
+ *   - Fixed step: update callbacks always receive `fixedStep` seconds, driven
+ *     by an accumulator, and render callbacks receive an interpolation alpha
+ *     so motion looks identical on 60Hz and 144Hz displays.
  */
 export class GameLoop {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.fixedStep] — simulation step in seconds (e.g. 1/60); omit for variable step
+     * @param {number} [options.maxSteps] — max catch-up steps per frame in fixed mode
+     * @param {function} [options.requestFrame] — frame scheduler, defaults to requestAnimationFrame
+     * @param {function} [options.now] — clock in ms, defaults to performance.now
+     */
+    constructor(options = {}) {
         this.isRunning = false;
         this.lastTimestamp = 0;
+        this.frameCallbacks = [];
         this.updateCallbacks = [];
         this.renderCallbacks = [];
         this.fps = 0;
         this.frameCount = 0;
         this.fpsTimer = 0;
+
+        // Fixed-step accumulator
+        this.fixedStep = options.fixedStep || 0;
+        this.maxSteps = options.maxSteps || 5;
+        this.accumulator = 0;
+        this.alpha = 1; // interpolation factor between previous and current state
+
+        // Pause & time scale
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.timeScale = 1;
+        this.pendingSteps = 0;
+        this.pauseCallbacks = [];
+
+        // Scheduler (swappable so the loop can be driven headlessly)
+        this._requestFrame = options.requestFrame || ((fn) => requestAnimationFrame(fn));
+        this._now = options.now || (() => performance.now());
+
         this._boundTick = this._tick.bind(this);
     }
 
+    /**
+     * Register a frame-start callback: fn(deltaTime)
+     * Runs once per displayed frame before any updates, even while paused —
+     * the place to poll devices such as gamepads.
+     */
+    onFrame(fn) {
+        this.frameCallbacks.push(fn);
+    }
+
     /**
      * Register an update callback: fn(deltaTime)
      */
@@ -22,20 +67,97 @@ export class GameLoop {
     }
 
     /**
-     * Register a render callback: fn(ctx, deltaTime)
+     * Register a render callback: fn(deltaTime, alpha)
+     * alpha is the 0–1 interpolation factor (always 1 in variable-step mode)
      */
     onRender(fn) {
         this.renderCallbacks.push(fn);
     }
 
+    /**
+     * Register a pause-state callback: fn(isPaused, reason)
+     */
+    onPauseChange(fn) {
+        this.pauseCallbacks.push(fn);
+    }
+
+    /**
+     * Freeze world time. Render callbacks keep running.
+     * @param {string} reason — optional tag, e.g. 'user' or 'hidden'
+     */
+    pause(reason = 'user') {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        this.pauseReason = reason;
+        this.pendingSteps = 0;
+        this._notifyPause();
+    }
+
+    /**
+     * Resume world time
+     */
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.accumulator = 0;
+        this._notifyPause();
+    }
+
+    /**
+     * Toggle pause state
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.isPaused;
+    }
+
+    /**
+     * Scale world time (1 = normal, 0.25 = slow-motion)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Advance the world by a number of steps while paused
+     */
+    step(count = 1) {
+        if (!this.isPaused) return;
+        this.pendingSteps += count;
+    }
+
+    _notifyPause() {
+        for (const fn of this.pauseCallbacks) {
+            fn(this.isPaused, this.pauseReason);
+        }
+    }
+
+    /**
+     * Switch to fixed-step mode (or back to variable step with step = 0)
+     * @param {number} step — seconds per simulation step
+     * @param {number} maxSteps — catch-up limit per frame
+     */
+    setFixedStep(step, maxSteps = this.maxSteps) {
+        this.fixedStep = step;
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+        this.alpha = 1;
+    }
+
     /**
      * Start the game loop
      */
     start() {
         if (this.isRunning) return;
         this.isRunning = true;
-        this.lastTimestamp = performance.now();
-        requestAnimationFrame(this._boundTick);
+        this.lastTimestamp = this._now();
+        this.accumulator = 0;
+        this._requestFrame(this._boundTick);
     }
 
     /**
@@ -65,16 +187,66 @@ export class GameLoop {
             this.fpsTimer -= 1.0;
         }
 
-        // Update all systems
-        for (const fn of this.updateCallbacks) {
+        for (const fn of this.frameCallbacks) {
             fn(dt);
         }
 
+        if (this.isPaused) {
+            this._stepPaused();
+        } else if (this.fixedStep > 0) {
+            this._stepFixed(dt * this.timeScale);
+        } else {
+            // Update all systems
+            for (const fn of this.updateCallbacks) {
+                fn(dt * this.timeScale);
+            }
+            this.alpha = 1;
+        }
+
         // Render all systems
         for (const fn of this.renderCallbacks) {
-            fn(dt);
+            fn(dt, this.alpha);
+        }
+
+        this._requestFrame(this._boundTick);
+    }
+
+    /**
+     * Run any single steps requested while paused
+     */
+    _stepPaused() {
+        // Variable-step mode has no natural step size, so assume 60Hz
+        const step = this.fixedStep || 1 / 60;
+        while (this.pendingSteps > 0) {
+            for (const fn of this.updateCallbacks) {
+                fn(step);
+            }
+            this.pendingSteps--;
+        }
+        this.alpha = 1;
+    }
+
+    /**
+     * Consume accumulated time in fixed-size steps
+     */
+    _stepFixed(dt) {
+        const step = this.fixedStep;
+        this.accumulator += dt;
+
+        let steps = 0;
+        while (this.accumulator >= step && steps < this.maxSteps) {
+            for (const fn of this.updateCallbacks) {
+                fn(step);
+            }
+            this.accumulator -= step;
+            steps++;
+        }
+
+        // Too far behind — drop the backlog rather than spiral
+        if (this.accumulator >= step) {
+            this.accumulator %= step;
         }
 
-        requestAnimationFrame(this._boundTick);
+        this.alpha = this.accumulator / step;
     }
 }
@@ -0,0 +1,151 @@
+/**
+ * GamepadInput.js — Gamepad API backend for InputManager.
+ * Polls navigator.getGamepads() once per frame and turns the "standard"
+ * controller layout into the same actions the keyboard drives:
+ *
+ *   Left stick / D-pad ← →   walk (stick is analog, with a dead-zone)
+ *   A                        jump, and confirm in menus
+ *   X                        interact
+ *   B                        close / back
+ *   Y                        day / night
+ *   RB / RT / stick click    sprint (hold)
+ *   Start                    pause
+ *   Back / Select            map
+ *   D-pad / stick ↑ ↓ ← →    move between dialogue and modal buttons
+ *
+ * Controllers can be plugged in or pulled out at any time; the first
+ * connected pad is used.
+ */
+const STICK_DEAD_ZONE = 0.2;    // ignore stick drift below this
+const NAV_THRESHOLD = 0.6;      // stick tilt that counts as a menu direction
+const TRIGGER_THRESHOLD = 0.5;
+
+// Standard Gamepad button indices (https://w3c.github.io/gamepad/#remapping)
+const BUTTON = {
+    a: 0, b: 1, x: 2, y: 3,
+    rb: 5, rt: 7, back: 8, start: 9, leftStick: 10,
+    up: 12, down: 13, left: 14, right: 15
+};
+
+/** Single-press actions and the buttons that trigger them */
+const PRESS_ACTIONS = {
+    jump: [BUTTON.a],
+    confirm: [BUTTON.a],
+    interact: [BUTTON.x],
+    close: [BUTTON.b],
+    theme: [BUTTON.y],
+    pause: [BUTTON.start],
+    map: [BUTTON.back]
+};
+
+export class GamepadInput {
+    constructor() {
+        /** Index of the pad in use, or null */
+        this.index = null;
+
+        /** Walk axis after the dead-zone: -1 (left) … 1 (right) */
+        this.moveAxis = 0;
+        this.isSprinting = false;
+
+        /** Actions that went down on the latest poll ('jump', 'nav-up', …) */
+        this.justPressed = new Set();
+
+        // Action/direction state from the previous poll, for edge detection
+        this._held = new Set();
+
+        this.isSupported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+        if (this.isSupported && typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', (e) => this._onConnected(e.gamepad));
+            window.addEventListener('gamepaddisconnected', (e) => this._onDisconnected(e.gamepad));
+        }
+    }
+
+    get isConnected() {
+        return this.index !== null;
+    }
+
+    /**
+     * Read the current pad state. Call once per frame.
+     */
+    poll() {
+        this.justPressed.clear();
+        const pad = this._activePad();
+        if (!pad) {
+            this._release();
+            return;
+        }
+
+        const pressed = (i) => {
+            const button = pad.buttons[i];
+            return button ? button.pressed || button.value > TRIGGER_THRESHOLD : false;
+        };
+
+        // --- Walking: d-pad is digital, the stick is analog ---
+        const stickX = applyDeadZone(pad.axes[0] || 0);
+        const stickY = applyDeadZone(pad.axes[1] || 0);
+        if (pressed(BUTTON.left)) {
+            this.moveAxis = -1;
+        } else if (pressed(BUTTON.right)) {
+            this.moveAxis = 1;
+        } else {
+            this.moveAxis = stickX;
+        }
+        this.isSprinting = pressed(BUTTON.rb) || pressed(BUTTON.rt) || pressed(BUTTON.leftStick);
+
+        // --- Single-press actions and menu directions ---
+        const held = new Set();
+        for (const [action, buttons] of Object.entries(PRESS_ACTIONS)) {
+            if (buttons.some(pressed)) held.add(action);
+        }
+        if (pressed(BUTTON.up) || stickY < -NAV_THRESHOLD) held.add('nav-up');
+        if (pressed(BUTTON.down) || stickY > NAV_THRESHOLD) held.add('nav-down');
+        if (pressed(BUTTON.left) || stickX < -NAV_THRESHOLD) held.add('nav-left');
+        if (pressed(BUTTON.right) || stickX > NAV_THRESHOLD) held.add('nav-right');
+
+        for (const action of held) {
+            if (!this._held.has(action)) this.justPressed.add(action);
+        }
+        this._held = held;
+    }
+
+    _activePad() {
+        if (!this.isSupported) return null;
+        const pads = navigator.getGamepads();
+
+        // Re-check every poll: some browsers only expose pads after a button press
+        const current = this.index !== null ? pads[this.index] : null;
+        if (current && current.connected) return current;
+
+        const next = Array.from(pads).find(p => p && p.connected) || null;
+        this.index = next ? next.index : null;
+        return next;
+    }
+
+    _onConnected(pad) {
+        if (this.index === null) this.index = pad.index;
+    }
+
+    _onDisconnected(pad) {
+        if (pad.index !== this.index) return;
+        this.index = null;
+        this._release();
+    }
+
+    /**
+     * Drop everything held, so a pulled controller can't leave the player walking
+     */
+    _release() {
+        this.moveAxis = 0;
+        this.isSprinting = false;
+        this._held.clear();
+    }
+}
+
+/**
+ * Zero small values and rescale the rest so output still spans 0–1
+ */
+function applyDeadZone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude < STICK_DEAD_ZONE) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE));
+}
@@ -1,7 +1,23 @@
 /**
- * InputManager.js — Handles keyboard + mobile touch input.
+ * InputManager.js — Handles keyboard, mobile touch and gamepad input.
  * Tracks held keys for smooth movement, sprint, jump, and single-press actions.
+ * Which keys drive which action comes from KeyBindings (rebindable by the
+ * visitor); Escape always closes. Gamepads are read by poll(), which the
+ * game calls once per frame. On touch screens TouchControls adds an analog
+ * joystick, flick-to-jump and taps; tapped or clicked destinations are
+ * walked to by AutoWalk, which steer() updates each step.
+ *
+ * Each simulation step is bracketed by beginFrame()/endFrame(). Between
+ * them the step's input can be recorded (startRecording) or, in replay
+ * mode (startReplay), every query answers from a recording instead of
+ * the live devices.
  */
+import { GamepadInput } from './GamepadInput.js';
+import { TouchControls } from './TouchControls.js';
+import { AutoWalk } from './AutoWalk.js';
+import { KeyBindings } from './KeyBindings.js';
+import { InputRecorder, ReplayInput } from './InputRecorder.js';
+
 export class InputManager {
     constructor() {
         /** Currently held keys */
@@ -10,15 +26,29 @@ export class InputManager {
         /** Keys pressed this frame (for single-press actions like 'E') */
         this.justPressed = {};
 
+        /** Action → keys map, saved across visits */
+        this.bindings = new KeyBindings();
+
         /** Whether touch/mobile controls are active */
         this.isMobile = false;
 
-        /** Mobile directional state */
-        this.mobileLeft = false;
-        this.mobileRight = false;
-        this.mobileInteract = false;
-        this.mobileSprint = false;
-        this.mobileJump = false;
+        /** Touch joystick and buttons (set up on touch devices) */
+        this.touch = null;
+
+        /** Walks to tapped destinations */
+        this.autoWalk = new AutoWalk();
+
+        /** Gamepad backend and its single-press actions not yet consumed */
+        this.gamepad = new GamepadInput();
+        this.padPressed = new Set();
+
+        /** Active InputRecorder / ReplayInput, if any */
+        this.recorder = null;
+        this.replay = null;
+        this._inFrame = false;
+
+        // Callbacks
+        this.replayEndCallbacks = [];
 
         this._init();
     }
@@ -40,28 +70,45 @@ export class InputManager {
 
         // Setup mobile controls if present
         if (this.isMobile) {
-            this._initMobileControls();
+            this.touch = new TouchControls();
+            this._showMobileControls();
         }
     }
 
+    /**
+     * Drop all held and pending input (e.g. when the world pauses)
+     */
+    reset() {
+        this._clearAllKeys();
+    }
+
     /**
      * Clear all pressed key states — prevents stuck keys
      */
     _clearAllKeys() {
         this.keys = {};
         this.justPressed = {};
-        this.mobileLeft = false;
-        this.mobileRight = false;
-        this.mobileInteract = false;
-        this.mobileSprint = false;
-        this.mobileJump = false;
+        if (this.touch) this.touch.release();
+        this.autoWalk.cancel();
+        this.padPressed.clear();
+    }
+
+    /**
+     * Read connected gamepads. Presses are kept until the next endFrame(),
+     * so a press is never lost on frames that run no update.
+     */
+    poll() {
+        this.gamepad.poll();
+        for (const action of this.gamepad.justPressed) {
+            this.padPressed.add(action);
+        }
     }
 
     _onKeyDown(e) {
         const key = e.key.toLowerCase();
 
-        // Prevent default for game keys
-        if (['arrowleft', 'arrowright', 'arrowup', 'arrowdown', 'a', 'd', 'w', 's', 'e', 't', ' ', 'shift'].includes(key)) {
+        // Prevent default for game keys (page scroll on Space / arrows)
+        if (this.bindings.actionFor(key) || key === 'arrowdown') {
             e.preventDefault();
         }
 
@@ -76,14 +123,8 @@ export class InputManager {
         this.keys[key] = false;
     }
 
-    _initMobileControls() {
+    _showMobileControls() {
         const mobileControls = document.getElementById('mobile-controls');
-        const joyLeft = document.getElementById('joy-left');
-        const joyRight = document.getElementById('joy-right');
-        const interactBtn = document.getElementById('mobile-interact');
-        const jumpBtn = document.getElementById('mobile-jump');
-        const sprintBtn = document.getElementById('mobile-sprint');
-
         if (mobileControls) {
             mobileControls.classList.remove('hidden');
             mobileControls.classList.add('active');
@@ -92,82 +133,199 @@ export class InputManager {
         // Hide desktop HUD on mobile
         const hud = document.getElementById('hud');
         if (hud) hud.classList.add('hidden');
+    }
 
-        if (joyLeft) {
-            joyLeft.addEventListener('touchstart', (e) => { e.preventDefault(); this.mobileLeft = true; }, { passive: false });
-            joyLeft.addEventListener('touchend', (e) => { e.preventDefault(); this.mobileLeft = false; }, { passive: false });
-            joyLeft.addEventListener('touchcancel', () => { this.mobileLeft = false; });
-        }
+    /**
+     * Walk to a world x (tap/click-to-walk); interact on arrival if asked.
+     * Any manual movement cancels it.
+     */
+    walkTo(x, interact = false) {
+        if (this.replay) return;
+        this.autoWalk.walkTo(x, interact);
+    }
 
-        if (joyRight) {
-            joyRight.addEventListener('touchstart', (e) => { e.preventDefault(); this.mobileRight = true; }, { passive: false });
-            joyRight.addEventListener('touchend', (e) => { e.preventDefault(); this.mobileRight = false; }, { passive: false });
-            joyRight.addEventListener('touchcancel', () => { this.mobileRight = false; });
-        }
+    /**
+     * Update tap/click-to-walk for this step. Call before the player moves.
+     * @param {Player} player
+     * @param {CollisionSystem} collision — the current scene's
+     */
+    steer(player, collision) {
+        if (this.replay) return;
+        this.autoWalk.steer(player, collision, this._manualAxis());
+    }
 
-        if (interactBtn) {
-            interactBtn.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.mobileInteract = true;
-            }, { passive: false });
-            interactBtn.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.mobileInteract = false;
-            }, { passive: false });
-        }
+    /**
+     * Start recording every simulation step from now on
+     * @param {object} meta — settings needed to replay (seed, width, height, step)
+     * @returns {InputRecorder}
+     */
+    startRecording(meta) {
+        this.recorder = new InputRecorder(meta);
+        return this.recorder;
+    }
 
-        if (jumpBtn) {
-            jumpBtn.addEventListener('touchstart', (e) => { e.preventDefault(); this.mobileJump = true; }, { passive: false });
-            jumpBtn.addEventListener('touchend', (e) => { e.preventDefault(); this.mobileJump = false; }, { passive: false });
-        }
+    /**
+     * Answer every query from a recording until it runs out
+     * @param {string|object} recording — exported by InputRecorder
+     */
+    startReplay(recording) {
+        this.replay = new ReplayInput(recording);
+        this.recorder = null;
+    }
 
-        if (sprintBtn) {
-            sprintBtn.addEventListener('touchstart', (e) => { e.preventDefault(); this.mobileSprint = true; }, { passive: false });
-            sprintBtn.addEventListener('touchend', (e) => { e.preventDefault(); this.mobileSprint = false; }, { passive: false });
-        }
+    /**
+     * Register a callback: fn() when a replay has played its last step
+     */
+    onReplayEnd(fn) {
+        this.replayEndCallbacks.push(fn);
+    }
+
+    /**
+     * Record a UI event that changes the world outside the game input
+     * (a click on a dialogue choice, the theme button, …). Events raised
+     * while a step runs are skipped — replaying that step's input
+     * raises them again.
+     */
+    note(type, value) {
+        if (this.recorder && !this._inFrame) this.recorder.note(type, value);
+    }
+
+    /**
+     * Call at the start of each simulation step
+     * @returns {Array} replayed UI events due before this step: [[type, value], …]
+     */
+    beginFrame() {
+        this._inFrame = true;
+        return this.replay ? this.replay.beginFrame() : [];
     }
 
     /**
      * Call at end of each frame to reset single-press states
      */
     endFrame() {
+        if (this.replay) {
+            this.replay.endFrame();
+            if (this.replay.isFinished) {
+                this.replay = null;
+                for (const fn of this.replayEndCallbacks) fn();
+            }
+        } else if (this.recorder) {
+            this.recorder.capture(this);
+        }
+        this._inFrame = false;
+
         this.justPressed = {};
-        this.mobileInteract = false;
-        this.mobileJump = false;
+        if (this.touch) this.touch.pressed.clear();
+        this.autoWalk.endFrame();
+        this.padPressed.clear();
+    }
+
+    /** Whether any key bound to an action is held */
+    _isHeld(action) {
+        return this.bindings.get(action).some(key => this.keys[key]);
+    }
+
+    /** Whether any key bound to an action was pressed this frame */
+    _wasPressed(action) {
+        return this.bindings.get(action).some(key => this.justPressed[key]);
+    }
+
+    _touchPressed(action) {
+        return this.touch !== null && this.touch.pressed.has(action);
     }
 
     /** Check if moving left */
     isMovingLeft() {
-        return this.keys['arrowleft'] || this.keys['a'] || this.mobileLeft;
+        if (this.replay) return this.replay.isMovingLeft();
+        return this.getMoveAxis() < 0;
     }
 
     /** Check if moving right */
     isMovingRight() {
-        return this.keys['arrowright'] || this.keys['d'] || this.mobileRight;
+        if (this.replay) return this.replay.isMovingRight();
+        return this.getMoveAxis() > 0;
     }
 
-    /** Check if sprinting (hold Shift) */
+    /**
+     * Walk direction and strength: -1 (full left) … 1 (full right).
+     * Keys are all-or-nothing; a gamepad stick or the touch joystick gives
+     * anything in between for a slower walk. Tap-to-walk fills in when
+     * nothing else is moving the player.
+     */
+    getMoveAxis() {
+        if (this.replay) return this.replay.getMoveAxis();
+        const manual = this._manualAxis();
+        return manual !== 0 ? manual : this.autoWalk.axis;
+    }
+
+    _manualAxis() {
+        if (this._isHeld('right')) return 1;
+        if (this._isHeld('left')) return -1;
+        if (this.gamepad.moveAxis !== 0) return this.gamepad.moveAxis;
+        return this.touch ? this.touch.moveAxis : 0;
+    }
+
+    /** Check if sprinting (hold Shift by default) */
     isSprinting() {
-        return this.keys['shift'] || this.mobileSprint;
+        if (this.replay) return this.replay.isSprinting();
+        return this._isHeld('sprint') || this.gamepad.isSprinting ||
+            (this.touch !== null && this.touch.isSprinting) || this.autoWalk.sprint;
     }
 
     /** Check if jump was just pressed this frame */
     isJumpPressed() {
-        return this.justPressed[' '] || this.justPressed['w'] || this.justPressed['arrowup'] || this.mobileJump;
+        if (this.replay) return this.replay.isJumpPressed();
+        return this._wasPressed('jump') || this.padPressed.has('jump') || this._touchPressed('jump') ||
+            this.autoWalk.jump;
     }
 
     /** Check if interact was just pressed this frame */
     isInteractPressed() {
-        return this.justPressed['e'] || this.mobileInteract;
+        if (this.replay) return this.replay.isInteractPressed();
+        return this._wasPressed('interact') || this.padPressed.has('interact') || this._touchPressed('interact') ||
+            this.autoWalk.interact;
     }
 
     /** Check if theme toggle was just pressed */
     isThemeTogglePressed() {
-        return this.justPressed['t'];
+        if (this.replay) return this.replay.isThemeTogglePressed();
+        return this._wasPressed('theme') || this.padPressed.has('theme');
+    }
+
+    /** Check if the map key was just pressed */
+    isMapPressed() {
+        if (this.replay) return this.replay.isMapPressed();
+        return this._wasPressed('map') || this.padPressed.has('map');
+    }
+
+    /**
+     * Check if a previous/next place key was just pressed (walks to the
+     * neighbouring point of interest, see AccessibilityMirror.js)
+     * @param {string} direction — 'prev' or 'next'
+     */
+    isPlacePressed(direction) {
+        if (this.replay) return this.replay.isPlacePressed(direction);
+        return this._wasPressed(direction + '-place');
     }
 
     /** Check if close/escape was just pressed */
     isClosePressed() {
-        return this.justPressed['escape'];
+        if (this.replay) return this.replay.isClosePressed();
+        return this.justPressed['escape'] || this.padPressed.has('close');
+    }
+
+    /**
+     * Gamepad menu input (keyboard menus handle their own keys)
+     * @param {string} direction — 'up', 'down', 'left' or 'right'
+     */
+    isNavPressed(direction) {
+        if (this.replay) return this.replay.isNavPressed(direction);
+        return this.padPressed.has('nav-' + direction);
+    }
+
+    /** Check if the gamepad confirm button was just pressed */
+    isConfirmPressed() {
+        if (this.replay) return this.replay.isConfirmPressed();
+        return this.padPressed.has('confirm');
     }
 }
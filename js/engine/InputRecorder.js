@@ -0,0 +1,258 @@
+/**
+ * InputRecorder.js — Records what the game saw from its input each
+ * simulation step, and plays it back through the same query API.
+ *
+ * Because the world is seeded and steps at a fixed rate, feeding the same
+ * per-step input into the same seed reproduces a session exactly — in the
+ * browser (?replay=) or in a headless test.
+ *
+ * Recording format (JSON):
+ *
+ *   {
+ *     "version": 1,
+ *     "seed": 1337, "width": 1280, "height": 720, "step": 0.016666…,
+ *     "length": 900,                         // simulation steps recorded
+ *     "input": [                             // state from step N until the next entry
+ *       [0, {}],
+ *       [12, { "axis": 1 }],
+ *       [40, { "axis": 1, "sprint": 1, "pressed": ["jump"] }],
+ *       [41, { "axis": 1, "sprint": 1 }]
+ *     ],
+ *     "events": [[300, "dialogue-select", 1]] // UI clicks, applied before step N
+ *   }
+ *
+ * Step N happens at N × step seconds of world time.
+ */
+export const RECORDING_VERSION = 1;
+
+/** Single-press queries, by the name stored in `pressed` */
+const PRESS_QUERIES = {
+    jump: 'isJumpPressed',
+    interact: 'isInteractPressed',
+    theme: 'isThemeTogglePressed',
+    close: 'isClosePressed',
+    map: 'isMapPressed',
+    confirm: 'isConfirmPressed'
+};
+
+const NAV_DIRECTIONS = ['up', 'down', 'left', 'right'];
+const PLACE_DIRECTIONS = ['prev', 'next'];
+
+/**
+ * What an input source reports for the current step
+ * @returns {{ axis: number, sprint: boolean, pressed: string[] }}
+ */
+export function snapshotInput(input) {
+    const pressed = [];
+    for (const [name, query] of Object.entries(PRESS_QUERIES)) {
+        if (input[query]()) pressed.push(name);
+    }
+    for (const direction of NAV_DIRECTIONS) {
+        if (input.isNavPressed(direction)) pressed.push('nav-' + direction);
+    }
+    for (const direction of PLACE_DIRECTIONS) {
+        if (input.isPlacePressed(direction)) pressed.push(direction + '-place');
+    }
+    return { axis: input.getMoveAxis(), sprint: Boolean(input.isSprinting()), pressed };
+}
+
+export class InputRecorder {
+    /**
+     * @param {object} meta — session settings needed to replay (seed, width, height, step)
+     */
+    constructor(meta = {}) {
+        this.meta = meta;
+
+        /** Steps captured so far */
+        this.length = 0;
+
+        this.changes = [];
+        this.events = [];
+        this._last = null;
+    }
+
+    /**
+     * Store the input state for one simulation step. Call after the step
+     * has read its input and before single presses are cleared.
+     */
+    capture(input) {
+        const state = snapshotInput(input);
+        if (!this._last || !sameState(state, this._last)) {
+            this.changes.push([this.length, compactState(state)]);
+        }
+        this._last = state;
+        this.length++;
+    }
+
+    /**
+     * Store a UI event (a click outside the game input) before the next step
+     */
+    note(type, value) {
+        this.events.push(value === undefined ? [this.length, type] : [this.length, type, value]);
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            ...this.meta,
+            length: this.length,
+            input: this.changes,
+            events: this.events
+        };
+    }
+
+    /**
+     * Compact text for saving to a file
+     */
+    export() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+/**
+ * Parse and check a recording
+ * @param {string|object} source — exported text or an already parsed object
+ * @throws {Error} when it isn't a recording this version can play
+ */
+export function parseRecording(source) {
+    const recording = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!recording || recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version: ${recording ? recording.version : recording}`);
+    }
+    if (!Number.isInteger(recording.length) || !Array.isArray(recording.input) || !Array.isArray(recording.events)) {
+        throw new Error('Recording is missing length, input or events');
+    }
+    return recording;
+}
+
+/**
+ * Input source that plays a recording back, one entry per simulation step.
+ * Exposes the same query API as InputManager.
+ */
+export class ReplayInput {
+    /**
+     * @param {string|object} recording — see parseRecording()
+     */
+    constructor(recording) {
+        this.recording = parseRecording(recording);
+
+        /** Index of the step being played */
+        this.step = 0;
+
+        this.state = expandState({});
+        this._changeIndex = 0;
+        this._eventIndex = 0;
+        this._seek();
+    }
+
+    get isFinished() {
+        return this.step >= this.recording.length;
+    }
+
+    /**
+     * UI events to apply before the current step: [[type, value], …]
+     */
+    beginFrame() {
+        const { events } = this.recording;
+        const due = [];
+        while (this._eventIndex < events.length && events[this._eventIndex][0] <= this.step) {
+            const [, type, value] = events[this._eventIndex++];
+            due.push([type, value]);
+        }
+        return due;
+    }
+
+    /**
+     * Move on to the next step
+     */
+    endFrame() {
+        this.step++;
+        this._seek();
+    }
+
+    _seek() {
+        const { input } = this.recording;
+        while (this._changeIndex < input.length && input[this._changeIndex][0] <= this.step) {
+            this.state = expandState(input[this._changeIndex][1]);
+            this._changeIndex++;
+        }
+        if (this.isFinished) this.state = expandState({});
+    }
+
+    // Pausing clears live input; a replay keeps its place instead.
+    // Tap-to-walk was recorded as plain movement, so steering is a no-op.
+    reset() {}
+    poll() {}
+    steer() {}
+
+    getMoveAxis() {
+        return this.state.axis;
+    }
+
+    isMovingLeft() {
+        return this.state.axis < 0;
+    }
+
+    isMovingRight() {
+        return this.state.axis > 0;
+    }
+
+    isSprinting() {
+        return this.state.sprint;
+    }
+
+    isJumpPressed() {
+        return this.state.pressed.has('jump');
+    }
+
+    isInteractPressed() {
+        return this.state.pressed.has('interact');
+    }
+
+    isThemeTogglePressed() {
+        return this.state.pressed.has('theme');
+    }
+
+    isClosePressed() {
+        return this.state.pressed.has('close');
+    }
+
+    isMapPressed() {
+        return this.state.pressed.has('map');
+    }
+
+    isNavPressed(direction) {
+        return this.state.pressed.has('nav-' + direction);
+    }
+
+    isPlacePressed(direction) {
+        return this.state.pressed.has(direction + '-place');
+    }
+
+    isConfirmPressed() {
+        return this.state.pressed.has('confirm');
+    }
+}
+
+function compactState(state) {
+    const compact = {};
+    if (state.axis !== 0) compact.axis = state.axis;
+    if (state.sprint) compact.sprint = 1;
+    if (state.pressed.length > 0) compact.pressed = state.pressed;
+    return compact;
+}
+
+function expandState(compact) {
+    return {
+        axis: compact.axis || 0,
+        sprint: Boolean(compact.sprint),
+        pressed: new Set(compact.pressed || [])
+    };
+}
+
+function sameState(a, b) {
+    return a.axis === b.axis &&
+        a.sprint === b.sprint &&
+        a.pressed.length === b.pressed.length &&
+        a.pressed.every((name, i) => name === b.pressed[i]);
+}
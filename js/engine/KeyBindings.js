@@ -0,0 +1,222 @@
+/**
+ * KeyBindings.js — Maps game actions to keyboard keys.
+ * Every action can have several keys (e.g. Jump on Space, W and ↑). The
+ * visitor can rebind them from the Controls panel; changes are saved in
+ * localStorage and restored on the next visit.
+ *
+ * Keys are stored as lower-cased KeyboardEvent.key values, so bindings
+ * follow the visitor's keyboard layout (AZERTY players can bind Z/Q/S/D).
+ */
+import { getLocalStorage } from '../utils/helpers.js';
+
+const STORAGE_KEY = 'neighborhood.keyBindings';
+
+/** Max keys per action */
+export const MAX_KEYS_PER_ACTION = 3;
+
+/** Rebindable actions, in the order the Controls panel lists them */
+export const ACTIONS = [
+    { id: 'left', label: 'Move left' },
+    { id: 'right', label: 'Move right' },
+    { id: 'jump', label: 'Jump' },
+    { id: 'sprint', label: 'Sprint (hold)' },
+    { id: 'interact', label: 'Interact' },
+    { id: 'theme', label: 'Day / Night' },
+    { id: 'map', label: 'Map' },
+    { id: 'prev-place', label: 'Previous place' },
+    { id: 'next-place', label: 'Next place' }
+];
+
+export const DEFAULT_BINDINGS = {
+    left: ['arrowleft', 'a'],
+    right: ['arrowright', 'd'],
+    jump: [' ', 'w', 'arrowup'],
+    sprint: ['shift'],
+    interact: ['e'],
+    theme: ['t'],
+    map: ['m'],
+    'prev-place': ['['],
+    'next-place': [']']
+};
+
+/** Keys with a fixed meaning elsewhere (close, pause, frame step, menus) */
+export const RESERVED_KEYS = ['escape', 'p', '.', 'enter', 'tab'];
+
+const KEY_LABELS = {
+    ' ': 'Space',
+    'arrowleft': '←',
+    'arrowright': '→',
+    'arrowup': '↑',
+    'arrowdown': '↓',
+    'shift': 'Shift',
+    'control': 'Ctrl',
+    'alt': 'Alt',
+    'meta': 'Meta',
+    'capslock': 'Caps Lock',
+    'backspace': 'Backspace',
+    'escape': 'Esc',
+    'enter': 'Enter',
+    'tab': 'Tab'
+};
+
+/**
+ * Human-readable name for a stored key ('arrowleft' → '←', ' ' → 'Space')
+ */
+export function keyLabel(key) {
+    if (KEY_LABELS[key]) return KEY_LABELS[key];
+    if (key.length === 1) return key.toUpperCase();
+    return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+export class KeyBindings {
+    /**
+     * @param {Storage|null} storage — defaults to window.localStorage when available
+     */
+    constructor(storage = getLocalStorage()) {
+        this.storage = storage;
+        this.bindings = cloneDefaults();
+
+        // Callbacks
+        this.changeCallbacks = [];
+
+        this._load();
+    }
+
+    /**
+     * Register a callback: fn(bindings) after any change
+     */
+    onChange(fn) {
+        this.changeCallbacks.push(fn);
+    }
+
+    /**
+     * Keys bound to an action
+     */
+    get(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Label for an action's first key, e.g. for the HUD ('E', 'Space', '←')
+     */
+    label(action) {
+        const keys = this.get(action);
+        return keys.length > 0 ? keyLabel(keys[0]) : '—';
+    }
+
+    /**
+     * Action a key is bound to, or null
+     */
+    actionFor(key) {
+        for (const [action, keys] of Object.entries(this.bindings)) {
+            if (keys.includes(key)) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Put a key in one of an action's slots (index === length appends).
+     * Refuses reserved keys and keys bound to a different action.
+     * @returns {{ ok: boolean, reason?: 'reserved'|'conflict'|'full', conflict?: string }}
+     */
+    bind(action, index, key) {
+        if (!DEFAULT_BINDINGS[action]) throw new Error(`Unknown action "${action}"`);
+        const keys = this.get(action);
+        if (RESERVED_KEYS.includes(key)) return { ok: false, reason: 'reserved' };
+
+        const owner = this.actionFor(key);
+        if (owner && owner !== action) return { ok: false, reason: 'conflict', conflict: owner };
+        if (index >= keys.length && keys.length >= MAX_KEYS_PER_ACTION) return { ok: false, reason: 'full' };
+
+        const next = [...keys];
+        if (index < next.length) next[index] = key;
+        else next.push(key);
+
+        // Already on this action in another slot: keep one copy
+        this.bindings[action] = next.filter((k, i) => next.indexOf(k) === i);
+        this._changed();
+        return { ok: true };
+    }
+
+    /**
+     * Remove one key from an action. The last key can't be removed, so
+     * every action always stays reachable.
+     * @returns {boolean} whether anything changed
+     */
+    unbind(action, index) {
+        const keys = this.get(action);
+        if (keys.length <= 1 || index >= keys.length) return false;
+        this.bindings[action] = keys.filter((_, i) => i !== index);
+        this._changed();
+        return true;
+    }
+
+    /**
+     * Restore the default keys
+     */
+    reset() {
+        this.bindings = cloneDefaults();
+        this._changed();
+    }
+
+    _changed() {
+        this._save();
+        for (const fn of this.changeCallbacks) fn(this.bindings);
+    }
+
+    /**
+     * Read saved bindings. Anything malformed or clashing is ignored and
+     * the defaults stay in place. Actions added since the bindings were
+     * saved get their default keys, minus any the visitor already uses
+     * elsewhere; if that leaves none, the defaults are used throughout.
+     */
+    _load() {
+        if (!this.storage) return;
+        let saved;
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+        } catch {
+            return;
+        }
+        if (!saved || typeof saved !== 'object') return;
+
+        const loaded = {};
+        const taken = new Set();
+        const actions = Object.keys(DEFAULT_BINDINGS);
+        const added = actions.filter(action => saved[action] === undefined);
+        for (const action of actions) {
+            if (added.includes(action)) continue;
+            const keys = saved[action];
+            const valid = Array.isArray(keys) &&
+                keys.length > 0 &&
+                keys.length <= MAX_KEYS_PER_ACTION &&
+                new Set(keys).size === keys.length &&
+                keys.every(k => typeof k === 'string' && k.length > 0 && !RESERVED_KEYS.includes(k) && !taken.has(k));
+            if (!valid) return;
+            for (const k of keys) taken.add(k);
+            loaded[action] = [...keys];
+        }
+
+        for (const action of added) {
+            loaded[action] = DEFAULT_BINDINGS[action].filter(k => !taken.has(k));
+            if (loaded[action].length === 0) return;
+        }
+
+        this.bindings = loaded;
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch {
+            // Storage full or blocked (private mode) — bindings last for this visit only
+        }
+    }
+}
+
+function cloneDefaults() {
+    const copy = {};
+    for (const [action, keys] of Object.entries(DEFAULT_BINDINGS)) copy[action] = [...keys];
+    return copy;
+}
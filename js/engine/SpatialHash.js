@@ -0,0 +1,87 @@
+/**
+ * SpatialHash.js — Broadphase index that buckets entries along world X.
+ * The world is a long horizontal strip, so a 1D grid of fixed-width cells
+ * is enough: queries only touch the cells a range overlaps, so per-frame
+ * cost scales with what is near the camera or player, not world size.
+ * Query results come back in insertion order, which callers rely on for
+ * draw order and "first match wins" lookups.
+ */
+const DEFAULT_CELL_SIZE = 256; // px, roughly a building plus its street gap
+
+export class SpatialHash {
+    /**
+     * @param {number} cellSize — bucket width in world pixels
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+
+        /** cell index → entries overlapping that cell */
+        this.cells = new Map();
+        this.count = 0;
+
+        // Bumped per query so entries spanning several cells are returned once
+        this._stamp = 0;
+    }
+
+    /**
+     * Index an item covering world X range [minX, maxX]
+     */
+    insert(item, minX, maxX = minX) {
+        const entry = { item, minX, maxX, order: this.count++, stamp: 0 };
+        const first = this._cell(minX);
+        const last = this._cell(maxX);
+        for (let c = first; c <= last; c++) {
+            let bucket = this.cells.get(c);
+            if (!bucket) {
+                bucket = [];
+                this.cells.set(c, bucket);
+            }
+            bucket.push(entry);
+        }
+    }
+
+    /**
+     * Items whose range overlaps [minX, maxX], in insertion order
+     * @returns {Array}
+     */
+    query(minX, maxX = minX) {
+        const stamp = ++this._stamp;
+        const hits = [];
+        const first = this._cell(minX);
+        const last = this._cell(maxX);
+
+        for (let c = first; c <= last; c++) {
+            const bucket = this.cells.get(c);
+            if (!bucket) continue;
+            for (const entry of bucket) {
+                if (entry.stamp === stamp) continue;
+                entry.stamp = stamp;
+                if (entry.maxX >= minX && entry.minX <= maxX) hits.push(entry);
+            }
+        }
+
+        // Buckets are visited left to right, so x-sorted content usually
+        // comes out in order already; only sort when it does not
+        let sorted = true;
+        for (let i = 1; i < hits.length && sorted; i++) {
+            sorted = hits[i - 1].order < hits[i].order;
+        }
+        if (!sorted) hits.sort((a, b) => a.order - b.order);
+
+        const items = new Array(hits.length);
+        for (let i = 0; i < hits.length; i++) items[i] = hits[i].item;
+        return items;
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.cells.clear();
+        this.count = 0;
+    }
+
+    _cell(x) {
+        return Math.floor(x / this.cellSize);
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * TouchControls.js — Touch backend for InputManager.
+ *
+ * - Floating analog joystick: put a thumb anywhere in #joystick-zone and
+ *   the stick appears under it. Drag to walk — the further, the faster —
+ *   and past SPRINT_DEFLECTION the player sprints.
+ * - Flick up (on the stick or on the world) to jump.
+ * - Short taps on the world are reported through onTap(clientX, clientY),
+ *   which the game uses to walk to a point or a building.
+ * - Jump / sprint / E buttons stay for players who prefer them.
+ *
+ * Every finger is tracked by touch identifier, so the stick, the buttons
+ * and the world can each hold a touch at once, and a finger that slides
+ * off a button still releases it when lifted.
+ */
+const STICK_RADIUS = 55;         // px of thumb travel for full speed
+const STICK_DEAD_ZONE = 0.15;
+const SPRINT_DEFLECTION = 0.85;
+const FLICK_DISTANCE = 45;       // px upwards …
+const FLICK_TIME = 250;          // … within this many ms
+const TAP_DISTANCE = 12;
+const TAP_TIME = 300;
+
+export class TouchControls {
+    constructor() {
+        this.zone = document.getElementById('joystick-zone');
+        this.base = document.getElementById('joystick-base');
+        this.knob = document.getElementById('joystick-knob');
+        this.canvas = document.getElementById('game-canvas');
+        this.jumpBtn = document.getElementById('mobile-jump');
+        this.sprintBtn = document.getElementById('mobile-sprint');
+        this.interactBtn = document.getElementById('mobile-interact');
+
+        /** Walk axis from the stick: -1 … 1 */
+        this.moveAxis = 0;
+
+        /** Single presses since the last endFrame ('jump', 'interact') */
+        this.pressed = new Set();
+
+        // Active touches by identifier
+        this._stick = null;              // { id, originX, originY, flickY, flickTime, deflection }
+        this._worldTouches = new Map();  // id → { x, y, time, flickY, flickTime, flicked }
+        this._sprintTouches = new Set();
+
+        // Callbacks
+        this.tapCallbacks = [];
+
+        this._bind();
+    }
+
+    /**
+     * Register a callback: fn(clientX, clientY) for a short tap on the world
+     */
+    onTap(fn) {
+        this.tapCallbacks.push(fn);
+    }
+
+    get isSprinting() {
+        return this._sprintTouches.size > 0 ||
+            (this._stick !== null && this._stick.deflection >= SPRINT_DEFLECTION);
+    }
+
+    /**
+     * Let go of everything (focus lost, world paused)
+     */
+    release() {
+        this._endStick();
+        this._worldTouches.clear();
+        this._sprintTouches.clear();
+        this.pressed.clear();
+    }
+
+    _bind() {
+        const options = { passive: false };
+
+        if (this.zone) {
+            this.zone.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                if (!this._stick) this._startStick(e.changedTouches[0]);
+            }, options);
+        }
+
+        if (this.canvas) {
+            this.canvas.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                const now = performance.now();
+                for (const t of e.changedTouches) {
+                    this._worldTouches.set(t.identifier, {
+                        x: t.clientX,
+                        y: t.clientY,
+                        time: now,
+                        flickY: t.clientY,
+                        flickTime: now,
+                        flicked: false
+                    });
+                }
+            }, options);
+        }
+
+        this._bindButton(this.jumpBtn, () => this.pressed.add('jump'));
+        this._bindButton(this.interactBtn, () => this.pressed.add('interact'));
+        this._bindButton(this.sprintBtn, (id) => this._sprintTouches.add(id));
+
+        // Moves and lifts are followed on the window so fingers can leave their element
+        window.addEventListener('touchmove', (e) => this._onTouchMove(e), options);
+        window.addEventListener('touchend', (e) => this._onTouchEnd(e, false));
+        window.addEventListener('touchcancel', (e) => this._onTouchEnd(e, true));
+    }
+
+    _bindButton(btn, onPress) {
+        if (!btn) return;
+        btn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            for (const t of e.changedTouches) onPress(t.identifier);
+        }, { passive: false });
+    }
+
+    // --- Joystick ---
+
+    _startStick(touch) {
+        this._stick = {
+            id: touch.identifier,
+            originX: touch.clientX,
+            originY: touch.clientY,
+            flickY: touch.clientY,
+            flickTime: performance.now(),
+            deflection: 0
+        };
+        if (this.base) {
+            const rect = this.zone.getBoundingClientRect();
+            this.base.style.left = (touch.clientX - rect.left) + 'px';
+            this.base.style.top = (touch.clientY - rect.top) + 'px';
+            this.base.classList.add('active');
+        }
+        this._moveKnob(0, 0);
+    }
+
+    _moveStick(touch) {
+        const stick = this._stick;
+        const dx = touch.clientX - stick.originX;
+        const dy = touch.clientY - stick.originY;
+        const distance = Math.hypot(dx, dy);
+        const scale = distance > STICK_RADIUS ? STICK_RADIUS / distance : 1;
+        this._moveKnob(dx * scale, dy * scale);
+
+        // Only the horizontal part walks
+        const raw = Math.max(-1, Math.min(1, dx / STICK_RADIUS));
+        stick.deflection = Math.abs(raw) < STICK_DEAD_ZONE ? 0 : (Math.abs(raw) - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE);
+        this.moveAxis = Math.sign(raw) * stick.deflection;
+
+        if (this._isFlick(stick, touch.clientY)) this.pressed.add('jump');
+    }
+
+    _endStick() {
+        this._stick = null;
+        this.moveAxis = 0;
+        if (this.base) {
+            this.base.classList.remove('active');
+            this.base.style.left = '';
+            this.base.style.top = '';
+        }
+        this._moveKnob(0, 0);
+    }
+
+    _moveKnob(x, y) {
+        if (this.knob) this.knob.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px))`;
+    }
+
+    /**
+     * Fast upward movement since the last flick check. The reference point
+     * follows the finger down and resets after FLICK_TIME, so each flick
+     * jumps once.
+     */
+    _isFlick(track, y) {
+        const now = performance.now();
+        if (y > track.flickY || now - track.flickTime > FLICK_TIME) {
+            track.flickY = y;
+            track.flickTime = now;
+            return false;
+        }
+        if (track.flickY - y >= FLICK_DISTANCE) {
+            track.flickY = y;
+            track.flickTime = now;
+            return true;
+        }
+        return false;
+    }
+
+    // --- Window-level tracking ---
+
+    _onTouchMove(e) {
+        for (const t of e.changedTouches) {
+            if (this._stick && t.identifier === this._stick.id) {
+                e.preventDefault();
+                this._moveStick(t);
+                continue;
+            }
+            const world = this._worldTouches.get(t.identifier);
+            if (world && this._isFlick(world, t.clientY)) {
+                world.flicked = true;
+                this.pressed.add('jump');
+            }
+        }
+    }
+
+    _onTouchEnd(e, cancelled) {
+        for (const t of e.changedTouches) {
+            this._sprintTouches.delete(t.identifier);
+
+            if (this._stick && t.identifier === this._stick.id) {
+                this._endStick();
+                continue;
+            }
+
+            const world = this._worldTouches.get(t.identifier);
+            if (!world) continue;
+            this._worldTouches.delete(t.identifier);
+
+            const isTap = !cancelled && !world.flicked &&
+                Math.hypot(t.clientX - world.x, t.clientY - world.y) <= TAP_DISTANCE &&
+                performance.now() - world.time <= TAP_TIME;
+            if (isTap) {
+                for (const fn of this.tapCallbacks) fn(t.clientX, t.clientY);
+            }
+        }
+    }
+}
@@ -2,9 +2,22 @@
  * Building.js — Interactive building / house entity.
  * Renders procedurally drawn houses with roofs, doors, windows.
  * Highlights when player is nearby.
+ * During holidays it wears the event's decorations (see EventCalendar.js).
  */
+import { Random } from '../utils/Random.js';
+
+const ROOF_FRACTION = 0.3;     // house roof height as a fraction of building height
+const OFFICE_FLOORS = 4;
+const LEDGE_OVERHANG = 6;      // balcony ledges stick out past the office walls
+const LIGHTS_OUT = [0.5, 5];   // on the day cycle, most windows go dark between these hours
+
+// Event decorations
+const BULB_SPACING = 10;
+const BULB_SAG = 5;            // string lights droop this far between hooks
+const BULB_COLORS = ['#FF5252', '#FFD740', '#69F0AE', '#40C4FF'];
+
 export class Building {
-    constructor(data, groundY) {
+    constructor(data, groundY, rng = new Random()) {
         this.id = data.id;
         this.type = data.type; // 'house' or 'office'
         this.x = data.x;
@@ -15,6 +28,7 @@ export class Building {
         this.roofColor = data.roofColor;
         this.label = data.label;
         this.project = data.project;
+        this.decorations = data.decorations || []; // 'string-lights', 'pumpkins', 'roof-snow'
 
         // Interaction state
         this.isHighlighted = false;
@@ -22,9 +36,11 @@ export class Building {
 
         // Night mode
         this.nightT = 0;
+        this.hours = null; // time of day on the day cycle, or null
 
         // Window animation
-        this.windowFlicker = Math.random() * Math.PI * 2;
+        this.windowFlicker = rng.next() * Math.PI * 2;
+        this.reducedMotion = false;
     }
 
     update(dt, time) {
@@ -32,13 +48,56 @@ export class Building {
         const targetAlpha = this.isHighlighted ? 1 : 0;
         this.highlightAlpha += (targetAlpha - this.highlightAlpha) * 0.1;
 
-        this.windowFlicker += dt * 2;
+        if (!this.reducedMotion) this.windowFlicker += dt * 2;
     }
 
     setNightMode(nightT) {
         this.nightT = nightT;
     }
 
+    /**
+     * Day cycle: late at night most windows go dark (null to keep them lit)
+     */
+    setTimeOfDay(hours) {
+        this.hours = hours;
+    }
+
+    /**
+     * Comfort mode: lit windows hold steady
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+
+    /**
+     * Walkable one-way ledges on the facade, in world space.
+     * Houses get a porch awning and the roof eaves; offices get an
+     * entrance canopy, a balcony ledge on every floor line and the roof.
+     * @returns {Array<{ x: number, y: number, width: number, id: string }>}
+     */
+    getPlatforms() {
+        const bx = this.x;
+        const by = this.groundY - this.height;
+        const w = this.width;
+        const h = this.height;
+
+        if (this.type === 'office') {
+            const canopy = this._officeCanopy(bx, by, w, h);
+            const platforms = [{ ...canopy, id: `${this.id}-canopy` }];
+            for (let i = 1; i < OFFICE_FLOORS; i++) {
+                platforms.push({ x: bx - LEDGE_OVERHANG, y: by + (h / OFFICE_FLOORS) * i, width: w + LEDGE_OVERHANG * 2, id: `${this.id}-floor-${i}` });
+            }
+            platforms.push({ x: bx, y: by, width: w, id: `${this.id}-roof` });
+            return platforms;
+        }
+
+        const porch = this._housePorch(bx, by, w, h);
+        return [
+            { ...porch, id: `${this.id}-porch` },
+            { x: bx - 10, y: by + h * ROOF_FRACTION, width: w + 20, id: `${this.id}-eaves` }
+        ];
+    }
+
     /**
      * Render the building
      * @param {CanvasRenderingContext2D} ctx
@@ -63,9 +122,13 @@ export class Building {
             this._renderHouse(ctx, bx, by, w, h);
         }
 
-        // --- Label ---
         ctx.shadowColor = 'transparent';
         ctx.shadowBlur = 0;
+
+        // --- Event decorations ---
+        if (this.decorations.length > 0) this._renderDecorations(ctx, bx, by, w, h);
+
+        // --- Label ---
         ctx.font = `600 11px 'Pixelify Sans', cursive`;
         ctx.textAlign = 'center';
         ctx.fillStyle = this.nightT > 0.5 ? '#E8E0D5' : '#3E2723';
@@ -75,7 +138,7 @@ export class Building {
     }
 
     _renderHouse(ctx, bx, by, w, h) {
-        const roofHeight = h * 0.3;
+        const roofHeight = h * ROOF_FRACTION;
 
         // --- Wall ---
         ctx.fillStyle = this._interpolateColor(this.color, this._darken(this.color, 0.4), this.nightT);
@@ -114,6 +177,11 @@ export class Building {
         ctx.arc(doorX + doorW * 0.75, doorY + doorH * 0.55, 2, 0, Math.PI * 2);
         ctx.fill();
 
+        // --- Porch awning (walkable) ---
+        const porch = this._housePorch(bx, by, w, h);
+        ctx.fillStyle = this._interpolateColor(this.roofColor, this._darken(this.roofColor, 0.35), this.nightT);
+        ctx.fillRect(porch.x, porch.y, porch.width, 5);
+
         // --- Windows ---
         this._renderWindow(ctx, bx + w * 0.15, by + roofHeight + h * 0.12, w * 0.2, h * 0.18);
         this._renderWindow(ctx, bx + w * 0.65, by + roofHeight + h * 0.12, w * 0.2, h * 0.18);
@@ -133,7 +201,7 @@ export class Building {
         ctx.strokeRect(bx, by, w, h);
 
         // Horizontal floor lines
-        const floors = 4;
+        const floors = OFFICE_FLOORS;
         for (let i = 1; i < floors; i++) {
             const fy = by + (h / floors) * i;
             ctx.beginPath();
@@ -168,6 +236,148 @@ export class Building {
         const doorH = h * 0.18;
         ctx.fillStyle = this._interpolateColor('#455A64', '#1A2A35', this.nightT);
         ctx.fillRect(bx + w / 2 - doorW / 2, by + h - doorH, doorW, doorH);
+
+        // --- Balcony ledges and entrance canopy (walkable) ---
+        ctx.fillStyle = this._interpolateColor('#78909C', '#263238', this.nightT);
+        for (let i = 1; i < floors; i++) {
+            ctx.fillRect(bx - LEDGE_OVERHANG, by + (h / floors) * i, w + LEDGE_OVERHANG * 2, 3);
+        }
+        const canopy = this._officeCanopy(bx, by, w, h);
+        ctx.fillRect(canopy.x, canopy.y, canopy.width, 4);
+    }
+
+    _renderDecorations(ctx, bx, by, w, h) {
+        const isOffice = this.type === 'office';
+        const roofHeight = h * ROOF_FRACTION;
+
+        if (this.decorations.includes('roof-snow')) {
+            ctx.fillStyle = this._interpolateColor('#FFFFFF', '#B0BEC5', this.nightT);
+            ctx.beginPath();
+            if (isOffice) {
+                ctx.roundRect(bx - 2, by - 4, w + 4, 7, 3);
+            } else {
+                // A band along both slopes, thicker at the eaves
+                ctx.moveTo(bx - 12, by + roofHeight + 1);
+                ctx.lineTo(bx + w / 2, by - 3);
+                ctx.lineTo(bx + w + 12, by + roofHeight + 1);
+                ctx.lineTo(bx + w + 2, by + roofHeight - 4);
+                ctx.lineTo(bx + w / 2, by + 5);
+                ctx.lineTo(bx - 2, by + roofHeight - 4);
+                ctx.closePath();
+            }
+            ctx.fill();
+        }
+
+        if (this.decorations.includes('string-lights')) {
+            if (isOffice) {
+                this._renderStringLights(ctx, bx, bx + w, by + 4);
+            } else {
+                this._renderStringLights(ctx, bx - 10, bx + w + 10, by + roofHeight + 2);
+            }
+        }
+
+        if (this.decorations.includes('pumpkins')) {
+            const doorW = w * (isOffice ? 0.25 : 0.18);
+            const gap = doorW / 2 + 14;
+            this._renderPumpkin(ctx, bx + w / 2 - gap, 1);
+            this._renderPumpkin(ctx, bx + w / 2 + gap, 0.8);
+        }
+    }
+
+    /**
+     * Coloured bulbs hanging from hooks between x0 and x1, brighter and
+     * twinkling after dark
+     */
+    _renderStringLights(ctx, x0, x1, y) {
+        const hooks = Math.max(1, Math.round((x1 - x0) / 40));
+        const span = (x1 - x0) / hooks;
+        const sag = (x) => y + BULB_SAG * Math.sin(Math.PI * (((x - x0) / span) % 1));
+
+        ctx.strokeStyle = this._interpolateColor('#4E342E', '#1A1A1A', this.nightT);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x0, y);
+        for (let x = x0 + 4; x <= x1; x += 4) ctx.lineTo(x, sag(x));
+        ctx.stroke();
+
+        const lit = 0.35 + 0.65 * this.nightT;
+        const count = Math.floor((x1 - x0) / BULB_SPACING);
+        for (let i = 1; i < count; i++) {
+            const x = x0 + i * BULB_SPACING;
+            const twinkle = this.reducedMotion ? 1 : 0.75 + 0.25 * Math.sin(this.windowFlicker * 2 + i * 1.7);
+            ctx.globalAlpha = lit * twinkle;
+            ctx.fillStyle = BULB_COLORS[i % BULB_COLORS.length];
+            ctx.beginPath();
+            ctx.arc(x, sag(x) + 2.5, 2.2, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (this.nightT > 0.3) {
+                ctx.globalAlpha = (this.nightT - 0.3) * 0.4 * twinkle;
+                ctx.beginPath();
+                ctx.arc(x, sag(x) + 2.5, 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * A jack-o'-lantern on the ground; its face glows after dark
+     */
+    _renderPumpkin(ctx, x, size) {
+        const gy = this.groundY;
+        const rx = 8 * size;
+        const ry = 6.5 * size;
+
+        ctx.fillStyle = this._interpolateColor('#FB8C00', '#8D4A0A', this.nightT);
+        ctx.beginPath();
+        ctx.ellipse(x, gy - ry, rx, ry, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = this._interpolateColor('#E65100', '#5A2E06', this.nightT);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.ellipse(x, gy - ry, rx * 0.4, ry, 0, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#558B2F';
+        ctx.fillRect(x - 1, gy - ry * 2 - 3, 2, 4);
+
+        // Face
+        ctx.fillStyle = `rgba(255, 213, 79, ${0.35 + 0.65 * this.nightT})`;
+        ctx.beginPath();
+        ctx.moveTo(x - 4 * size, gy - ry - 1);
+        ctx.lineTo(x - 2 * size, gy - ry - 4 * size);
+        ctx.lineTo(x - 0.5 * size, gy - ry - 1);
+        ctx.moveTo(x + 0.5 * size, gy - ry - 1);
+        ctx.lineTo(x + 2 * size, gy - ry - 4 * size);
+        ctx.lineTo(x + 4 * size, gy - ry - 1);
+        ctx.fill();
+        ctx.fillRect(x - 3 * size, gy - ry + 1.5 * size, 6 * size, 1.5 * size);
+    }
+
+    _housePorch(bx, by, w, h) {
+        const doorW = w * 0.18;
+        const doorH = h * 0.32;
+        return { x: bx + w / 2 - doorW / 2 - 12, y: by + h - doorH - 6, width: doorW + 24 };
+    }
+
+    _officeCanopy(bx, by, w, h) {
+        const doorW = w * 0.25;
+        const doorH = h * 0.18;
+        return { x: bx + w / 2 - doorW / 2 - 10, y: by + h - doorH - 6, width: doorW + 20 };
+    }
+
+    /**
+     * How brightly a window is lit (0–1). Windows light up one by one as
+     * night falls, and on the day cycle most go dark in the small hours.
+     */
+    _windowGlow(wx, wy) {
+        const seed = Math.abs(Math.sin(wx * 12.9898 + (wy - this.groundY) * 78.233) * 43758.5453) % 1; // fixed per window
+        const lightsOn = 0.3 + seed * 0.3;
+        if (this.nightT <= lightsOn) return 0;
+        if (this.hours !== null && seed > 0.3 && this.hours >= LIGHTS_OUT[0] && this.hours < LIGHTS_OUT[1]) return 0;
+        return Math.min(1, (this.nightT - lightsOn) / 0.3);
     }
 
     _renderWindow(ctx, wx, wy, ww, wh) {
@@ -178,8 +388,8 @@ export class Building {
         ctx.fillRect(wx, wy, ww, wh);
 
         // Window glow at night
-        if (this.nightT > 0.3) {
-            const glowAlpha = (this.nightT - 0.3) / 0.7;
+        const glowAlpha = this._windowGlow(wx, wy);
+        if (glowAlpha > 0) {
             const flicker = 0.85 + 0.15 * Math.sin(this.windowFlicker + wx);
             ctx.fillStyle = `rgba(255, 224, 130, ${glowAlpha * 0.6 * flicker})`;
             ctx.fillRect(wx, wy, ww, wh);
@@ -1,14 +1,14 @@
-import { WORLD_CONFIG } from '../world/worldData.js';
+import { seasonPalette } from '../world/SeasonFade.js';
 
 export class EnvironmentProp {
     /**
-     * Draw a stylized tree with seasonal colors
+     * Draw a stylized tree with seasonal colors (palette from SeasonFade.js);
+     * wind (0–1) sways the canopy further and faster, leaning it downwind
      */
-    static drawTree(ctx, x, groundY, size, nightT, time, season = 'summer') {
-        const palette = WORLD_CONFIG.seasons[season] || WORLD_CONFIG.seasons.summer;
+    static drawTree(ctx, x, groundY, size, nightT, time, palette = seasonPalette('summer'), wind = 0) {
         const trunkH = 50 * size;
         const canopyR = 25 * size;
-        const sway = Math.sin(time * 1.5 + x * 0.01) * 2 * size;
+        const sway = (Math.sin(time * (1.5 + wind * 2) + x * 0.01) * (2 + wind * 4) + wind * 5) * size;
 
         // Trunk
         const trunkDay = [109, 76, 51];
@@ -43,9 +43,9 @@ export class EnvironmentProp {
         ctx.ellipse(x + sway - 5 * size, groundY - trunkH - canopyR * 0.3, canopyR * 0.7, canopyR * 0.65, 0, 0, Math.PI * 2);
         ctx.fill();
 
-        // Winter snow cap
-        if (season === 'winter') {
-            ctx.fillStyle = `rgba(255, 255, 255, ${0.9 * (1 - nightT * 0.3)})`;
+        // Winter snow cap (settling and melting with the season's crossfade)
+        if (palette.snow > 0) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.9 * palette.snow * (1 - nightT * 0.3)})`;
             ctx.beginPath();
             ctx.ellipse(x + sway, groundY - trunkH - canopyR * 0.8, canopyR * 0.8, canopyR * 0.4, 0, Math.PI, Math.PI * 2);
             ctx.fill();
@@ -92,8 +92,7 @@ export class EnvironmentProp {
     /**
      * Draw a cluster of flowers with seasonal check
      */
-    static drawFlowers(ctx, x, groundY, count, spread, nightT, time, season = 'summer') {
-        const palette = WORLD_CONFIG.seasons[season] || WORLD_CONFIG.seasons.summer;
+    static drawFlowers(ctx, x, groundY, count, spread, nightT, time, palette = seasonPalette('summer')) {
         const colors = palette.particles; // Use seasonal particle colors for flowers
 
         for (let i = 0; i < count; i++) {
@@ -153,9 +152,10 @@ export class EnvironmentProp {
         ctx.roundRect(x - 10, groundY - lampH - 8, 20, 10, 3);
         ctx.fill();
 
-        // Light cone (night only)
-        if (nightT > 0.2) {
-            const lightAlpha = (nightT - 0.2) / 0.8;
+        // Light cone (night only); lamps come on one after another at dusk
+        const switchOn = 0.1 + 0.2 * ((x * 0.0137) % 1);
+        if (nightT > switchOn) {
+            const lightAlpha = Math.min(1, (nightT - switchOn) / 0.5);
             const flicker = 0.9 + 0.1 * Math.sin(time * 5 + x);
 
             // Warm bulb
@@ -264,4 +264,26 @@ export class EnvironmentProp {
         ctx.fillRect(x - seatW / 2 + 3, groundY - legH, 3, legH);
         ctx.fillRect(x + seatW / 2 - 6, groundY - legH, 3, legH);
     }
+
+    /**
+     * Draw a wooden crate (x is the left edge)
+     */
+    static drawCrate(ctx, x, groundY, width, height, nightT) {
+        const top = groundY - height;
+
+        // Body
+        ctx.fillStyle = nightT > 0.5 ? '#5D4532' : '#B08050';
+        ctx.fillRect(x, top, width, height);
+
+        // Frame and cross brace
+        ctx.strokeStyle = nightT > 0.5 ? '#3A2818' : '#7A5530';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, top + 1, width - 2, height - 2);
+        ctx.beginPath();
+        ctx.moveTo(x + 2, top + 2);
+        ctx.lineTo(x + width - 2, groundY - 2);
+        ctx.moveTo(x + width - 2, top + 2);
+        ctx.lineTo(x + 2, groundY - 2);
+        ctx.stroke();
+    }
 }
@@ -2,20 +2,40 @@
  * NPC.js — Non-player characters with idle animations and speech bubbles.
  * Types: developer, gardener, delivery, sweeper
  */
+import { Random } from '../utils/Random.js';
+
+/** Header shown in the dialogue box for NPCs without a name */
+const TYPE_TITLES = {
+    developer: 'Friendly Developer',
+    gardener: 'Gardener',
+    delivery: 'Delivery Driver',
+    sweeper: 'Street Sweeper'
+};
+
+/**
+ * Name shown for an NPC: its own, or a title for its type
+ */
+export function npcName(data) {
+    return data.name || TYPE_TITLES[data.type] || 'Neighbor';
+}
+
 export class NPC {
-    constructor(data, groundY) {
+    constructor(data, groundY, rng = new Random()) {
         this.id = data.id;
         this.type = data.type;
         this.x = data.x;
+        this.prevX = data.x;
         this.baseX = data.x;
         this.groundY = groundY;
+        this.name = npcName(data);
         this.speech = data.speech;
+        this.dialogue = data.dialogue || null; // branching script, see DialogueScript.js
         this.direction = data.direction || 1;
         this.isWalking = data.isWalking || false;
         this.walkRange = data.walkRange || 40;
 
         // Animation state
-        this.animCycle = Math.random() * Math.PI * 2;
+        this.animCycle = rng.next() * Math.PI * 2;
         this.walkCycle = 0;
 
         // Speech bubble state
@@ -27,6 +47,7 @@ export class NPC {
     }
 
     update(dt, time) {
+        this.prevX = this.x;
         this.animCycle += dt * 3;
 
         // Walking NPCs (delivery person)
@@ -48,10 +69,11 @@ export class NPC {
     /**
      * Render the NPC
      * @param {CanvasRenderingContext2D} ctx
+     * @param {number} alpha — interpolation between previous and current step
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         ctx.save();
-        ctx.translate(this.x, this.groundY);
+        ctx.translate(this.prevX + (this.x - this.prevX) * alpha, this.groundY);
 
         const bob = Math.sin(this.animCycle) * 2;
         const armSwing = this.isWalking ? Math.sin(this.animCycle * 2) * 8 : Math.sin(this.animCycle * 0.5) * 3;
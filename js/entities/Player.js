@@ -3,11 +3,18 @@
  * Handles walking, sprinting, jumping, animations, shadow, and rendering.
  * Drawn procedurally on canvas.
  */
+import { Random } from '../utils/Random.js';
+
 export class Player {
-    constructor(x, groundY, canvasHeight) {
+    constructor(x, groundY, canvasHeight, rng = new Random()) {
+        this.rng = rng;
         this.x = x;
         this.y = groundY;
         this.groundY = groundY;
+
+        // Previous-step position, for interpolated rendering
+        this.prevX = x;
+        this.prevY = groundY;
         this.width = 28;
         this.height = 48;
 
@@ -18,6 +25,7 @@ export class Player {
         this.direction = 1;        // 1 = right, -1 = left
         this.isMoving = false;
         this.isSprinting = false;
+        this.moveAmount = 0;       // 0–1 stick deflection (1 for keys)
 
         // Jump physics
         this.velocityY = 0;
@@ -25,6 +33,7 @@ export class Player {
         this.jumpForce = -380;     // initial upward velocity
         this.isGrounded = true;
         this.isJumping = false;
+        this.isFalling = false;    // airborne and moving down (jump apex passed or walked off a ledge)
         this.jumpSquash = 0;       // squash/stretch effect
 
         // Dust particles on land
@@ -35,6 +44,7 @@ export class Player {
         this.breathCycle = 0;
         this.bobCycle = 0;
         this.sprintTrails = [];    // afterimage positions
+        this.reducedMotion = false;
 
         // Canvas reference
         this.canvasHeight = canvasHeight;
@@ -55,10 +65,27 @@ export class Player {
         this.currentSeason = season;
     }
 
+    /**
+     * Move instantly (scene changes, teleports): no momentum, no interpolation smear
+     */
+    placeAt(x, y) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.velocityY = 0;
+        this.isGrounded = true;
+        this.isJumping = false;
+        this.isFalling = false;
+    }
+
     /**
      * Update player position and animation state
      */
     update(input, collision, dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         // --- Horizontal movement ---
         this.velocityX = 0;
         this.isMoving = false;
@@ -66,17 +93,14 @@ export class Player {
 
         const sprinting = input.isSprinting();
 
-        if (input.isMovingLeft()) {
-            const spd = sprinting ? this.speed * this.sprintMultiplier : this.speed;
-            this.velocityX = -spd;
-            this.direction = -1;
-            this.isMoving = true;
-            this.isSprinting = sprinting;
-        }
-        if (input.isMovingRight()) {
+        // -1 … 1; analog sticks give partial values for a slower walk
+        const axis = input.getMoveAxis();
+        this.moveAmount = Math.abs(axis);
+
+        if (axis !== 0) {
             const spd = sprinting ? this.speed * this.sprintMultiplier : this.speed;
-            this.velocityX = spd;
-            this.direction = 1;
+            this.velocityX = spd * axis;
+            this.direction = Math.sign(axis);
             this.isMoving = true;
             this.isSprinting = sprinting;
         }
@@ -97,33 +121,40 @@ export class Player {
         if (!this.isGrounded) {
             this.velocityY += this.gravity * dt;
             this.y += this.velocityY * dt;
-
-            // Check ground collision
-            if (this.y >= this.groundY) {
-                this.y = this.groundY;
-                this.velocityY = 0;
-                this.isGrounded = true;
-                this.isJumping = false;
-                this.jumpSquash = 0.3; // squash on land
-                this._spawnDust();
-                if (this.onLand) this.onLand();
-            }
         }
 
         // Decay squash/stretch
         this.jumpSquash *= 0.85;
 
-        // --- Constrain X to bounds ---
-        const constrained = collision.constrainPlayer(this);
-        this.x = constrained.x;
-        if (this.isGrounded) {
-            this.y = constrained.y;
-            this.groundY = constrained.y;
+        // --- Resolve against bounds, blocks, platforms and ground ---
+        const result = collision.constrainPlayer(this);
+        this.x = result.x;
+        this.y = result.y;
+        this.groundY = result.floorY;
+
+        if (result.hitCeiling) {
+            this.velocityY = 0;
+        }
+
+        if (result.grounded) {
+            this.velocityY = 0;
+            this.isGrounded = true;
+            this.isJumping = false;
+            this.isFalling = false;
+            if (result.landed) {
+                this.jumpSquash = 0.3; // squash on land
+                this._spawnDust();
+                if (this.onLand) this.onLand();
+            }
+        } else {
+            // Walked off an edge, or still in the air
+            this.isGrounded = false;
+            this.isFalling = this.velocityY > 0;
         }
 
         // --- Walk animation ---
         if (this.isMoving && this.isGrounded) {
-            const walkSpeed = this.isSprinting ? 16 : 10;
+            const walkSpeed = (this.isSprinting ? 16 : 10) * Math.max(0.5, this.moveAmount);
             this.walkCycle += dt * walkSpeed;
             this.bobCycle += dt * walkSpeed;
 
@@ -146,8 +177,8 @@ export class Player {
         // Smooth glow transition (night)
         this.glowAlpha += (this.targetGlowAlpha - this.glowAlpha) * 0.05;
 
-        // Sprint trails
-        if (this.isSprinting && this.isMoving && this.isGrounded) {
+        // Sprint trails (none in comfort mode)
+        if (this.isSprinting && this.isMoving && this.isGrounded && !this.reducedMotion) {
 
             this.sprintTrails.push({ x: this.x, y: this.y, alpha: 0.4, dir: this.direction });
             if (this.sprintTrails.length > 5) this.sprintTrails.shift();
@@ -172,12 +203,12 @@ export class Player {
     _spawnDust() {
         for (let i = 0; i < 6; i++) {
             this.dustParticles.push({
-                x: this.x + (Math.random() - 0.5) * 16,
+                x: this.x + (this.rng.next() - 0.5) * 16,
                 y: this.groundY,
-                vx: (Math.random() - 0.5) * 50,
-                vy: -(10 + Math.random() * 30),
-                alpha: 0.5 + Math.random() * 0.3,
-                size: 2 + Math.random() * 3
+                vx: (this.rng.next() - 0.5) * 50,
+                vy: -(10 + this.rng.next() * 30),
+                alpha: 0.5 + this.rng.next() * 0.3,
+                size: 2 + this.rng.next() * 3
             });
         }
     }
@@ -186,10 +217,23 @@ export class Player {
         this.targetGlowAlpha = isNight ? 0.15 : 0;
     }
 
+    /**
+     * Comfort mode: no sprint afterimages
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        if (reduced) this.sprintTrails = [];
+    }
+
     /**
      * Render the player character on canvas
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} alpha — interpolation between previous and current step
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
+        const x = this.prevX + (this.x - this.prevX) * alpha;
+        const y = this.prevY + (this.y - this.prevY) * alpha;
+
         // --- Sprint afterimage trails ---
         for (const trail of this.sprintTrails) {
             ctx.save();
@@ -221,7 +265,7 @@ export class Player {
         }
 
         ctx.save();
-        ctx.translate(this.x, this.y);
+        ctx.translate(x, y);
 
         // Squash/stretch transform for jump
         const scaleX = 1 + this.jumpSquash * 0.5;
@@ -244,7 +288,7 @@ export class Player {
         }
 
         // --- Shadow (scales with height) ---
-        const airHeight = this.groundY - this.y;
+        const airHeight = this.groundY - y;
         const shadowScale = Math.max(0.3, 1 - airHeight / 150);
         ctx.fillStyle = `rgba(0, 0, 0, ${0.12 * shadowScale})`;
         ctx.beginPath();
@@ -255,7 +299,7 @@ export class Player {
         ctx.scale(this.direction, 1);
 
         // Jump offset for body rendering
-        const jumpOffsetY = this.isGrounded ? 0 : (this.y - this.groundY);
+        const jumpOffsetY = this.isGrounded ? 0 : (y - this.groundY);
 
         // --- Legs ---
         ctx.strokeStyle = '#5D4037';
@@ -2,8 +2,10 @@
  * SkillIcon.js — Floating skill badge in the park area.
  * Bobs up and down with a soft glow, shows description on proximity.
  */
+import { Random } from '../utils/Random.js';
+
 export class SkillIcon {
-    constructor(data, groundY) {
+    constructor(data, groundY, rng = new Random()) {
         this.id = data.id;
         this.x = data.x;
         this.groundY = groundY;
@@ -13,8 +15,8 @@ export class SkillIcon {
         this.description = data.description;
 
         // Animation
-        this.bobCycle = Math.random() * Math.PI * 2;
-        this.glowCycle = Math.random() * Math.PI * 2;
+        this.bobCycle = rng.next() * Math.PI * 2;
+        this.glowCycle = rng.next() * Math.PI * 2;
 
         // Interaction
         this.showTooltip = false;
@@ -22,11 +24,16 @@ export class SkillIcon {
 
         // Night
         this.nightT = 0;
+
+        // Comfort mode: no bobbing or pulsing glow
+        this.reducedMotion = false;
     }
 
     update(dt) {
-        this.bobCycle += dt * 2;
-        this.glowCycle += dt * 3;
+        if (!this.reducedMotion) {
+            this.bobCycle += dt * 2;
+            this.glowCycle += dt * 3;
+        }
 
         // Smooth tooltip transition
         const target = this.showTooltip ? 1 : 0;
@@ -37,6 +44,10 @@ export class SkillIcon {
         this.nightT = nightT;
     }
 
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+
     render(ctx) {
         const floatY = this.groundY - 60 + Math.sin(this.bobCycle) * 6;
         const glowPulse = 0.5 + 0.5 * Math.sin(this.glowCycle);
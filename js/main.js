@@ -10,12 +10,41 @@ import { Player } from './entities/Player.js';
 import { WorldBuilder } from './world/WorldBuilder.js';
 import { ThemeManager } from './systems/ThemeManager.js';
 import { SeasonManager } from './systems/SeasonManager.js';
+import { pickEvent, findEvent, applyEvent } from './systems/EventCalendar.js';
 import { DialogueSystem } from './systems/DialogueSystem.js';
 import { ModalSystem } from './systems/ModalSystem.js';
 import { ParticleSystem } from './systems/ParticleSystem.js';
 import { AudioManager } from './systems/AudioManager.js';
+import { PauseMenu } from './systems/PauseMenu.js';
+import { ControlsPanel } from './systems/ControlsPanel.js';
+import { SceneManager } from './systems/SceneManager.js';
+import { stepScene, stepTransition, STREET_REACH } from './systems/SceneStep.js';
+import { MapSystem, destinationNear } from './systems/MapSystem.js';
+import { Router, parseRoute, formatRoute } from './systems/Router.js';
+import { AccessibilityMirror } from './systems/AccessibilityMirror.js';
+import { ClassicView } from './systems/ClassicView.js';
+import { ComfortSettings } from './systems/ComfortSettings.js';
+import { DayCycle } from './systems/DayCycle.js';
+import { WeatherSystem } from './systems/WeatherSystem.js';
+import { ClockSlider } from './systems/ClockSlider.js';
+import { Conversation, speechScript } from './systems/DialogueScript.js';
+import { DevBanner } from './systems/DevBanner.js';
+import { ReplayControls, loadRecording } from './systems/ReplayControls.js';
 import { WORLD_CONFIG } from './world/worldData.js';
+import { loadWorldContent } from './world/contentLoader.js';
 import { getDevicePixelRatio } from './utils/helpers.js';
+import { Random } from './utils/Random.js';
+
+// ==================================================
+// Replay (?replay=<url>, or ?replay=session for a dropped file)
+// ==================================================
+const urlParams = new URLSearchParams(window.location.search);
+const devBanner = new DevBanner();
+const replay = await loadRecording(urlParams.get('replay'));
+if (replay.errors.length > 0) {
+    devBanner.show('Recording could not be replayed', replay.errors);
+}
+const replayRecording = replay.recording;
 
 // ==================================================
 // Canvas Setup
@@ -24,41 +53,219 @@ const canvas = document.getElementById('game-canvas');
 const ctx = canvas.getContext('2d');
 let dpr = getDevicePixelRatio();
 
+// Replays keep the recorded canvas size (the layout depends on it), scaled to fit
+let replaySize = replayRecording ? { width: replayRecording.width, height: replayRecording.height } : null;
+
 function resizeCanvas() {
     dpr = getDevicePixelRatio();
-    canvas.width = window.innerWidth * dpr;
-    canvas.height = window.innerHeight * dpr;
-    canvas.style.width = window.innerWidth + 'px';
-    canvas.style.height = window.innerHeight + 'px';
+    const width = replaySize ? replaySize.width : window.innerWidth;
+    const height = replaySize ? replaySize.height : window.innerHeight;
+    const scale = replaySize ? Math.min(window.innerWidth / width, window.innerHeight / height) : 1;
+
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = width * scale + 'px';
+    canvas.style.height = height * scale + 'px';
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-    return {
-        width: window.innerWidth,
-        height: window.innerHeight
-    };
+    return { width, height };
 }
 
 let { width: canvasW, height: canvasH } = resizeCanvas();
 const groundY = canvasH * WORLD_CONFIG.groundFraction;
 
+// ==================================================
+// World Seed (?seed= overrides WORLD_CONFIG.seed; replays use their own)
+// ==================================================
+const seed = replayRecording ? replayRecording.seed : (urlParams.get('seed') ?? WORLD_CONFIG.seed);
+const rng = new Random(seed);
+
+// ==================================================
+// World Content (external JSON, bundled fallback)
+// ==================================================
+const worldContent = await loadWorldContent(WORLD_CONFIG.contentUrl);
+if (worldContent.errors.length > 0) {
+    devBanner.show('World content failed to load — using bundled data', worldContent.errors);
+}
+
+// Holidays (see EventCalendar.js): ?event=<id> previews one, replays keep theirs
+const worldEvent = replayRecording ? findEvent(replayRecording.event) : pickEvent(urlParams.get('event'));
+const content = applyEvent(worldContent.content, worldEvent);
+
 // ==================================================
 // Core Systems Initialization
 // ==================================================
-const gameLoop = new GameLoop();
+const gameLoop = new GameLoop({ fixedStep: 1 / 60, maxSteps: 5 });
 const input = new InputManager();
-const camera = new Camera(canvasW, canvasH, WORLD_CONFIG.width);
+const camera = new Camera(canvasW, canvasH, WORLD_CONFIG.width, rng.fork('camera'));
 const collision = new CollisionSystem(WORLD_CONFIG.width, groundY);
 const themeManager = new ThemeManager();
-const seasonManager = new SeasonManager();
-const dialogueSystem = new DialogueSystem();
+const seasonManager = new SeasonManager(urlParams.get('season'));
+const dialogueSystem = new DialogueSystem(input.bindings);
 const audio = new AudioManager();
 const modalSystem = new ModalSystem(camera);
-const world = new WorldBuilder(canvasW, canvasH);
-const particles = new ParticleSystem(canvasW, canvasH, WORLD_CONFIG.width);
-const player = new Player(WORLD_CONFIG.playerStart, groundY, canvasH);
+const world = new WorldBuilder(canvasW, canvasH, rng.fork('world'), content);
+const mapSystem = new MapSystem(world, WORLD_CONFIG.width);
+const mirror = new AccessibilityMirror(input.bindings);
+const particles = new ParticleSystem(canvasW, canvasH, WORLD_CONFIG.width, rng.fork('particles'));
+const weather = new WeatherSystem(rng.fork('weather'));
+const player = new Player(WORLD_CONFIG.playerStart, groundY, canvasH, rng.fork('player'));
+const comfort = new ComfortSettings();
+const dayCycle = new DayCycle();
+const clockSlider = new ClockSlider(dayCycle, devBanner.isDevMode);
+const pauseMenu = new PauseMenu(gameLoop, comfort, dayCycle, seasonManager);
+const controlsPanel = new ControlsPanel(input.bindings);
+const classicView = new ClassicView(content);
+const scenes = new SceneManager({
+    player,
+    camera,
+    streetCollision: collision,
+    streetWidth: WORLD_CONFIG.width,
+    canvasWidth: canvasW,
+    canvasHeight: canvasH
+});
+
+/** What a simulation step moves (see SceneStep.js) */
+const scene = { input, player, camera, world, particles, scenes };
 
 // Setup collision zones from world data
 world.setupCollisions(collision);
+world.setWeather(weather);
+particles.setWeather(weather);
+particles.setEvent(worldEvent);
+mirror.showStreet(world, STREET_REACH);
+
+// ==================================================
+// Input Recording & Replay
+// ==================================================
+const replayControls = new ReplayControls(input, devBanner);
+if (replayRecording) {
+    input.startReplay(replayRecording);
+    replayControls.showReplaying();
+    comfort.set(replayRecording.comfort); // it changes the camera and fast travel
+    const clock = replayRecording.clock || { mode: 'manual', hours: 12 };
+    dayCycle.set(clock.mode, clock.hours);
+    seasonManager.setSeason(replayRecording.season || 'summer');
+} else {
+    input.startRecording({
+        seed, width: canvasW, height: canvasH, step: gameLoop.fixedStep,
+        comfort: comfort.enabled,
+        clock: { mode: dayCycle.mode, hours: dayCycle.hours },
+        season: seasonManager.currentSeason,
+        event: worldEvent ? worldEvent.id : null
+    });
+}
+
+// Back to the visitor's own window size once the replay is over
+input.onReplayEnd(() => {
+    replaySize = null;
+    relayout();
+});
+
+// UI clicks that change the world are recorded alongside the input
+dialogueSystem.onSelect = (index) => input.note('dialogue-select', index);
+dialogueSystem.onClose = () => input.note('dialogue-close');
+mapSystem.onOpen = () => input.note('map-open');
+mapSystem.onClose = () => input.note('map-close');
+
+function applyReplayEvent(type, value) {
+    switch (type) {
+        case 'dialogue-select': dialogueSystem.select(value); break;
+        case 'dialogue-close': dialogueSystem.close(); break;
+        case 'modal-close': modalSystem.close(); break;
+        case 'map-open': mapSystem.open(); break;
+        case 'map-close': mapSystem.close(); break;
+        case 'map-travel': mapSystem.select(value); break;
+        case 'deep-link': openDeepLink(value); break;
+        case 'route': followRoute(parseRoute(value[0]), value[1]); break;
+        case 'theme': themeManager.toggle(); break;
+        case 'season': value ? seasonManager.setSeason(value) : seasonManager.nextSeason(); break;
+        case 'comfort': comfort.set(value); break;
+        case 'clock': dayCycle.set(value[0], value[1]); break;
+        case 'weather': weather.pick(value); break;
+        case 'resize':
+            replaySize = { width: value[0], height: value[1] };
+            relayout();
+            break;
+    }
+}
+
+// ==================================================
+// Deep Links (#/place/…, #/inside/…, #/project/…, see Router.js)
+// ==================================================
+const router = new Router();
+router.enabled = !replayRecording;
+
+/**
+ * Route for what the visitor sees right now
+ */
+function currentRoute() {
+    if (modalSystem.isOpen) return { type: 'project', id: modalSystem.building.id };
+    if (scenes.isInside) return { type: 'inside', id: scenes.interior.building.id };
+    const place = destinationNear(mapSystem.destinations, player.x);
+    return place ? { type: 'place', id: place.id } : null;
+}
+
+/**
+ * Restore a linked route on load: stand at the place (a building's door),
+ * then walk in or open the project
+ */
+function openDeepLink(hash) {
+    input.note('deep-link', hash);
+    const route = parseRoute(hash);
+    const place = route && mapSystem.destinations.find(d => d.id === route.id);
+    if (!place) return;
+
+    player.placeAt(place.x, world.groundY);
+    camera.snapTo(place.x - camera.width / 2);
+
+    const building = world.buildings.find(b => b.id === route.id);
+    if (!building) return;
+    if (route.type === 'inside') {
+        scenes.enter(building);
+    } else if (route.type === 'project') {
+        // Back from the project lands on the street outside
+        router.replace({ type: 'place', id: building.id });
+        modalSystem.open(building);
+    }
+}
+
+/**
+ * Back/Forward between entries the router made only opens or closes the
+ * project; an address typed mid-visit travels there like the map does
+ */
+function followRoute(route, external) {
+    input.note('route', [formatRoute(route), external]);
+
+    if (route && route.type === 'project') {
+        const building = world.buildings.find(b => b.id === route.id);
+        if (building && !modalSystem.isOpen) {
+            dialogueSystem.close();
+            modalSystem.open(building);
+            audio.play('modal-open');
+        }
+        return;
+    }
+
+    if (modalSystem.isOpen) modalSystem.close();
+    const place = external && route && mapSystem.destinations.find(d => d.id === route.id);
+    if (place) {
+        dialogueSystem.close();
+        mapSystem.close();
+        fastTravel(place.x);
+    }
+}
+
+router.onNavigate(followRoute);
+
+// Opening a project adds a history entry, so Back closes it
+modalSystem.onOpen = (building) => router.push({ type: 'project', id: building.id });
+modalSystem.onClose = () => {
+    input.note('modal-close');
+    router.pop(currentRoute());
+};
+
+if (!replayRecording) openDeepLink(window.location.hash);
 
 // ==================================================
 // Audio Initialization (on first user interaction)
@@ -94,24 +301,87 @@ player.onStep = (isSprinting) => audio.play('footstep', { isSprinting });
 // ==================================================
 // Theme Change Handler
 // ==================================================
-themeManager.onThemeChange((isNight) => {
+themeManager.onThemeChange((isNight, fromClock) => {
+    input.note('theme');
     world.setNightMode(isNight);
     player.setNightMode(isNight);
     particles.setNightMode(isNight);
     audio.setNightMode(isNight);
-    audio.play('theme-switch');
+    if (!fromClock) audio.play('theme-switch');
 });
 
 // ==================================================
-// Season Change Handler
+// Day Cycle (time of day, see DayCycle.js): the theme follows the clock
+// unless T forced the other one
 // ==================================================
-seasonManager.onSeasonChange((season) => {
-    world.setSeason(season);
-    particles.setSeason(season);
+dayCycle.onChange((mode, hours) => {
+    input.note('clock', [mode, hours]);
+    themeManager.release();
+});
+
+function updateTimeOfDay(dt) {
+    dayCycle.update(dt);
+    if (dayCycle.isActive) themeManager.followClock(dayCycle.isNight);
+    world.setTimeOfDay(dayCycle.isActive && !themeManager.forced ? dayCycle.hours : null);
+}
+
+// ==================================================
+// Season Change Handler (colours crossfade, see SeasonFade.js)
+// ==================================================
+function applySeason(season, instant = false) {
+    world.setSeason(season, instant);
+    particles.setSeason(season, instant);
     audio.setSeason(season);
     player.setSeason(season);
+    weather.setSeason(season);
+}
+
+seasonManager.onSeasonChange((season) => {
+    input.note('season', season);
+    applySeason(season);
     audio.play('theme-switch'); // Use same shimmer for season switch
 });
+applySeason(seasonManager.currentSeason, true);
+
+// ==================================================
+// Weather (see WeatherSystem.js): the button cycles auto and each weather
+// ==================================================
+const weatherBtn = document.getElementById('weather-toggle');
+const weatherIcon = document.getElementById('weather-icon');
+
+function showWeather() {
+    if (weatherIcon) weatherIcon.textContent = weather.icon;
+    if (weatherBtn) {
+        weatherBtn.title = `Weather: ${weather.label}`;
+        weatherBtn.setAttribute('aria-label', weatherBtn.title);
+    }
+}
+
+if (weatherBtn) {
+    weatherBtn.addEventListener('click', () => weather.nextChoice());
+}
+// Only the visitor's picks are recorded: the schedule replays itself from the seed
+weather.onPick((choice) => input.note('weather', choice));
+weather.onChange(showWeather);
+weather.onLightning(({ delay }) => audio.play('thunder', { delay }));
+
+// ==================================================
+// Comfort Mode (reduced motion, see ComfortSettings.js)
+// ==================================================
+function applyComfort(enabled) {
+    document.documentElement.setAttribute('data-motion', enabled ? 'reduced' : 'full');
+    camera.setReducedMotion(enabled);
+    world.setReducedMotion(enabled);
+    player.setReducedMotion(enabled);
+    particles.setReducedMotion(enabled);
+    dialogueSystem.setReducedMotion(enabled);
+}
+
+comfort.onChange((enabled) => {
+    input.note('comfort', enabled);
+    applyComfort(enabled);
+});
+applyComfort(comfort.enabled);
 
 // ==================================================
 // Dialogue → Modal Bridge
@@ -121,30 +391,248 @@ dialogueSystem.onEnterProject = (building) => {
     audio.play('modal-open');
 };
 
+// ==================================================
+// NPC Conversations
+// ==================================================
+const dialogueFlags = new Set(); // set:/clear: actions in dialogue scripts
+
+function talkTo(npc) {
+    const conversation = new Conversation(
+        npc.dialogue || speechScript(npc.speech),
+        { visited: scenes.visited, flags: dialogueFlags, isNight: themeManager.isNight },
+        runDialogueAction
+    );
+    dialogueSystem.openConversation(npc.name, conversation);
+}
+
+function runDialogueAction(type, buildingId) {
+    const building = world.buildings.find(b => b.id === buildingId);
+    if (!building) return;
+
+    if (type === 'openProject') {
+        modalSystem.open(building);
+        audio.play('modal-open');
+    } else if (type === 'teleport') {
+        scenes.travel(building.x + building.width / 2, world.groundY);
+        audio.play('door');
+    }
+}
+
+// ==================================================
+// Scene Change Handler (street ⇄ building interiors)
+// ==================================================
+scenes.onSceneChange((interior) => {
+    hideInteractPrompt();
+    currentInteraction = null;
+    input.autoWalk.cancel();
+    if (interior) mapSystem.markVisited(interior.building.id);
+    if (interior) {
+        mirror.showInterior(interior, true);
+    } else {
+        mirror.showStreet(world, STREET_REACH, true);
+    }
+});
+
+// ==================================================
+// Fast Travel (map): pan the camera to the destination, then fade the player
+// there (comfort mode skips the pan)
+// ==================================================
+mapSystem.onTravel = (destination) => {
+    input.note('map-travel', destination.id);
+    fastTravel(destination.x);
+};
+
+function fastTravel(x) {
+    input.autoWalk.cancel();
+    hideInteractPrompt();
+    scenes.travel(x, world.groundY, { pan: !comfort.enabled });
+    audio.play('door');
+}
+
+// ==================================================
+// Pause Handling
+// ==================================================
+// The pause menu draws itself (PauseMenu.js); everything else follows here
+gameLoop.onPauseChange((isPaused) => {
+    input.reset();
+    dialogueSystem.setPaused(isPaused);
+    audio.setPaused(isPaused);
+    if (isPaused) return;
+
+    controlsPanel.close();
+    // The visitor's clock kept going while paused
+    if (!input.replay) dayCycle.syncToClock();
+});
+
+// Classic view (?classic): the world waits behind the plain page
+classicView.onOpen = () => {
+    gameLoop.resume(); // a pause menu left open would be hidden behind it
+    gameLoop.pause('classic');
+};
+classicView.onClose = () => gameLoop.resume();
+if (urlParams.has('classic') && !replayRecording) classicView.open();
+
+// Auto-pause when the tab is hidden; the visitor resumes from the menu
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) gameLoop.pause('hidden');
+});
+
+// ==================================================
+// Gamepad Polling (every frame, so Start works while paused)
+// ==================================================
+gameLoop.onFrame(() => {
+    input.poll();
+    const pad = input.gamepad.justPressed;
+    if (pauseMenu.isHeld) return;
+    if (pad.has('pause')) {
+        gameLoop.togglePause();
+    } else if (pad.has('close') && gameLoop.isPaused) {
+        gameLoop.resume();
+    }
+});
+
+// ==================================================
+// Key Labels (HUD and prompt follow the visitor's bindings)
+// ==================================================
+function updateKeyLabels() {
+    const { bindings } = input;
+    for (const el of document.querySelectorAll('[data-binding]')) {
+        const action = el.dataset.binding;
+        el.textContent = action === 'move'
+            ? `${bindings.label('left')} ${bindings.label('right')}`
+            : bindings.label(action);
+    }
+}
+input.bindings.onChange(updateKeyLabels);
+updateKeyLabels();
+
 // ==================================================
 // Interaction Prompt Element
 // ==================================================
 const interactPrompt = document.getElementById('interact-prompt');
+const interactPromptText = interactPrompt ? interactPrompt.querySelector('.prompt-text') : null;
 let currentInteraction = null;
+let promptAnchor = null; // world position the prompt points at, placed each render
 
-function showInteractPrompt(screenX, screenY) {
+function showInteractPrompt(worldX, screenY, label = 'Interact') {
+    promptAnchor = { x: worldX, y: screenY };
     if (interactPrompt) {
+        if (interactPromptText) interactPromptText.textContent = label;
         interactPrompt.classList.remove('hidden');
-        interactPrompt.style.left = screenX + 'px';
-        interactPrompt.style.top = (screenY - 50) + 'px';
     }
 }
 
 function hideInteractPrompt() {
+    promptAnchor = null;
     if (interactPrompt) {
         interactPrompt.classList.add('hidden');
     }
 }
 
+/**
+ * Keep the prompt over its target with the interpolated camera, so it
+ * moves with what is drawn rather than with the simulation steps
+ */
+function placeInteractPrompt() {
+    if (!interactPrompt || !promptAnchor) return;
+    interactPrompt.style.left = (promptAnchor.x - camera.renderX) + 'px';
+    interactPrompt.style.top = (promptAnchor.y - 50) + 'px';
+}
+
+// ==================================================
+// Click / Tap to Walk: click or tap the ground to walk there; click a
+// building, NPC or skill badge (or a door, desk or screen inside) to walk
+// up and use it. Any movement key cancels the walk.
+// ==================================================
+/**
+ * Where a click or tap walks to: { x, interact, hit } (hit: something was under the pointer)
+ */
+function pointerTarget(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const point = camera.screenToWorld(
+        (clientX - rect.left) * canvasW / rect.width,
+        (clientY - rect.top) * canvasH / rect.height
+    );
+
+    if (scenes.isInside) {
+        const zone = scenes.interior.zoneAt(point.x, point.y);
+        if (zone) return { x: zone.x + zone.width / 2, interact: true, hit: true };
+        return { x: point.x, interact: false, hit: false };
+    }
+
+    const entity = world.entityAt(point.x, point.y);
+    if (!entity) return { x: point.x, interact: false, hit: false };
+    // Skill badges have no E action: walking up shows their tooltip
+    return { x: world.approachX(entity, player.x, STREET_REACH), interact: entity.type !== 'skill', hit: true };
+}
+
+/**
+ * Clicks on the world (and the minimap) count only while nothing else has
+ * the visitor's attention, and never during a replay
+ */
+function acceptsPointer() {
+    return !(modalSystem.isOpen || dialogueSystem.isOpen || mapSystem.isOpen || scenes.isTransitioning || gameLoop.isPaused || input.replay);
+}
+
+function walkToPointer(clientX, clientY) {
+    if (!acceptsPointer()) return;
+    const target = pointerTarget(clientX, clientY);
+    input.walkTo(target.x, target.interact);
+}
+
+if (input.touch) {
+    input.touch.onTap(walkToPointer);
+}
+
+canvas.addEventListener('click', (e) => {
+    if (e.button === 0) walkToPointer(e.clientX, e.clientY);
+});
+
+if (mapSystem.minimap) {
+    mapSystem.minimap.addEventListener('click', () => {
+        if (acceptsPointer()) mapSystem.open();
+    });
+}
+
+// Hand cursor over anything that can be clicked
+canvas.addEventListener('mousemove', (e) => {
+    const target = acceptsPointer() ? pointerTarget(e.clientX, e.clientY) : null;
+    canvas.style.cursor = target && target.hit ? 'pointer' : '';
+});
+
+// ==================================================
+// Screen-Reader Mirror: the hidden list's buttons and the previous/next
+// place keys walk to a point of interest (see AccessibilityMirror.js)
+// ==================================================
+mirror.onSelect = (point) => {
+    if (!acceptsPointer()) return;
+    input.walkTo(point.approach(player.x));
+    mirror.announceWalk(point);
+};
+
+/**
+ * Previous (-1) / next (1) place key: walk to the neighbouring point of interest
+ */
+function walkToNextPlace(direction) {
+    const target = mirror.nextPoint(player.x, direction);
+    if (target) input.walkTo(target.x);
+    mirror.announceWalk(target && target.point, direction);
+}
+
 // ==================================================
 // Window Resize Handler
 // ==================================================
 window.addEventListener('resize', () => {
+    // A replay keeps its recorded size; only the on-screen scale changes
+    if (input.replay) {
+        resizeCanvas();
+        return;
+    }
+    relayout();
+    input.note('resize', [canvasW, canvasH]);
+});
+
+function relayout() {
     const size = resizeCanvas();
     canvasW = size.width;
     canvasH = size.height;
@@ -157,83 +645,213 @@ window.addEventListener('resize', () => {
     collision.setGroundY(newGroundY);
     player.groundY = newGroundY;
     player.y = newGroundY;
+    player.prevY = newGroundY;
     world.setupCollisions(collision);
-});
+    scenes.resize(canvasW, canvasH, newGroundY);
+
+    // Rooms are laid out afresh for the new size
+    if (scenes.isInside) mirror.showInterior(scenes.interior);
+}
 
 // ==================================================
 // Game Update
 // ==================================================
 function gameUpdate(dt) {
+    for (const [type, value] of input.beginFrame()) {
+        applyReplayEvent(type, value);
+    }
+
+    updateTimeOfDay(dt);
+    weather.update(dt);
+    audio.setWeather(weather.levels);
+    audio.setDucked(dialogueSystem.isOpen || modalSystem.isOpen);
+
     // Don't process movement if modal or dialogue is open
     if (modalSystem.isOpen) {
         if (input.isClosePressed()) {
             modalSystem.close();
             audio.play('close');
+        } else if (input.isNavPressed('left') || input.isNavPressed('up')) {
+            modalSystem.moveFocus(-1);
+        } else if (input.isNavPressed('right') || input.isNavPressed('down')) {
+            modalSystem.moveFocus(1);
+        } else if (input.isConfirmPressed()) {
+            modalSystem.activateFocused();
         }
         input.endFrame();
         return;
     }
 
+    // Keyboard choices and E are handled by the dialogue box itself
     if (dialogueSystem.isOpen) {
-        if (input.isClosePressed() || input.isInteractPressed()) {
+        if (input.isClosePressed()) {
             dialogueSystem.close();
             audio.play('close');
+        } else if (input.isNavPressed('up')) {
+            dialogueSystem.moveFocus(-1);
+        } else if (input.isNavPressed('down')) {
+            dialogueSystem.moveFocus(1);
+        } else if (input.isConfirmPressed()) {
+            dialogueSystem.confirm();
         }
         input.endFrame();
         return;
     }
 
+    // Map: the world waits while the visitor picks a destination
+    if (mapSystem.isOpen) {
+        if (input.isClosePressed() || input.isMapPressed()) {
+            mapSystem.close();
+            audio.play('close');
+        } else if (input.isNavPressed('left') || input.isNavPressed('up')) {
+            mapSystem.moveFocus(-1);
+        } else if (input.isNavPressed('right') || input.isNavPressed('down')) {
+            mapSystem.moveFocus(1);
+        } else if (input.isConfirmPressed()) {
+            mapSystem.activateFocused();
+        }
+        input.endFrame();
+        return;
+    }
+
+    // Door transition (and fast-travel pan): freeze the player until the new scene fades in
+    if (scenes.isTransitioning) {
+        stepTransition(scene, dt);
+        input.endFrame();
+        return;
+    }
+
+    if (input.isMapPressed()) {
+        hideInteractPrompt();
+        mapSystem.open();
+        audio.play('modal-open');
+        input.endFrame();
+        return;
+    }
+
     // Theme toggle
     if (input.isThemeTogglePressed()) {
         themeManager.toggle();
     }
 
-    // Update player (movement, jump, sprint)
-    player.update(input, collision, dt);
+    // [ / ]: walk to the previous / next point of interest
+    if (input.isPlacePressed('prev')) {
+        walkToNextPlace(-1);
+    } else if (input.isPlacePressed('next')) {
+        walkToNextPlace(1);
+    }
+
+    // Player, camera, world, then the interior or the street's particles
+    const interaction = stepScene(scene, dt);
 
-    // Update camera to follow player
-    camera.update(player, dt);
+    if (scenes.isInside) {
+        handleInteriorInteraction(interaction, scenes.interior);
+        mirror.update(currentInteraction);
+    } else {
+        mapSystem.visitNear(player.x);
+        handleStreetInteraction(interaction);
+        mirror.update(currentInteraction, world.nearestSkill(player.x, STREET_REACH));
+    }
 
-    // Update world
-    world.update(dt, camera);
+    // Keep the address bar on the current place (or open project)
+    router.replace(currentRoute());
 
-    // Update particles
-    particles.update(dt);
+    input.endFrame();
+}
 
-    // Check interactions
-    const interaction = world.checkInteractions(player.x, 90);
+/**
+ * Street: E at a building walks in through its door, E at an NPC starts a conversation
+ */
+function handleStreetInteraction(interaction) {
     currentInteraction = interaction;
 
-    if (interaction && interaction.type === 'building') {
-        const screenX = interaction.data.x + interaction.data.width / 2 - camera.x;
-        const screenY = (world.groundY - interaction.data.height - 20);
-        showInteractPrompt(screenX, screenY);
+    if (interaction && interaction.type === 'npc') {
+        const npc = interaction.data;
+        showInteractPrompt(npc.x, world.groundY - 100, 'Talk');
 
         if (input.isInteractPressed()) {
-            dialogueSystem.openBuilding(interaction.data);
+            talkTo(npc);
             audio.play('interact');
             hideInteractPrompt();
         }
+    } else if (interaction && interaction.type === 'building') {
+        const worldX = interaction.data.x + interaction.data.width / 2;
+        const screenY = (world.groundY - interaction.data.height - 20);
+        showInteractPrompt(worldX, screenY, 'Enter');
+
+        if (input.isInteractPressed()) {
+            scenes.enter(interaction.data);
+            audio.play('door');
+            hideInteractPrompt();
+        }
     } else {
         hideInteractPrompt();
     }
+}
 
-    input.endFrame();
+/**
+ * Interior: the desk tells the story, screens open the project, the door leads out
+ */
+function handleInteriorInteraction(interaction, interior) {
+    currentInteraction = interaction;
+
+    if (!interaction) {
+        hideInteractPrompt();
+        return;
+    }
+
+    const zone = interaction.data;
+    const labels = { exit: 'Exit', desk: 'Read', screen: 'View Project' };
+    showInteractPrompt(zone.x + zone.width / 2, zone.y - 20, labels[interaction.type]);
+
+    if (!input.isInteractPressed()) return;
+    hideInteractPrompt();
+
+    if (interaction.type === 'exit') {
+        scenes.exit();
+        audio.play('door');
+    } else if (interaction.type === 'desk') {
+        dialogueSystem.openBuilding(interior.building);
+        audio.play('interact');
+    } else if (interaction.type === 'screen') {
+        modalSystem.open(interior.building);
+        audio.play('modal-open');
+    }
 }
 
 // ==================================================
 // Game Render
 // ==================================================
-function gameRender(dt) {
+function gameRender(dt, alpha) {
+    // Blend camera between the last two simulation steps
+    camera.interpolate(alpha);
+    placeInteractPrompt();
+
+    // Minimap marker (indoors: the building's door on the street)
+    mapSystem.update(scenes.isInside ? scenes.streetState.x : player.x);
+    clockSlider.update();
+
     // Clear canvas
     ctx.clearRect(0, 0, canvasW, canvasH);
 
+    if (scenes.isInside) {
+        // Interior scene: room, then player
+        ctx.fillStyle = '#140E0A';
+        ctx.fillRect(0, 0, canvasW, canvasH);
+        camera.applyTransform(ctx);
+        scenes.interior.render(ctx);
+        player.render(ctx, alpha);
+        camera.resetTransform(ctx);
+        scenes.renderTransition(ctx, canvasW, canvasH);
+        return;
+    }
+
     // Render world (Layers 0-6.5)
-    world.render(ctx, camera);
+    world.render(ctx, camera, alpha);
 
     // Layer 7: Player
     camera.applyTransform(ctx);
-    player.render(ctx);
+    player.render(ctx, alpha);
     camera.resetTransform(ctx);
 
     // Layer 8: Foreground props
@@ -243,7 +861,10 @@ function gameRender(dt) {
     particles.render(ctx, camera);
 
     // Speech bubbles
-    world.renderSpeechBubbles(ctx, camera);
+    world.renderSpeechBubbles(ctx, camera, alpha);
+
+    // Door transition overlay
+    scenes.renderTransition(ctx, canvasW, canvasH);
 }
 
 // ==================================================
@@ -282,6 +903,7 @@ function finishLoading() {
 
         setTimeout(() => {
             if (hud) hud.classList.remove('hidden');
+            if (mapSystem.minimap) mapSystem.minimap.classList.remove('hidden');
         }, 500);
 
         gameLoop.start();
@@ -0,0 +1,266 @@
+/**
+ * AccessibilityMirror.js — A visually hidden copy of the canvas world for
+ * screen readers.
+ *
+ * The street is listed in world order, grouped under its signs: every
+ * building, what each neighbour says and every skill in the park. Inside
+ * a building the list becomes the room's door, desk and screens. Each
+ * entry is a button that walks the player there, and the previous/next
+ * place keys ([ and ] by default) walk to the neighbouring one. What the
+ * player reaches — whatever E would use, or a skill's tooltip — is read
+ * out through a polite live region.
+ */
+import { ARRIVE_DISTANCE } from '../engine/AutoWalk.js';
+
+/** A spot this close to the player counts as where they already are */
+const HERE_DISTANCE = ARRIVE_DISTANCE * 2;
+
+/**
+ * Sign text as a heading: one line, without leading emoji
+ */
+function plainText(text) {
+    return text.replace(/\s+/g, ' ').replace(/^[^\p{L}\p{N}]+/u, '').trim();
+}
+
+/**
+ * Everything on the street worth listing, sorted by x. Signs become
+ * zones (headings); the rest carry the entity checkInteractions reports
+ * and approach(fromX), where to stand to use it. An NPC's label is read
+ * from the NPC each time, so it follows changes to their line.
+ * @param {WorldBuilder} world
+ * @param {number} range — interaction range used on the street
+ * @returns {Array<{ kind: string, x: number, label: string, action?: string, entity?: object, approach?: function }>}
+ */
+export function streetPointsOfInterest(world, range = 90) {
+    const approach = (entity) => (fromX) => world.approachX(entity, fromX, range);
+    const signs = world.content.environment?.signs || [];
+
+    const points = [
+        ...signs.map(s => ({ kind: 'zone', x: s.x, label: plainText(s.text) })),
+        ...world.buildings.map(b => {
+            const entity = { type: 'building', data: b };
+            const project = b.project?.name && b.project.name !== b.label ? `: ${b.project.name}` : '';
+            return { kind: 'building', x: b.x + b.width / 2, label: b.label + project, action: 'enter', entity, approach: approach(entity) };
+        }),
+        ...world.npcs.map(n => {
+            const entity = { type: 'npc', data: n };
+            return {
+                kind: 'npc',
+                x: n.baseX,
+                get label() { return `${n.name}: “${n.speech}”`; },
+                action: 'talk',
+                entity,
+                approach: approach(entity)
+            };
+        }),
+        ...world.skills.map(s => {
+            const entity = { type: 'skill', data: s };
+            return { kind: 'skill', x: s.x, label: `${s.name} skill: ${s.description}`, entity, approach: approach(entity) };
+        })
+    ];
+
+    // Stable sort: a sign comes before anything at the same spot
+    return points.sort((a, b) => a.x - b.x);
+}
+
+/**
+ * The door, desk and screens of a room, left to right
+ * @param {Interior} interior
+ */
+export function interiorPointsOfInterest(interior) {
+    const name = interior.project.name;
+    const point = (zone, label, action) => ({
+        kind: zone.type,
+        x: zone.x + zone.width / 2,
+        label,
+        action,
+        entity: { type: zone.type, data: zone },
+        approach: () => zone.x + zone.width / 2
+    });
+
+    const screens = interior.screens.length;
+    return [
+        point(interior.door, 'Door to the street', 'go back outside'),
+        point(interior.desk, `Desk: the story of ${name}`, 'read it'),
+        ...interior.screens.map(s => point(s, `Screen ${s.index + 1} of ${screens}: ${name}`, 'view the project'))
+    ].sort((a, b) => a.x - b.x);
+}
+
+/**
+ * The place to walk to from x: the nearest spot in that direction,
+ * skipping the one the player is standing at
+ * @param {Array} points — from streetPointsOfInterest / interiorPointsOfInterest
+ * @param {number} x — player position
+ * @param {number} direction — -1 (previous) or 1 (next)
+ * @returns {{ point: object, x: number }|null}
+ */
+export function nextPointOfInterest(points, x, direction) {
+    let best = null;
+    for (const point of points) {
+        if (!point.approach) continue;
+        const spot = point.approach(x);
+        if ((spot - x) * direction <= HERE_DISTANCE) continue;
+        if (!best || (spot - best.x) * direction < 0) best = { point, x: spot };
+    }
+    return best;
+}
+
+export class AccessibilityMirror {
+    /**
+     * @param {KeyBindings} bindings — for the key names read out
+     */
+    constructor(bindings) {
+        this.bindings = bindings;
+
+        this.el = document.getElementById('world-mirror');
+        this.titleEl = document.getElementById('world-mirror-title');
+        this.listEl = document.getElementById('world-mirror-list');
+        this.liveEl = document.getElementById('world-mirror-live');
+
+        /** Points of interest of the current scene, sorted by x */
+        this.points = [];
+
+        // Callbacks
+        this.onSelect = null; // fn(point) when an entry's button is used
+
+        this._items = new Map();  // entity data → list item
+        this._buttons = new Map(); // point → its button, relabelled when the label changes
+        this._current = null;     // entity data read out last
+        this._currentSkill = null;
+        this._arrival = null;     // scene change, read out with the next update
+    }
+
+    /**
+     * List the street
+     * @param {WorldBuilder} world
+     * @param {number} range — interaction range used on the street
+     * @param {boolean} announce — read out the arrival (coming out of a building)
+     */
+    showStreet(world, range, announce = false) {
+        this._show('Street', streetPointsOfInterest(world, range));
+        if (announce) this._arrival = 'Back on the street.';
+    }
+
+    /**
+     * List a room
+     * @param {Interior} interior
+     * @param {boolean} announce — read out the arrival (walking in)
+     */
+    showInterior(interior, announce = false) {
+        this._show(`Inside ${interior.building.label}`, interiorPointsOfInterest(interior));
+        if (announce) this._arrival = `Inside ${interior.building.label}.`;
+    }
+
+    /**
+     * Where the previous (-1) or next (1) place key walks to, or null at
+     * either end of the scene
+     */
+    nextPoint(playerX, direction) {
+        return nextPointOfInterest(this.points, playerX, direction);
+    }
+
+    /**
+     * Read out a walk that was just started
+     */
+    announceWalk(point, direction) {
+        if (point) {
+            this.announce(`Walking to ${point.label}`);
+        } else {
+            this.announce(direction < 0 ? 'Nothing further to the left.' : 'Nothing further to the right.');
+        }
+    }
+
+    /**
+     * Follow the player (call each step after checkInteractions)
+     * @param {{ type: string, data: object }|null} interaction — what E would use
+     * @param {SkillIcon|null} skill — skill whose tooltip is showing
+     */
+    update(interaction, skill = null) {
+        for (const [point, btn] of this._buttons) {
+            if (btn.textContent !== point.label) btn.textContent = point.label;
+        }
+
+        const messages = [];
+        if (this._arrival) messages.push(this._arrival);
+        this._arrival = null;
+
+        const data = interaction ? interaction.data : null;
+        if (data !== this._current) {
+            this._setCurrent(this._current, data);
+            this._current = data;
+            const point = data && this._pointFor(data);
+            if (point) messages.push(`${point.label}. Press ${this.bindings.label('interact')} to ${point.action}.`);
+        }
+
+        if (skill !== this._currentSkill) {
+            this._setCurrent(this._currentSkill, skill);
+            this._currentSkill = skill;
+            const point = skill && this._pointFor(skill);
+            if (point) messages.push(point.label);
+        }
+
+        if (messages.length > 0) this.announce(messages.join(' '));
+    }
+
+    /**
+     * Say something through the live region
+     */
+    announce(text) {
+        if (this.liveEl) this.liveEl.textContent = text;
+    }
+
+    _pointFor(data) {
+        return this.points.find(p => p.entity?.data === data) || null;
+    }
+
+    _setCurrent(previous, data) {
+        this._items.get(previous)?.removeAttribute('aria-current');
+        this._items.get(data)?.setAttribute('aria-current', 'location');
+    }
+
+    // --- Markup ---
+
+    _show(title, points) {
+        this.points = points;
+        this._current = null;
+        this._currentSkill = null;
+        this._items.clear();
+        this._buttons.clear();
+
+        if (this.titleEl) this.titleEl.textContent = title;
+        if (!this.listEl) return;
+        this.listEl.innerHTML = '';
+
+        // A list per zone, each after its sign's heading
+        let list = null;
+        for (const point of points) {
+            if (point.kind === 'zone') {
+                const heading = document.createElement('h3');
+                heading.textContent = point.label;
+                this.listEl.appendChild(heading);
+                list = null;
+                continue;
+            }
+            if (!list) {
+                list = document.createElement('ul');
+                this.listEl.appendChild(list);
+            }
+            list.appendChild(this._item(point));
+        }
+    }
+
+    _item(point) {
+        const item = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.tabIndex = -1; // reached with the screen reader, not Tab
+        btn.textContent = point.label;
+        btn.addEventListener('click', () => {
+            if (this.onSelect) this.onSelect(point);
+        });
+        item.appendChild(btn);
+        this._items.set(point.entity.data, item);
+        this._buttons.set(point, btn);
+        return item;
+    }
+}
@@ -1,29 +1,58 @@
 /**
  * AudioManager.js — Comprehensive procedural audio system.
  * Uses Web Audio API to generate all sounds on-the-fly.
+ * Background music comes from MusicSequencer.js: its track follows day/night
+ * and the season, and it ducks under dialogue, modals and UI sounds.
  */
+import { MusicSequencer, trackFor } from './MusicSequencer.js';
+
+const MUSIC_LOOKAHEAD = 0.4; // seconds of music scheduled ahead of the clock
+const MUSIC_TICK_MS = 100;
+export const DUCK_LEVEL = 0.35;     // music level under dialogue and modals
+const BLIP_DUCK_LEVEL = 0.6; // and briefly under UI sounds
+const DUCKING_SOUNDS = ['interact', 'modal-open', 'close', 'door', 'theme-switch'];
+
 export class AudioManager {
-    constructor() {
+    /**
+     * @param {function(): BaseAudioContext} createContext — builds the audio
+     *        context on first use (injectable for tests)
+     */
+    constructor(createContext = () => new (window.AudioContext || window.webkitAudioContext)()) {
+        this.createContext = createContext;
         this.ctx = null;
         this.isInitialized = false;
         this.isMuted = false;
+        this.isPaused = false;
         this.isNight = false;
         this.currentSeason = 'summer';
 
         this.masterGain = null;
         this.ambientIndex = null;
         this.fireflyInterval = null;
+
+        // Weather beds: looping filtered noise for rain and wind (see setWeather)
+        this.rainGain = null;
+        this.windGain = null;
+        this.weatherLevels = { rain: 0, wind: 0 };
+
+        // Music (see _startMusic)
+        this.music = null;
+        this.musicGain = null;
+        this.musicDucked = false;
+        this.musicInterval = null;
     }
 
     ensureReady() {
         if (this.isInitialized) return;
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+        this.ctx = this.createContext();
         this.masterGain = this.ctx.createGain();
         this.masterGain.connect(this.ctx.destination);
         this.isInitialized = true;
 
         // Start ambiance
         this._playAmbientLoop();
+        this._applyWeather();
+        this._startMusic();
     }
 
     toggleMute() {
@@ -34,11 +63,25 @@ export class AudioManager {
         return this.isMuted;
     }
 
+    /**
+     * Suspend the audio graph while the world is paused
+     */
+    setPaused(isPaused) {
+        this.isPaused = isPaused;
+        if (!this.ctx) return;
+        if (isPaused) {
+            this.ctx.suspend();
+        } else {
+            this.ctx.resume();
+        }
+    }
+
     /**
      * Top-level play method for procedural sounds
      */
     play(soundType, options = {}) {
-        if (!this.isInitialized || this.isMuted) return null;
+        if (!this.isInitialized || this.isMuted || this.isPaused) return null;
+        if (DUCKING_SOUNDS.includes(soundType)) this._duckUnderSound(this._musicLevel());
 
         switch (soundType) {
             case 'footstep':
@@ -53,6 +96,8 @@ export class AudioManager {
                 return this._playModalOpen();
             case 'close':
                 return this._playClose();
+            case 'door':
+                return this._playDoor();
             case 'theme-switch':
                 return this._playThemeSwitch();
             case 'ambient-birds':
@@ -61,6 +106,8 @@ export class AudioManager {
                 return this._playAmbientCrickets();
             case 'firefly-sparkle':
                 return this._playFireflySparkle();
+            case 'thunder':
+                return this._playThunder(options.delay);
             default:
                 return null;
         }
@@ -190,6 +237,34 @@ export class AudioManager {
         osc.stop(this.ctx.currentTime + 0.2);
     }
 
+    _playDoor() {
+        // Low wooden knock followed by a short creak
+        const knock = this.ctx.createOscillator();
+        const knockGain = this.ctx.createGain();
+        knock.type = 'triangle';
+        knock.frequency.setValueAtTime(110, this.ctx.currentTime);
+        knock.frequency.exponentialRampToValueAtTime(50, this.ctx.currentTime + 0.12);
+        knockGain.gain.setValueAtTime(0.12, this.ctx.currentTime);
+        knockGain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.12);
+        knock.connect(knockGain);
+        knockGain.connect(this.masterGain);
+        knock.start();
+        knock.stop(this.ctx.currentTime + 0.12);
+
+        const creak = this.ctx.createOscillator();
+        const creakGain = this.ctx.createGain();
+        creak.type = 'sawtooth';
+        creak.frequency.setValueAtTime(320, this.ctx.currentTime + 0.1);
+        creak.frequency.linearRampToValueAtTime(260, this.ctx.currentTime + 0.35);
+        creakGain.gain.setValueAtTime(0.001, this.ctx.currentTime);
+        creakGain.gain.linearRampToValueAtTime(0.025, this.ctx.currentTime + 0.15);
+        creakGain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.35);
+        creak.connect(creakGain);
+        creakGain.connect(this.masterGain);
+        creak.start(this.ctx.currentTime + 0.1);
+        creak.stop(this.ctx.currentTime + 0.35);
+    }
+
     _playThemeSwitch() {
         // Shimmering chord effect
         const freqs = [440, 554.37, 659.25, 880];
@@ -210,6 +285,161 @@ export class AudioManager {
         });
     }
 
+    _playThunder(delay = 0) {
+        // A close strike cracks before the rumble; far ones only rumble
+        const start = this.ctx.currentTime + delay;
+        const close = delay < 0.8;
+
+        const rumble = this.ctx.createBufferSource();
+        const rumbleFilter = this.ctx.createBiquadFilter();
+        const rumbleGain = this.ctx.createGain();
+        rumble.buffer = this._createNoiseBuffer(3);
+        rumbleFilter.type = 'lowpass';
+        rumbleFilter.frequency.setValueAtTime(close ? 260 : 140, start);
+        rumbleFilter.frequency.exponentialRampToValueAtTime(60, start + 2.8);
+        rumbleGain.gain.setValueAtTime(0.001, start);
+        rumbleGain.gain.linearRampToValueAtTime(close ? 0.45 : 0.25, start + 0.15);
+        rumbleGain.gain.exponentialRampToValueAtTime(0.001, start + 2.8);
+        rumble.connect(rumbleFilter);
+        rumbleFilter.connect(rumbleGain);
+        rumbleGain.connect(this.masterGain);
+        rumble.start(start);
+        rumble.stop(start + 3);
+
+        if (close) {
+            const crack = this.ctx.createBufferSource();
+            const crackFilter = this.ctx.createBiquadFilter();
+            const crackGain = this.ctx.createGain();
+            crack.buffer = this._createNoiseBuffer(0.5);
+            crackFilter.type = 'highpass';
+            crackFilter.frequency.value = 1200;
+            crackGain.gain.setValueAtTime(0.2, start);
+            crackGain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+            crack.connect(crackFilter);
+            crackFilter.connect(crackGain);
+            crackGain.connect(this.masterGain);
+            crack.start(start);
+            crack.stop(start + 0.3);
+        }
+    }
+
+    // --- Weather ---
+
+    /**
+     * Fade the rain and wind beds to the weather's levels (0–1); call as
+     * the weather changes, e.g. every step
+     * @param {{ rain: number, wind: number }} levels
+     */
+    setWeather(levels) {
+        // Only touch the graph when a level has moved noticeably
+        const rain = Math.round(levels.rain * 20) / 20;
+        const wind = Math.round(levels.wind * 20) / 20;
+        if (rain === this.weatherLevels.rain && wind === this.weatherLevels.wind) return;
+        this.weatherLevels = { rain, wind };
+        this._applyWeather();
+    }
+
+    _applyWeather() {
+        if (!this.isInitialized) return;
+        this._ensureWeatherBeds();
+        const now = this.ctx.currentTime;
+        this.rainGain.gain.setTargetAtTime(this.weatherLevels.rain * 0.12, now, 0.8);
+        this.windGain.gain.setTargetAtTime(this.weatherLevels.wind * 0.1, now, 1.2);
+    }
+
+    _ensureWeatherBeds() {
+        if (this.rainGain) return;
+        const noise = this._createNoiseBuffer(2);
+
+        // Rain: hiss of bright noise
+        const rain = this.ctx.createBufferSource();
+        const rainFilter = this.ctx.createBiquadFilter();
+        this.rainGain = this.ctx.createGain();
+        rain.buffer = noise;
+        rain.loop = true;
+        rainFilter.type = 'bandpass';
+        rainFilter.frequency.value = 2800;
+        rainFilter.Q.value = 0.4;
+        this.rainGain.gain.value = 0;
+        rain.connect(rainFilter);
+        rainFilter.connect(this.rainGain);
+        this.rainGain.connect(this.masterGain);
+        rain.start();
+
+        // Wind: low noise whose filter a slow LFO sweeps into gusts
+        const wind = this.ctx.createBufferSource();
+        const windFilter = this.ctx.createBiquadFilter();
+        const gust = this.ctx.createOscillator();
+        const gustDepth = this.ctx.createGain();
+        this.windGain = this.ctx.createGain();
+        wind.buffer = noise;
+        wind.loop = true;
+        windFilter.type = 'lowpass';
+        windFilter.frequency.value = 500;
+        gust.frequency.value = 0.15;
+        gustDepth.gain.value = 300;
+        gust.connect(gustDepth);
+        gustDepth.connect(windFilter.frequency);
+        this.windGain.gain.value = 0;
+        wind.connect(windFilter);
+        windFilter.connect(this.windGain);
+        this.windGain.connect(this.masterGain);
+        wind.start();
+        gust.start();
+    }
+
+    // --- Music ---
+
+    /**
+     * Keep the music low while dialogue or a modal is open; call as
+     * either opens or closes, e.g. every step
+     */
+    setDucked(ducked) {
+        if (this.musicDucked === ducked) return;
+        this.musicDucked = ducked;
+        if (this.musicGain) {
+            // Replaces the way back up from a UI sound that opened the dialogue or modal
+            this.musicGain.gain.cancelScheduledValues(this.ctx.currentTime);
+            this.musicGain.gain.setTargetAtTime(this._musicLevel(), this.ctx.currentTime, 0.25);
+        }
+    }
+
+    _startMusic() {
+        this.musicGain = this.ctx.createGain();
+        this.musicGain.gain.value = this._musicLevel();
+        this.musicGain.connect(this.masterGain);
+
+        this.music = new MusicSequencer(this.ctx, this.musicGain);
+        this.music.play(trackFor(this.currentSeason, this.isNight), 0);
+        this.musicInterval = setInterval(() => {
+            if (this.isPaused || this.isMuted) return;
+            this.music.scheduleUntil(this.ctx.currentTime + MUSIC_LOOKAHEAD);
+        }, MUSIC_TICK_MS);
+    }
+
+    /**
+     * Crossfade to the track for the current season and time of day
+     */
+    _updateMusic() {
+        if (this.music) this.music.play(trackFor(this.currentSeason, this.isNight));
+    }
+
+    _musicLevel() {
+        return this.musicDucked ? DUCK_LEVEL : 1;
+    }
+
+    /**
+     * Dip the music under a UI sound, then bring it back
+     * @param {number} level — where the music returns to after the sound
+     */
+    _duckUnderSound(level) {
+        if (!this.musicGain) return;
+        const now = this.ctx.currentTime;
+        this.musicGain.gain.cancelScheduledValues(now);
+        this.musicGain.gain.setTargetAtTime(Math.min(level, BLIP_DUCK_LEVEL), now, 0.03);
+        this.musicGain.gain.setTargetAtTime(level, now + 0.4, 0.3);
+    }
+
     // --- Ambiance ---
 
     _playAmbientBirds() {
@@ -219,6 +449,7 @@ export class AudioManager {
                 clearInterval(birdInterval);
                 return;
             }
+            if (this.isPaused) return;
             if (Math.random() > 0.6) this._playBirdChirp();
         }, 3000);
     }
@@ -247,6 +478,7 @@ export class AudioManager {
                 clearInterval(cricketInterval);
                 return;
             }
+            if (this.isPaused) return;
             if (Math.random() > 0.5) this._playCricket();
         }, 2000);
     }
@@ -276,6 +508,7 @@ export class AudioManager {
                 clearInterval(this.fireflyInterval);
                 return;
             }
+            if (this.isPaused) return;
             if (Math.random() > 0.7) this._playFireflySparkle();
         }, 4000);
     }
@@ -302,6 +535,7 @@ export class AudioManager {
         if (this.isNight !== isNight) {
             this.isNight = isNight;
             this._playAmbientLoop();
+            this._updateMusic();
         }
     }
 
@@ -309,6 +543,7 @@ export class AudioManager {
         if (this.currentSeason !== season) {
             this.currentSeason = season;
             this._playAmbientLoop();
+            this._updateMusic();
         }
     }
 
@@ -328,8 +563,8 @@ export class AudioManager {
 
     // --- Helpers ---
 
-    _createNoiseBuffer() {
-        const bufferSize = this.ctx.sampleRate * 0.5;
+    _createNoiseBuffer(seconds = 0.5) {
+        const bufferSize = this.ctx.sampleRate * seconds;
         const buffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
         const output = buffer.getChannelData(0);
         for (let i = 0; i < bufferSize; i++) {
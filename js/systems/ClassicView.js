@@ -0,0 +1,187 @@
+/**
+ * ClassicView.js — The portfolio as a plain, scrollable page.
+ *
+ * For visitors who would rather skim than walk, the same content the
+ * world is built from is laid out as semantic HTML: projects (houses)
+ * and experience (offices) with everything the project modal shows,
+ * the skills, and what the neighbours have to say. It uses the page's
+ * CSS variables, so the day/night and season themes carry over.
+ *
+ * renderClassicHtml() is pure, so the same markup is also kept in
+ * index.html's <noscript> block for crawlers and visitors without
+ * JavaScript (written by scripts/build-content.js).
+ */
+import { npcName } from '../entities/NPC.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Markup for the classic page's sections
+ * @param {object} content — { buildings, npcs, skills, environment }, see contentLoader.js
+ * @returns {string}
+ */
+export function renderClassicHtml(content) {
+    const byX = (a, b) => a.x - b.x;
+    const buildings = [...content.buildings].sort(byX);
+    const houses = buildings.filter(b => b.type !== 'office');
+    const offices = buildings.filter(b => b.type === 'office');
+
+    return [
+        section('projects', 'Projects', houses.map(projectCard)),
+        section('experience', 'Experience', offices.map(projectCard)),
+        section('skills', 'Skills', [
+            '<ul class="classic-skills">',
+            ...[...content.skills].sort(byX).map(skillItem),
+            '</ul>'
+        ]),
+        section('neighbors', 'Around the Neighborhood', [...content.npcs].sort(byX).map(npcQuote))
+    ].filter(Boolean).join('\n');
+}
+
+function section(id, title, body) {
+    if (body.length === 0) return '';
+    return [
+        `<section class="classic-section" aria-labelledby="classic-${id}">`,
+        indent(`<h2 class="classic-section-title" id="classic-${id}">${title}</h2>`),
+        ...body.map(indent),
+        '</section>'
+    ].join('\n');
+}
+
+/**
+ * One building's project, as the modal shows it
+ */
+function projectCard(building) {
+    const project = building.project;
+    const name = escapeHtml(project.name);
+    const lines = [
+        `<article class="classic-card" id="project-${escapeHtml(building.id)}">`,
+        `    <h3 class="classic-card-title">${name}</h3>`
+    ];
+    if (building.label !== project.name) {
+        lines.push(`    <p class="classic-card-place">${escapeHtml(building.label)}</p>`);
+    }
+    lines.push(`    <p>${escapeHtml(project.description)}</p>`);
+
+    lines.push('    <ul class="modal-tech-stack classic-tech-stack" aria-label="Tech stack">');
+    for (const tech of project.techStack) {
+        lines.push(`        <li class="tech-pill">${escapeHtml(tech)}</li>`);
+    }
+    lines.push('    </ul>');
+
+    for (const src of project.screenshots || []) {
+        lines.push(`    <img class="classic-screenshot" src="${escapeHtml(src)}" alt="Screenshot of ${name}" loading="lazy">`);
+    }
+
+    const links = [];
+    if (project.github) links.push(link(project.github, 'modal-btn-github', 'GitHub'));
+    if (project.live) links.push(link(project.live, 'modal-btn-live', 'Live Demo'));
+    if (links.length > 0) {
+        lines.push('    <p class="classic-links">', ...links.map(l => '        ' + l), '    </p>');
+    }
+
+    lines.push('</article>');
+    return lines.join('\n');
+}
+
+function link(href, className, text) {
+    return `<a class="modal-btn ${className}" href="${escapeHtml(href)}" target="_blank" rel="noopener">${text}</a>`;
+}
+
+function skillItem(skill) {
+    return indent(
+        `<li><span class="classic-skill-icon" aria-hidden="true">${escapeHtml(skill.icon)}</span> ` +
+        `<strong>${escapeHtml(skill.name)}</strong> — ${escapeHtml(skill.description)}</li>`
+    );
+}
+
+function npcQuote(npc) {
+    return [
+        '<figure class="classic-quote">',
+        `    <blockquote>${escapeHtml(npc.speech)}</blockquote>`,
+        `    <figcaption>${escapeHtml(npcName(npc))}</figcaption>`,
+        '</figure>'
+    ].join('\n');
+}
+
+function indent(text) {
+    return text.split('\n').map(line => '    ' + line).join('\n');
+}
+
+export class ClassicView {
+    /**
+     * @param {object} content — what the world was built from
+     */
+    constructor(content) {
+        this.content = content;
+
+        this.el = document.getElementById('classic-view');
+        this.contentEl = document.getElementById('classic-content');
+        this.titleEl = document.getElementById('classic-title');
+        this.toggleBtn = document.getElementById('classic-toggle');
+        this.toggleIcon = document.getElementById('classic-icon');
+        this.exitBtn = document.getElementById('classic-exit');
+
+        this.isOpen = false;
+        this._rendered = false;
+
+        // Callbacks
+        this.onOpen = null;  // after switching to the page
+        this.onClose = null; // after switching back to the world
+
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.toggle());
+        }
+        if (this.exitBtn) {
+            this.exitBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Switch to the classic page
+     */
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+
+        if (!this._rendered && this.contentEl) {
+            this.contentEl.innerHTML = renderClassicHtml(this.content);
+            this._rendered = true;
+        }
+
+        document.documentElement.setAttribute('data-view', 'classic');
+        if (this.el) this.el.classList.remove('hidden');
+        this._updateToggle();
+        if (this.titleEl) this.titleEl.focus();
+        if (this.onOpen) this.onOpen();
+    }
+
+    /**
+     * Back to the world
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        document.documentElement.removeAttribute('data-view');
+        if (this.el) this.el.classList.add('hidden');
+        this._updateToggle();
+        if (this.onClose) this.onClose();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    _updateToggle() {
+        if (this.toggleIcon) this.toggleIcon.textContent = this.isOpen ? '🏘️' : '📄';
+        if (this.toggleBtn) {
+            const label = this.isOpen ? 'Back to the neighborhood' : 'Classic view';
+            this.toggleBtn.title = label;
+            this.toggleBtn.setAttribute('aria-label', label);
+        }
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * ClockSlider.js — Dev-mode slider for scrubbing the day cycle through
+ * the 24 hours (see DayCycle.js). Dragging it holds the clock at the
+ * chosen hour; otherwise it follows the clock as it runs.
+ */
+import { formatHours } from './DayCycle.js';
+
+export class ClockSlider {
+    /**
+     * @param {DayCycle} dayCycle
+     * @param {boolean} enabled — shown only in dev mode
+     */
+    constructor(dayCycle, enabled) {
+        this.dayCycle = dayCycle;
+        this.el = document.getElementById('clock-slider');
+        this.rangeEl = document.getElementById('clock-slider-range');
+        this.timeEl = document.getElementById('clock-slider-time');
+
+        this.enabled = enabled;
+        if (!enabled || !this.el) return;
+
+        this.el.classList.remove('hidden');
+        if (this.rangeEl) {
+            this.rangeEl.addEventListener('input', () => this.dayCycle.scrub(Number(this.rangeEl.value)));
+        }
+        this.update();
+    }
+
+    /**
+     * Show the clock's hour (call each frame)
+     */
+    update() {
+        if (!this.enabled) return;
+        const hours = this.dayCycle.hours;
+        if (this.rangeEl && document.activeElement !== this.rangeEl) {
+            this.rangeEl.value = String(hours);
+        }
+        if (this.timeEl) this.timeEl.textContent = formatHours(hours);
+    }
+}
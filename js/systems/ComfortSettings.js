@@ -0,0 +1,92 @@
+/**
+ * ComfortSettings.js — Comfort (reduced-motion) mode for motion-sensitive
+ * visitors: no camera shake, sprint trails or parallax, a camera that
+ * snaps instead of gliding, fewer particles and dialogue that appears at
+ * once. Each system follows it through setReducedMotion().
+ *
+ * It starts out following the browser's prefers-reduced-motion setting.
+ * Once the visitor switches it from the pause menu, that choice is saved
+ * in localStorage and wins from then on.
+ */
+import { getLocalStorage } from '../utils/helpers.js';
+
+const STORAGE_KEY = 'neighborhood.comfortMode';
+
+/**
+ * The prefers-reduced-motion media query, or null where it can't be asked
+ * @returns {MediaQueryList|null}
+ */
+export function reducedMotionQuery() {
+    if (typeof window === 'undefined' || !window.matchMedia) return null;
+    return window.matchMedia('(prefers-reduced-motion: reduce)');
+}
+
+export class ComfortSettings {
+    /**
+     * @param {Storage|null} storage — defaults to window.localStorage when available
+     * @param {MediaQueryList|null} media — defaults to the prefers-reduced-motion query
+     */
+    constructor(storage = getLocalStorage(), media = reducedMotionQuery()) {
+        this.storage = storage;
+        this.media = media;
+
+        /** The visitor's own choice, or null to follow the browser */
+        this.saved = this._load();
+
+        this.enabled = this.saved ?? Boolean(media && media.matches);
+
+        // Callbacks
+        this.changeCallbacks = [];
+
+        // Follow the browser setting until the visitor picks
+        if (media && media.addEventListener) {
+            media.addEventListener('change', (e) => {
+                if (this.saved === null) this._set(e.matches);
+            });
+        }
+    }
+
+    /**
+     * Register a callback: fn(enabled) whenever the mode changes
+     */
+    onChange(fn) {
+        this.changeCallbacks.push(fn);
+    }
+
+    /**
+     * Switch the mode from the settings and remember the choice
+     */
+    toggle() {
+        this.saved = !this.enabled;
+        this._save();
+        this._set(this.saved);
+    }
+
+    /**
+     * Switch the mode for this visit only (e.g. to match a replay)
+     */
+    set(enabled) {
+        this._set(Boolean(enabled));
+    }
+
+    _set(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        for (const fn of this.changeCallbacks) fn(enabled);
+    }
+
+    _load() {
+        if (!this.storage) return null;
+        const value = this.storage.getItem(STORAGE_KEY);
+        return value === 'on' ? true : value === 'off' ? false : null;
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, this.saved ? 'on' : 'off');
+        } catch {
+            // Storage full or blocked (private mode) — kept for this visit only
+        }
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * ControlsPanel.js — Key rebinding screen, opened from the pause menu.
+ * Lists every action with its keys; click a key (or ＋) and press the new
+ * key to rebind it. Backspace/Delete removes the key being rebound,
+ * Escape cancels. Keys already used by another action are refused with a
+ * message naming that action.
+ */
+import { ACTIONS, MAX_KEYS_PER_ACTION, RESERVED_KEYS, keyLabel } from '../engine/KeyBindings.js';
+
+export class ControlsPanel {
+    /**
+     * @param {KeyBindings} bindings
+     */
+    constructor(bindings) {
+        this.bindings = bindings;
+        this.panel = document.getElementById('controls-panel');
+        this.listEl = document.getElementById('controls-list');
+        this.messageEl = document.getElementById('controls-message');
+        this.resetBtn = document.getElementById('controls-reset');
+        this.backBtn = document.getElementById('controls-back');
+        this.openBtn = document.getElementById('pause-controls');
+        this.pauseContent = document.querySelector('#pause-menu .pause-content');
+
+        this.isOpen = false;
+
+        /** Slot waiting for a key: { action, index }, or null */
+        this.capturing = null;
+
+        if (this.openBtn) {
+            this.openBtn.addEventListener('click', () => this.open());
+        }
+        if (this.backBtn) {
+            this.backBtn.addEventListener('click', () => this.close());
+        }
+        if (this.resetBtn) {
+            this.resetBtn.addEventListener('click', () => {
+                this.bindings.reset();
+                this._setMessage('Controls reset to defaults.');
+            });
+        }
+
+        this.bindings.onChange(() => this._renderList());
+
+        // Capture phase: while open, keys rebind instead of reaching the game or pause menu
+        window.addEventListener('keydown', (e) => this._onKeyDown(e), true);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.capturing = null;
+        this._setMessage('');
+        this._renderList();
+        if (this.panel) this.panel.classList.remove('hidden');
+        if (this.pauseContent) this.pauseContent.classList.add('hidden');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.capturing = null;
+        if (this.panel) this.panel.classList.add('hidden');
+        if (this.pauseContent) this.pauseContent.classList.remove('hidden');
+    }
+
+    _onKeyDown(e) {
+        if (!this.isOpen) return;
+        const key = e.key.toLowerCase();
+
+        // Let Tab move focus between the panel's buttons
+        if (key === 'tab' && !this.capturing) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.repeat) return;
+
+        if (!this.capturing) {
+            if (key === 'escape') this.close();
+            else if (key === 'enter' || key === ' ') document.activeElement?.click?.();
+            return;
+        }
+
+        const { action, index } = this.capturing;
+        if (key === 'escape') {
+            this._stopCapture('');
+            return;
+        }
+        if (key === 'backspace' || key === 'delete') {
+            const removed = this.bindings.unbind(action, index);
+            this._stopCapture(removed ? '' : 'Every action needs at least one key.');
+            return;
+        }
+
+        const result = this.bindings.bind(action, index, key);
+        if (result.ok) {
+            this._stopCapture('');
+        } else if (result.reason === 'conflict') {
+            const owner = ACTIONS.find(a => a.id === result.conflict);
+            this._setMessage(`${keyLabel(key)} is already used for ${owner ? owner.label : result.conflict}. Press another key.`);
+        } else if (result.reason === 'reserved') {
+            this._setMessage(`${keyLabel(key)} is reserved (${RESERVED_KEYS.map(keyLabel).join(', ')}). Press another key.`);
+        }
+    }
+
+    _startCapture(action, index) {
+        this.capturing = { action, index };
+        this._setMessage('Press a key… (Backspace removes it, Esc cancels)');
+        this._renderList();
+    }
+
+    _stopCapture(message) {
+        this.capturing = null;
+        this._setMessage(message);
+        this._renderList();
+    }
+
+    _setMessage(text) {
+        if (this.messageEl) this.messageEl.textContent = text;
+    }
+
+    _renderList() {
+        if (!this.listEl) return;
+        this.listEl.innerHTML = '';
+
+        for (const { id, label } of ACTIONS) {
+            const row = document.createElement('div');
+            row.className = 'controls-row';
+
+            const name = document.createElement('span');
+            name.className = 'controls-action';
+            name.textContent = label;
+            row.appendChild(name);
+
+            const keys = this.bindings.get(id);
+            const slots = keys.length < MAX_KEYS_PER_ACTION ? [...keys, null] : keys;
+            slots.forEach((key, index) => {
+                const isCapturing = this.capturing && this.capturing.action === id && this.capturing.index === index;
+                const btn = document.createElement('button');
+                btn.className = key === null ? 'controls-key controls-key-add' : 'controls-key';
+                btn.classList.toggle('is-capturing', Boolean(isCapturing));
+                btn.textContent = isCapturing ? '…' : (key === null ? '＋' : keyLabel(key));
+                btn.title = key === null ? `Add a key for ${label}` : `Rebind ${label}`;
+                btn.addEventListener('click', () => this._startCapture(id, index));
+                row.appendChild(btn);
+                if (isCapturing) btn.focus();
+            });
+
+            this.listEl.appendChild(row);
+        }
+    }
+}
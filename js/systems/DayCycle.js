@@ -0,0 +1,189 @@
+/**
+ * DayCycle.js — A continuous 0–24h time of day for the world.
+ *
+ * Modes:
+ *  - 'manual': no clock, the T key and theme button switch day and night
+ *  - 'local':  the visitor's own clock
+ *  - 'fast':   a whole day every FAST_DAY_SECONDS
+ *  - 'debug':  held wherever the dev slider puts it (not saved)
+ *
+ * The clock only moves with game steps (update(dt)), so a recording
+ * replays at the same times of day; the pure helpers below turn the hour
+ * into how dark it is and how golden the light is.
+ */
+import { clamp, getLocalStorage } from '../utils/helpers.js';
+
+/** Modes the pause menu cycles through */
+export const DAY_MODES = ['manual', 'local', 'fast'];
+
+const FAST_DAY_SECONDS = 240;
+const STORAGE_KEY = 'neighborhood.timeOfDay';
+
+// Sunrise and sunset, and how long the sky takes to turn around them
+const SUNRISE = 6.5;
+const SUNSET = 19;
+const TWILIGHT = 1.5;
+
+function smoothstep(edge0, edge1, x) {
+    const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Hours wrapped into [0, 24)
+ */
+export function wrapHours(hours) {
+    return ((hours % 24) + 24) % 24;
+}
+
+/**
+ * The time on the visitor's clock, in hours
+ * @param {Date} date
+ */
+export function localHours(date = new Date()) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+/**
+ * How dark it is: 0 by day, 1 by night, easing through dawn and dusk
+ * (0.5 at sunrise and sunset)
+ */
+export function nightAmount(hours) {
+    const h = wrapHours(hours);
+    const half = TWILIGHT / 2;
+    const daylight = smoothstep(SUNRISE - half, SUNRISE + half, h) * (1 - smoothstep(SUNSET - half, SUNSET + half, h));
+    return 1 - daylight;
+}
+
+/**
+ * How warm the light is: peaks just after sunrise and in the golden hour
+ * before sunset, 0 the rest of the day and night
+ */
+export function goldenAmount(hours) {
+    const h = wrapHours(hours);
+    const bump = (centre, width) => smoothstep(0, 1, 1 - Math.abs(h - centre) / width);
+    return Math.max(bump(SUNRISE + 0.25, 1.25), bump(SUNSET - 0.5, 1.5));
+}
+
+/**
+ * Where the sun and moon are along their arcs: 0 rising in the east, 1
+ * setting in the west, below the horizon outside [0, 1]
+ * @returns {{ sun: number, moon: number }}
+ */
+export function skyArc(hours) {
+    const h = wrapHours(hours);
+    const nightLength = 24 - (SUNSET - SUNRISE);
+    return {
+        sun: (h - SUNRISE) / (SUNSET - SUNRISE),
+        moon: wrapHours(h - SUNSET) / nightLength
+    };
+}
+
+/**
+ * The hour as the slider and pause menu show it, e.g. "07:05"
+ */
+export function formatHours(hours) {
+    const minutes = Math.floor(wrapHours(hours) * 60);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+export class DayCycle {
+    /**
+     * @param {Storage|null} storage — defaults to window.localStorage when available
+     * @param {function(): Date} now — the visitor's clock
+     */
+    constructor(storage = getLocalStorage(), now = () => new Date()) {
+        this.storage = storage;
+        this.now = now;
+
+        this.mode = this._load();
+        this.hours = localHours(now());
+
+        // Callbacks
+        this.changeCallbacks = [];
+    }
+
+    /**
+     * True when the clock, rather than the T key, sets day and night
+     */
+    get isActive() {
+        return this.mode !== 'manual';
+    }
+
+    get isNight() {
+        return nightAmount(this.hours) >= 0.5;
+    }
+
+    /**
+     * Register a callback: fn(mode, hours) when the mode changes or the
+     * clock jumps (not as it ticks)
+     */
+    onChange(fn) {
+        this.changeCallbacks.push(fn);
+    }
+
+    /**
+     * Advance the clock by one game step
+     */
+    update(dt) {
+        if (this.mode === 'local') {
+            this.hours = wrapHours(this.hours + dt / 3600);
+        } else if (this.mode === 'fast') {
+            this.hours = wrapHours(this.hours + dt * 24 / FAST_DAY_SECONDS);
+        }
+    }
+
+    /**
+     * Switch to the next mode from the settings and remember it
+     */
+    nextMode() {
+        const index = DAY_MODES.indexOf(this.mode);
+        const mode = DAY_MODES[(index + 1) % DAY_MODES.length];
+        this._set(mode, mode === 'local' ? localHours(this.now()) : this.hours);
+        this._save();
+    }
+
+    /**
+     * Set the mode and hour for this visit only (e.g. to match a replay)
+     */
+    set(mode, hours) {
+        this._set(mode, wrapHours(hours));
+    }
+
+    /**
+     * Hold the clock at an hour (the dev slider)
+     */
+    scrub(hours) {
+        this._set('debug', wrapHours(hours));
+    }
+
+    /**
+     * Catch the 'local' clock up with the visitor's, e.g. after a pause
+     */
+    syncToClock() {
+        if (this.mode === 'local') this._set('local', localHours(this.now()));
+    }
+
+    _set(mode, hours) {
+        if (mode === this.mode && hours === this.hours) return;
+        this.mode = mode;
+        this.hours = hours;
+        for (const fn of this.changeCallbacks) fn(mode, hours);
+    }
+
+    _load() {
+        if (!this.storage) return 'manual';
+        const value = this.storage.getItem(STORAGE_KEY);
+        return DAY_MODES.includes(value) ? value : 'manual';
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, this.mode);
+        } catch {
+            // Storage full or blocked (private mode) — kept for this visit only
+        }
+    }
+}
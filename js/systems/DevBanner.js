@@ -0,0 +1,47 @@
+/**
+ * DevBanner.js — On-screen banner for developer-facing problems
+ * (e.g. world content that failed validation). Only shown in dev mode:
+ * on localhost or when the URL carries ?dev.
+ */
+export class DevBanner {
+    constructor() {
+        this.banner = document.getElementById('dev-banner');
+        this.titleEl = document.getElementById('dev-banner-title');
+        this.listEl = document.getElementById('dev-banner-list');
+        this.closeBtn = document.getElementById('dev-banner-close');
+
+        const params = new URLSearchParams(window.location.search);
+        const host = window.location.hostname;
+        this.isDevMode = params.has('dev') || host === 'localhost' || host === '127.0.0.1';
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.hide());
+        }
+    }
+
+    /**
+     * Show a list of messages under a title
+     * @param {string} title
+     * @param {string[]} messages
+     */
+    show(title, messages) {
+        if (!this.isDevMode) return;
+        console.warn(`[${title}]\n` + messages.join('\n'));
+        if (!this.banner) return;
+
+        if (this.titleEl) this.titleEl.textContent = title;
+        if (this.listEl) {
+            this.listEl.innerHTML = '';
+            for (const msg of messages) {
+                const li = document.createElement('li');
+                li.textContent = msg;
+                this.listEl.appendChild(li);
+            }
+        }
+        this.banner.classList.remove('hidden');
+    }
+
+    hide() {
+        if (this.banner) this.banner.classList.add('hidden');
+    }
+}
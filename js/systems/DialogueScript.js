@@ -0,0 +1,161 @@
+/**
+ * DialogueScript.js — Branching conversation trees for NPCs.
+ *
+ * Each NPC may carry a `dialogue` script (worldData.js / world.json):
+ *
+ *   dialogue: {
+ *       start: 'hello',
+ *       nodes: {
+ *           hello: {
+ *               text: 'Hi! First time in the neighborhood?',
+ *               actions: ['set:metGuide'],                  // run when the node is shown
+ *               choices: [
+ *                   { text: 'What is there to see?', next: 'tour' },
+ *                   { text: 'Show me the ML project', if: '!visited:house-ml', actions: ['openProject:house-ml'] },
+ *                   { text: 'Bye!' }                         // no next → conversation ends
+ *               ]
+ *           },
+ *           tour: { text: '...', next: 'hello' }           // no choices → "Continue" to next
+ *       }
+ *   }
+ *
+ * Conditions (`if`): 'visited:<buildingId>', 'flag:<name>', 'night', 'day';
+ * prefix with '!' to negate, or give an array that must all hold.
+ * Actions: 'openProject:<buildingId>', 'teleport:<buildingId>',
+ * 'set:<flag>', 'clear:<flag>'. openProject and teleport take the visitor
+ * out of the conversation, so it ends after them.
+ */
+export const CONDITION_TYPES = ['visited', 'flag', 'night', 'day'];
+export const ACTION_TYPES = ['openProject', 'teleport', 'set', 'clear'];
+
+/** Actions that hand control back to the world */
+const LEAVING_ACTIONS = ['openProject', 'teleport'];
+
+/**
+ * Split 'type:arg' (optionally '!type:arg') into parts
+ * @returns {{ negate: boolean, type: string, arg: string|null }}
+ */
+export function parseDirective(text) {
+    const negate = text.startsWith('!');
+    const body = negate ? text.slice(1) : text;
+    const colon = body.indexOf(':');
+    return colon === -1
+        ? { negate, type: body, arg: null }
+        : { negate, type: body.slice(0, colon), arg: body.slice(colon + 1) };
+}
+
+/**
+ * Script used for NPCs that only have a speech line
+ */
+export function speechScript(speech) {
+    return {
+        start: 'speech',
+        nodes: { speech: { text: speech } }
+    };
+}
+
+export class Conversation {
+    /**
+     * @param {object} script — { start, nodes } (see module docs)
+     * @param {object} context — { visited: Set, flags: Set, isNight: boolean }
+     * @param {function} onAction — fn(type, arg) for openProject / teleport
+     */
+    constructor(script, context, onAction = null) {
+        this.script = script;
+        this.context = context;
+        this.onAction = onAction;
+
+        this.nodeId = null;
+        this.isOver = false;
+    }
+
+    /**
+     * Enter the start node
+     * @returns {object} view — { text, choices: [{ text }] }
+     */
+    start() {
+        return this._goto(this.script.start);
+    }
+
+    /**
+     * The current node as shown to the visitor: its text and the choices
+     * whose conditions hold (with a default Continue / Goodbye)
+     */
+    view() {
+        const node = this.script.nodes[this.nodeId];
+        return { text: node.text, choices: this._choices(node).map(c => ({ text: c.text })) };
+    }
+
+    /**
+     * Pick one of the choices from view()
+     * @returns {object|null} the next view, or null when the conversation ends
+     */
+    choose(index) {
+        if (this.isOver) return null;
+        const choice = this._choices(this.script.nodes[this.nodeId])[index];
+        if (!choice) return this.view();
+
+        const left = this._run(choice.actions);
+        if (left || !choice.next) return this._end();
+        return this._goto(choice.next);
+    }
+
+    _goto(nodeId) {
+        this.nodeId = nodeId;
+        const node = this.script.nodes[nodeId];
+        if (this._run(node.actions)) return this._end();
+        return this.view();
+    }
+
+    _end() {
+        this.isOver = true;
+        return null;
+    }
+
+    _choices(node) {
+        const available = (node.choices || []).filter(c => this.test(c.if));
+        if (available.length > 0) return available;
+        return node.next
+            ? [{ text: 'Continue →', next: node.next }]
+            : [{ text: 'Goodbye' }];
+    }
+
+    /**
+     * Evaluate an `if` condition (string or array of strings)
+     */
+    test(condition) {
+        if (condition === undefined) return true;
+        if (Array.isArray(condition)) return condition.every(c => this.test(c));
+
+        const { negate, type, arg } = parseDirective(condition);
+        let result;
+        switch (type) {
+            case 'visited': result = this.context.visited.has(arg); break;
+            case 'flag': result = this.context.flags.has(arg); break;
+            case 'night': result = this.context.isNight; break;
+            case 'day': result = !this.context.isNight; break;
+            default: result = false;
+        }
+        return negate ? !result : result;
+    }
+
+    /**
+     * Run a list of actions
+     * @returns {boolean} whether one of them left the conversation
+     */
+    _run(actions = []) {
+        let left = false;
+        for (const action of actions) {
+            const { type, arg } = parseDirective(action);
+            if (type === 'set') {
+                this.context.flags.add(arg);
+            } else if (type === 'clear') {
+                this.context.flags.delete(arg);
+            } else if (LEAVING_ACTIONS.includes(type)) {
+                if (this.onAction) this.onAction(type, arg);
+                left = true;
+            }
+        }
+        return left;
+    }
+}
@@ -1,9 +1,41 @@
 /**
  * DialogueSystem.js — RPG-style dialogue box controller.
  * Shows NPC dialogue with typewriter text effect and action buttons.
+ * Branching NPC conversations (see DialogueScript.js) show their choices
+ * as buttons: ↑/↓ (or the jump key / S) move between them, Enter/Space or
+ * the interact key picks one, number keys pick directly, and the same keys
+ * skip the typewriter.
  */
+
+/** Keys that always pick or skip, whatever the bindings */
+const CONFIRM_KEYS = ['enter', ' '];
+
+/**
+ * What a key does while a dialogue is open: 'confirm', 'up', 'down', a
+ * choice number (1–9), or null to leave it to the game. Up follows the
+ * visitor's jump keys (W by default) and the interact key confirms; S and
+ * the digits give way to any action they have been bound to.
+ * @param {string} key — lower-cased KeyboardEvent.key
+ * @param {KeyBindings|null} bindings
+ * @returns {'confirm'|'up'|'down'|number|null}
+ */
+export function dialogueKey(key, bindings = null) {
+    const keysFor = (action, fallback) => (bindings ? bindings.get(action) : fallback);
+    const isFree = (k) => !bindings || bindings.actionFor(k) === null;
+
+    if (CONFIRM_KEYS.includes(key) || keysFor('interact', ['e']).includes(key)) return 'confirm';
+    if (key === 'arrowup' || keysFor('jump', ['w']).includes(key)) return 'up';
+    if (key === 'arrowdown' || (key === 's' && isFree(key))) return 'down';
+    if (/^[1-9]$/.test(key) && isFree(key)) return Number(key);
+    return null;
+}
+
 export class DialogueSystem {
-    constructor() {
+    /**
+     * @param {KeyBindings} [bindings] — for the visitor's interact and jump keys (E and W by default)
+     */
+    constructor(bindings = null) {
+        this.bindings = bindings;
         this.container = document.getElementById('dialogue-box');
         this.npcNameEl = document.getElementById('dialogue-npc-name');
         this.textEl = document.getElementById('dialogue-text');
@@ -11,14 +43,25 @@ export class DialogueSystem {
         this.closeBtn = document.getElementById('dialogue-close');
 
         this.isOpen = false;
+        this.isPaused = false;
         this.currentData = null;
+        this.conversation = null;
         this.typewriterTimer = null;
+        this.typewriterSkip = null;  // finishes the current line instantly
+        this.instantText = false;    // comfort mode: lines appear whole
+        this.buttons = [];
+        this.focusIndex = 0;
         this.onEnterProject = null; // callback
+        this.onSelect = null;       // callback(index) when a button is picked
+        this.onClose = null;        // callback after closing
 
         // Close button
         if (this.closeBtn) {
             this.closeBtn.addEventListener('click', () => this.close());
         }
+
+        // Capture phase, so keys used by the dialogue never reach the game input
+        window.addEventListener('keydown', (e) => this._onKeyDown(e), true);
     }
 
     /**
@@ -34,7 +77,7 @@ export class DialogueSystem {
         if (this.textEl) this.textEl.textContent = '';
 
         // Clear previous actions
-        if (this.actionsEl) this.actionsEl.innerHTML = '';
+        this._renderButtons([]);
 
         // Show container
         if (this.container) {
@@ -45,21 +88,148 @@ export class DialogueSystem {
         const fullText = building.project.description;
         this._typewrite(fullText, () => {
             // Show action button after text is done
-            if (this.actionsEl) {
-                const btn = document.createElement('button');
-                btn.className = 'dialogue-btn';
-                btn.textContent = 'Enter Project →';
-                btn.addEventListener('click', () => {
+            this._renderButtons([{
+                text: 'Enter Project →',
+                onSelect: () => {
                     if (this.onEnterProject) {
                         this.onEnterProject(building);
                     }
                     this.close();
-                });
-                this.actionsEl.appendChild(btn);
-            }
+                }
+            }]);
         });
     }
 
+    /**
+     * Open a branching conversation with an NPC
+     * @param {string} name — speaker shown in the header
+     * @param {Conversation} conversation — see DialogueScript.js
+     */
+    openConversation(name, conversation) {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.conversation = conversation;
+
+        if (this.npcNameEl) this.npcNameEl.textContent = name;
+        if (this.container) {
+            this.container.classList.remove('hidden');
+        }
+
+        const view = conversation.start();
+        if (view) {
+            this._showNode(view);
+        } else {
+            this.close();
+        }
+    }
+
+    _showNode(view) {
+        if (this.textEl) this.textEl.textContent = '';
+        this._renderButtons([]);
+
+        this._typewrite(view.text, () => {
+            this._renderButtons(view.choices.map((choice, i) => ({
+                text: view.choices.length > 1 ? `${i + 1}. ${choice.text}` : choice.text,
+                onSelect: () => this._choose(i)
+            })));
+        });
+    }
+
+    _choose(index) {
+        if (!this.conversation) return;
+        const next = this.conversation.choose(index);
+        if (next) {
+            this._showNode(next);
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * Replace the action row with buttons: [{ text, onSelect }]
+     */
+    _renderButtons(items) {
+        this.buttons = [];
+        this.focusIndex = 0;
+        if (!this.actionsEl) return;
+
+        this.actionsEl.innerHTML = '';
+        this.actionsEl.classList.toggle('dialogue-choices', items.length > 1);
+        items.forEach((item, index) => {
+            const btn = document.createElement('button');
+            btn.className = 'dialogue-btn';
+            btn.textContent = item.text;
+            btn.addEventListener('click', () => {
+                if (this.onSelect) this.onSelect(index);
+                item.onSelect();
+            });
+            this.actionsEl.appendChild(btn);
+            this.buttons.push(btn);
+        });
+        this._focus(0);
+    }
+
+    _focus(index) {
+        if (this.buttons.length === 0) return;
+        this.focusIndex = (index + this.buttons.length) % this.buttons.length;
+        this.buttons.forEach((btn, i) => btn.classList.toggle('is-focused', i === this.focusIndex));
+        this.buttons[this.focusIndex].focus();
+    }
+
+    /**
+     * Finish the current line, or pick the focused choice (Enter / gamepad A)
+     */
+    confirm() {
+        if (!this.isOpen || this.isPaused) return;
+        if (this.typewriterSkip) {
+            this.typewriterSkip();
+        } else if (this.buttons.length > 0) {
+            this.buttons[this.focusIndex].click();
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * Pick a button by index, finishing the line first if it is still
+     * typing (used when replaying a recording)
+     */
+    select(index) {
+        if (!this.isOpen) return;
+        if (this.typewriterSkip) this.typewriterSkip();
+        const btn = this.buttons[index];
+        if (btn) btn.click();
+    }
+
+    /**
+     * Move the choice focus up (-1) or down (+1)
+     */
+    moveFocus(delta) {
+        if (!this.isOpen || this.isPaused) return;
+        this._focus(this.focusIndex + delta);
+    }
+
+    _onKeyDown(e) {
+        if (!this.isOpen || this.isPaused) return;
+        const action = dialogueKey(e.key.toLowerCase(), this.bindings);
+        if (action === null) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.repeat) return;
+
+        if (action === 'confirm') {
+            this.confirm();
+        } else if (action === 'down') {
+            this.moveFocus(1);
+        } else if (action === 'up') {
+            this.moveFocus(-1);
+        } else if (!this.typewriterSkip) {
+            const btn = this.buttons[action - 1];
+            if (btn) btn.click();
+        }
+    }
+
     /**
      * Typewriter text reveal
      */
@@ -69,24 +239,54 @@ export class DialogueSystem {
         let index = 0;
         const speed = 18; // ms per character
 
+        const finish = () => {
+            clearInterval(this.typewriterTimer);
+            this.typewriterTimer = null;
+            this.typewriterSkip = null;
+            if (this.textEl) this.textEl.textContent = text;
+            if (onComplete) onComplete();
+        };
+        this.typewriterSkip = finish;
+        if (this.instantText) {
+            finish();
+            return;
+        }
+
         this.typewriterTimer = setInterval(() => {
+            if (this.isPaused) return;
             if (index < text.length) {
                 if (this.textEl) this.textEl.textContent += text[index];
                 index++;
             } else {
-                clearInterval(this.typewriterTimer);
-                this.typewriterTimer = null;
-                if (onComplete) onComplete();
+                finish();
             }
         }, speed);
     }
 
+    /**
+     * Comfort mode: show each line at once instead of typing it out
+     */
+    setReducedMotion(reduced) {
+        this.instantText = reduced;
+    }
+
+    /**
+     * Hold the typewriter while the world is paused
+     */
+    setPaused(isPaused) {
+        this.isPaused = isPaused;
+    }
+
     /**
      * Close dialogue
      */
     close() {
+        const wasOpen = this.isOpen;
         this.isOpen = false;
         this.currentData = null;
+        this.conversation = null;
+        this.typewriterSkip = null;
+        this.buttons = [];
 
         if (this.typewriterTimer) {
             clearInterval(this.typewriterTimer);
@@ -96,5 +296,6 @@ export class DialogueSystem {
         if (this.container) {
             this.container.classList.add('hidden');
         }
+        if (wasOpen && this.onClose) this.onClose();
     }
 }
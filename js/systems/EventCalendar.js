@@ -0,0 +1,114 @@
+/**
+ * EventCalendar.js — Holidays and special dates (EVENTS in worldData.js).
+ *
+ * The event for a visit is picked once, at startup, from the visitor's
+ * date (or ?event= to preview one) and laid over the world content before
+ * anything is built from it: signs and NPC lines are swapped (an NPC with
+ * a dialogue script opens it with the event's line) and every building
+ * carries the event's decorations. Its particles (fireworks) are
+ * switched on in ParticleSystem.setEvent().
+ *
+ * Recordings keep the event's id, so a replay looks the same whatever
+ * day it is watched on.
+ */
+import { EVENTS } from '../world/worldData.js';
+
+/**
+ * 'MM-DD' as a number that sorts by date, e.g. '12-31' → 1231
+ */
+function monthDay(text) {
+    const [month, day] = text.split('-').map(Number);
+    return month * 100 + day;
+}
+
+/**
+ * Whether a date falls in a { from, to } range (inclusive); ranges with
+ * `to` before `from` run over New Year
+ * @param {Date} date
+ * @param {{ from: string, to: string }} range
+ */
+export function isInRange(date, range) {
+    const today = (date.getMonth() + 1) * 100 + date.getDate();
+    const from = monthDay(range.from);
+    const to = monthDay(range.to);
+    return from <= to ? today >= from && today <= to : today >= from || today <= to;
+}
+
+/**
+ * The event on a date, or null; the first listed wins if two overlap
+ * @param {Date} date
+ * @param {object[]} events
+ */
+export function activeEvent(date = new Date(), events = EVENTS) {
+    return events.find(event => event.dates.some(range => isInRange(date, range))) || null;
+}
+
+/**
+ * An event by id, or null (for 'none', unknown ids and no id)
+ */
+export function findEvent(id, events = EVENTS) {
+    return events.find(event => event.id === id) || null;
+}
+
+/**
+ * The event for this visit: ?event=<id> previews one and ?event=none turns
+ * them off; otherwise the date decides
+ * @param {string|null} override — from the URL
+ * @param {Date} date
+ * @param {object[]} events
+ */
+export function pickEvent(override, date = new Date(), events = EVENTS) {
+    if (override) return findEvent(override, events);
+    return activeEvent(date, events);
+}
+
+/**
+ * World content with an event laid over it. The content passed in is left
+ * as it is (it may be the bundled worldData.js exports).
+ * @param {object} content — { buildings, npcs, skills, environment }, see contentLoader.js
+ * @param {object|null} event — from EVENTS
+ * @returns {object} content of the same shape
+ */
+export function applyEvent(content, event) {
+    if (!event) return content;
+
+    const lines = event.npcs || {};
+    const decorations = event.decorations || [];
+
+    // Signs with a role take over the text of the content's sign with that
+    // role (wherever it stands); signs with an x are added there
+    const signs = [...content.environment.signs];
+    for (const sign of event.signs || []) {
+        const index = sign.role ? signs.findIndex(s => s.role === sign.role) : -1;
+        if (index >= 0) {
+            signs[index] = { ...signs[index], text: sign.text };
+        } else if (typeof sign.x === 'number') {
+            signs.push({ ...sign });
+        }
+    }
+    signs.sort((a, b) => a.x - b.x);
+
+    return {
+        ...content,
+        buildings: content.buildings.map(b => ({ ...b, decorations })),
+        npcs: content.npcs.map(n => (n.id in lines ? withEventLine(n, lines[n.id]) : n)),
+        environment: { ...content.environment, signs }
+    };
+}
+
+/**
+ * An NPC saying an event's line: in its bubble, and first in its
+ * conversation, which then carries on as usual
+ */
+function withEventLine(npc, line) {
+    if (!npc.dialogue) return { ...npc, speech: line };
+
+    const { start, nodes } = npc.dialogue;
+    let id = 'event';
+    for (let n = 2; id in nodes; n++) id = `event-${n}`;
+    return {
+        ...npc,
+        speech: line,
+        dialogue: { start: id, nodes: { ...nodes, [id]: { text: line, next: start } } }
+    };
+}
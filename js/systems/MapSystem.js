@@ -0,0 +1,324 @@
+/**
+ * MapSystem.js — Minimap strip in the HUD and the full-screen travel map.
+ *
+ * Both are laid out from the world's buildings, NPCs and skills, with
+ * world X scaled to a percentage of the strip. The minimap follows the
+ * player every frame; the big map (M, or a click on the minimap) lists
+ * every destination — each building and the Skills Park — and picking
+ * one fast-travels there. Places the visitor has reached are remembered
+ * in localStorage and ticked off on the map.
+ */
+import { getLocalStorage } from '../utils/helpers.js';
+
+const STORAGE_KEY = 'neighborhood.visitedPlaces';
+const VISIT_RANGE = 120; // px from a destination that counts as having been there
+const ZONE_RANGE = 400;  // px from a destination that counts as being in its part of town
+
+/**
+ * Fast-travel destinations, in world order: every building's door and
+ * the middle of the Skills Park
+ * @param {WorldBuilder} world
+ * @returns {Array<{ id: string, label: string, x: number, kind: 'building'|'park' }>}
+ */
+export function mapDestinations(world) {
+    const places = world.buildings.map(b => ({
+        id: b.id,
+        label: b.label,
+        x: b.x + b.width / 2,
+        kind: 'building'
+    }));
+
+    if (world.skills.length > 0) {
+        const xs = world.skills.map(s => s.x);
+        places.push({
+            id: 'skills-park',
+            label: 'Skills Park',
+            x: (Math.min(...xs) + Math.max(...xs)) / 2,
+            kind: 'park'
+        });
+    }
+
+    return places.sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Destination whose part of town a street position is in: the closest
+ * one within ZONE_RANGE, or null out in between
+ */
+export function destinationNear(destinations, x) {
+    let nearest = null;
+    for (const d of destinations) {
+        const distance = Math.abs(x - d.x);
+        if (distance <= ZONE_RANGE && (!nearest || distance < Math.abs(x - nearest.x))) nearest = d;
+    }
+    return nearest;
+}
+
+/**
+ * Ids of the places the visitor has been to, kept across visits
+ */
+export class VisitedPlaces {
+    /**
+     * @param {Storage|null} storage — defaults to window.localStorage when available
+     */
+    constructor(storage = getLocalStorage()) {
+        this.storage = storage;
+        this.ids = new Set();
+        this._load();
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    /**
+     * Remember a place
+     * @returns {boolean} whether it is new
+     */
+    add(id) {
+        if (this.ids.has(id)) return false;
+        this.ids.add(id);
+        this._save();
+        return true;
+    }
+
+    _load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                for (const id of saved) if (typeof id === 'string') this.ids.add(id);
+            }
+        } catch {
+            // Corrupt entry: start afresh
+        }
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify([...this.ids]));
+        } catch {
+            // Storage full or blocked (private mode) — remembered for this visit only
+        }
+    }
+}
+
+export class MapSystem {
+    /**
+     * @param {WorldBuilder} world
+     * @param {number} worldWidth — street width in px
+     * @param {VisitedPlaces} visited
+     */
+    constructor(world, worldWidth, visited = new VisitedPlaces()) {
+        this.world = world;
+        this.worldWidth = worldWidth;
+        this.visited = visited;
+        this.destinations = mapDestinations(world);
+
+        this.minimap = document.getElementById('minimap');
+        this.minimapTrack = document.getElementById('minimap-track');
+        this.overlay = document.getElementById('world-map');
+        this.backdrop = document.getElementById('world-map-backdrop');
+        this.closeBtn = document.getElementById('world-map-close');
+        this.mapTrack = document.getElementById('world-map-track');
+        this.placesEl = document.getElementById('world-map-places');
+
+        this.isOpen = false;
+
+        // Callbacks
+        this.onOpen = null;    // after opening
+        this.onClose = null;   // after closing without travelling
+        this.onTravel = null;  // fn(destination) after one is picked
+
+        // Keyboard / controller focus among the destination buttons
+        this.focusIndex = -1;
+
+        // Player markers, moved every frame
+        this._playerMarkers = [];
+        this._lastPlayerX = null;
+
+        this._placeButtons = new Map(); // destination id → button
+        this._build();
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+        if (this.backdrop) {
+            this.backdrop.addEventListener('click', () => this.close());
+        }
+
+        // Arrow keys move between destinations (Enter/Space click the focused one)
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveFocus(-1);
+            } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.moveFocus(1);
+            }
+        });
+    }
+
+    /**
+     * Show the full-screen map
+     */
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        if (this.overlay) this.overlay.classList.remove('hidden');
+        this.focusIndex = -1;
+        if (this.onOpen) this.onOpen();
+    }
+
+    /**
+     * Hide the map without travelling
+     */
+    close() {
+        const wasOpen = this.isOpen;
+        this._hide();
+        if (wasOpen && this.onClose) this.onClose();
+    }
+
+    /**
+     * Travel to a destination by id: hides the map and reports it via onTravel
+     */
+    select(id) {
+        const destination = this.destinations.find(d => d.id === id);
+        if (!destination) return;
+        this._hide();
+        if (this.onTravel) this.onTravel(destination);
+    }
+
+    /**
+     * Move focus to the previous (-1) or next (+1) destination
+     */
+    moveFocus(delta) {
+        const count = this.destinations.length;
+        if (!this.isOpen || count === 0) return;
+
+        const start = this.focusIndex === -1 && delta < 0 ? 0 : this.focusIndex;
+        this.focusIndex = (start + delta + count) % count;
+        this.destinations.forEach((d, i) => {
+            this._placeButtons.get(d.id)?.classList.toggle('is-focused', i === this.focusIndex);
+        });
+        this._placeButtons.get(this.destinations[this.focusIndex].id)?.focus();
+    }
+
+    /**
+     * Travel to the focused destination (gamepad A)
+     */
+    activateFocused() {
+        const destination = this.destinations[this.focusIndex];
+        if (this.isOpen && destination) this.select(destination.id);
+    }
+
+    /**
+     * Remember destinations near the player (call each step on the street)
+     */
+    visitNear(playerX) {
+        for (const d of this.destinations) {
+            if (Math.abs(playerX - d.x) <= VISIT_RANGE) this.markVisited(d.id);
+        }
+    }
+
+    /**
+     * Remember a destination (e.g. a building that was entered)
+     */
+    markVisited(id) {
+        if (!this.visited.add(id)) return;
+        const btn = this._placeButtons.get(id);
+        if (btn) btn.classList.add('is-visited');
+    }
+
+    /**
+     * Move the "you are here" markers (call each frame)
+     * @param {number} playerX — street position (the door when indoors)
+     */
+    update(playerX) {
+        const rounded = Math.round(playerX);
+        if (rounded === this._lastPlayerX) return;
+        this._lastPlayerX = rounded;
+        const left = this._percent(rounded);
+        for (const marker of this._playerMarkers) marker.style.left = left;
+    }
+
+    _hide() {
+        this.isOpen = false;
+        for (const btn of this._placeButtons.values()) btn.classList.remove('is-focused');
+        this.focusIndex = -1;
+        if (this.overlay) this.overlay.classList.add('hidden');
+    }
+
+    _percent(x) {
+        return (Math.max(0, Math.min(1, x / this.worldWidth)) * 100).toFixed(2) + '%';
+    }
+
+    // --- Markup ---
+
+    _build() {
+        for (const track of [this.minimapTrack, this.mapTrack]) {
+            if (track) this._buildTrack(track);
+        }
+        if (this.placesEl) this._buildPlaces();
+    }
+
+    /**
+     * Park band, buildings, NPC dots and a player marker along a strip
+     */
+    _buildTrack(track) {
+        track.innerHTML = '';
+        const { skills, buildings, npcs } = this.world;
+
+        if (skills.length > 0) {
+            const xs = skills.map(s => s.x);
+            const park = this._marker('map-park', Math.min(...xs) - 60);
+            park.style.width = this._percent(Math.max(...xs) - Math.min(...xs) + 120);
+            track.appendChild(park);
+        }
+
+        for (const b of buildings) {
+            const marker = this._marker('map-building', b.x);
+            marker.style.width = this._percent(b.width);
+            marker.style.background = b.color;
+            marker.title = b.label;
+            track.appendChild(marker);
+        }
+
+        for (const n of npcs) {
+            const marker = this._marker('map-npc', n.baseX);
+            marker.title = n.name;
+            track.appendChild(marker);
+        }
+
+        const player = this._marker('map-player', 0);
+        this._playerMarkers.push(player);
+        track.appendChild(player);
+    }
+
+    /**
+     * One button per destination, alternating above and below the strip
+     */
+    _buildPlaces() {
+        this.placesEl.innerHTML = '';
+        this.destinations.forEach((d, i) => {
+            const btn = document.createElement('button');
+            btn.className = `map-place map-place-${d.kind}` + (i % 2 === 1 ? ' map-place-low' : '');
+            btn.style.left = this._percent(d.x);
+            btn.textContent = d.label;
+            btn.setAttribute('aria-label', `Travel to ${d.label}`);
+            if (this.visited.has(d.id)) btn.classList.add('is-visited');
+            btn.addEventListener('click', () => this.select(d.id));
+            this._placeButtons.set(d.id, btn);
+            this.placesEl.appendChild(btn);
+        });
+    }
+
+    _marker(className, x) {
+        const el = document.createElement('div');
+        el.className = `map-marker ${className}`;
+        el.style.left = this._percent(x);
+        return el;
+    }
+}
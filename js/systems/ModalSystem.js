@@ -15,6 +15,12 @@ export class ModalSystem {
         this.liveBtn = document.getElementById('modal-btn-live');
 
         this.isOpen = false;
+        this.building = null; // whose project is showing
+        this.onOpen = null;   // callback(building) after opening
+        this.onClose = null;  // callback after closing
+
+        // Controller focus among the visible buttons (links, then close)
+        this.focusIndex = -1;
 
         // Close handlers
         if (this.closeBtn) {
@@ -39,6 +45,7 @@ export class ModalSystem {
     open(building) {
         if (this.isOpen) return;
         this.isOpen = true;
+        this.building = building;
 
         const project = building.project;
 
@@ -84,15 +91,51 @@ export class ModalSystem {
         if (this.modal) {
             this.modal.classList.remove('hidden');
         }
+        this.focusIndex = -1;
+        if (this.onOpen) this.onOpen(building);
+    }
+
+    /**
+     * Buttons a controller can move between, in on-screen order
+     */
+    _focusableButtons() {
+        return [this.githubBtn, this.liveBtn, this.closeBtn]
+            .filter(btn => btn && btn.style.display !== 'none');
+    }
+
+    /**
+     * Move controller focus to the previous (-1) or next (+1) button
+     */
+    moveFocus(delta) {
+        const buttons = this._focusableButtons();
+        if (!this.isOpen || buttons.length === 0) return;
+
+        const start = this.focusIndex === -1 && delta < 0 ? 0 : this.focusIndex;
+        this.focusIndex = (start + delta + buttons.length) % buttons.length;
+        buttons.forEach((btn, i) => btn.classList.toggle('is-focused', i === this.focusIndex));
+        buttons[this.focusIndex].focus();
+    }
+
+    /**
+     * Activate the focused button (gamepad A)
+     */
+    activateFocused() {
+        const btn = this._focusableButtons()[this.focusIndex];
+        if (this.isOpen && btn) btn.click();
     }
 
     /**
      * Close modal
      */
     close() {
+        const wasOpen = this.isOpen;
         this.isOpen = false;
+        this.building = null;
+        for (const btn of this._focusableButtons()) btn.classList.remove('is-focused');
+        this.focusIndex = -1;
         if (this.modal) {
             this.modal.classList.add('hidden');
         }
+        if (wasOpen && this.onClose) this.onClose();
     }
 }
@@ -0,0 +1,339 @@
+/**
+ * MusicSequencer.js — Generative background music on the Web Audio graph.
+ *
+ * Each season has a day and a night track: a tempo, a scale, a chord
+ * progression and a lead instrument. Every bar is composed from the seed,
+ * the track and the bar number, so the music keeps changing but the same
+ * bar always sounds the same. Instruments are built from oscillators and
+ * noise: a filtered sawtooth pad, a sine bass, a plucked or bell lead and
+ * noise hats.
+ *
+ * The sequencer works on any BaseAudioContext. AudioManager keeps it a
+ * little ahead of the live context on a timer; renderMusic() schedules a
+ * whole stretch at once on an OfflineAudioContext, for tests.
+ */
+import { Random } from '../utils/Random.js';
+
+/** Semitones above the root */
+export const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    majorPentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10]
+};
+
+/**
+ * Tracks by `${season}-${day|night}`. root is a MIDI note, progression
+ * the scale degree each bar's chord is built on, density how busy the
+ * lead is (0–1) and cutoff how bright the pad is (Hz).
+ */
+export const TRACKS = {
+    'spring-day': { tempo: 100, root: 62, scale: 'major', progression: [0, 4, 5, 3], lead: 'pluck', density: 0.55, hats: true, cutoff: 1800 },
+    'spring-night': { tempo: 72, root: 62, scale: 'majorPentatonic', progression: [0, 3, 1, 4], lead: 'bell', density: 0.3, hats: false, cutoff: 900 },
+    'summer-day': { tempo: 112, root: 67, scale: 'majorPentatonic', progression: [0, 2, 3, 0], lead: 'pluck', density: 0.65, hats: true, cutoff: 2400 },
+    'summer-night': { tempo: 76, root: 67, scale: 'lydian', progression: [0, 1, 4, 0], lead: 'bell', density: 0.35, hats: false, cutoff: 1100 },
+    'autumn-day': { tempo: 92, root: 57, scale: 'dorian', progression: [0, 3, 6, 4], lead: 'pluck', density: 0.5, hats: true, cutoff: 1400 },
+    'autumn-night': { tempo: 66, root: 57, scale: 'minorPentatonic', progression: [0, 2, 3, 1], lead: 'bell', density: 0.28, hats: false, cutoff: 700 },
+    'winter-day': { tempo: 84, root: 64, scale: 'minor', progression: [0, 5, 2, 6], lead: 'bell', density: 0.4, hats: false, cutoff: 1200 },
+    'winter-night': { tempo: 60, root: 64, scale: 'minorPentatonic', progression: [0, 3, 2, 4], lead: 'bell', density: 0.22, hats: false, cutoff: 600 }
+};
+
+const BEATS_PER_BAR = 4;
+const CROSSFADE_SECONDS = 3;
+const MUSIC_VOLUME = 0.5;
+const LEAD_STEPS = [-2, -1, -1, 0, 1, 1, 2]; // the lead wanders by small steps
+
+/**
+ * The track for a season and time of day
+ */
+export function trackFor(season, isNight) {
+    const id = `${season}-${isNight ? 'night' : 'day'}`;
+    return id in TRACKS ? id : `summer-${isNight ? 'night' : 'day'}`;
+}
+
+export function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * MIDI note of a scale degree (degrees past the scale's length climb an octave)
+ */
+export function scaleNote(track, degree, octave = 0) {
+    const scale = SCALES[track.scale];
+    const n = scale.length;
+    const wrapped = ((degree % n) + n) % n;
+    return track.root + scale[wrapped] + 12 * (Math.floor(degree / n) + octave);
+}
+
+/**
+ * The notes of one bar, always the same for the same seed, track and bar
+ * @returns {Array<{ voice: string, time: number, length: number, note: number, velocity: number }>}
+ *          time and length in beats; voice is 'pad', 'bass', 'lead' or 'hat'
+ */
+export function composeBar(trackId, bar, seed = 'music') {
+    const track = TRACKS[trackId];
+    const rng = new Random(`${seed}:${trackId}:${bar}`);
+    const chord = track.progression[bar % track.progression.length];
+    const n = SCALES[track.scale].length;
+    const events = [];
+
+    // Pad: the chord held through the bar
+    for (const step of [0, 2, 4]) {
+        events.push({ voice: 'pad', time: 0, length: BEATS_PER_BAR, note: scaleNote(track, chord + step), velocity: 0.5 });
+    }
+
+    // Bass: the root on the downbeat, and halfway through by day
+    const bassTimes = track.hats ? [0, 2] : [0];
+    for (const time of bassTimes) {
+        events.push({ voice: 'bass', time, length: BEATS_PER_BAR / bassTimes.length, note: scaleNote(track, chord, -2), velocity: 0.8 });
+    }
+
+    // Lead: a walk around the chord, an octave up, on eighth notes
+    let degree = chord + rng.pick([0, 2, 4]);
+    for (let slot = 0; slot < BEATS_PER_BAR * 2; slot++) {
+        if (rng.next() >= track.density) continue;
+        degree = Math.max(chord - 2, Math.min(chord + n + 2, degree + rng.pick(LEAD_STEPS)));
+        events.push({
+            voice: 'lead',
+            time: slot / 2,
+            length: rng.next() < 0.3 ? 1 : 0.5,
+            note: scaleNote(track, degree, 1),
+            velocity: 0.6 + rng.next() * 0.3
+        });
+    }
+
+    // Hats on the offbeats
+    if (track.hats) {
+        for (let beat = 0; beat < BEATS_PER_BAR; beat++) {
+            events.push({ voice: 'hat', time: beat + 0.5, length: 0.25, note: 0, velocity: 0.5 + rng.next() * 0.3 });
+        }
+    }
+
+    return events;
+}
+
+export class MusicSequencer {
+    /**
+     * @param {BaseAudioContext} ctx
+     * @param {AudioNode} destination
+     * @param {number|string} seed
+     */
+    constructor(ctx, destination, seed = 'music') {
+        this.ctx = ctx;
+        this.seed = seed;
+
+        this.output = ctx.createGain();
+        this.output.gain.value = MUSIC_VOLUME;
+        this.output.connect(destination);
+
+        /** Tracks playing: { trackId, gain, bar, nextBarTime, endTime }; the last is current */
+        this.decks = [];
+        this._noise = null;
+    }
+
+    /** The current track, or null */
+    get trackId() {
+        const deck = this.decks[this.decks.length - 1];
+        return deck ? deck.trackId : null;
+    }
+
+    /**
+     * Crossfade to a track (it starts on its first bar)
+     * @param {string} trackId — key of TRACKS
+     * @param {number} fade — seconds; 0 cuts straight to it
+     */
+    play(trackId, fade = CROSSFADE_SECONDS) {
+        if (this.trackId === trackId) return;
+        const now = this.ctx.currentTime;
+
+        for (const deck of this.decks) {
+            if (deck.endTime !== Infinity) continue;
+            deck.endTime = now + fade;
+            if (fade > 0) {
+                deck.gain.gain.setTargetAtTime(0, now, fade / 4);
+            } else {
+                deck.gain.gain.setValueAtTime(0, now);
+            }
+        }
+
+        const gain = this.ctx.createGain();
+        gain.connect(this.output);
+        if (fade > 0) {
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.setTargetAtTime(1, now, fade / 4);
+        }
+        this.decks.push({ trackId, gain, bar: 0, nextBarTime: now, endTime: Infinity });
+    }
+
+    /**
+     * Schedule every bar that starts before endTime; call often with a
+     * little lookahead, or once for an offline render
+     */
+    scheduleUntil(endTime) {
+        const now = this.ctx.currentTime;
+
+        for (const deck of this.decks) {
+            const track = TRACKS[deck.trackId];
+            const beat = 60 / track.tempo;
+            while (deck.nextBarTime < Math.min(endTime, deck.endTime)) {
+                for (const event of composeBar(deck.trackId, deck.bar, this.seed)) {
+                    const time = deck.nextBarTime + event.time * beat;
+                    // Notes the timer was too late for (a throttled tab) are dropped, not bunched up
+                    if (time >= now - 0.05) this._playNote(deck, track, event, time, event.length * beat);
+                }
+                deck.bar++;
+                deck.nextBarTime += BEATS_PER_BAR * beat;
+            }
+        }
+
+        // Faded-out tracks leave the graph
+        this.decks = this.decks.filter(deck => {
+            if (deck.endTime > now) return true;
+            deck.gain.disconnect();
+            return false;
+        });
+    }
+
+    stop() {
+        for (const deck of this.decks) deck.gain.disconnect();
+        this.decks = [];
+    }
+
+    // --- Instruments ---
+
+    _playNote(deck, track, event, time, length) {
+        switch (event.voice) {
+            case 'pad': return this._pad(deck.gain, track, event, time, length);
+            case 'bass': return this._bass(deck.gain, event, time, length);
+            case 'lead': return track.lead === 'bell'
+                ? this._bell(deck.gain, event, time)
+                : this._pluck(deck.gain, event, time, length);
+            case 'hat': return this._hat(deck.gain, event, time);
+        }
+    }
+
+    _pad(output, track, event, time, length) {
+        const release = 1.2;
+        const filter = this.ctx.createBiquadFilter();
+        const gain = this.ctx.createGain();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(track.cutoff, time);
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.035 * event.velocity, time + Math.min(0.8, length / 2));
+        gain.gain.setValueAtTime(0.035 * event.velocity, time + length);
+        gain.gain.linearRampToValueAtTime(0, time + length + release);
+        filter.connect(gain);
+        gain.connect(output);
+
+        // Two saws, a little apart, for width
+        for (const detune of [-6, 6]) {
+            const osc = this.ctx.createOscillator();
+            osc.type = 'sawtooth';
+            osc.frequency.setValueAtTime(midiToFrequency(event.note), time);
+            osc.detune.setValueAtTime(detune, time);
+            osc.connect(filter);
+            osc.start(time);
+            osc.stop(time + length + release);
+        }
+    }
+
+    _bass(output, event, time, length) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(midiToFrequency(event.note), time);
+        gain.gain.setValueAtTime(0.001, time);
+        gain.gain.linearRampToValueAtTime(0.12 * event.velocity, time + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + length);
+        osc.connect(gain);
+        gain.connect(output);
+        osc.start(time);
+        osc.stop(time + length);
+    }
+
+    _pluck(output, event, time, length) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(midiToFrequency(event.note), time);
+        gain.gain.setValueAtTime(0.08 * event.velocity, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + length + 0.1);
+        osc.connect(gain);
+        gain.connect(output);
+        osc.start(time);
+        osc.stop(time + length + 0.1);
+    }
+
+    _bell(output, event, time) {
+        // A sine with an inharmonic partial, ringing on
+        const decay = 1.6;
+        const frequency = midiToFrequency(event.note);
+        [[1, 0.07], [2.76, 0.02]].forEach(([ratio, level]) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(frequency * ratio, time);
+            gain.gain.setValueAtTime(level * event.velocity, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + decay / ratio);
+            osc.connect(gain);
+            gain.connect(output);
+            osc.start(time);
+            osc.stop(time + decay / ratio);
+        });
+    }
+
+    _hat(output, event, time) {
+        const source = this.ctx.createBufferSource();
+        const filter = this.ctx.createBiquadFilter();
+        const gain = this.ctx.createGain();
+        source.buffer = this._noiseBuffer();
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(6000, time);
+        gain.gain.setValueAtTime(0.03 * event.velocity, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.06);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(output);
+        source.start(time);
+        source.stop(time + 0.06);
+    }
+
+    /** Seeded, so offline renders come out the same every time */
+    _noiseBuffer() {
+        if (this._noise) return this._noise;
+        const rng = new Random(`${this.seed}:noise`);
+        const size = Math.floor(this.ctx.sampleRate * 0.1);
+        this._noise = this.ctx.createBuffer(1, size, this.ctx.sampleRate);
+        const output = this._noise.getChannelData(0);
+        for (let i = 0; i < size; i++) output[i] = rng.next() * 2 - 1;
+        return this._noise;
+    }
+}
+
+/**
+ * Render a stretch of music without playing it
+ * @param {object} options
+ * @param {string} options.season
+ * @param {boolean} options.isNight
+ * @param {number} options.seconds
+ * @param {number} options.sampleRate
+ * @param {number|string} options.seed
+ * @param {function} options.OfflineContext — defaults to OfflineAudioContext
+ * @returns {Promise<AudioBuffer>} the same samples for the same options
+ */
+export function renderMusic({
+    season = 'summer',
+    isNight = false,
+    seconds = 8,
+    sampleRate = 22050,
+    seed = 'music',
+    OfflineContext = globalThis.OfflineAudioContext
+} = {}) {
+    const ctx = new OfflineContext(2, Math.ceil(seconds * sampleRate), sampleRate);
+    const sequencer = new MusicSequencer(ctx, ctx.destination, seed);
+    sequencer.play(trackFor(season, isNight), 0);
+    sequencer.scheduleUntil(seconds);
+    return ctx.startRendering();
+}
@@ -1,7 +1,23 @@
-import { WORLD_CONFIG } from '../world/worldData.js';
+import { SeasonFade } from '../world/SeasonFade.js';
+import { Random } from '../utils/Random.js';
+
+const PARTICLE_COUNT = 40;
+const REDUCED_PARTICLE_COUNT = 12; // comfort mode
+
+// Weather (see WeatherSystem.js): drops at full rain / flakes at a full snowstorm
+const MAX_RAIN = 220;
+const MAX_FLAKES = 160;
+const MAX_SPLASHES = 60;
+const WEATHER_MARGIN = 200; // drops are kept this far either side of the view
+
+// Event fireworks (see EventCalendar.js): rockets over the view, bursting into sparks
+const FIREWORK_GAP = [0.8, 2.4]; // seconds between launches
+const FIREWORK_SPARKS = 36;      // per burst; fewer in comfort mode
+const FIREWORK_COLORS = ['#FF5252', '#FFD740', '#69F0AE', '#40C4FF', '#E040FB', '#FFFFFF'];
 
 export class ParticleSystem {
-    constructor(canvasWidth, canvasHeight, worldWidth) {
+    constructor(canvasWidth, canvasHeight, worldWidth, rng = new Random()) {
+        this.rng = rng;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         this.worldWidth = worldWidth;
@@ -9,8 +25,21 @@ export class ParticleSystem {
 
         this.particles = [];
         this.isNight = false;
+        this.nightT = 0; // how dark it is, for fading leaves, birds and fireflies
         this.currentSeason = 'summer';
-        this.maxParticles = 40;
+        this.seasonFade = new SeasonFade(this.currentSeason); // leaf colours crossfade with the world's
+        this.maxParticles = PARTICLE_COUNT;
+
+        // Weather: rain and snowstorm flakes around the view, splashes on the ground
+        this.weather = null;
+        this.drops = [];
+        this.splashes = [];
+
+        // Event particles
+        this.fireworks = false;
+        this.rockets = [];
+        this.sparks = [];
+        this._fireworkTimer = 0;
 
         this._spawnInitial();
     }
@@ -26,58 +55,57 @@ export class ParticleSystem {
         if (this.isNight) {
             return this._createFirefly();
         }
-        return Math.random() > 0.7 ? this._createBird() : this._createLeaf();
+        return this.rng.next() > 0.7 ? this._createBird() : this._createLeaf();
     }
 
     _createLeaf() {
-        const palette = WORLD_CONFIG.seasons[this.currentSeason] || WORLD_CONFIG.seasons.summer;
-        const colors = palette.particles;
+        const colors = this.seasonFade.palette.particles;
         const isWinter = this.currentSeason === 'winter';
 
         return {
             type: isWinter ? 'snow' : 'leaf',
-            x: Math.random() * this.worldWidth,
-            y: Math.random() * this.groundY * 1.2 - 100,
-            size: isWinter ? 1.5 + Math.random() * 2 : 2 + Math.random() * 3,
-            speedX: isWinter ? -5 + Math.random() * 10 : 10 + Math.random() * 20,
-            speedY: isWinter ? 15 + Math.random() * 25 : 5 + Math.random() * 15,
-            rotation: Math.random() * Math.PI * 2,
-            rotSpeed: isWinter ? 0 : 1 + Math.random() * 3,
-            wobble: Math.random() * Math.PI * 2,
-            alpha: 0.4 + Math.random() * 0.4,
-            color: colors[Math.floor(Math.random() * colors.length)]
+            x: this.rng.next() * this.worldWidth,
+            y: this.rng.next() * this.groundY * 1.2 - 100,
+            size: isWinter ? 1.5 + this.rng.next() * 2 : 2 + this.rng.next() * 3,
+            speedX: isWinter ? -5 + this.rng.next() * 10 : 10 + this.rng.next() * 20,
+            speedY: isWinter ? 15 + this.rng.next() * 25 : 5 + this.rng.next() * 15,
+            rotation: this.rng.next() * Math.PI * 2,
+            rotSpeed: isWinter ? 0 : 1 + this.rng.next() * 3,
+            wobble: this.rng.next() * Math.PI * 2,
+            alpha: 0.4 + this.rng.next() * 0.4,
+            colorIndex: Math.floor(this.rng.next() * colors.length) // into the palette's particles, at render time
         };
     }
 
     _createBird() {
-        const goingRight = Math.random() > 0.5;
+        const goingRight = this.rng.next() > 0.5;
         // Winter has fewer birds
-        if (this.currentSeason === 'winter' && Math.random() > 0.3) return this._createLeaf();
+        if (this.currentSeason === 'winter' && this.rng.next() > 0.3) return this._createLeaf();
 
         return {
             type: 'bird',
             x: goingRight ? -20 : this.worldWidth + 20,
-            y: 30 + Math.random() * this.groundY * 0.3,
-            speedX: (goingRight ? 1 : -1) * (40 + Math.random() * 60),
-            wingCycle: Math.random() * Math.PI * 2,
-            wingSpeed: 5 + Math.random() * 2,
-            size: 3 + Math.random() * 2,
-            alpha: 0.5 + Math.random() * 0.3
+            y: 30 + this.rng.next() * this.groundY * 0.3,
+            speedX: (goingRight ? 1 : -1) * (40 + this.rng.next() * 60),
+            wingCycle: this.rng.next() * Math.PI * 2,
+            wingSpeed: 5 + this.rng.next() * 2,
+            size: 3 + this.rng.next() * 2,
+            alpha: 0.5 + this.rng.next() * 0.3
         };
     }
 
     _createFirefly() {
         return {
             type: 'firefly',
-            x: Math.random() * this.worldWidth,
-            y: this.groundY * 0.3 + Math.random() * this.groundY * 0.6,
-            size: 1.5 + Math.random() * 2,
-            speedX: -5 + Math.random() * 10,
-            speedY: -5 + Math.random() * 10,
-            pulseCycle: Math.random() * Math.PI * 2,
-            pulseSpeed: 1 + Math.random() * 3,
+            x: this.rng.next() * this.worldWidth,
+            y: this.groundY * 0.3 + this.rng.next() * this.groundY * 0.6,
+            size: 1.5 + this.rng.next() * 2,
+            speedX: -5 + this.rng.next() * 10,
+            speedY: -5 + this.rng.next() * 10,
+            pulseCycle: this.rng.next() * Math.PI * 2,
+            pulseSpeed: 1 + this.rng.next() * 3,
             alpha: 0,
-            changeTimer: 2 + Math.random() * 4
+            changeTimer: 2 + this.rng.next() * 4
         };
     }
 
@@ -94,21 +122,72 @@ export class ParticleSystem {
         }
     }
 
-    setSeason(season) {
+    /**
+     * Let the weather drive rain, snowstorms and wind
+     * @param {WeatherSystem} weather
+     */
+    setWeather(weather) {
+        this.weather = weather;
+    }
+
+    /**
+     * Particles of a holiday event (null for none): fireworks at New Year
+     * @param {object|null} event — from EVENTS in worldData.js
+     */
+    setEvent(event) {
+        this.fireworks = Boolean(event && event.particles === 'fireworks');
+        this.rockets = [];
+        this.sparks = [];
+    }
+
+    /**
+     * Follow the sky as it darkens (0 day … 1 night): leaves and birds fade
+     * out at dusk and fireflies fade in, rather than popping on the switch
+     */
+    setNightLevel(nightT) {
+        this.nightT = nightT;
+    }
+
+    /**
+     * Comfort mode: fewer leaves, birds and fireflies
+     */
+    setReducedMotion(reduced) {
+        const count = reduced ? REDUCED_PARTICLE_COUNT : PARTICLE_COUNT;
+        if (this.maxParticles !== count) {
+            this.maxParticles = count;
+            this._spawnInitial();
+        }
+    }
+
+    /**
+     * Leaves change colour over the season's crossfade; snow and leaves
+     * fade into each other and are swapped once it's done
+     * @param {boolean} instant — switch at once (e.g. the season at startup)
+     */
+    setSeason(season, instant = false) {
         if (this.currentSeason !== season) {
             this.currentSeason = season;
-            this._spawnInitial();
+            this.seasonFade.start(season, instant);
+            if (instant) this._spawnInitial();
         }
     }
 
-    update(dt) {
+    /**
+     * @param {number} dt
+     * @param {number} viewX — left edge of the view, where the weather falls
+     */
+    update(dt, viewX = 0) {
+        const wind = this.weather ? this.weather.levels.wind : 0;
+        this.seasonFade.update(dt);
+        const settled = this.seasonFade.isFading ? null : (this.currentSeason === 'winter' ? 'snow' : 'leaf');
+
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
 
             switch (p.type) {
                 case 'leaf':
                 case 'snow':
-                    p.x += p.speedX * dt;
+                    p.x += (p.speedX + wind * 80) * dt;
                     p.y += p.speedY * dt + Math.sin(p.wobble) * 8 * dt;
                     p.rotation += p.rotSpeed * dt;
                     p.wobble += dt * 2;
@@ -117,6 +196,9 @@ export class ParticleSystem {
                         const next = this._createLeaf();
                         Object.assign(p, next);
                         p.y = -10;
+                    } else if (settled && p.type !== settled) {
+                        // Faded out with the old season: replace where it is
+                        Object.assign(p, this._createLeaf());
                     }
                     break;
 
@@ -138,9 +220,9 @@ export class ParticleSystem {
                     p.y += p.speedY * dt;
                     p.changeTimer -= dt;
                     if (p.changeTimer <= 0) {
-                        p.speedX = -5 + Math.random() * 10;
-                        p.speedY = -5 + Math.random() * 10;
-                        p.changeTimer = 2 + Math.random() * 4;
+                        p.speedX = -5 + this.rng.next() * 10;
+                        p.speedY = -5 + this.rng.next() * 10;
+                        p.changeTimer = 2 + this.rng.next() * 4;
                     }
                     if (p.x < 0) p.x = this.worldWidth;
                     if (p.x > this.worldWidth) p.x = 0;
@@ -149,18 +231,203 @@ export class ParticleSystem {
                     break;
             }
         }
+
+        this._updateWeather(dt, viewX, wind);
+        if (this.fireworks || this.sparks.length > 0) this._updateFireworks(dt, viewX);
+    }
+
+    // --- Fireworks ---
+
+    _updateFireworks(dt, viewX) {
+        if (this.fireworks) {
+            this._fireworkTimer -= dt;
+            if (this._fireworkTimer <= 0) {
+                this._fireworkTimer = this.rng.range(FIREWORK_GAP[0], FIREWORK_GAP[1]);
+                this.rockets.push({
+                    x: viewX + this.canvasWidth * (0.1 + this.rng.next() * 0.8),
+                    y: this.groundY,
+                    speedY: -this.rng.range(380, 500),
+                    fuse: this.rng.range(0.7, 1.1),
+                    color: FIREWORK_COLORS[Math.floor(this.rng.next() * FIREWORK_COLORS.length)]
+                });
+            }
+        }
+
+        for (let i = this.rockets.length - 1; i >= 0; i--) {
+            const r = this.rockets[i];
+            r.y += r.speedY * dt;
+            r.speedY += 150 * dt;
+            r.fuse -= dt;
+            if (r.fuse <= 0) {
+                this._burst(r);
+                this.rockets.splice(i, 1);
+            }
+        }
+
+        for (let i = this.sparks.length - 1; i >= 0; i--) {
+            const s = this.sparks[i];
+            s.speedX *= 1 - dt;
+            s.speedY = s.speedY * (1 - dt) + 70 * dt;
+            s.x += s.speedX * dt;
+            s.y += s.speedY * dt;
+            s.age += dt;
+            if (s.age >= s.life) this.sparks.splice(i, 1);
+        }
+    }
+
+    _burst(rocket) {
+        const count = Math.round(FIREWORK_SPARKS * this.maxParticles / PARTICLE_COUNT);
+        const speed = this.rng.range(90, 150);
+        for (let n = 0; n < count; n++) {
+            const angle = (n / count) * Math.PI * 2;
+            const kick = speed * (0.8 + this.rng.next() * 0.4);
+            this.sparks.push({
+                x: rocket.x,
+                y: rocket.y,
+                speedX: Math.cos(angle) * kick,
+                speedY: Math.sin(angle) * kick,
+                age: 0,
+                life: this.rng.range(1, 1.6),
+                color: rocket.color
+            });
+        }
+    }
+
+    _renderFireworks(ctx) {
+        const brightness = 0.5 + 0.5 * this.nightT; // faint against the day sky
+
+        ctx.fillStyle = `rgba(255, 236, 179, ${brightness})`;
+        for (const r of this.rockets) {
+            ctx.fillRect(r.x - 1, r.y, 2, 6);
+        }
+
+        for (const s of this.sparks) {
+            ctx.globalAlpha = brightness * (1 - s.age / s.life);
+            ctx.fillStyle = s.color;
+            ctx.fillRect(s.x - 1.5, s.y - 1.5, 3, 3);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // --- Weather ---
+
+    _updateWeather(dt, viewX, wind) {
+        const levels = this.weather ? this.weather.levels : { rain: 0, snow: 0 };
+        const share = this.maxParticles / PARTICLE_COUNT; // fewer in comfort mode
+        const wanted = {
+            rain: Math.round(levels.rain * MAX_RAIN * share),
+            flake: Math.round(levels.snow * MAX_FLAKES * share)
+        };
+        const counts = { rain: 0, flake: 0 };
+        for (const d of this.drops) counts[d.type]++;
+
+        for (const type of ['rain', 'flake']) {
+            for (let n = counts[type]; n < wanted[type]; n++) {
+                this.drops.push(this._createDrop(type, viewX, true));
+            }
+        }
+
+        const left = viewX - WEATHER_MARGIN;
+        const span = this.canvasWidth + WEATHER_MARGIN * 2;
+        const drift = wind * 220;
+
+        for (let i = this.drops.length - 1; i >= 0; i--) {
+            const d = this.drops[i];
+            if (d.type === 'flake') {
+                d.wobble += dt * 3;
+                d.x += (drift * 0.8 + Math.sin(d.wobble) * 20) * dt;
+            } else {
+                d.x += drift * dt;
+            }
+            d.y += d.speedY * dt;
+
+            // Keep the weather around the view as the camera moves
+            if (d.x < left) d.x += span;
+            if (d.x > left + span) d.x -= span;
+
+            if (d.y >= d.groundY) {
+                if (d.type === 'rain' && this.splashes.length < MAX_SPLASHES) {
+                    this.splashes.push({ x: d.x, y: d.groundY, age: 0, life: 0.25 + this.rng.next() * 0.15 });
+                }
+                if (counts[d.type] > wanted[d.type]) {
+                    counts[d.type]--;
+                    this.drops.splice(i, 1);
+                } else {
+                    Object.assign(d, this._createDrop(d.type, viewX, false));
+                }
+            }
+        }
+
+        for (let i = this.splashes.length - 1; i >= 0; i--) {
+            const s = this.splashes[i];
+            s.age += dt;
+            if (s.age >= s.life) this.splashes.splice(i, 1);
+        }
+    }
+
+    /**
+     * A raindrop or snowstorm flake above the view; the first ones of a
+     * shower start spread over the whole height so it doesn't fall as a sheet
+     */
+    _createDrop(type, viewX, anywhere) {
+        const x = viewX - WEATHER_MARGIN + this.rng.next() * (this.canvasWidth + WEATHER_MARGIN * 2);
+        const y = anywhere ? -this.rng.next() * this.groundY : -20 - this.rng.next() * 80;
+        // Where it lands: somewhere across the path
+        const groundY = this.groundY + this.rng.next() * 18;
+
+        if (type === 'flake') {
+            return { type, x, y, groundY, speedY: 60 + this.rng.next() * 60, size: 1.5 + this.rng.next() * 2, wobble: this.rng.next() * Math.PI * 2 };
+        }
+        return { type, x, y, groundY, speedY: 650 + this.rng.next() * 250, length: 10 + this.rng.next() * 8 };
+    }
+
+    _renderWeather(ctx) {
+        const wind = this.weather ? this.weather.levels.wind : 0;
+        const slant = wind * 220 / 800; // x per y of a falling drop
+        const rainColor = this.nightT > 0.5 ? '150, 170, 200' : '174, 194, 224';
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = `rgba(${rainColor}, 0.55)`;
+        ctx.beginPath();
+        for (const d of this.drops) {
+            if (d.type !== 'rain') continue;
+            ctx.moveTo(d.x, d.y);
+            ctx.lineTo(d.x - slant * d.length, d.y - d.length);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        for (const d of this.drops) {
+            if (d.type !== 'flake') continue;
+            ctx.beginPath();
+            ctx.arc(d.x, d.y, d.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Splashes: a small ring spreading on the path
+        for (const s of this.splashes) {
+            const t = s.age / s.life;
+            ctx.strokeStyle = `rgba(${rainColor}, ${0.6 * (1 - t)})`;
+            ctx.beginPath();
+            ctx.ellipse(s.x, s.y, 1 + t * 5, 0.5 + t * 1.5, 0, Math.PI, Math.PI * 2);
+            ctx.stroke();
+        }
     }
 
     render(ctx, camera) {
         camera.applyTransform(ctx);
 
+        const daylight = 1 - this.nightT;
+        const palette = this.seasonFade.palette;
+        const colors = palette.particles;
+
         for (const p of this.particles) {
             if (!camera.isVisible(p.x - 20, p.y - 20, 40, 40)) continue;
 
             switch (p.type) {
                 case 'snow':
-                    ctx.fillStyle = p.color;
-                    ctx.globalAlpha = p.alpha;
+                    ctx.fillStyle = colors[p.colorIndex % colors.length];
+                    ctx.globalAlpha = p.alpha * daylight * palette.snow;
                     ctx.beginPath();
                     ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
                     ctx.fill();
@@ -171,8 +438,8 @@ export class ParticleSystem {
                     ctx.save();
                     ctx.translate(p.x, p.y);
                     ctx.rotate(p.rotation);
-                    ctx.globalAlpha = p.alpha;
-                    ctx.fillStyle = p.color;
+                    ctx.globalAlpha = p.alpha * daylight * (1 - palette.snow);
+                    ctx.fillStyle = colors[p.colorIndex % colors.length];
                     ctx.beginPath();
                     ctx.ellipse(0, 0, p.size, p.size * 0.5, 0, 0, Math.PI * 2);
                     ctx.fill();
@@ -183,7 +450,7 @@ export class ParticleSystem {
                 case 'bird':
                     ctx.save();
                     ctx.translate(p.x, p.y);
-                    ctx.globalAlpha = p.alpha;
+                    ctx.globalAlpha = p.alpha * daylight;
                     const wingY = Math.sin(p.wingCycle) * 4;
                     ctx.strokeStyle = '#5D4037';
                     ctx.lineWidth = 1.5;
@@ -202,7 +469,7 @@ export class ParticleSystem {
 
                 case 'firefly':
                     ctx.save();
-                    ctx.globalAlpha = p.alpha;
+                    ctx.globalAlpha = p.alpha * this.nightT;
                     const glow = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size * 6);
                     glow.addColorStop(0, `rgba(255, 213, 79, ${p.alpha * 0.3})`);
                     glow.addColorStop(1, 'rgba(255, 213, 79, 0)');
@@ -220,6 +487,9 @@ export class ParticleSystem {
             }
         }
 
+        this._renderWeather(ctx);
+        this._renderFireworks(ctx);
+
         camera.resetTransform(ctx);
     }
 }
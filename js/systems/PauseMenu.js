@@ -0,0 +1,137 @@
+/**
+ * PauseMenu.js — Pause overlay controller.
+ * Shows the pause menu whenever the GameLoop pauses and exposes
+ * resume, slow-motion, single-step, comfort-mode, time-of-day and season
+ * controls.
+ */
+const TIME_SCALES = [1, 0.5, 0.25];
+
+const DAY_MODE_LABELS = { manual: 'Manual (T)', local: 'Your Clock', fast: 'Fast', debug: 'Slider' };
+
+const SEASON_LABELS = { auto: 'Auto', spring: 'Spring', summer: 'Summer', autumn: 'Autumn', winter: 'Winter' };
+
+/** Pauses held by another screen (the classic page): no menu, and P/Esc leave them be */
+const HELD_REASONS = ['classic'];
+
+export class PauseMenu {
+    /**
+     * @param {GameLoop} gameLoop
+     * @param {ComfortSettings} [comfort] — switched by the Comfort Mode button
+     * @param {DayCycle} [dayCycle] — switched by the Time of Day button
+     * @param {SeasonManager} [seasons] — switched by the Season button
+     */
+    constructor(gameLoop, comfort = null, dayCycle = null, seasons = null) {
+        this.gameLoop = gameLoop;
+        this.comfort = comfort;
+        this.dayCycle = dayCycle;
+        this.seasons = seasons;
+        this.menu = document.getElementById('pause-menu');
+        this.resumeBtn = document.getElementById('pause-resume');
+        this.slowMoBtn = document.getElementById('pause-slowmo');
+        this.stepBtn = document.getElementById('pause-step');
+        this.comfortBtn = document.getElementById('pause-comfort');
+        this.clockBtn = document.getElementById('pause-clock');
+        this.seasonBtn = document.getElementById('pause-season');
+        this.toggleBtn = document.getElementById('pause-toggle');
+        this.pauseIcon = document.getElementById('pause-icon');
+
+        this.timeScaleIndex = 0;
+
+        if (this.resumeBtn) {
+            this.resumeBtn.addEventListener('click', () => this.gameLoop.resume());
+        }
+        if (this.slowMoBtn) {
+            this.slowMoBtn.addEventListener('click', () => this.cycleTimeScale());
+        }
+        if (this.stepBtn) {
+            this.stepBtn.addEventListener('click', () => this.gameLoop.step());
+        }
+        if (this.comfortBtn && this.comfort) {
+            this.comfortBtn.addEventListener('click', () => this.comfort.toggle());
+            this.comfort.onChange(() => this._updateComfortLabel());
+        }
+        if (this.clockBtn && this.dayCycle) {
+            this.clockBtn.addEventListener('click', () => this.dayCycle.nextMode());
+            this.dayCycle.onChange(() => this._updateClockLabel());
+        }
+        if (this.seasonBtn && this.seasons) {
+            this.seasonBtn.addEventListener('click', () => {
+                this.seasons.nextPreference();
+                this._updateSeasonLabel(); // also when the season stays the same
+            });
+            this.seasons.onSeasonChange(() => this._updateSeasonLabel());
+        }
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.gameLoop.togglePause());
+        }
+
+        // P toggles pause, ESC resumes
+        window.addEventListener('keydown', (e) => {
+            if (this.isHeld) return;
+            const key = e.key.toLowerCase();
+            if (key === 'p') {
+                this.gameLoop.togglePause();
+            } else if (key === 'escape' && this.gameLoop.isPaused) {
+                this.gameLoop.resume();
+            } else if (key === '.' && this.gameLoop.isPaused) {
+                this.gameLoop.step();
+            }
+        });
+
+        this.gameLoop.onPauseChange((isPaused) => this._render(isPaused && !this.isHeld));
+        this._updateSlowMoLabel();
+        this._updateComfortLabel();
+        this._updateClockLabel();
+        this._updateSeasonLabel();
+    }
+
+    /**
+     * Whether the pause belongs to another screen
+     */
+    get isHeld() {
+        return this.gameLoop.isPaused && HELD_REASONS.includes(this.gameLoop.pauseReason);
+    }
+
+    /**
+     * Cycle through normal speed and slow-motion settings
+     */
+    cycleTimeScale() {
+        this.timeScaleIndex = (this.timeScaleIndex + 1) % TIME_SCALES.length;
+        this.gameLoop.setTimeScale(TIME_SCALES[this.timeScaleIndex]);
+        this._updateSlowMoLabel();
+    }
+
+    _updateSlowMoLabel() {
+        if (!this.slowMoBtn) return;
+        const scale = TIME_SCALES[this.timeScaleIndex];
+        this.slowMoBtn.textContent = scale === 1 ? 'Speed: Normal' : `Speed: ${scale}×`;
+    }
+
+    _updateComfortLabel() {
+        if (!this.comfortBtn || !this.comfort) return;
+        this.comfortBtn.textContent = `Comfort Mode: ${this.comfort.enabled ? 'On' : 'Off'}`;
+        this.comfortBtn.setAttribute('aria-pressed', String(this.comfort.enabled));
+    }
+
+    _updateClockLabel() {
+        if (!this.clockBtn || !this.dayCycle) return;
+        this.clockBtn.textContent = `Time of Day: ${DAY_MODE_LABELS[this.dayCycle.mode]}`;
+    }
+
+    _updateSeasonLabel() {
+        if (!this.seasonBtn || !this.seasons) return;
+        const { preference, currentSeason } = this.seasons;
+        this.seasonBtn.textContent = preference === 'auto'
+            ? `Season: Auto (${SEASON_LABELS[currentSeason]})`
+            : `Season: ${SEASON_LABELS[preference]}`;
+    }
+
+    _render(isPaused) {
+        if (this.menu) {
+            this.menu.classList.toggle('hidden', !isPaused);
+        }
+        if (this.pauseIcon) {
+            this.pauseIcon.textContent = isPaused ? '▶️' : '⏸️';
+        }
+    }
+}
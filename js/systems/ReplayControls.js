@@ -0,0 +1,113 @@
+/**
+ * ReplayControls.js — Browser side of input recording (InputRecorder.js).
+ *
+ * Every session is recorded from the first step. "Save Recording" in the
+ * pause menu downloads it; dropping that file onto the page (or opening
+ * /?replay=<url>) reloads the world with the recorded seed and canvas
+ * size and plays the session back step for step. A badge shows while the
+ * replay runs; when it ends the visitor gets control back.
+ */
+import { parseRecording } from '../engine/InputRecorder.js';
+
+const SESSION_KEY = 'neighborhood.replay';
+
+/**
+ * Load the recording named by ?replay=
+ * @param {string|null} source — a URL, or 'session' for a dropped file
+ * @returns {Promise<{ recording: object|null, errors: string[] }>}
+ */
+export async function loadRecording(source, fetchFn = fetch) {
+    if (!source) return { recording: null, errors: [] };
+    try {
+        let text;
+        if (source === 'session') {
+            text = sessionStorage.getItem(SESSION_KEY);
+            if (!text) return { recording: null, errors: ['No dropped recording in this tab'] };
+        } else {
+            const response = await fetchFn(source);
+            if (!response.ok) {
+                return { recording: null, errors: [`${source}: HTTP ${response.status}`] };
+            }
+            text = await response.text();
+        }
+        return { recording: parseRecording(text), errors: [] };
+    } catch (err) {
+        return { recording: null, errors: [`${source}: ${err.message}`] };
+    }
+}
+
+export class ReplayControls {
+    /**
+     * @param {InputManager} input
+     * @param {DevBanner} devBanner — for recordings that can't be read
+     */
+    constructor(input, devBanner) {
+        this.input = input;
+        this.devBanner = devBanner;
+        this.saveBtn = document.getElementById('pause-save-recording');
+        this.badge = document.getElementById('replay-badge');
+
+        if (this.saveBtn) {
+            this.saveBtn.addEventListener('click', () => this.download());
+        }
+
+        // Drop a saved recording anywhere on the page to replay it
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) this._replayFile(file);
+        });
+
+        this.input.onReplayEnd(() => this._showBadge('Replay finished — you have control', 3000));
+    }
+
+    /**
+     * Show the badge while a replay runs
+     */
+    showReplaying() {
+        this._showBadge('▶ Replaying recording');
+    }
+
+    /**
+     * Save the session so far as a .json file
+     */
+    download() {
+        const recorder = this.input.recorder;
+        if (!recorder) return;
+
+        const blob = new Blob([recorder.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `neighborhood-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async _replayFile(file) {
+        const text = await file.text();
+        try {
+            parseRecording(text);
+            sessionStorage.setItem(SESSION_KEY, text);
+        } catch (err) {
+            this.devBanner.show('Recording could not be replayed', [`${file.name}: ${err.message}`]);
+            return;
+        }
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('replay', 'session');
+        window.location.assign(url);
+    }
+
+    _showBadge(text, hideAfter = 0) {
+        if (!this.badge) return;
+        this.badge.textContent = text;
+        this.badge.classList.remove('hidden');
+        if (hideAfter > 0) {
+            setTimeout(() => this.badge.classList.add('hidden'), hideAfter);
+        }
+    }
+}
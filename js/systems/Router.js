@@ -0,0 +1,125 @@
+/**
+ * Router.js — Keeps the URL in step with where the visitor is, so a link
+ * can drop someone straight into a place or an open project.
+ *
+ * Routes live in the hash, which works on any static host (vercel.json
+ * cleanUrls included) without rewrites:
+ *
+ *   #/place/skills-park     on the street by a map destination
+ *   #/inside/house-web3     inside a building
+ *   #/project/house-web3    a project open in the modal
+ *
+ * Walking around only replaces the current history entry; opening a
+ * project pushes one, so the browser's Back button closes it again.
+ * history.back() lands later (on popstate), so replace() waits for it
+ * rather than rewriting the entry being left.
+ */
+const ROUTE_PATTERN = /^#\/(place|inside|project)\/([\w-]+)\/?$/;
+
+/**
+ * @param {string} hash — e.g. location.hash
+ * @returns {{ type: 'place'|'inside'|'project', id: string }|null}
+ */
+export function parseRoute(hash) {
+    const match = ROUTE_PATTERN.exec(hash || '');
+    return match ? { type: match[1], id: match[2] } : null;
+}
+
+/**
+ * Hash for a route ('' for none)
+ */
+export function formatRoute(route) {
+    return route ? `#/${route.type}/${route.id}` : '';
+}
+
+export class Router {
+    /**
+     * @param {Window} win
+     */
+    constructor(win = window) {
+        this.window = win;
+
+        /** Off during replays: the URL stays the replay link */
+        this.enabled = true;
+
+        this._hash = win.location.hash;
+
+        /** pop() went Back and its popstate hasn't arrived yet */
+        this._popping = false;
+
+        // Callbacks
+        this.navigateCallbacks = [];
+
+        win.addEventListener('popstate', (e) => this._onPopState(e));
+    }
+
+    /**
+     * Route in the address bar right now
+     */
+    get current() {
+        return parseRoute(this.window.location.hash);
+    }
+
+    /**
+     * Register a callback: fn(route, external) when Back/Forward or an
+     * edited address changes the route. external is true for addresses
+     * the visitor typed or pasted (not entries this router made).
+     */
+    onNavigate(fn) {
+        this.navigateCallbacks.push(fn);
+    }
+
+    /**
+     * Show a route without adding a history entry (walking around).
+     * Skipped while a pop() is on its way back; the next call catches up.
+     */
+    replace(route) {
+        if (this._popping) return;
+        this._write(route, false);
+    }
+
+    /**
+     * Show a route as a new history entry (opening a project)
+     */
+    push(route) {
+        this._write(route, true);
+    }
+
+    /**
+     * Leave a pushed entry: go Back to the one before it, or, when the
+     * page was opened on this entry, replace it with the fallback
+     */
+    pop(fallback) {
+        if (!this.enabled) return;
+        if (this.window.history.state?.pushed) {
+            this._popping = true;
+            this.window.history.back();
+        } else {
+            this.replace(fallback);
+        }
+    }
+
+    _write(route, pushed) {
+        if (!this.enabled) return;
+        const hash = formatRoute(route);
+        if (hash === this._hash) return;
+        this._hash = hash;
+
+        const { pathname, search } = this.window.location;
+        const state = { route, pushed };
+        if (pushed) {
+            this.window.history.pushState(state, '', pathname + search + hash);
+        } else {
+            this.window.history.replaceState(state, '', pathname + search + hash);
+        }
+    }
+
+    _onPopState(e) {
+        this._popping = false;
+        if (!this.enabled) return;
+        this._hash = this.window.location.hash;
+        const external = !e.state || !('route' in e.state);
+        const route = external ? this.current : e.state.route;
+        for (const fn of this.navigateCallbacks) fn(route, external);
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * SceneManager.js — Switches the player between the street and building
+ * interiors. Each switch plays a door transition (fade to black, swap
+ * scene, fade back in); entering remembers the exact street position and
+ * camera so leaving puts everything back where it was. The same fade is
+ * used to travel to another spot on the street, optionally after panning
+ * the camera there first (fast travel from the map).
+ */
+import { Interior } from '../world/Interior.js';
+import { Easing } from '../utils/Easing.js';
+
+const FADE_TIME = 0.3;   // seconds for each half of the door transition
+const PAN_SPEED = 4000;  // px/s for fast-travel camera pans …
+const PAN_TIME = { min: 0.4, max: 1.2 }; // … within these many seconds
+
+export class SceneManager {
+    /**
+     * @param {object} deps
+     * @param {Player} deps.player
+     * @param {Camera} deps.camera
+     * @param {CollisionSystem} deps.streetCollision
+     * @param {number} deps.streetWidth — street world width (camera bounds outside)
+     * @param {number} deps.canvasWidth
+     * @param {number} deps.canvasHeight
+     */
+    constructor({ player, camera, streetCollision, streetWidth, canvasWidth, canvasHeight }) {
+        this.player = player;
+        this.camera = camera;
+        this.streetCollision = streetCollision;
+        this.streetWidth = streetWidth;
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+
+        /** Active interior, or null while on the street */
+        this.interior = null;
+
+        /** Interiors built so far, keyed by building id */
+        this.interiors = new Map();
+
+        /** Ids of buildings the visitor has been inside */
+        this.visited = new Set();
+
+        // Street state saved on entering a building
+        this.streetState = null;
+
+        // Door transition: { phase: 'pan'|'out'|'in', timer, swap, pan? }
+        this.transition = null;
+
+        // Callbacks
+        this.sceneCallbacks = [];
+    }
+
+    get isInside() {
+        return this.interior !== null;
+    }
+
+    get isTransitioning() {
+        return this.transition !== null;
+    }
+
+    /**
+     * Collision system for the current scene
+     */
+    get collision() {
+        return this.interior ? this.interior.collision : this.streetCollision;
+    }
+
+    /**
+     * Register a callback: fn(interior|null) after every scene swap
+     */
+    onSceneChange(fn) {
+        this.sceneCallbacks.push(fn);
+    }
+
+    /**
+     * Walk through a building's front door
+     */
+    enter(building) {
+        if (this.isTransitioning || this.isInside) return;
+        this._startTransition(() => this._swapToInterior(building));
+    }
+
+    /**
+     * Walk back out onto the street
+     */
+    exit() {
+        if (this.isTransitioning || !this.isInside) return;
+        this._startTransition(() => this._swapToStreet());
+    }
+
+    /**
+     * Fade to another street position (e.g. an NPC offering a lift).
+     * With pan, the camera first glides there so the visitor sees where
+     * they are going. From inside a building, the fade leads straight out
+     * to the new spot.
+     * @param {number} x
+     * @param {number} y — street ground level
+     * @param {object} [options]
+     * @param {boolean} [options.pan=false]
+     */
+    travel(x, y, { pan = false } = {}) {
+        if (this.isTransitioning) return;
+
+        if (this.isInside) {
+            this._startTransition(() => this._swapToStreet({ x, y }));
+            return;
+        }
+
+        this._startTransition(() => {
+            this.player.placeAt(x, y);
+            this.camera.snapTo(x - this.camera.width / 2);
+        });
+
+        if (pan) {
+            const from = this.camera.x;
+            const to = Math.max(0, Math.min(x - this.camera.width / 2, this.streetWidth - this.camera.width));
+            const duration = Math.max(PAN_TIME.min, Math.min(PAN_TIME.max, Math.abs(to - from) / PAN_SPEED));
+            Object.assign(this.transition, { phase: 'pan', pan: { from, to, duration } });
+        }
+    }
+
+    /**
+     * Advance the door transition
+     */
+    update(dt) {
+        const t = this.transition;
+        if (!t) return;
+
+        t.timer += dt;
+
+        if (t.phase === 'pan') {
+            const { from, to, duration } = t.pan;
+            const progress = Math.min(1, t.timer / duration);
+            this.camera.moveTo(from + (to - from) * Easing.easeInOutCubic(progress));
+            if (progress === 1) {
+                t.phase = 'out';
+                t.timer = 0;
+            }
+            return;
+        }
+
+        if (t.timer < FADE_TIME) return;
+
+        if (t.phase === 'out') {
+            t.swap();
+            t.phase = 'in';
+            t.timer = 0;
+        } else {
+            this.transition = null;
+        }
+    }
+
+    /**
+     * Fade overlay in screen space, drawn after everything else
+     */
+    renderTransition(ctx, width, height) {
+        const t = this.transition;
+        if (!t || t.phase === 'pan') return;
+
+        const progress = Math.min(1, t.timer / FADE_TIME);
+        const opacity = t.phase === 'out' ? progress : 1 - progress;
+        ctx.fillStyle = `rgba(20, 14, 10, ${opacity})`;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Re-layout the active interior and re-base the saved street position
+     */
+    resize(canvasWidth, canvasHeight, streetGroundY) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        for (const interior of this.interiors.values()) {
+            interior.resize(canvasWidth, canvasHeight);
+        }
+        if (this.streetState) {
+            this.streetState.y = streetGroundY;
+        }
+        if (this.interior) {
+            this.camera.setWorldWidth(this.interior.width);
+            this.player.placeAt(this.player.x, this.interior.floorY);
+        }
+    }
+
+    _startTransition(swap) {
+        this.transition = { phase: 'out', timer: 0, swap };
+    }
+
+    _swapToInterior(building) {
+        const { player, camera } = this;
+
+        this.streetState = {
+            x: player.x,
+            y: player.y,
+            direction: player.direction,
+            cameraX: camera.x
+        };
+
+        let interior = this.interiors.get(building.id);
+        if (!interior) {
+            interior = new Interior(building, this.canvasWidth, this.canvasHeight);
+            this.interiors.set(building.id, interior);
+        }
+        this.interior = interior;
+        this.visited.add(building.id);
+
+        camera.setWorldWidth(interior.width);
+        player.direction = 1;
+        player.placeAt(interior.entranceX, interior.floorY);
+        camera.snapTo(player.x - camera.width / 2);
+
+        this._emit();
+    }
+
+    /**
+     * @param {object} [at] — { x, y } to arrive somewhere else than the door
+     */
+    _swapToStreet(at = null) {
+        const { player, camera } = this;
+        const saved = this.streetState;
+
+        this.interior = null;
+        this.streetState = null;
+
+        camera.setWorldWidth(this.streetWidth);
+        player.direction = saved.direction;
+        if (at) {
+            player.placeAt(at.x, at.y);
+            camera.snapTo(at.x - camera.width / 2);
+        } else {
+            player.placeAt(saved.x, saved.y);
+            camera.snapTo(saved.cameraX);
+        }
+
+        this._emit();
+    }
+
+    _emit() {
+        for (const fn of this.sceneCallbacks) fn(this.interior);
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * SceneStep.js — One simulation step of whichever scene the player is in.
+ * Shared by main.js and the headless test harness so both move the player,
+ * camera, world and particles in the same order with the same arguments;
+ * what happens with the resulting interaction (prompts, entering, talking)
+ * stays with the caller.
+ */
+
+/** How close (px) the player must be to interact */
+export const STREET_REACH = 90;
+export const INTERIOR_REACH = 60;
+
+/**
+ * Door transition or fast-travel pan: only the fade and the world move
+ * @param {object} scene — { scenes, world, camera }
+ * @param {number} dt
+ */
+export function stepTransition({ scenes, world, camera }, dt) {
+    scenes.update(dt);
+    world.update(dt, camera);
+}
+
+/**
+ * Player → camera → world, then the interior or the street's particles
+ * @param {object} scene — { input, player, camera, world, particles, scenes }
+ * @param {number} dt
+ * @returns {object|null} the interaction in reach, from checkInteractions()
+ */
+export function stepScene({ input, player, camera, world, particles, scenes }, dt) {
+    input.steer(player, scenes.collision);
+    player.update(input, scenes.collision, dt);
+    camera.update(player, dt);
+
+    // Keeps the day/night blend running while indoors
+    world.update(dt, camera);
+
+    if (scenes.isInside) {
+        const interior = scenes.interior;
+        interior.setNightMode(world.nightT);
+        interior.update(dt);
+        return interior.checkInteractions(player.x, INTERIOR_REACH);
+    }
+
+    particles.setNightLevel(world.nightT);
+    particles.update(dt, camera.x);
+    return world.checkInteractions(player.x, STREET_REACH);
+}
@@ -1,7 +1,14 @@
 /**
  * SeasonManager.js — Manages seasonal transitions (Spring, Summer, Autumn, Winter).
  * Controls the data-season attribute and notifies game systems.
+ *
+ * The first season comes from, in order: ?season= in the URL (this visit
+ * only), the season picked in the pause menu (saved in localStorage), or
+ * the visitor's date, flipped for the southern hemisphere when their time
+ * zone is there. The season button still cycles for this visit.
  */
+import { getLocalStorage } from '../utils/helpers.js';
+
 export const SEASONS = {
     SPRING: 'spring',
     SUMMER: 'summer',
@@ -9,11 +16,95 @@ export const SEASONS = {
     WINTER: 'winter'
 };
 
+const SEASON_ORDER = [SEASONS.SPRING, SEASONS.SUMMER, SEASONS.AUTUMN, SEASONS.WINTER];
+
+/** What the pause menu cycles through: the visitor's date, then each season */
+export const SEASON_CHOICES = ['auto', ...SEASON_ORDER];
+
+const STORAGE_KEY = 'neighborhood.season';
+
+// Time zones south of the equator, where the seasons are the other way round
+const SOUTHERN_PREFIXES = ['Australia/', 'Antarctica/', 'America/Argentina/'];
+const SOUTHERN_ZONES = new Set([
+    'Pacific/Auckland', 'Pacific/Chatham', 'Pacific/Fiji', 'Pacific/Noumea', 'Pacific/Tongatapu', 'Pacific/Tahiti',
+    'America/Sao_Paulo', 'America/Santiago', 'America/Punta_Arenas', 'America/Montevideo', 'America/Asuncion',
+    'America/La_Paz', 'America/Lima', 'America/Campo_Grande', 'America/Cuiaba', 'America/Bahia', 'America/Recife',
+    'Atlantic/Stanley', 'Atlantic/South_Georgia',
+    'Africa/Johannesburg', 'Africa/Maputo', 'Africa/Harare', 'Africa/Lusaka', 'Africa/Windhoek', 'Africa/Gaborone',
+    'Africa/Maseru', 'Africa/Mbabane', 'Africa/Blantyre', 'Africa/Luanda', 'Africa/Dar_es_Salaam',
+    'Indian/Antananarivo', 'Indian/Mauritius', 'Indian/Reunion'
+]);
+
+/**
+ * The visitor's IANA time zone, or '' where it can't be asked
+ */
+export function visitorTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * 'south' for time zones below the equator, otherwise 'north'
+ * @param {string} timeZone — e.g. 'Australia/Sydney'
+ */
+export function hemisphereForTimeZone(timeZone = '') {
+    if (SOUTHERN_ZONES.has(timeZone)) return 'south';
+    return SOUTHERN_PREFIXES.some(prefix => timeZone.startsWith(prefix)) ? 'south' : 'north';
+}
+
+/**
+ * The season on a date, by whole months (spring is March to May in the
+ * north, September to November in the south)
+ * @param {Date} date
+ * @param {string} hemisphere — 'north' or 'south'
+ */
+export function seasonForDate(date = new Date(), hemisphere = 'north') {
+    const shift = hemisphere === 'south' ? 6 : 0;
+    const month = (date.getMonth() + shift) % 12;
+    // Winter starts in December: count seasons from there
+    return [SEASONS.WINTER, ...SEASON_ORDER.slice(0, 3)][Math.floor(((month + 1) % 12) / 3)];
+}
+
+/**
+ * Which season a visit starts in
+ * @param {object} options
+ * @param {string|null} options.override — ?season= from the URL
+ * @param {string|null} options.saved — the pause-menu choice
+ * @param {Date} options.date
+ * @param {string} options.hemisphere
+ */
+export function initialSeason({ override = null, saved = null, date = new Date(), hemisphere = 'north' } = {}) {
+    if (SEASON_ORDER.includes(override)) return override;
+    if (SEASON_ORDER.includes(saved)) return saved;
+    return seasonForDate(date, hemisphere);
+}
+
 export class SeasonManager {
-    constructor() {
-        this.seasons = [SEASONS.SPRING, SEASONS.SUMMER, SEASONS.AUTUMN, SEASONS.WINTER];
-        this.currentSeasonIndex = 1; // Start with Summer as default
-        this.currentSeason = this.seasons[this.currentSeasonIndex];
+    /**
+     * @param {string|null} override — a season for this visit only (?season=)
+     * @param {Storage|null} storage — defaults to window.localStorage when available
+     * @param {function(): Date} now — the visitor's clock
+     * @param {string} timeZone — the visitor's time zone, for the hemisphere
+     */
+    constructor(override = null, storage = getLocalStorage(), now = () => new Date(), timeZone = visitorTimeZone()) {
+        this.storage = storage;
+        this.now = now;
+        this.hemisphere = hemisphereForTimeZone(timeZone);
+
+        /** The pause-menu choice: 'auto' (the visitor's date) or a season */
+        this.preference = this._load();
+
+        this.seasons = SEASON_ORDER;
+        this.currentSeason = initialSeason({
+            override,
+            saved: this.preference,
+            date: now(),
+            hemisphere: this.hemisphere
+        });
+        this.currentSeasonIndex = this.seasons.indexOf(this.currentSeason);
         this.transitionCallbacks = [];
 
         // Setup toggle button
@@ -25,7 +116,7 @@ export class SeasonManager {
         }
 
         // Initialize theme
-        document.documentElement.setAttribute('data-season', this.currentSeason);
+        this._show();
     }
 
     /**
@@ -35,24 +126,47 @@ export class SeasonManager {
         this.transitionCallbacks.push(fn);
     }
 
+    /**
+     * Switch to a season for this visit (the world crossfades to it)
+     * @param {string} season — one of SEASONS
+     */
+    setSeason(season) {
+        if (!this.seasons.includes(season) || season === this.currentSeason) return;
+        this.currentSeasonIndex = this.seasons.indexOf(season);
+        this.currentSeason = season;
+        this._show();
+
+        // Notify all listeners
+        for (const fn of this.transitionCallbacks) {
+            fn(this.currentSeason);
+        }
+    }
+
     /**
      * Switch to the next season in rotation
      */
     nextSeason() {
-        this.currentSeasonIndex = (this.currentSeasonIndex + 1) % this.seasons.length;
-        this.currentSeason = this.seasons[this.currentSeasonIndex];
+        this.setSeason(this.seasons[(this.currentSeasonIndex + 1) % this.seasons.length]);
+    }
 
+    /**
+     * The pause menu: the next of SEASON_CHOICES, remembered for later
+     * visits; 'auto' goes back to the visitor's date
+     */
+    nextPreference() {
+        const index = SEASON_CHOICES.indexOf(this.preference);
+        this.preference = SEASON_CHOICES[(index + 1) % SEASON_CHOICES.length];
+        this._save();
+        this.setSeason(this.preference === 'auto' ? seasonForDate(this.now(), this.hemisphere) : this.preference);
+    }
+
+    _show() {
         document.documentElement.setAttribute('data-season', this.currentSeason);
 
         // Update icon based on season
         if (this.seasonIcon) {
             this.seasonIcon.textContent = this._getSeasonIcon(this.currentSeason);
         }
-
-        // Notify all listeners
-        for (const fn of this.transitionCallbacks) {
-            fn(this.currentSeason);
-        }
     }
 
     _getSeasonIcon(season) {
@@ -64,4 +178,19 @@ export class SeasonManager {
             default: return '🌻';
         }
     }
+
+    _load() {
+        if (!this.storage) return 'auto';
+        const value = this.storage.getItem(STORAGE_KEY);
+        return SEASON_CHOICES.includes(value) ? value : 'auto';
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, this.preference);
+        } catch {
+            // Storage full or blocked (private mode) — kept for this visit only
+        }
+    }
 }
@@ -1,12 +1,19 @@
 /**
  * ThemeManager.js — Manages day/night theme transitions.
  * Controls CSS data-theme attribute and notifies game systems.
+ *
+ * With the day cycle on (see DayCycle.js) the theme follows the clock.
+ * Toggling still forces day or night; that holds until the clock comes
+ * round to the same side and takes over again.
  */
 export class ThemeManager {
     constructor() {
         this.isNight = false;
         this.transitionCallbacks = [];
 
+        /** Set by toggle(): the theme differs from what the clock says */
+        this.forced = false;
+
         // Setup toggle button
         this.toggleBtn = document.getElementById('theme-toggle');
         this.toggleIcon = document.getElementById('toggle-icon');
@@ -17,7 +24,7 @@ export class ThemeManager {
     }
 
     /**
-     * Register a callback for theme changes: fn(isNight)
+     * Register a callback for theme changes: fn(isNight, fromClock)
      */
     onThemeChange(fn) {
         this.transitionCallbacks.push(fn);
@@ -27,7 +34,32 @@ export class ThemeManager {
      * Toggle between day and night
      */
     toggle() {
-        this.isNight = !this.isNight;
+        this.forced = true;
+        this._setNight(!this.isNight, false);
+    }
+
+    /**
+     * Follow the day cycle (call each step while it is on)
+     * @param {boolean} isNight — what the clock says
+     */
+    followClock(isNight) {
+        if (this.forced) {
+            if (isNight !== this.isNight) return;
+            this.forced = false;
+        }
+        this._setNight(isNight, true);
+    }
+
+    /**
+     * Drop a forced theme, e.g. when the day cycle is switched
+     */
+    release() {
+        this.forced = false;
+    }
+
+    _setNight(isNight, fromClock) {
+        if (isNight === this.isNight) return;
+        this.isNight = isNight;
         document.documentElement.setAttribute('data-theme', this.isNight ? 'night' : 'day');
 
         // Update toggle icon
@@ -37,7 +69,7 @@ export class ThemeManager {
 
         // Notify all listeners
         for (const fn of this.transitionCallbacks) {
-            fn(this.isNight);
+            fn(this.isNight, fromClock);
         }
     }
 }
@@ -0,0 +1,211 @@
+/**
+ * WeatherSystem.js — Clear skies, rain, thunderstorms, fog, snowstorms
+ * and wind.
+ *
+ * Left on 'auto', the weather changes every minute or two, picked by
+ * season (no snowstorms in summer, no rain in winter). The visitor can
+ * also pick one weather and keep it. Each weather is a set of levels
+ * (0–1) that the rest of the world reads: cloud cover for the sky, rain
+ * and snow for the particles, fog for the overlay, wind for the trees,
+ * and the sounds for all of them. Levels ease toward the current weather,
+ * so a change rolls in rather than switching. Wetness builds up in the
+ * rain and dries slowly, for the puddles on the path.
+ *
+ * Everything runs off the seeded generator in update(dt), so recordings
+ * replay the same weather.
+ */
+import { Random } from '../utils/Random.js';
+
+/** Levels per weather; lightning adds strikes */
+export const WEATHER_TYPES = {
+    clear: { label: 'Clear', icon: '☀️', clouds: 0.1, rain: 0, snow: 0, fog: 0, wind: 0.15 },
+    rain: { label: 'Rain', icon: '🌧️', clouds: 0.75, rain: 0.6, snow: 0, fog: 0.1, wind: 0.3 },
+    thunderstorm: { label: 'Thunderstorm', icon: '⛈️', clouds: 1, rain: 1, snow: 0, fog: 0.15, wind: 0.7, lightning: true },
+    fog: { label: 'Fog', icon: '🌫️', clouds: 0.45, rain: 0, snow: 0, fog: 0.8, wind: 0.05 },
+    snowstorm: { label: 'Snowstorm', icon: '🌨️', clouds: 0.9, rain: 0, snow: 1, fog: 0.25, wind: 0.85 },
+    windy: { label: 'Windy', icon: '💨', clouds: 0.35, rain: 0, snow: 0, fog: 0, wind: 1 }
+};
+
+/** What the weather button cycles through: the schedule, then each weather */
+export const WEATHER_CHOICES = ['auto', ...Object.keys(WEATHER_TYPES)];
+
+/** How likely each weather is to come next, per season */
+const SEASON_WEIGHTS = {
+    spring: { clear: 4, rain: 3, thunderstorm: 1, fog: 2, windy: 1 },
+    summer: { clear: 6, rain: 1, thunderstorm: 2, windy: 1 },
+    autumn: { clear: 3, rain: 3, thunderstorm: 1, fog: 2, windy: 3 },
+    winter: { clear: 3, snowstorm: 3, fog: 2, windy: 1 }
+};
+
+const LEVELS = ['clouds', 'rain', 'snow', 'fog', 'wind'];
+const EASE_RATE = 0.4;   // per second, how quickly levels follow a change
+const WET_RATE = 0.15;   // puddles filling in the rain
+const DRY_RATE = 0.02;   // and drying afterwards
+const SPELL = [60, 150]; // seconds each scheduled weather lasts
+const STRIKE_GAP = [4, 12];
+
+export class WeatherSystem {
+    /**
+     * @param {Random} rng — seeded generator for the schedule and lightning
+     */
+    constructor(rng = new Random()) {
+        this.rng = rng;
+        this.season = 'summer';
+
+        /** 'auto' (scheduled) or the weather the visitor picked */
+        this.choice = 'auto';
+        this.state = 'clear';
+
+        /** Current levels (0–1), easing toward the state's */
+        this.levels = {};
+        for (const key of LEVELS) this.levels[key] = WEATHER_TYPES.clear[key];
+        this.wetness = 0;
+
+        // Lightning: flash fades from 1, bolt along the sky at boltX (0–1)
+        this.flash = 0;
+        this.boltX = 0.5;
+
+        this._timer = rng.range(SPELL[0] / 2, SPELL[1] / 2); // the first spell is clear and short
+        this._strikeTimer = rng.range(STRIKE_GAP[0], STRIKE_GAP[1]);
+
+        // Callbacks
+        this.changeCallbacks = [];
+        this.pickCallbacks = [];
+        this.lightningCallbacks = [];
+    }
+
+    get type() {
+        return WEATHER_TYPES[this.state];
+    }
+
+    /** Icon and label for the weather button: the choice, with the schedule's current weather */
+    get icon() {
+        return this.choice === 'auto' ? '🌤️' : this.type.icon;
+    }
+
+    get label() {
+        return this.choice === 'auto' ? `Auto (${this.type.label})` : this.type.label;
+    }
+
+    /**
+     * Register a callback: fn(state, choice) when the weather changes,
+     * whether the visitor or the schedule changed it (redraw, sound)
+     */
+    onChange(fn) {
+        this.changeCallbacks.push(fn);
+    }
+
+    /**
+     * Register a callback: fn(choice) when the visitor picks a weather
+     * (recording). Changes the schedule makes itself don't call it.
+     */
+    onPick(fn) {
+        this.pickCallbacks.push(fn);
+    }
+
+    /**
+     * Register a callback: fn({ x, delay }) on each lightning strike, with
+     * how many seconds later its thunder arrives
+     */
+    onLightning(fn) {
+        this.lightningCallbacks.push(fn);
+    }
+
+    /**
+     * Pick a weather to keep, or 'auto' to go back to the schedule
+     */
+    pick(choice) {
+        if (!WEATHER_CHOICES.includes(choice)) return;
+        this.choice = choice;
+        for (const fn of this.pickCallbacks) fn(choice);
+        if (choice === 'auto') {
+            this._timer = this.rng.range(SPELL[0], SPELL[1]);
+            this._notify();
+        } else if (!this._setState(choice)) {
+            this._notify(); // same weather, now held
+        }
+    }
+
+    /**
+     * The weather button: the next of WEATHER_CHOICES
+     */
+    nextChoice() {
+        const index = WEATHER_CHOICES.indexOf(this.choice);
+        this.pick(WEATHER_CHOICES[(index + 1) % WEATHER_CHOICES.length]);
+    }
+
+    /**
+     * Seasons change what the schedule picks; weather the new season
+     * never has (a snowstorm in spring) moves on at once
+     */
+    setSeason(season) {
+        this.season = season;
+        const weights = SEASON_WEIGHTS[season] || SEASON_WEIGHTS.summer;
+        if (this.choice === 'auto' && !weights[this.state]) this._nextSpell();
+    }
+
+    update(dt) {
+        if (this.choice === 'auto') {
+            this._timer -= dt;
+            if (this._timer <= 0) this._nextSpell();
+        }
+
+        const type = this.type;
+        const ease = Math.min(1, dt * EASE_RATE);
+        for (const key of LEVELS) {
+            this.levels[key] += (type[key] - this.levels[key]) * ease;
+        }
+
+        const rain = this.levels.rain;
+        if (rain > this.wetness) {
+            this.wetness = Math.min(rain, this.wetness + dt * WET_RATE);
+        } else {
+            this.wetness = Math.max(0, this.wetness - dt * DRY_RATE);
+        }
+
+        this.flash = Math.max(0, this.flash - dt * 3);
+        if (type.lightning && rain > 0.5) {
+            this._strikeTimer -= dt;
+            if (this._strikeTimer <= 0) this._strike();
+        }
+    }
+
+    _nextSpell() {
+        const weights = SEASON_WEIGHTS[this.season] || SEASON_WEIGHTS.summer;
+        const options = Object.keys(weights).filter(s => s !== this.state);
+        const total = options.reduce((sum, s) => sum + weights[s], 0);
+
+        let roll = this.rng.next() * total;
+        let next = options[options.length - 1];
+        for (const s of options) {
+            roll -= weights[s];
+            if (roll < 0) {
+                next = s;
+                break;
+            }
+        }
+
+        this._timer = this.rng.range(SPELL[0], SPELL[1]);
+        this._setState(next);
+    }
+
+    _strike() {
+        this.flash = 1;
+        this.boltX = 0.1 + this.rng.next() * 0.8;
+        this._strikeTimer = this.rng.range(STRIKE_GAP[0], STRIKE_GAP[1]);
+
+        const strike = { x: this.boltX, delay: this.rng.range(0.2, 2) };
+        for (const fn of this.lightningCallbacks) fn(strike);
+    }
+
+    _setState(state) {
+        if (state === this.state) return false;
+        this.state = state;
+        this._notify();
+        return true;
+    }
+
+    _notify() {
+        for (const fn of this.changeCallbacks) fn(this.state, this.choice);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Random.js — Seedable pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, so procedural
+ * skylines, stars, clouds and particles are reproducible.
+ */
+export class Random {
+    /**
+     * @param {number|string} [seed] — numeric or string seed; random if omitted
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = Random.hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Normalize a number or string into a 32-bit unsigned seed.
+     * Digit-only strings (e.g. from ?seed=42) count as numbers.
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            seed = Number(seed);
+        }
+        if (typeof seed === 'number') {
+            return seed >>> 0;
+        }
+
+        // FNV-1a string hash
+        let h = 0x811c9dc5;
+        const str = String(seed);
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * A fresh non-deterministic seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Next float in [0, 1) — drop-in for Math.random()
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Independent child stream derived from this seed and a label.
+     * Lets each system draw numbers without shifting the others.
+     */
+    fork(label) {
+        return new Random(`${this.seed}:${label}`);
+    }
+}
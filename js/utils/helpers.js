@@ -36,3 +36,23 @@ export function isTouchDevice() {
 export function getDevicePixelRatio() {
     return Math.min(window.devicePixelRatio || 1, 2);
 }
+
+/**
+ * window.localStorage, or null where it is missing or blocked
+ */
+export function getLocalStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch {
+        return null; // access can throw when storage is disabled
+    }
+}
+
+/**
+ * Escape text for use in HTML markup (element content or a quoted attribute)
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
@@ -0,0 +1,330 @@
+/**
+ * Interior.js — The room inside a Building, played as its own scene.
+ * Lays out walls, an exit door, a desk, bookshelves and wall screens that
+ * show the project's screenshots, with its own CollisionSystem (walls are
+ * solid, desk and shelves are one-way platforms) and interaction targets.
+ * Coordinates are room-local: x runs from 0 to width, the floor sits at
+ * the same screen height as the street ground.
+ */
+import { CollisionSystem } from '../engine/CollisionSystem.js';
+import { WORLD_CONFIG } from './worldData.js';
+
+const MIN_ROOM_WIDTH = 1300;    // px; wider canvases stretch the room to fill
+const WALL = 40;
+const CEILING_HEIGHT = 300;     // floor to ceiling
+const DOOR = { x: 70, width: 56, height: 100 };
+const DESK = { x: 300, width: 150, height: 42 };
+const SCREEN = { width: 150, height: 100, gap: 30, top: 220, startX: 520 };
+const SHELF = { width: 160, inset: 260, heights: [70, 135] };
+const MAX_SCREENS = 3;
+
+export class Interior {
+    /**
+     * @param {Building} building — the building this room belongs to
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     */
+    constructor(building, canvasWidth, canvasHeight) {
+        this.building = building;
+        this.project = building.project;
+        this.isOffice = building.type === 'office';
+
+        this.nightT = 0;
+        this.time = 0;
+
+        /** Zone the player is standing at ({ type, ... }), set by checkInteractions */
+        this.highlighted = null;
+
+        // Screenshot images, loaded lazily in the browser
+        this.screenshots = (this.project.screenshots || []).slice(0, MAX_SCREENS);
+        this.images = this.screenshots.map(src => this._loadImage(src));
+
+        this.resize(canvasWidth, canvasHeight);
+    }
+
+    /**
+     * Recompute the layout and collision zones for a new canvas size
+     */
+    resize(canvasWidth, canvasHeight) {
+        this.width = Math.max(MIN_ROOM_WIDTH, canvasWidth);
+        this.floorY = canvasHeight * WORLD_CONFIG.groundFraction;
+        this.ceilingY = this.floorY - CEILING_HEIGHT;
+        this._layout();
+    }
+
+    _layout() {
+        const fy = this.floorY;
+
+        this.door = { type: 'exit', x: DOOR.x, width: DOOR.width, y: fy - DOOR.height, height: DOOR.height };
+        this.desk = { type: 'desk', x: DESK.x, width: DESK.width, y: fy - DESK.height, height: DESK.height };
+
+        const count = Math.max(1, this.screenshots.length);
+        this.screens = [];
+        for (let i = 0; i < count; i++) {
+            this.screens.push({
+                type: 'screen',
+                index: i,
+                x: SCREEN.startX + i * (SCREEN.width + SCREEN.gap),
+                y: fy - SCREEN.top,
+                width: SCREEN.width,
+                height: SCREEN.height
+            });
+        }
+
+        const shelfX = this.width - SHELF.inset;
+        this.shelves = SHELF.heights.map(h => ({ x: shelfX, y: fy - h, width: SHELF.width }));
+
+        // --- Collision ---
+        this.collision = new CollisionSystem(this.width, fy);
+        this.collision.addSolidZone(0, this.ceilingY, WALL, CEILING_HEIGHT, 'wall-left');
+        this.collision.addSolidZone(this.width - WALL, this.ceilingY, WALL, CEILING_HEIGHT, 'wall-right');
+        this.collision.addPlatform(this.desk.x, this.desk.y, this.desk.width, 'desk');
+        this.shelves.forEach((s, i) => this.collision.addPlatform(s.x, s.y, s.width, `shelf-${i}`));
+
+        for (const zone of [this.door, this.desk, ...this.screens]) {
+            this.collision.addInteractiveZone(zone.x, zone.y, zone.width, zone.height, zone);
+        }
+    }
+
+    /**
+     * Where the player appears when walking in: just inside the door
+     */
+    get entranceX() {
+        return this.door.x + this.door.width + 40;
+    }
+
+    setNightMode(nightT) {
+        this.nightT = nightT;
+    }
+
+    update(dt) {
+        this.time += dt;
+    }
+
+    /**
+     * Find the door, desk or screen the player is in front of
+     * @returns {object|null} { type: 'exit'|'desk'|'screen', data: zone }
+     */
+    checkInteractions(playerX, range = 60) {
+        const zone = this.collision.findNearbyInteractive({ x: playerX }, range);
+        this.highlighted = zone ? zone.data : null;
+        return zone ? { type: zone.data.type, data: zone.data } : null;
+    }
+
+    /**
+     * Door, desk or screen under a room point (for taps and clicks), or null
+     */
+    zoneAt(x, y) {
+        return [this.door, this.desk, ...this.screens].find(zone =>
+            x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height
+        ) || null;
+    }
+
+    // --------------------------------------------------
+    // Rendering (room-local coordinates, inside the camera transform)
+    // --------------------------------------------------
+
+    render(ctx) {
+        const fy = this.floorY;
+        const w = this.width;
+
+        ctx.save();
+
+        // --- Back wall ---
+        ctx.fillStyle = this.isOffice ? '#ECEFF1' : this._tint(this.building.color, 0.55);
+        ctx.fillRect(0, this.ceilingY, w, CEILING_HEIGHT);
+
+        // Skirting and ceiling trim
+        ctx.fillStyle = this.building.roofColor;
+        ctx.fillRect(0, this.ceilingY - 12, w, 12);
+        ctx.fillRect(0, fy - 10, w, 10);
+
+        // --- Floor ---
+        ctx.fillStyle = this.isOffice ? '#90A4AE' : '#A1887F';
+        ctx.fillRect(0, fy, w, 60);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.12)';
+        ctx.lineWidth = 1;
+        for (let x = 0; x < w; x += 60) {
+            ctx.beginPath();
+            ctx.moveTo(x, fy);
+            ctx.lineTo(x, fy + 60);
+            ctx.stroke();
+        }
+
+        // --- Side walls ---
+        ctx.fillStyle = this._tint(this.building.roofColor, 0.1);
+        ctx.fillRect(0, this.ceilingY, WALL, CEILING_HEIGHT);
+        ctx.fillRect(w - WALL, this.ceilingY, WALL, CEILING_HEIGHT);
+
+        if (this.isOffice) this._renderOfficeWindows(ctx);
+        this._renderDoor(ctx);
+        this._renderDesk(ctx);
+        this.screens.forEach(screen => this._renderScreen(ctx, screen));
+        this._renderShelves(ctx);
+
+        // Project name on the wall
+        ctx.font = `600 16px 'Pixelify Sans', cursive`;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#3E2723';
+        ctx.fillText(this.project.name, SCREEN.startX + (this.screens.length * (SCREEN.width + SCREEN.gap) - SCREEN.gap) / 2, this.ceilingY + 60);
+
+        // Dim the room at night
+        if (this.nightT > 0.01) {
+            ctx.fillStyle = `rgba(10, 10, 30, ${this.nightT * 0.35})`;
+            ctx.fillRect(0, this.ceilingY - 12, w, CEILING_HEIGHT + 72);
+        }
+
+        ctx.restore();
+    }
+
+    _renderDoor(ctx) {
+        const d = this.door;
+        ctx.fillStyle = '#6D4C33';
+        ctx.beginPath();
+        ctx.roundRect(d.x, d.y, d.width, d.height, [6, 6, 0, 0]);
+        ctx.fill();
+
+        // Daylight through the glass
+        ctx.fillStyle = this.nightT > 0.5 ? '#2A3A4A' : '#87CEEB';
+        ctx.fillRect(d.x + 10, d.y + 12, d.width - 20, 28);
+
+        // Knob
+        ctx.fillStyle = '#FFD54F';
+        ctx.beginPath();
+        ctx.arc(d.x + d.width - 12, d.y + d.height * 0.55, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        // EXIT sign
+        ctx.fillStyle = this.highlighted === d ? '#66BB6A' : '#43A047';
+        ctx.fillRect(d.x + 4, d.y - 22, d.width - 8, 16);
+        ctx.font = `600 10px 'Pixelify Sans', cursive`;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('EXIT', d.x + d.width / 2, d.y - 10);
+    }
+
+    _renderDesk(ctx) {
+        const d = this.desk;
+        // Top and legs
+        ctx.fillStyle = '#8D6E63';
+        ctx.fillRect(d.x, d.y, d.width, 8);
+        ctx.fillStyle = '#6D4C41';
+        ctx.fillRect(d.x + 6, d.y + 8, 6, d.height - 8);
+        ctx.fillRect(d.x + d.width - 12, d.y + 8, 6, d.height - 8);
+
+        // Laptop
+        ctx.fillStyle = '#455A64';
+        ctx.fillRect(d.x + d.width / 2 - 18, d.y - 22, 36, 22);
+        ctx.fillStyle = this.highlighted === d ? '#B3E5FC' : '#81D4FA';
+        ctx.fillRect(d.x + d.width / 2 - 15, d.y - 19, 30, 16);
+
+        // Mug
+        ctx.fillStyle = '#FFCC80';
+        ctx.fillRect(d.x + 16, d.y - 10, 9, 10);
+    }
+
+    _renderScreen(ctx, screen) {
+        const { x, y, width, height } = screen;
+        const active = this.highlighted === screen;
+
+        // Bezel
+        ctx.fillStyle = '#263238';
+        ctx.beginPath();
+        ctx.roundRect(x - 6, y - 6, width + 12, height + 12, 6);
+        ctx.fill();
+        if (active) {
+            ctx.strokeStyle = '#D4775D';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        const image = this.images[screen.index];
+        if (image && image.complete && image.naturalWidth > 0) {
+            ctx.drawImage(image, x, y, width, height);
+        } else {
+            this._renderPlaceholder(ctx, screen);
+        }
+
+        // Stand
+        ctx.fillStyle = '#37474F';
+        ctx.fillRect(x + width / 2 - 4, y + height + 6, 8, 14);
+    }
+
+    /**
+     * Procedural "screenshot" for projects without images: title bar plus
+     * the tech stack as code-like lines
+     */
+    _renderPlaceholder(ctx, screen) {
+        const { x, y, width, height } = screen;
+        ctx.fillStyle = '#1E272C';
+        ctx.fillRect(x, y, width, height);
+
+        ctx.fillStyle = this.building.color;
+        ctx.fillRect(x, y, width, 14);
+
+        ctx.font = `500 9px 'Quicksand', sans-serif`;
+        ctx.textAlign = 'left';
+        const lines = this.project.techStack.length > 0 ? this.project.techStack : [this.project.name];
+        lines.slice(screen.index * 4, screen.index * 4 + 4).forEach((line, i) => {
+            const blink = 0.6 + 0.4 * Math.sin(this.time * 2 + i);
+            ctx.fillStyle = `rgba(129, 212, 250, ${blink})`;
+            ctx.fillText(`> ${line}`, x + 8, y + 30 + i * 16);
+        });
+    }
+
+    _renderShelves(ctx) {
+        const tech = this.project.techStack;
+        const bookColors = ['#E57373', '#64B5F6', '#81C784', '#FFD54F', '#BA68C8'];
+
+        this.shelves.forEach((shelf, s) => {
+            // Books standing on the shelf
+            for (let i = 0; i < 7; i++) {
+                const h = 22 + ((i * 7 + s * 3) % 10);
+                ctx.fillStyle = bookColors[(i + s) % bookColors.length];
+                ctx.fillRect(shelf.x + 10 + i * 20, shelf.y - h, 14, h);
+            }
+            // Board
+            ctx.fillStyle = '#6D4C41';
+            ctx.fillRect(shelf.x, shelf.y, shelf.width, 6);
+
+            // Tech stack labels under the board
+            const label = tech[s];
+            if (label) {
+                ctx.font = `500 9px 'Quicksand', sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.fillStyle = '#4E342E';
+                ctx.fillText(label, shelf.x + shelf.width / 2, shelf.y + 18);
+            }
+        });
+    }
+
+    _renderOfficeWindows(ctx) {
+        // Clerestory strip of glass along the top of the back wall
+        ctx.fillStyle = this.nightT > 0.5 ? '#1A2A35' : '#B3E5FC';
+        ctx.fillRect(WALL + 60, this.ceilingY + 10, this.width - WALL * 2 - 120, 26);
+        ctx.strokeStyle = '#78909C';
+        ctx.lineWidth = 2;
+        for (let x = WALL + 60; x < this.width - WALL - 60; x += 90) {
+            ctx.beginPath();
+            ctx.moveTo(x, this.ceilingY + 10);
+            ctx.lineTo(x, this.ceilingY + 36);
+            ctx.stroke();
+        }
+    }
+
+    _loadImage(src) {
+        if (typeof Image === 'undefined') return null;
+        const image = new Image();
+        image.src = src;
+        return image;
+    }
+
+    /**
+     * Mix a hex color toward white (amount 0–1)
+     */
+    _tint(hex, amount) {
+        const n = parseInt(hex.slice(1), 16);
+        const mix = (c) => Math.round(c + (255 - c) * amount);
+        return `rgb(${mix((n >> 16) & 255)}, ${mix((n >> 8) & 255)}, ${mix(n & 255)})`;
+    }
+}
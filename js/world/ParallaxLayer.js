@@ -2,16 +2,30 @@
  * ParallaxLayer.js — Renders parallax background layers.
  * Each layer scrolls at a different speed relative to the camera.
  */
+import { Random } from '../utils/Random.js';
+
+// Golden-hour light on the silhouettes (see DayCycle.goldenAmount)
+const GOLDEN_LIGHT = { r: 255, g: 160, b: 90 };
+const GOLDEN_STRENGTH = 0.25;
+
 export class ParallaxLayer {
     /**
      * @param {number} scrollFactor — 0.0 (no scroll) to 1.0 (full camera speed)
      * @param {string} drawType — 'mountains', 'hills', or 'trees'
      * @param {object} colors — { fill, nightFill, trunk, nightTrunk } color strings
+     * @param {Random} rng — seeded generator for the layer's silhouette
      */
-    constructor(scrollFactor, drawType, colors) {
+    constructor(scrollFactor, drawType, colors, rng = new Random()) {
         this.scrollFactor = scrollFactor;
         this.drawType = drawType;
         this.colors = colors;
+        this.rng = rng;
+
+        // Comfort mode: the layer stays put instead of scrolling
+        this.reducedMotion = false;
+
+        // Golden-hour light, set each render
+        this.golden = 0;
 
         // Pre-generate the shape data
         this.shapes = [];
@@ -22,6 +36,10 @@ export class ParallaxLayer {
         this.colors = colors;
     }
 
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+
     _generateShapes() {
         const segments = 40;
         this.shapes = [];
@@ -31,8 +49,8 @@ export class ParallaxLayer {
                 for (let i = 0; i < segments; i++) {
                     this.shapes.push({
                         x: i / segments,
-                        height: 0.15 + Math.random() * 0.2,
-                        width: 0.08 + Math.random() * 0.06
+                        height: 0.15 + this.rng.next() * 0.2,
+                        width: 0.08 + this.rng.next() * 0.06
                     });
                 }
                 break;
@@ -40,8 +58,8 @@ export class ParallaxLayer {
                 for (let i = 0; i < segments; i++) {
                     this.shapes.push({
                         x: i / segments,
-                        height: 0.08 + Math.random() * 0.12,
-                        width: 0.06 + Math.random() * 0.08
+                        height: 0.08 + this.rng.next() * 0.12,
+                        width: 0.06 + this.rng.next() * 0.08
                     });
                 }
                 break;
@@ -49,9 +67,9 @@ export class ParallaxLayer {
                 for (let i = 0; i < 60; i++) {
                     this.shapes.push({
                         x: i / 60,
-                        height: 0.06 + Math.random() * 0.1,
-                        trunk: 0.004 + Math.random() * 0.003,
-                        canopySize: 0.015 + Math.random() * 0.015
+                        height: 0.06 + this.rng.next() * 0.1,
+                        trunk: 0.004 + this.rng.next() * 0.003,
+                        canopySize: 0.015 + this.rng.next() * 0.015
                     });
                 }
                 break;
@@ -66,9 +84,11 @@ export class ParallaxLayer {
      * @param {number} canvasHeight
      * @param {number} groundY — Y position of the ground
      * @param {number} nightT — 0 (day) to 1 (night) transition progress
+     * @param {number} golden — 0 to 1, warm sunrise/sunset light on the day cycle
      */
-    render(ctx, camera, canvasWidth, canvasHeight, groundY, nightT) {
-        const offsetX = camera.x * this.scrollFactor;
+    render(ctx, camera, canvasWidth, canvasHeight, groundY, nightT, golden = 0) {
+        this.golden = golden;
+        const offsetX = this.reducedMotion ? 0 : camera.renderX * this.scrollFactor;
 
         ctx.save();
         ctx.translate(-offsetX, 0);
@@ -95,11 +115,7 @@ export class ParallaxLayer {
         const color = this._hexToRgb(this.colors.fill);
         const nightColor = this._hexToRgb(this.colors.nightFill);
 
-        const r = this._lerp(color.r, nightColor.r, nt);
-        const g = this._lerp(color.g, nightColor.g, nt);
-        const b = this._lerp(color.b, nightColor.b, nt);
-
-        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillStyle = this._color(color, nightColor, nt);
         ctx.beginPath();
         ctx.moveTo(-100, baseY);
 
@@ -125,11 +141,7 @@ export class ParallaxLayer {
         const color = this._hexToRgb(this.colors.fill);
         const nightColor = this._hexToRgb(this.colors.nightFill);
 
-        const r = this._lerp(color.r, nightColor.r, nt);
-        const g = this._lerp(color.g, nightColor.g, nt);
-        const b = this._lerp(color.b, nightColor.b, nt);
-
-        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillStyle = this._color(color, nightColor, nt);
         ctx.beginPath();
         ctx.moveTo(-100, baseY);
 
@@ -158,13 +170,8 @@ export class ParallaxLayer {
         const trunkColor = this._hexToRgb(this.colors.trunk);
         const nightTrunkColor = this._hexToRgb(this.colors.nightTrunk);
 
-        const trunkR = this._lerp(trunkColor.r, nightTrunkColor.r, nt);
-        const trunkG = this._lerp(trunkColor.g, nightTrunkColor.g, nt);
-        const trunkB = this._lerp(trunkColor.b, nightTrunkColor.b, nt);
-
-        const leafR = this._lerp(color.r, nightColor.r, nt);
-        const leafG = this._lerp(color.g, nightColor.g, nt);
-        const leafB = this._lerp(color.b, nightColor.b, nt);
+        const trunk = this._color(trunkColor, nightTrunkColor, nt);
+        const leaves = this._color(color, nightColor, nt);
 
         for (const shape of this.shapes) {
             const tx = shape.x * totalWidth;
@@ -172,16 +179,27 @@ export class ParallaxLayer {
             const tw = shape.trunk * totalWidth;
             const canopy = shape.canopySize * totalWidth;
 
-            ctx.fillStyle = `rgb(${trunkR}, ${trunkG}, ${trunkB})`;
+            ctx.fillStyle = trunk;
             ctx.fillRect(tx - tw, baseY - trunkH, tw * 2, trunkH);
 
-            ctx.fillStyle = `rgb(${leafR}, ${leafG}, ${leafB})`;
+            ctx.fillStyle = leaves;
             ctx.beginPath();
             ctx.ellipse(tx, baseY - trunkH - canopy * 0.3, canopy, canopy * 0.8, 0, 0, Math.PI * 2);
             ctx.fill();
         }
     }
 
+    /**
+     * Day-to-night colour with the current golden-hour light over it
+     */
+    _color(day, night, nt) {
+        const warm = this.golden * GOLDEN_STRENGTH;
+        const r = this._lerp(this._lerp(day.r, night.r, nt), GOLDEN_LIGHT.r, warm);
+        const g = this._lerp(this._lerp(day.g, night.g, nt), GOLDEN_LIGHT.g, warm);
+        const b = this._lerp(this._lerp(day.b, night.b, nt), GOLDEN_LIGHT.b, warm);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
     _lerp(a, b, t) {
         return Math.round(a + (b - a) * t);
     }
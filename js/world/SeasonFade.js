@@ -0,0 +1,105 @@
+/**
+ * SeasonFade.js — Crossfades the seasonal palettes of worldData.js.
+ *
+ * When the season changes, every seasonal colour (sky, grass, leaves,
+ * particle colours) blends from the old palette to the new one over
+ * WORLD_CONFIG.seasonFadeSeconds instead of snapping. Each system that
+ * draws with the palette keeps its own fade and advances it in its
+ * update, the way the night transition is eased.
+ */
+import { WORLD_CONFIG } from './worldData.js';
+
+const COLOR_KEYS = ['skyTop', 'skyBottom', 'grass', 'grassDark', 'leaves', 'leavesDark'];
+
+function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16)
+    } : { r: 255, g: 255, b: 255 };
+}
+
+/**
+ * Blend two '#rrggbb' colours
+ * @returns {string} '#rrggbb'
+ */
+export function mixHex(a, b, t) {
+    const from = hexToRgb(a);
+    const to = hexToRgb(b);
+    const channel = (x, y) => Math.round(x + (y - x) * t).toString(16).padStart(2, '0');
+    return `#${channel(from.r, to.r)}${channel(from.g, to.g)}${channel(from.b, to.b)}`;
+}
+
+/**
+ * A season's palette, with snow: 1 in winter and 0 otherwise
+ */
+export function seasonPalette(season) {
+    const palette = WORLD_CONFIG.seasons[season] || WORLD_CONFIG.seasons.summer;
+    return { ...palette, snow: season === 'winter' ? 1 : 0 };
+}
+
+/**
+ * The palette part way from one season's to another's. Particle colour
+ * lists of different lengths blend slot by slot, wrapping the shorter one.
+ * @param {object} from — from seasonPalette()
+ * @param {object} to — from seasonPalette()
+ * @param {number} t — 0 (from) to 1 (to)
+ */
+export function blendPalettes(from, to, t) {
+    const palette = {};
+    for (const key of COLOR_KEYS) palette[key] = mixHex(from[key], to[key], t);
+
+    const slots = Math.max(from.particles.length, to.particles.length);
+    palette.particles = [];
+    for (let i = 0; i < slots; i++) {
+        palette.particles.push(mixHex(from.particles[i % from.particles.length], to.particles[i % to.particles.length], t));
+    }
+
+    palette.snow = from.snow + (to.snow - from.snow) * t;
+    return palette;
+}
+
+export class SeasonFade {
+    /**
+     * @param {string} season — starting season
+     * @param {number} duration — seconds a change takes
+     */
+    constructor(season = 'summer', duration = WORLD_CONFIG.seasonFadeSeconds) {
+        this.season = season;
+        this.duration = duration;
+        this.progress = 1; // 0 → 1 across the current change
+
+        this._from = seasonPalette(season);
+        this._to = this._from;
+
+        /** The palette to draw with now */
+        this.palette = this._from;
+    }
+
+    get isFading() {
+        return this.progress < 1;
+    }
+
+    /**
+     * Head for a new season; from wherever the palette is, so a change
+     * during a fade carries on smoothly
+     * @param {boolean} instant — skip the fade (e.g. the season at startup)
+     */
+    start(season, instant = false) {
+        this.season = season;
+        this._from = this.palette;
+        this._to = seasonPalette(season);
+        this.progress = instant || this.duration <= 0 ? 1 : 0;
+        this.palette = this.progress >= 1 ? this._to : this._from;
+    }
+
+    update(dt) {
+        if (!this.isFading) return;
+        this.progress = Math.min(1, this.progress + dt / this.duration);
+
+        // Ease in and out so the change doesn't start or stop abruptly
+        const t = this.progress * this.progress * (3 - 2 * this.progress);
+        this.palette = this.progress === 1 ? this._to : blendPalettes(this._from, this._to, t);
+    }
+}
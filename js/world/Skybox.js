@@ -1,12 +1,35 @@
-import { WORLD_CONFIG } from './worldData.js';
+import { seasonPalette } from './SeasonFade.js';
+import { Random } from '../utils/Random.js';
+import { nightAmount, goldenAmount, skyArc } from '../systems/DayCycle.js';
+
+// Warm light around sunrise and sunset (see DayCycle.goldenAmount)
+const GOLDEN_TOP = { r: 255, g: 138, b: 101 };
+const GOLDEN_BOTTOM = { r: 255, g: 183, b: 77 };
+
+// Overcast sky and storm clouds (see WeatherSystem.js)
+const OVERCAST_DAY = { r: 150, g: 160, b: 170 };
+const OVERCAST_NIGHT = { r: 22, g: 24, b: 32 };
+const STORM_CLOUD = { r: 120, g: 128, b: 138 };
 
 export class Skybox {
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, rng = new Random()) {
+        this.rng = rng;
         this.width = canvasWidth;
         this.height = canvasHeight;
         this.isNight = false;
-        this.currentSeason = 'summer';
+        this.palette = seasonPalette('summer'); // seasonal colours, crossfaded by WorldBuilder
         this.transitionProgress = 0; // 0 = day, 1 = night
+        this.goldenProgress = 0;     // 0 = plain light, 1 = full golden hour
+
+        // Time of day in hours, or null when only day/night is set
+        this.hours = null;
+
+        // Weather: cloud cover, wind and lightning (null for fair skies)
+        this.weather = null;
+        this.reducedMotion = false; // comfort mode: lightning doesn't light up the sky
+
+        /** Colour of the sky at the horizon in the last render, for reflections */
+        this.horizon = { r: 255, g: 255, b: 255 };
 
         // Celestial body
         this.celestialAngle = 0;
@@ -22,11 +45,11 @@ export class Skybox {
         this.stars = [];
         for (let i = 0; i < count; i++) {
             this.stars.push({
-                x: Math.random(),
-                y: Math.random() * 0.5,
-                size: 0.5 + Math.random() * 1.5,
-                twinkleSpeed: 1 + Math.random() * 3,
-                twinkleOffset: Math.random() * Math.PI * 2
+                x: this.rng.next(),
+                y: this.rng.next() * 0.5,
+                size: 0.5 + this.rng.next() * 1.5,
+                twinkleSpeed: 1 + this.rng.next() * 3,
+                twinkleOffset: this.rng.next() * Math.PI * 2
             });
         }
     }
@@ -35,11 +58,11 @@ export class Skybox {
         this.clouds = [];
         for (let i = 0; i < count; i++) {
             this.clouds.push({
-                x: Math.random() * 2 - 0.2,
-                y: 0.05 + Math.random() * 0.25,
-                width: 80 + Math.random() * 120,
-                height: 30 + Math.random() * 25,
-                speed: 8 + Math.random() * 15
+                x: this.rng.next() * 2 - 0.2,
+                y: 0.05 + this.rng.next() * 0.25,
+                width: 80 + this.rng.next() * 120,
+                height: 30 + this.rng.next() * 25,
+                speed: 8 + this.rng.next() * 15
             });
         }
     }
@@ -53,20 +76,46 @@ export class Skybox {
         this.isNight = isNight;
     }
 
-    setSeason(season) {
-        this.currentSeason = season;
+    /**
+     * Follow the day cycle: the sky darkens, glows and moves the sun and
+     * moon with the hour (null to go back to plain day/night)
+     */
+    setTimeOfDay(hours) {
+        this.hours = hours;
+    }
+
+    /**
+     * @param {object} palette — the seasonal palette, see SeasonFade.js
+     */
+    setPalette(palette) {
+        this.palette = palette;
+    }
+
+    /**
+     * @param {WeatherSystem} weather
+     */
+    setWeather(weather) {
+        this.weather = weather;
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
     }
 
     update(dt, time) {
-        const target = this.isNight ? 1 : 0;
+        const onClock = this.hours !== null;
+        const target = onClock ? nightAmount(this.hours) : (this.isNight ? 1 : 0);
+        const golden = onClock ? goldenAmount(this.hours) : 0;
         this.transitionProgress += (target - this.transitionProgress) * dt * 2;
+        this.goldenProgress += (golden - this.goldenProgress) * dt * 2;
         this.celestialAngle += dt * 0.05;
 
+        const wind = this.weather ? this.weather.levels.wind : 0;
         for (const cloud of this.clouds) {
-            cloud.x += (cloud.speed / this.width) * dt;
+            cloud.x += (cloud.speed * (1 + wind * 4) / this.width) * dt;
             if (cloud.x > 1.3) {
                 cloud.x = -0.3;
-                cloud.y = 0.05 + Math.random() * 0.25;
+                cloud.y = 0.05 + this.rng.next() * 0.25;
             }
         }
     }
@@ -77,7 +126,7 @@ export class Skybox {
         const h = this.height;
 
         // Get seasonal colors
-        const palette = WORLD_CONFIG.seasons[this.currentSeason] || WORLD_CONFIG.seasons.summer;
+        const palette = this.palette;
 
         // --- Sky gradient ---
         const grad = ctx.createLinearGradient(0, 0, 0, h * 0.75);
@@ -88,22 +137,30 @@ export class Skybox {
         const nightTop = { r: 11, g: 16, b: 38 };
         const nightBot = { r: 26, g: 26, b: 62 };
 
-        const topR = this._lerp(dayTop.r, nightTop.r, t);
-        const topG = this._lerp(dayTop.g, nightTop.g, t);
-        const topB = this._lerp(dayTop.b, nightTop.b, t);
-        const botR = this._lerp(dayBot.r, nightBot.r, t);
-        const botG = this._lerp(dayBot.g, nightBot.g, t);
-        const botB = this._lerp(dayBot.b, nightBot.b, t);
+        // Golden hour warms the horizon more than the zenith
+        const gold = this.goldenProgress;
+        let top = this._mix(this._mix(dayTop, nightTop, t), GOLDEN_TOP, gold * 0.35);
+        let bot = this._mix(this._mix(dayBot, nightBot, t), GOLDEN_BOTTOM, gold * 0.6);
 
+        // Clouds grey the sky over; lightning lights it up for a moment
+        const cover = this.weather ? this.weather.levels.clouds : 0;
+        const flash = this.weather && !this.reducedMotion ? this.weather.flash : 0;
+        const overcast = this._mix(OVERCAST_DAY, OVERCAST_NIGHT, t);
+        const white = { r: 255, g: 255, b: 255 };
+        top = this._mix(this._mix(top, overcast, cover * 0.7), white, flash * 0.5);
+        bot = this._mix(this._mix(bot, overcast, cover * 0.6), white, flash * 0.5);
+        this.horizon = bot;
+
+        const topR = Math.round(top.r), topG = Math.round(top.g), topB = Math.round(top.b);
         grad.addColorStop(0, `rgb(${topR}, ${topG}, ${topB})`);
-        grad.addColorStop(1, `rgb(${botR}, ${botG}, ${botB})`);
+        grad.addColorStop(1, `rgb(${Math.round(bot.r)}, ${Math.round(bot.g)}, ${Math.round(bot.b)})`);
 
         ctx.fillStyle = grad;
         ctx.fillRect(0, 0, w, h);
 
         // --- Stars (night only) ---
         if (t > 0.3) {
-            const starAlpha = Math.max(0, (t - 0.3) / 0.7);
+            const starAlpha = Math.max(0, (t - 0.3) / 0.7) * (1 - cover);
             for (const star of this.stars) {
                 const twinkle = 0.4 + 0.6 * Math.abs(Math.sin(time * star.twinkleSpeed + star.twinkleOffset));
                 ctx.fillStyle = `rgba(255, 255, 255, ${starAlpha * twinkle * 0.8})`;
@@ -115,9 +172,10 @@ export class Skybox {
 
         // --- Sun (day) ---
         if (t < 0.7) {
-            const sunAlpha = Math.max(0, 1 - t / 0.7);
-            const sunX = w * 0.8;
-            const sunY = h * 0.12 + Math.sin(this.celestialAngle) * 8;
+            const sunAlpha = Math.max(0, 1 - t / 0.7) * (1 - cover * 0.85);
+            const sun = this._celestialPosition('sun');
+            const sunX = sun.x;
+            const sunY = sun.y;
             const sunR = 32;
 
             const sunGlow = ctx.createRadialGradient(sunX, sunY, sunR * 0.5, sunX, sunY, sunR * 4);
@@ -136,9 +194,10 @@ export class Skybox {
 
         // --- Moon (night) ---
         if (t > 0.3) {
-            const moonAlpha = Math.max(0, (t - 0.3) / 0.7);
-            const moonX = w * 0.15;
-            const moonY = h * 0.1 + Math.sin(this.celestialAngle * 0.7) * 5;
+            const moonAlpha = Math.max(0, (t - 0.3) / 0.7) * (1 - cover * 0.85);
+            const moon = this._celestialPosition('moon');
+            const moonX = moon.x;
+            const moonY = moon.y;
             const moonR = 22;
 
             const moonGlow = ctx.createRadialGradient(moonX, moonY, moonR * 0.5, moonX, moonY, moonR * 5);
@@ -160,20 +219,67 @@ export class Skybox {
             ctx.fill();
         }
 
-        // --- Clouds ---
+        // --- Lightning ---
+        if (this.weather && this.weather.flash > 0.2) {
+            this._drawBolt(ctx, this.weather.boltX * w, h * 0.55, this.weather.flash);
+        }
+
+        // --- Clouds (bigger, greyer and thicker as the sky clouds over) ---
+        const storm = this._mix(STORM_CLOUD, OVERCAST_NIGHT, t);
         for (const cloud of this.clouds) {
             const cx = cloud.x * w;
             const cy = cloud.y * h;
-            const cAlpha = this._lerp(0.7, 0.2, t);
-            const cr = this._lerp(255, 40, t);
-            const cg = this._lerp(255, 40, t);
-            const cb = this._lerp(255, 65, t);
+            const cAlpha = this._lerp(this._lerp(0.7, 0.2, t), 0.95, cover);
+            const cr = Math.round(this._lerp(this._lerp(this._lerp(255, 40, t), 255, gold * 0.5), storm.r, cover));
+            const cg = Math.round(this._lerp(this._lerp(this._lerp(255, 40, t), 171, gold * 0.5), storm.g, cover));
+            const cb = Math.round(this._lerp(this._lerp(this._lerp(255, 65, t), 145, gold * 0.5), storm.b, cover));
+            const scale = 1 + cover * 0.8;
 
             ctx.fillStyle = `rgba(${cr}, ${cg}, ${cb}, ${cAlpha})`;
-            this._drawCloud(ctx, cx, cy, cloud.width, cloud.height);
+            this._drawCloud(ctx, cx, cy, cloud.width * scale, cloud.height * scale);
         }
     }
 
+    /**
+     * A jagged bolt from the top of the sky down to bottomY; its kinks come
+     * from x, so each strike keeps one shape while it fades
+     */
+    _drawBolt(ctx, x, bottomY, flash) {
+        const segments = 8;
+        ctx.strokeStyle = `rgba(255, 255, 240, ${flash * (this.reducedMotion ? 0.5 : 1)})`;
+        ctx.lineWidth = 2.5;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        for (let i = 1; i <= segments; i++) {
+            const kink = Math.sin(x * 0.37 + i * 12.9898) * 18;
+            ctx.lineTo(x + kink, bottomY * i / segments);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Sun or moon centre: fixed spots for plain day/night, an arc from
+     * east to west with the day cycle
+     */
+    _celestialPosition(body) {
+        const w = this.width;
+        const h = this.height;
+
+        if (this.hours === null) {
+            return body === 'sun'
+                ? { x: w * 0.8, y: h * 0.12 + Math.sin(this.celestialAngle) * 8 }
+                : { x: w * 0.15, y: h * 0.1 + Math.sin(this.celestialAngle * 0.7) * 5 };
+        }
+
+        // Off the ends of the arc the body sinks below the horizon
+        const progress = Math.min(1.25, Math.max(-0.25, skyArc(this.hours)[body]));
+        return {
+            x: w * (0.1 + 0.8 * progress),
+            y: h * (0.5 - 0.4 * Math.sin(Math.PI * progress))
+        };
+    }
+
     _drawCloud(ctx, x, y, w, h) {
         ctx.beginPath();
         ctx.ellipse(x, y, w * 0.5, h * 0.4, 0, 0, Math.PI * 2);
@@ -186,6 +292,10 @@ export class Skybox {
         ctx.fill();
     }
 
+    _mix(a, b, t) {
+        return { r: this._lerp(a.r, b.r, t), g: this._lerp(a.g, b.g, t), b: this._lerp(a.b, b.b, t) };
+    }
+
     _lerp(a, b, t) {
         return a + (b - a) * t;
     }
@@ -1,6 +1,8 @@
 /**
  * WorldBuilder.js — Assembles the entire game world from worldData.
  * Creates entities, sets up collision zones, manages rendering order.
+ * Entities and props are bucketed in SpatialHash indexes along world X, so
+ * culling and interaction lookups only touch what is near the camera.
  */
 import { Building } from '../entities/Building.js';
 import { NPC } from '../entities/NPC.js';
@@ -8,10 +10,27 @@ import { SkillIcon } from '../entities/SkillIcon.js';
 import { EnvironmentProp } from '../entities/EnvironmentProp.js';
 import { ParallaxLayer } from './ParallaxLayer.js';
 import { Skybox } from './Skybox.js';
-import { WORLD_CONFIG, BUILDINGS, NPCS, SKILLS, ENVIRONMENT } from './worldData.js';
+import { SeasonFade, mixHex } from './SeasonFade.js';
+import { WORLD_CONFIG } from './worldData.js';
+import { BUNDLED_CONTENT } from './contentLoader.js';
+import { Random } from '../utils/Random.js';
+import { SpatialHash } from '../engine/SpatialHash.js';
+import { ARRIVE_DISTANCE } from '../engine/AutoWalk.js';
+import { nightAmount, goldenAmount } from '../systems/DayCycle.js';
+
+const BENCH_SEAT = { width: 36, height: 18 }; // seat top above the ground
+const PUDDLE_SPACING = [140, 320];              // gap between puddles on the path
 
 export class WorldBuilder {
-    constructor(canvasWidth, canvasHeight) {
+    /**
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     * @param {Random} rng — world seed; each layer/entity group gets its own fork
+     * @param {object} content — { buildings, npcs, skills, environment }, see contentLoader.js
+     */
+    constructor(canvasWidth, canvasHeight, rng = new Random(), content = BUNDLED_CONTENT) {
+        this.rng = rng;
+        this.content = content;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         this.groundY = canvasHeight * WORLD_CONFIG.groundFraction;
@@ -21,14 +40,30 @@ export class WorldBuilder {
         this.npcs = [];
         this.skills = [];
 
+        // Spatial indexes, one per entity group / prop type (see _buildIndex)
+        this.index = {};
+
+        // Entities tested by the last checkInteractions, so flags can be reset
+        this._nearby = { buildings: [], npcs: [], skills: [] };
+
         // Layer systems
         this.skybox = null;
         this.parallaxLayers = [];
 
         // Night transition
         this.nightT = 0;
+        this.goldenT = 0;  // sunrise/sunset light on the day cycle
+        this.hours = null; // time of day on the day cycle, or null for plain day/night
         this.totalTime = 0;
         this.currentSeason = 'summer';
+        this.seasonFade = new SeasonFade(this.currentSeason); // palettes crossfade between seasons
+
+        // Comfort mode: no parallax, swaying or flickering (see setReducedMotion)
+        this.reducedMotion = false;
+
+        // Weather (see setWeather) and the dips in the path that fill in the rain
+        this.weather = null;
+        this.puddles = [];
 
         this._build();
     }
@@ -39,30 +74,88 @@ export class WorldBuilder {
         const gy = this.groundY;
 
         // --- Skybox ---
-        this.skybox = new Skybox(w, h);
+        this.skybox = new Skybox(w, h, this.rng.fork('skybox'));
 
         // --- Parallax layers ---
         this.parallaxLayers = [
-            new ParallaxLayer(0.15, 'mountains', this._getParallaxColors('mountains', this.currentSeason)),
-            new ParallaxLayer(0.35, 'hills', this._getParallaxColors('hills', this.currentSeason)),
-            new ParallaxLayer(0.55, 'trees', this._getParallaxColors('trees', this.currentSeason))
+            new ParallaxLayer(0.15, 'mountains', this._getParallaxColors('mountains', this.seasonFade.palette), this.rng.fork('mountains')),
+            new ParallaxLayer(0.35, 'hills', this._getParallaxColors('hills', this.seasonFade.palette), this.rng.fork('hills')),
+            new ParallaxLayer(0.55, 'trees', this._getParallaxColors('trees', this.seasonFade.palette), this.rng.fork('trees'))
         ];
 
         // --- Buildings ---
-        this.buildings = BUILDINGS.map(data => new Building(data, gy));
+        const buildingRng = this.rng.fork('buildings');
+        this.buildings = this.content.buildings.map(data => new Building(data, gy, buildingRng));
 
         // --- NPCs ---
-        this.npcs = NPCS.map(data => new NPC(data, gy));
+        const npcRng = this.rng.fork('npcs');
+        this.npcs = this.content.npcs.map(data => new NPC(data, gy, npcRng));
 
         // --- Skills ---
-        this.skills = SKILLS.map(data => new SkillIcon(data, gy));
+        const skillRng = this.rng.fork('skills');
+        this.skills = this.content.skills.map(data => new SkillIcon(data, gy, skillRng));
+
+        // --- Puddles ---
+        const puddleRng = this.rng.fork('puddles');
+        this.puddles = [];
+        for (let x = puddleRng.range(...PUDDLE_SPACING); x < WORLD_CONFIG.width; x += puddleRng.range(...PUDDLE_SPACING)) {
+            this.puddles.push({ x, width: puddleRng.range(26, 60), phase: puddleRng.next() });
+        }
+
+        this._buildIndex();
+    }
+
+    /**
+     * Bucket every entity and prop by the X range it can draw into.
+     * Walking NPCs are indexed over their whole patrol.
+     */
+    _buildIndex() {
+        const env = this.content.environment;
+        const index = (items, extent) => {
+            const hash = new SpatialHash();
+            for (const item of items) {
+                const [minX, maxX] = extent(item);
+                hash.insert(item, minX, maxX);
+            }
+            return hash;
+        };
+
+        this.index = {
+            buildings: index(this.buildings, b => [b.x - 20, b.x + b.width + 20]),
+            npcs: index(this.npcs, n => {
+                const reach = n.isWalking ? n.walkRange : 0;
+                return [n.baseX - reach - 30, n.baseX + reach + 30];
+            }),
+            skills: index(this.skills, s => [s.x - 30, s.x + 30]),
+            trees: index(env.trees, t => [t.x - 30, t.x + 30]),
+            fences: index(env.fences, f => [f.x, f.x + f.width]),
+            flowers: index(env.flowers, f => [f.x - f.spread, f.x + f.spread]),
+            lamps: index(env.lamps, l => [l.x - 60, l.x + 60]),
+            signs: index(env.signs, s => [s.x - 50, s.x + 50]),
+            benches: index(env.benches, b => [b.x - 20, b.x + 20]),
+            crates: index(env.crates || [], c => [c.x, c.x + c.width]),
+            puddles: index(this.puddles, p => [p.x - p.width / 2, p.x + p.width / 2])
+        };
+    }
+
+    /**
+     * Items of one index group that may be on screen
+     * @param {string} group — key of this.index, e.g. 'trees'
+     * @param {Camera} camera
+     * @param {number} margin — extra px on both sides (e.g. for speech bubbles)
+     */
+    queryVisible(group, camera, margin = 0) {
+        return this.index[group].query(camera.renderX - margin, camera.renderX + camera.width + margin);
     }
 
-    _getParallaxColors(type, season) {
-        const p = WORLD_CONFIG.seasons[season] || WORLD_CONFIG.seasons.summer;
+    /**
+     * @param {string} type — 'mountains', 'hills' or 'trees'
+     * @param {object} p — the seasonal palette, see SeasonFade.js
+     */
+    _getParallaxColors(type, p) {
         if (type === 'mountains') {
             return {
-                fill: season === 'winter' ? '#B0BEC5' : '#90A4AE',
+                fill: mixHex('#90A4AE', '#B0BEC5', p.snow), // snow-capped in winter
                 nightFill: '#1A1C2C',
                 trunk: '#6D4C33',
                 nightTrunk: '#3A2818'
@@ -115,16 +208,24 @@ export class WorldBuilder {
     }
 
     /**
-     * Set the current season
+     * Set the current season; its colours crossfade in over
+     * WORLD_CONFIG.seasonFadeSeconds
+     * @param {boolean} instant — switch at once (e.g. the season at startup)
      */
-    setSeason(season) {
+    setSeason(season, instant = false) {
         this.currentSeason = season;
-        this.skybox.setSeason(season);
+        this.seasonFade.start(season, instant);
+        this._applyPalette();
+    }
+
+    _applyPalette() {
+        const palette = this.seasonFade.palette;
+        this.skybox.setPalette(palette);
 
         // Update parallax colors
-        this.parallaxLayers[0].setColors(this._getParallaxColors('mountains', season));
-        this.parallaxLayers[1].setColors(this._getParallaxColors('hills', season));
-        this.parallaxLayers[2].setColors(this._getParallaxColors('trees', season));
+        this.parallaxLayers[0].setColors(this._getParallaxColors('mountains', palette));
+        this.parallaxLayers[1].setColors(this._getParallaxColors('hills', palette));
+        this.parallaxLayers[2].setColors(this._getParallaxColors('trees', palette));
     }
 
     /**
@@ -137,12 +238,60 @@ export class WorldBuilder {
         for (const s of this.skills) s.setNightMode(this.nightT);
     }
 
+    /**
+     * Follow the day cycle's hour (null to go back to plain day/night): the
+     * sky, backgrounds, windows and lamps blend continuously with it
+     */
+    setTimeOfDay(hours) {
+        this.hours = hours;
+        this.skybox.setTimeOfDay(hours);
+        for (const b of this.buildings) b.setTimeOfDay(hours);
+    }
+
+    /**
+     * Let the weather drive the sky, tree sway, puddles, fog and lightning
+     * @param {WeatherSystem} weather
+     */
+    setWeather(weather) {
+        this.weather = weather;
+        this.skybox.setWeather(weather);
+    }
+
+    /**
+     * Comfort mode: still background layers, trees, flowers and lamps,
+     * steady windows and skill badges
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.skybox.setReducedMotion(reduced);
+        for (const layer of this.parallaxLayers) layer.setReducedMotion(reduced);
+        for (const b of this.buildings) b.setReducedMotion(reduced);
+        for (const s of this.skills) s.setReducedMotion(reduced);
+    }
+
     /**
      * Setup collision zones for the collision system
      */
     setupCollisions(collisionSystem) {
         collisionSystem.clearZones();
 
+        // --- Walkable surfaces ---
+        for (const b of this.buildings) {
+            for (const p of b.getPlatforms()) {
+                collisionSystem.addPlatform(p.x, p.y, p.width, p.id);
+            }
+        }
+
+        // Bench seats are one-way platforms (see EnvironmentProp.drawBench)
+        this.content.environment.benches.forEach((bench, i) => {
+            collisionSystem.addPlatform(bench.x - BENCH_SEAT.width / 2, this.groundY - BENCH_SEAT.height, BENCH_SEAT.width, `bench-${i}`);
+        });
+
+        // Crates are solid from every side
+        (this.content.environment.crates || []).forEach((crate, i) => {
+            collisionSystem.addSolidZone(crate.x, this.groundY - crate.height, crate.width, crate.height, `crate-${i}`);
+        });
+
         for (const b of this.buildings) {
             // Interactive zone (wider than the building for approach detection)
             collisionSystem.addInteractiveZone(
@@ -176,8 +325,16 @@ export class WorldBuilder {
         this.totalTime += dt;
 
         // Smooth night transition value
-        const targetNight = this.skybox.isNight ? 1 : 0;
+        const onClock = this.hours !== null;
+        const targetNight = onClock ? nightAmount(this.hours) : (this.skybox.isNight ? 1 : 0);
+        const targetGolden = onClock ? goldenAmount(this.hours) : 0;
         this.nightT += (targetNight - this.nightT) * dt * 2;
+        this.goldenT += (targetGolden - this.goldenT) * dt * 2;
+
+        if (this.seasonFade.isFading) {
+            this.seasonFade.update(dt);
+            this._applyPalette();
+        }
 
         this.skybox.update(dt, this.totalTime);
 
@@ -197,8 +354,9 @@ export class WorldBuilder {
 
     /**
      * Render the entire world in correct Z-order
+     * @param {number} alpha — fixed-step interpolation factor for moving entities
      */
-    render(ctx, camera) {
+    render(ctx, camera, alpha = 1) {
         const w = this.canvasWidth;
         const h = this.canvasHeight;
         const gy = this.groundY;
@@ -208,14 +366,14 @@ export class WorldBuilder {
 
         // Layers 1-3: Parallax backgrounds
         for (const layer of this.parallaxLayers) {
-            layer.render(ctx, camera, w, h, gy, this.nightT);
+            layer.render(ctx, camera, w, h, gy, this.nightT, this.goldenT);
         }
 
         // Apply camera transform for world-space objects
         camera.applyTransform(ctx);
 
         // Layer 4: Buildings (behind player)
-        for (const b of this.buildings) {
+        for (const b of this.queryVisible('buildings', camera)) {
             if (camera.isVisible(b.x - 20, gy - b.height - 20, b.width + 40, b.height + 40)) {
                 b.render(ctx);
             }
@@ -224,18 +382,18 @@ export class WorldBuilder {
         // Layer 5: Ground / Road surface
         this._renderGround(ctx, camera);
 
-        // Layer 5.5: Signs and Benches (behind player)
+        // Layer 5.5: Signs, benches and crates (behind player)
         this._renderSignsAndBenches(ctx, camera);
 
         // Layer 6: NPCs
-        for (const n of this.npcs) {
+        for (const n of this.queryVisible('npcs', camera)) {
             if (camera.isVisible(n.x - 30, gy - 70, 60, 70)) {
-                n.render(ctx);
+                n.render(ctx, alpha);
             }
         }
 
         // Layer 6.5: Skill icons
-        for (const s of this.skills) {
+        for (const s of this.queryVisible('skills', camera)) {
             if (camera.isVisible(s.x - 30, gy - 110, 60, 110)) {
                 s.render(ctx);
             }
@@ -253,36 +411,69 @@ export class WorldBuilder {
         camera.applyTransform(ctx);
 
         const gy = this.groundY;
+        const time = this.reducedMotion ? 0 : this.totalTime; // props sway and flicker with it
+        const wind = this.weather ? this.weather.levels.wind : 0;
 
         // Foreground trees (rendered partially in front of player)
-        for (const tree of ENVIRONMENT.trees) {
+        for (const tree of this.queryVisible('trees', camera)) {
             if (camera.isVisible(tree.x - 30, gy - 100, 60, 100)) {
-                EnvironmentProp.drawTree(ctx, tree.x, gy, tree.size, this.nightT, this.totalTime, this.currentSeason);
+                EnvironmentProp.drawTree(ctx, tree.x, gy, tree.size, this.nightT, time, this.seasonFade.palette, wind);
             }
         }
 
         // Fences
-        for (const fence of ENVIRONMENT.fences) {
+        for (const fence of this.queryVisible('fences', camera)) {
             if (camera.isVisible(fence.x, gy - 35, fence.width, 35)) {
                 EnvironmentProp.drawFence(ctx, fence.x, gy, fence.width, this.nightT);
             }
         }
 
         // Flowers
-        for (const flower of ENVIRONMENT.flowers) {
+        for (const flower of this.queryVisible('flowers', camera)) {
             if (camera.isVisible(flower.x - flower.spread, gy - 20, flower.spread * 2, 20)) {
-                EnvironmentProp.drawFlowers(ctx, flower.x, gy, flower.count, flower.spread, this.nightT, this.totalTime, this.currentSeason);
+                EnvironmentProp.drawFlowers(ctx, flower.x, gy, flower.count, flower.spread, this.nightT, time, this.seasonFade.palette);
             }
         }
 
         // Lamps (foreground, player walks behind)
-        for (const lamp of ENVIRONMENT.lamps) {
+        for (const lamp of this.queryVisible('lamps', camera)) {
             if (camera.isVisible(lamp.x - 60, gy - 85, 120, 85)) {
-                EnvironmentProp.drawLamp(ctx, lamp.x, gy, this.nightT, this.totalTime);
+                EnvironmentProp.drawLamp(ctx, lamp.x, gy, this.nightT, time);
             }
         }
 
         camera.resetTransform(ctx);
+
+        if (this.weather) this._renderWeatherOverlay(ctx);
+    }
+
+    /**
+     * Fog over the street, thickest near the ground, and the flash of
+     * lightning (not in comfort mode)
+     */
+    _renderWeatherOverlay(ctx) {
+        const w = this.canvasWidth;
+        const h = this.canvasHeight;
+        const fog = this.weather.levels.fog;
+
+        if (fog > 0.01) {
+            const nt = this.nightT;
+            const r = Math.round(210 + (60 - 210) * nt);
+            const g = Math.round(215 + (66 - 215) * nt);
+            const b = Math.round(220 + (80 - 220) * nt);
+            const grad = ctx.createLinearGradient(0, 0, 0, h);
+            grad.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${fog * 0.2})`);
+            grad.addColorStop(this.groundY / h, `rgba(${r}, ${g}, ${b}, ${fog * 0.6})`);
+            grad.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${fog * 0.4})`);
+            ctx.fillStyle = grad;
+            ctx.fillRect(0, 0, w, h);
+        }
+
+        const flash = this.reducedMotion ? 0 : this.weather.flash;
+        if (flash > 0.01) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${flash * 0.3})`;
+            ctx.fillRect(0, 0, w, h);
+        }
     }
 
 
@@ -292,7 +483,7 @@ export class WorldBuilder {
     _renderGround(ctx, camera) {
         const gy = this.groundY;
         const worldW = WORLD_CONFIG.width;
-        const palette = WORLD_CONFIG.seasons[this.currentSeason] || WORLD_CONFIG.seasons.summer;
+        const palette = this.seasonFade.palette;
 
         // --- Ground ---
         const groundDay = this._hexToRgb(palette.grassDark); // Using grassDark as basis for ground
@@ -333,66 +524,178 @@ export class WorldBuilder {
         ctx.lineTo(worldW + 100, gy + 11);
         ctx.stroke();
         ctx.setLineDash([]);
+
+        if (this.weather && this.weather.wetness > 0.05) this._renderPuddles(ctx, camera);
+    }
+
+    /**
+     * Puddles on the path, growing with the wetness and mirroring the sky;
+     * rain rings ripple across them while it falls
+     */
+    _renderPuddles(ctx, camera) {
+        const gy = this.groundY;
+        const wet = this.weather.wetness;
+        const sky = this.skybox.horizon;
+        const rain = this.reducedMotion ? 0 : this.weather.levels.rain;
+
+        for (const p of this.queryVisible('puddles', camera)) {
+            const rx = (p.width / 2) * Math.sqrt(wet);
+            if (!camera.isVisible(p.x - rx, gy + 4, rx * 2, 14)) continue;
+
+            ctx.fillStyle = `rgba(${Math.round(sky.r)}, ${Math.round(sky.g)}, ${Math.round(sky.b)}, ${0.65 * wet})`;
+            ctx.beginPath();
+            ctx.ellipse(p.x, gy + 11, rx, 3.5, 0, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Sheen along the near edge
+            ctx.strokeStyle = `rgba(255, 255, 255, ${0.25 * wet})`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.ellipse(p.x, gy + 11, rx, 3.5, 0, 0.15 * Math.PI, 0.85 * Math.PI);
+            ctx.stroke();
+
+            if (rain > 0.1) {
+                const ring = (this.totalTime * 1.3 + p.phase) % 1;
+                ctx.strokeStyle = `rgba(255, 255, 255, ${0.4 * rain * (1 - ring)})`;
+                ctx.beginPath();
+                ctx.ellipse(p.x + (p.phase - 0.5) * rx, gy + 11, 1 + ring * rx * 0.5, 0.5 + ring * 1.5, 0, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
     }
 
 
     /**
-     * Render signs and benches (between buildings and player)
+     * Render signs, benches and crates (between buildings and player)
      */
     _renderSignsAndBenches(ctx, camera) {
-        for (const sign of ENVIRONMENT.signs) {
+        for (const sign of this.queryVisible('signs', camera)) {
             if (camera.isVisible(sign.x - 50, this.groundY - 90, 100, 90)) {
                 EnvironmentProp.drawSign(ctx, sign.x, this.groundY, sign.text, this.nightT);
             }
         }
-        for (const bench of ENVIRONMENT.benches) {
+        for (const bench of this.queryVisible('benches', camera)) {
             if (camera.isVisible(bench.x - 20, this.groundY - 30, 40, 30)) {
                 EnvironmentProp.drawBench(ctx, bench.x, this.groundY, this.nightT);
             }
         }
+        for (const crate of this.queryVisible('crates', camera)) {
+            if (camera.isVisible(crate.x, this.groundY - crate.height, crate.width, crate.height)) {
+                EnvironmentProp.drawCrate(ctx, crate.x, this.groundY, crate.width, crate.height, this.nightT);
+            }
+        }
     }
 
     /**
-     * Check player proximity to interactive objects
+     * Building, NPC or skill badge under a world point (for taps and clicks):
+     * { type: 'building'|'npc'|'skill', data } or null. NPCs and badges stand
+     * in front of the buildings, so they are tested first.
      */
-    checkInteractions(playerX, range = 80) {
-        // Check buildings
-        for (const b of this.buildings) {
-            const dist = Math.abs(playerX - (b.x + b.width / 2));
-            b.isHighlighted = dist < range + b.width / 2;
-            if (b.isHighlighted) {
+    entityAt(x, y) {
+        const gy = this.groundY;
+        for (const n of this.index.npcs.query(x)) {
+            if (Math.abs(x - n.x) <= 14 && y >= gy - 50 && y <= gy) return { type: 'npc', data: n };
+        }
+        for (const s of this.index.skills.query(x)) {
+            if (Math.abs(x - s.x) <= 22 && y >= gy - 86 && y <= gy - 34) return { type: 'skill', data: s };
+        }
+        for (const b of this.index.buildings.query(x)) {
+            if (x >= b.x && x <= b.x + b.width && y >= gy - b.height && y <= gy) return { type: 'building', data: b };
+        }
+        return null;
+    }
+
+    /**
+     * What E would act on with the player at playerX, without touching any
+     * highlight flags. Buildings take priority over NPCs.
+     * @returns {{ type: 'building'|'npc', data }|null}
+     */
+    interactionAt(playerX, range = 80) {
+        for (const b of this.index.buildings.query(playerX - range, playerX + range)) {
+            if (Math.abs(playerX - (b.x + b.width / 2)) < range + b.width / 2) {
                 return { type: 'building', data: b };
             }
         }
-
-        // Check NPCs
-        for (const n of this.npcs) {
-            const dist = Math.abs(playerX - n.x);
-            const inRange = dist < range;
-            n.showSpeech = inRange;
-            if (inRange) {
+        for (const n of this.index.npcs.query(playerX - range, playerX + range)) {
+            if (Math.abs(playerX - n.x) < range) {
                 return { type: 'npc', data: n };
             }
         }
+        return null;
+    }
 
-        // Check skills
-        for (const s of this.skills) {
-            const dist = Math.abs(playerX - s.x);
-            s.showTooltip = dist < range * 0.7;
+    /**
+     * Where to stand to use an entity from entityAt(). NPCs often wait in
+     * front of a building, which would win the interaction, so the spot
+     * nearest the NPC (preferring the side of fromX) where the NPC is what E
+     * talks to — with room for where a walk comes to a stop — is chosen.
+     */
+    approachX(entity, fromX, range = 80) {
+        if (entity.type === 'building') return entity.data.x + entity.data.width / 2;
+        if (entity.type !== 'npc') return entity.data.x;
+
+        const npc = entity.data;
+        const side = fromX < npc.baseX ? -1 : 1;
+        const talksTo = (x) => [x - ARRIVE_DISTANCE, x, x + ARRIVE_DISTANCE]
+            .every(at => this.interactionAt(at, range)?.data === npc);
+
+        for (let offset = 0; offset < range; offset += 4) {
+            for (const x of [npc.baseX + side * offset, npc.baseX - side * offset]) {
+                if (talksTo(x)) return x;
+            }
         }
+        return npc.baseX;
+    }
 
-        return null;
+    /**
+     * Check player proximity to interactive objects: highlight the building
+     * or show the speech bubble of the NPC that E would use, and tooltips
+     * of skills nearby. Only entities
+     * bucketed near the player are tested; anything flagged on a previous
+     * check that is now out of range is switched off.
+     */
+    checkInteractions(playerX, range = 80) {
+        const buildings = this.index.buildings.query(playerX - range, playerX + range);
+        const npcs = this.index.npcs.query(playerX - range, playerX + range);
+        const skills = this.index.skills.query(playerX - range, playerX + range);
+
+        const prev = this._nearby;
+        for (const b of prev.buildings) if (!buildings.includes(b)) b.isHighlighted = false;
+        for (const n of prev.npcs) if (!npcs.includes(n)) n.showSpeech = false;
+        for (const s of prev.skills) if (!skills.includes(s)) s.showTooltip = false;
+        this._nearby = { buildings, npcs, skills };
+
+        const interaction = this.interactionAt(playerX, range);
+        for (const b of buildings) b.isHighlighted = interaction !== null && interaction.data === b;
+        for (const n of npcs) n.showSpeech = interaction !== null && interaction.data === n;
+        for (const s of skills) s.showTooltip = Math.abs(playerX - s.x) < range * 0.7;
+
+        return interaction;
+    }
+
+    /**
+     * Closest skill whose tooltip checkInteractions(playerX, range) shows, if any
+     */
+    nearestSkill(playerX, range = 80) {
+        let nearest = null;
+        for (const s of this.index.skills.query(playerX - range, playerX + range)) {
+            const distance = Math.abs(playerX - s.x);
+            if (distance < range * 0.7 && (!nearest || distance < Math.abs(playerX - nearest.x))) nearest = s;
+        }
+        return nearest;
     }
 
     /**
      * Render NPC speech bubbles (in screen space, after camera)
      */
-    renderSpeechBubbles(ctx, camera) {
+    renderSpeechBubbles(ctx, camera, alpha = 1) {
         camera.applyTransform(ctx);
 
-        for (const n of this.npcs) {
+        // Bubbles are up to ~190px wide, centred on the NPC
+        for (const n of this.queryVisible('npcs', camera, 100)) {
             if (n.speechAlpha > 0.01) {
-                this._drawSpeechBubble(ctx, n.x, this.groundY - 65, n.speech, n.speechAlpha);
+                const nx = n.prevX + (n.x - n.prevX) * alpha;
+                this._drawSpeechBubble(ctx, nx, this.groundY - 65, n.speech, n.speechAlpha);
             }
         }
 
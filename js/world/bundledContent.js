@@ -0,0 +1,612 @@
+/**
+ * bundledContent.js — Generated from content/world.json by
+ * scripts/build-content.js; edit world.json and run the script instead.
+ * The world falls back to this copy when world.json cannot be loaded.
+ */
+export const BUNDLED_CONTENT = {
+    "buildings": [
+        {
+            "id": "house-ml",
+            "type": "house",
+            "x": 650,
+            "width": 160,
+            "height": 140,
+            "color": "#F4D9A0",
+            "roofColor": "#8B5E3C",
+            "label": "ML Lab",
+            "project": {
+                "name": "Machine Learning Research",
+                "description": "Built predictive models using Python and TensorFlow. Worked on NLP-based text classification and computer vision pipelines for real-world datasets.",
+                "techStack": [
+                    "Python",
+                    "TensorFlow",
+                    "Pandas",
+                    "Scikit-learn",
+                    "OpenCV"
+                ],
+                "github": "#",
+                "live": "#"
+            }
+        },
+        {
+            "id": "house-web3",
+            "type": "house",
+            "x": 1350,
+            "width": 150,
+            "height": 130,
+            "color": "#E8B4A0",
+            "roofColor": "#7A5040",
+            "label": "Web3 Studio",
+            "project": {
+                "name": "Web3 Decentralized App",
+                "description": "Developed a decentralized application with smart contracts on Ethereum. Features include wallet integration, token swaps, and on-chain voting.",
+                "techStack": [
+                    "Solidity",
+                    "React",
+                    "Ethers.js",
+                    "Hardhat",
+                    "IPFS"
+                ],
+                "github": "#",
+                "live": "#"
+            }
+        },
+        {
+            "id": "dell-office",
+            "type": "office",
+            "x": 2950,
+            "width": 200,
+            "height": 160,
+            "color": "#B0BEC5",
+            "roofColor": "#607D8B",
+            "label": "Dell Technologies",
+            "project": {
+                "name": "Dell Technologies",
+                "description": "Currently working as an Automation Intern at Dell Technologies. Building internal tools for process automation, scripting CI/CD pipelines, and developing monitoring dashboards.",
+                "techStack": [
+                    "Python",
+                    "Ansible",
+                    "Jenkins",
+                    "Docker",
+                    "PowerShell"
+                ],
+                "github": null,
+                "live": null
+            }
+        },
+        {
+            "id": "house-fullstack",
+            "type": "house",
+            "x": 3750,
+            "width": 155,
+            "height": 135,
+            "color": "#A8D5BA",
+            "roofColor": "#5A8A65",
+            "label": "Full Stack",
+            "project": {
+                "name": "Full-Stack Web Application",
+                "description": "A comprehensive web app with authentication, real-time data, and a responsive dashboard. Built with modern frameworks and deployed on cloud infrastructure.",
+                "techStack": [
+                    "Next.js",
+                    "TypeScript",
+                    "PostgreSQL",
+                    "Prisma",
+                    "Vercel"
+                ],
+                "github": "#",
+                "live": "#"
+            }
+        },
+        {
+            "id": "house-devops",
+            "type": "house",
+            "x": 4450,
+            "width": 150,
+            "height": 125,
+            "color": "#C5B8D9",
+            "roofColor": "#6A5A80",
+            "label": "Cloud Ops",
+            "project": {
+                "name": "DevOps & Cloud Infrastructure",
+                "description": "Designed and deployed a microservices architecture on AWS. Implemented CI/CD pipelines, container orchestration, and infrastructure-as-code.",
+                "techStack": [
+                    "AWS",
+                    "Terraform",
+                    "Kubernetes",
+                    "GitHub Actions",
+                    "Docker"
+                ],
+                "github": "#",
+                "live": "#"
+            }
+        }
+    ],
+    "npcs": [
+        {
+            "id": "npc-tutorial",
+            "type": "developer",
+            "x": 330,
+            "name": "Neighborhood Guide",
+            "speech": "Welcome! Use arrow keys to explore Arpit's neighborhood. Press E near buildings to learn more!",
+            "direction": 1,
+            "dialogue": {
+                "start": "hello",
+                "nodes": {
+                    "hello": {
+                        "text": "Welcome to Arpit's neighborhood! Every house holds a project — walk up to a door and press E to step inside.",
+                        "choices": [
+                            {
+                                "text": "How do I get around?",
+                                "next": "controls"
+                            },
+                            {
+                                "text": "Where should I start?",
+                                "next": "start",
+                                "if": "!visited:house-ml"
+                            },
+                            {
+                                "text": "Take me to the Dell office",
+                                "actions": [
+                                    "teleport:dell-office"
+                                ]
+                            },
+                            {
+                                "text": "Thanks, bye!"
+                            }
+                        ]
+                    },
+                    "controls": {
+                        "text": "Arrow keys or A/D to walk, Shift to sprint, Space to jump — porches, benches and crates can all be climbed. T switches between day and night.",
+                        "next": "hello"
+                    },
+                    "start": {
+                        "text": "The Machine Learning lab is just ahead on the right. Want a sneak peek first?",
+                        "choices": [
+                            {
+                                "text": "Show me the ML project",
+                                "actions": [
+                                    "openProject:house-ml"
+                                ]
+                            },
+                            {
+                                "text": "I'll walk there myself",
+                                "next": "hello"
+                            }
+                        ]
+                    }
+                }
+            }
+        },
+        {
+            "id": "npc-ml",
+            "type": "developer",
+            "x": 580,
+            "speech": "You're heading toward Arpit's Machine Learning Projects. He loves building intelligent systems!",
+            "direction": 1,
+            "dialogue": {
+                "start": "hello",
+                "nodes": {
+                    "hello": {
+                        "text": "That's the ML Lab. Arpit trains models in there — mostly computer vision and NLP.",
+                        "choices": [
+                            {
+                                "text": "What did he build?",
+                                "actions": [
+                                    "openProject:house-ml"
+                                ]
+                            },
+                            {
+                                "text": "Been inside already!",
+                                "if": "visited:house-ml",
+                                "next": "visited"
+                            },
+                            {
+                                "text": "Cool, see you"
+                            }
+                        ]
+                    },
+                    "visited": {
+                        "text": "Then you've seen the screens! The Web3 house is further down the street if you want more."
+                    }
+                }
+            }
+        },
+        {
+            "id": "npc-web3",
+            "type": "gardener",
+            "x": 1270,
+            "speech": "This house contains his Web3 work. Decentralized apps and smart contracts!",
+            "direction": -1,
+            "dialogue": {
+                "start": "hello",
+                "nodes": {
+                    "hello": {
+                        "text": "Mind the flowers! This house holds the Web3 work — smart contracts and decentralized apps.",
+                        "actions": [
+                            "set:metGardener"
+                        ],
+                        "choices": [
+                            {
+                                "text": "Show me the project",
+                                "actions": [
+                                    "openProject:house-web3"
+                                ]
+                            },
+                            {
+                                "text": "Do the flowers glow at night?",
+                                "if": "night",
+                                "next": "night"
+                            },
+                            {
+                                "text": "Bye!"
+                            }
+                        ]
+                    },
+                    "night": {
+                        "text": "Only the fireflies do. Come back when it gets warm — they love summer evenings."
+                    }
+                }
+            }
+        },
+        {
+            "id": "npc-dell",
+            "type": "delivery",
+            "x": 2870,
+            "speech": "That's the Dell Technologies office. Arpit is working there as an Automation Intern!",
+            "direction": -1,
+            "isWalking": true,
+            "walkRange": 60,
+            "dialogue": {
+                "start": "hello",
+                "nodes": {
+                    "hello": {
+                        "text": "Package for the Dell office! Arpit works there as an Automation Intern.",
+                        "choices": [
+                            {
+                                "text": "What does he do there?",
+                                "actions": [
+                                    "openProject:dell-office"
+                                ]
+                            },
+                            {
+                                "text": "Can you drop me at the workshop?",
+                                "actions": [
+                                    "teleport:house-fullstack"
+                                ]
+                            },
+                            {
+                                "text": "Gardener says hi",
+                                "if": "flag:metGardener",
+                                "next": "gardener"
+                            },
+                            {
+                                "text": "Carry on"
+                            }
+                        ]
+                    },
+                    "gardener": {
+                        "text": "Ha! Tell them the seed order arrives Tuesday.",
+                        "next": "hello"
+                    }
+                }
+            }
+        },
+        {
+            "id": "npc-fullstack",
+            "type": "sweeper",
+            "x": 3680,
+            "speech": "A full-stack developer's workshop! React, Node, databases — the works.",
+            "direction": 1
+        },
+        {
+            "id": "npc-end",
+            "type": "developer",
+            "x": 5200,
+            "speech": "Thanks for visiting Arpit's portfolio! Feel free to connect on LinkedIn or GitHub.",
+            "direction": -1,
+            "dialogue": {
+                "start": "hello",
+                "nodes": {
+                    "hello": {
+                        "text": "You made it to the end of the street! Thanks for visiting Arpit's portfolio.",
+                        "choices": [
+                            {
+                                "text": "Take me back to the start",
+                                "actions": [
+                                    "teleport:house-ml"
+                                ]
+                            },
+                            {
+                                "text": "How can I reach Arpit?",
+                                "next": "contact"
+                            },
+                            {
+                                "text": "Goodbye!"
+                            }
+                        ]
+                    },
+                    "contact": {
+                        "text": "Look Arpit up on LinkedIn or GitHub — he'd love to hear what you thought of the neighborhood.",
+                        "next": "hello"
+                    }
+                }
+            }
+        }
+    ],
+    "skills": [
+        {
+            "id": "skill-python",
+            "x": 2000,
+            "name": "Python",
+            "icon": "🐍",
+            "color": "#3776AB",
+            "description": "Primary language for ML, automation, scripting, and backend development."
+        },
+        {
+            "id": "skill-react",
+            "x": 2150,
+            "name": "React",
+            "icon": "⚛️",
+            "color": "#61DAFB",
+            "description": "Building interactive UIs with component-based architecture and hooks."
+        },
+        {
+            "id": "skill-ml",
+            "x": 2320,
+            "name": "Machine Learning",
+            "icon": "🧠",
+            "color": "#FF6F00",
+            "description": "Deep learning, NLP, computer vision, and model deployment."
+        },
+        {
+            "id": "skill-cloud",
+            "x": 2490,
+            "name": "Cloud",
+            "icon": "☁️",
+            "color": "#4285F4",
+            "description": "AWS, Azure, GCP — deploying and managing scalable cloud infrastructure."
+        },
+        {
+            "id": "skill-devops",
+            "x": 2660,
+            "name": "DevOps",
+            "icon": "🔧",
+            "color": "#2496ED",
+            "description": "CI/CD pipelines, Docker, Kubernetes, and infrastructure as code."
+        }
+    ],
+    "environment": {
+        "trees": [
+            {
+                "x": 100,
+                "size": 1
+            },
+            {
+                "x": 450,
+                "size": 0.85
+            },
+            {
+                "x": 900,
+                "size": 1.1
+            },
+            {
+                "x": 1100,
+                "size": 0.9
+            },
+            {
+                "x": 1600,
+                "size": 1
+            },
+            {
+                "x": 1850,
+                "size": 0.8
+            },
+            {
+                "x": 1950,
+                "size": 1.2
+            },
+            {
+                "x": 2100,
+                "size": 0.7
+            },
+            {
+                "x": 2250,
+                "size": 0.95
+            },
+            {
+                "x": 2400,
+                "size": 1.1
+            },
+            {
+                "x": 2550,
+                "size": 0.85
+            },
+            {
+                "x": 2750,
+                "size": 1
+            },
+            {
+                "x": 3200,
+                "size": 0.9
+            },
+            {
+                "x": 3500,
+                "size": 1.15
+            },
+            {
+                "x": 3950,
+                "size": 0.8
+            },
+            {
+                "x": 4200,
+                "size": 1
+            },
+            {
+                "x": 4700,
+                "size": 0.95
+            },
+            {
+                "x": 4900,
+                "size": 1.1
+            },
+            {
+                "x": 5100,
+                "size": 0.85
+            },
+            {
+                "x": 5350,
+                "size": 0.9
+            }
+        ],
+        "fences": [
+            {
+                "x": 180,
+                "width": 250
+            },
+            {
+                "x": 1150,
+                "width": 80
+            },
+            {
+                "x": 3300,
+                "width": 120
+            },
+            {
+                "x": 4100,
+                "width": 100
+            },
+            {
+                "x": 4680,
+                "width": 200
+            }
+        ],
+        "flowers": [
+            {
+                "x": 140,
+                "count": 4,
+                "spread": 30
+            },
+            {
+                "x": 500,
+                "count": 3,
+                "spread": 25
+            },
+            {
+                "x": 1200,
+                "count": 5,
+                "spread": 40
+            },
+            {
+                "x": 1700,
+                "count": 3,
+                "spread": 20
+            },
+            {
+                "x": 2050,
+                "count": 6,
+                "spread": 50
+            },
+            {
+                "x": 2350,
+                "count": 4,
+                "spread": 35
+            },
+            {
+                "x": 2700,
+                "count": 3,
+                "spread": 25
+            },
+            {
+                "x": 3400,
+                "count": 5,
+                "spread": 40
+            },
+            {
+                "x": 4000,
+                "count": 3,
+                "spread": 30
+            },
+            {
+                "x": 4800,
+                "count": 4,
+                "spread": 35
+            },
+            {
+                "x": 5250,
+                "count": 3,
+                "spread": 25
+            }
+        ],
+        "lamps": [
+            {
+                "x": 480
+            },
+            {
+                "x": 1150
+            },
+            {
+                "x": 1800
+            },
+            {
+                "x": 2450
+            },
+            {
+                "x": 3150
+            },
+            {
+                "x": 3600
+            },
+            {
+                "x": 4350
+            },
+            {
+                "x": 5050
+            }
+        ],
+        "signs": [
+            {
+                "x": 200,
+                "role": "welcome",
+                "text": "Welcome to\nArpit's Neighborhood!"
+            },
+            {
+                "x": 1950,
+                "role": "park",
+                "text": "🌳 Skills Park"
+            },
+            {
+                "x": 5150,
+                "role": "farewell",
+                "text": "Thanks for\nvisiting!"
+            }
+        ],
+        "benches": [
+            {
+                "x": 2080
+            },
+            {
+                "x": 2380
+            },
+            {
+                "x": 2600
+            }
+        ],
+        "crates": [
+            {
+                "x": 1000,
+                "width": 36,
+                "height": 32
+            },
+            {
+                "x": 3420,
+                "width": 40,
+                "height": 36
+            },
+            {
+                "x": 4250,
+                "width": 36,
+                "height": 28
+            }
+        ]
+    }
+};
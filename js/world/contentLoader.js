@@ -0,0 +1,53 @@
+/**
+ * contentLoader.js — Loads world content (buildings, NPCs, skills, props)
+ * from an external JSON document, validating it against the content schema.
+ * The document may also be a JSON Resume, which is converted into a
+ * generated neighborhood by resumeImporter.js.
+ * Falls back to the bundled copy of content/world.json (bundledContent.js)
+ * when the document cannot be fetched, parsed, or fails validation.
+ */
+import { WORLD_CONFIG } from './worldData.js';
+import { BUNDLED_CONTENT } from './bundledContent.js';
+import { validateWorldContent } from './contentSchema.js';
+import { isJsonResume, importJsonResume } from './resumeImporter.js';
+
+/** Content compiled into the bundle — always valid, always available */
+export { BUNDLED_CONTENT };
+
+/**
+ * Fetch and validate a world content document
+ * @param {string} url — e.g. 'content/world.json'
+ * @param {function} fetchFn — fetch implementation (injectable for tests)
+ * @returns {Promise<{ content: object, source: 'remote'|'bundled', errors: string[] }>}
+ */
+export async function loadWorldContent(url, fetchFn = fetch) {
+    let data;
+    try {
+        const response = await fetchFn(url);
+        if (!response.ok) {
+            return fallback([`${url}: HTTP ${response.status}`]);
+        }
+        data = await response.json();
+    } catch (err) {
+        return fallback([`${url}: ${err.message}`]);
+    }
+
+    if (isJsonResume(data)) {
+        try {
+            data = importJsonResume(data, WORLD_CONFIG);
+        } catch (err) {
+            return fallback([`${url}: ${err.message}`]);
+        }
+    }
+
+    const errors = validateWorldContent(data, WORLD_CONFIG);
+    if (errors.length > 0) {
+        return fallback(errors.map(e => `${url}: ${e}`));
+    }
+
+    return { content: data, source: 'remote', errors: [] };
+}
+
+function fallback(errors) {
+    return { content: BUNDLED_CONTENT, source: 'bundled', errors };
+}
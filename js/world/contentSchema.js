@@ -0,0 +1,366 @@
+/**
+ * contentSchema.js — Validator for world content documents.
+ * Checks the shape of buildings, NPCs, skills and environment props and
+ * the layout rules between them. Returns a list of human-readable errors
+ * (empty when the document is valid).
+ */
+import { CONDITION_TYPES, ACTION_TYPES, parseDirective } from '../systems/DialogueScript.js';
+
+const BUILDING_TYPES = ['house', 'office'];
+const NPC_TYPES = ['developer', 'gardener', 'delivery', 'sweeper'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validate a world content document
+ * @param {object} content — { buildings, npcs, skills, environment }
+ * @param {object} config — { width } world config the content must fit into
+ * @returns {string[]} errors
+ */
+export function validateWorldContent(content, config) {
+    const errors = [];
+
+    if (!isObject(content)) {
+        return ['content: expected an object with buildings, npcs, skills and environment'];
+    }
+
+    const buildings = requireArray(content, 'buildings', 'content', errors);
+    const npcs = requireArray(content, 'npcs', 'content', errors);
+    const skills = requireArray(content, 'skills', 'content', errors);
+    const environment = content.environment;
+
+    buildings.forEach((b, i) => validateBuilding(b, label('buildings', i, b), config, errors));
+    const buildingIds = new Set(buildings.filter(isObject).map(b => b.id));
+    npcs.forEach((n, i) => validateNpc(n, label('npcs', i, n), config, buildingIds, errors));
+    skills.forEach((s, i) => validateSkill(s, label('skills', i, s), config, errors));
+
+    if (isObject(environment)) {
+        validateEnvironment(environment, config, errors);
+    } else {
+        errors.push('content: missing "environment"');
+    }
+
+    checkUniqueIds([...buildings, ...npcs, ...skills], errors);
+    checkBuildingOverlaps(buildings, errors);
+
+    return errors;
+}
+
+// --------------------------------------------------
+// Entities
+// --------------------------------------------------
+
+function validateBuilding(b, path, config, errors) {
+    if (!isObject(b)) {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+    requireString(b, 'id', path, errors);
+    requireOneOf(b, 'type', BUILDING_TYPES, path, errors);
+    requireString(b, 'label', path, errors);
+    requireColor(b, 'color', path, errors);
+    requireColor(b, 'roofColor', path, errors);
+    const hasX = requireNumber(b, 'x', path, errors);
+    const hasW = requirePositive(b, 'width', path, errors);
+    requirePositive(b, 'height', path, errors);
+
+    if (hasX && hasW && (b.x < 0 || b.x + b.width > config.width)) {
+        errors.push(`${path}: spans x ${b.x}–${b.x + b.width}, outside world width ${config.width}`);
+    }
+
+    if (!isObject(b.project)) {
+        errors.push(`${path}: missing "project"`);
+        return;
+    }
+    const projectPath = `${path}.project`;
+    requireString(b.project, 'name', projectPath, errors);
+    requireString(b.project, 'description', projectPath, errors);
+    if (!Array.isArray(b.project.techStack)) {
+        errors.push(`${path}: missing "project.techStack"`);
+    } else if (!b.project.techStack.every(t => typeof t === 'string')) {
+        errors.push(`${path}: "project.techStack" must only contain strings`);
+    }
+    optionalLink(b.project, 'github', projectPath, errors);
+    optionalLink(b.project, 'live', projectPath, errors);
+    if (b.project.screenshots !== undefined &&
+        !(Array.isArray(b.project.screenshots) && b.project.screenshots.every(src => typeof src === 'string'))) {
+        errors.push(`${path}: "project.screenshots" must be an array of image URLs`);
+    }
+}
+
+function validateNpc(n, path, config, buildingIds, errors) {
+    if (!isObject(n)) {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+    requireString(n, 'id', path, errors);
+    requireOneOf(n, 'type', NPC_TYPES, path, errors);
+    requireString(n, 'speech', path, errors);
+
+    if (n.direction !== undefined && n.direction !== 1 && n.direction !== -1) {
+        errors.push(`${path}: "direction" must be 1 or -1`);
+    }
+    if (n.isWalking !== undefined && typeof n.isWalking !== 'boolean') {
+        errors.push(`${path}: "isWalking" must be a boolean`);
+    }
+    if (n.walkRange !== undefined && !(typeof n.walkRange === 'number' && n.walkRange >= 0)) {
+        errors.push(`${path}: "walkRange" must be a non-negative number`);
+    }
+    if (n.name !== undefined && (typeof n.name !== 'string' || n.name === '')) {
+        errors.push(`${path}: "name" must be a non-empty string`);
+    }
+    if (n.dialogue !== undefined) {
+        validateDialogue(n.dialogue, `${path}.dialogue`, buildingIds, errors);
+    }
+
+    if (requireNumber(n, 'x', path, errors)) {
+        const reach = n.isWalking ? (n.walkRange ?? 40) : 0;
+        if (n.x - reach < 0 || n.x + reach > config.width) {
+            errors.push(`${path}: x ${n.x} (±${reach}) is outside world width ${config.width}`);
+        }
+    }
+}
+
+function validateDialogue(script, path, buildingIds, errors) {
+    if (!isObject(script) || !isObject(script.nodes)) {
+        errors.push(`${path}: expected { start, nodes }`);
+        return;
+    }
+    const nodeIds = Object.keys(script.nodes);
+    if (!nodeIds.includes(script.start)) {
+        errors.push(`${path}: "start" must name one of the nodes`);
+    }
+
+    const checkNext = (next, where) => {
+        if (next !== undefined && next !== null && !nodeIds.includes(next)) {
+            errors.push(`${where}: "next" points to unknown node "${next}"`);
+        }
+    };
+    const checkDirectives = (list, allowed, field, where) => {
+        for (const text of list) {
+            if (typeof text !== 'string') {
+                errors.push(`${where}: "${field}" entries must be strings`);
+                continue;
+            }
+            const { type, arg } = parseDirective(text);
+            if (!allowed.includes(type)) {
+                errors.push(`${where}: unknown ${field} "${text}"`);
+            } else if (['visited', 'openProject', 'teleport'].includes(type) && !buildingIds.has(arg)) {
+                errors.push(`${where}: "${text}" refers to unknown building "${arg}"`);
+            }
+        }
+    };
+    const checkActions = (actions, where) => {
+        if (actions === undefined) return;
+        if (!Array.isArray(actions)) {
+            errors.push(`${where}: "actions" must be an array`);
+            return;
+        }
+        checkDirectives(actions, ACTION_TYPES, 'action', where);
+    };
+
+    for (const id of nodeIds) {
+        const node = script.nodes[id];
+        const nodePath = `${path}.nodes.${id}`;
+        if (!isObject(node)) {
+            errors.push(`${nodePath}: expected an object`);
+            continue;
+        }
+        requireString(node, 'text', nodePath, errors);
+        checkNext(node.next, nodePath);
+        checkActions(node.actions, nodePath);
+
+        if (node.choices === undefined) continue;
+        if (!Array.isArray(node.choices)) {
+            errors.push(`${nodePath}: "choices" must be an array`);
+            continue;
+        }
+        node.choices.forEach((choice, i) => {
+            const choicePath = `${nodePath}.choices[${i}]`;
+            if (!isObject(choice)) {
+                errors.push(`${choicePath}: expected an object`);
+                return;
+            }
+            requireString(choice, 'text', choicePath, errors);
+            checkNext(choice.next, choicePath);
+            checkActions(choice.actions, choicePath);
+            if (choice.if !== undefined) {
+                checkDirectives([].concat(choice.if), CONDITION_TYPES, 'condition', choicePath);
+            }
+        });
+    }
+}
+
+function validateSkill(s, path, config, errors) {
+    if (!isObject(s)) {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+    requireString(s, 'id', path, errors);
+    requireString(s, 'name', path, errors);
+    requireString(s, 'icon', path, errors);
+    requireString(s, 'description', path, errors);
+    requireColor(s, 'color', path, errors);
+    if (requireNumber(s, 'x', path, errors)) {
+        checkInWorld(s.x, path, config, errors);
+    }
+}
+
+function validateEnvironment(env, config, errors) {
+    const groups = {
+        trees: { x: 'number', size: 'number' },
+        fences: { x: 'number', width: 'number' },
+        flowers: { x: 'number', count: 'number', spread: 'number' },
+        lamps: { x: 'number' },
+        signs: { x: 'number', text: 'string', role: 'string?' },
+        benches: { x: 'number' }
+    };
+    const optionalGroups = {
+        crates: { x: 'number', width: 'number', height: 'number' }
+    };
+
+    for (const [group, fields] of Object.entries(optionalGroups)) {
+        if (env[group] !== undefined) groups[group] = fields;
+    }
+
+    checkUniqueSignRoles(env.signs, errors);
+
+    for (const [group, fields] of Object.entries(groups)) {
+        const items = requireArray(env, group, 'environment', errors);
+        items.forEach((item, i) => {
+            const path = `environment.${group}[${i}]`;
+            if (!isObject(item)) {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+            for (const [field, spec] of Object.entries(fields)) {
+                // 'string?' — optional, but a string when given
+                const type = spec.replace(/\?$/, '');
+                if (spec.endsWith('?') && item[field] === undefined) continue;
+                if (typeof item[field] !== type) {
+                    errors.push(`${path}: missing "${field}" (${type})`);
+                }
+            }
+            if (typeof item.x === 'number') checkInWorld(item.x, path, config, errors);
+            if ('width' in fields && 'height' in fields && (item.width <= 0 || item.height <= 0)) {
+                errors.push(`${path}: "width" and "height" must be greater than 0`);
+            }
+        });
+    }
+}
+
+// --------------------------------------------------
+// Cross-entity rules
+// --------------------------------------------------
+
+/**
+ * Events swap a sign's text by its role, so a role names one sign
+ */
+function checkUniqueSignRoles(signs, errors) {
+    if (!Array.isArray(signs)) return;
+    const seen = new Set();
+    for (const sign of signs) {
+        if (!isObject(sign) || typeof sign.role !== 'string') continue;
+        if (seen.has(sign.role)) {
+            errors.push(`environment.signs: duplicate role "${sign.role}"`);
+        }
+        seen.add(sign.role);
+    }
+}
+
+function checkUniqueIds(entities, errors) {
+    const seen = new Set();
+    for (const e of entities) {
+        if (!isObject(e) || typeof e.id !== 'string') continue;
+        if (seen.has(e.id)) {
+            errors.push(`duplicate id "${e.id}"`);
+        }
+        seen.add(e.id);
+    }
+}
+
+function checkBuildingOverlaps(buildings, errors) {
+    const placed = buildings
+        .filter(b => isObject(b) && typeof b.x === 'number' && typeof b.width === 'number')
+        .sort((a, b) => a.x - b.x);
+
+    for (let i = 1; i < placed.length; i++) {
+        const prev = placed[i - 1];
+        const curr = placed[i];
+        if (curr.x < prev.x + prev.width) {
+            errors.push(
+                `buildings "${prev.id}" (x ${prev.x}–${prev.x + prev.width}) and ` +
+                `"${curr.id}" (x ${curr.x}–${curr.x + curr.width}) overlap`
+            );
+        }
+    }
+}
+
+// --------------------------------------------------
+// Field helpers
+// --------------------------------------------------
+
+function label(group, index, item) {
+    const id = isObject(item) && typeof item.id === 'string' ? ` (${item.id})` : '';
+    return `${group}[${index}]${id}`;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireArray(obj, key, path, errors) {
+    if (!Array.isArray(obj[key])) {
+        errors.push(`${path}: missing "${key}" array`);
+        return [];
+    }
+    return obj[key];
+}
+
+function requireString(obj, key, path, errors) {
+    if (typeof obj[key] !== 'string' || obj[key] === '') {
+        errors.push(`${path}: missing "${key}"`);
+        return false;
+    }
+    return true;
+}
+
+function requireNumber(obj, key, path, errors) {
+    if (typeof obj[key] !== 'number' || !Number.isFinite(obj[key])) {
+        errors.push(`${path}: missing "${key}" (number)`);
+        return false;
+    }
+    return true;
+}
+
+function requirePositive(obj, key, path, errors) {
+    if (!requireNumber(obj, key, path, errors)) return false;
+    if (obj[key] <= 0) {
+        errors.push(`${path}: "${key}" must be greater than 0`);
+        return false;
+    }
+    return true;
+}
+
+function requireOneOf(obj, key, allowed, path, errors) {
+    if (!allowed.includes(obj[key])) {
+        errors.push(`${path}: "${key}" must be one of ${allowed.join(', ')}`);
+    }
+}
+
+function requireColor(obj, key, path, errors) {
+    if (typeof obj[key] !== 'string' || !HEX_COLOR.test(obj[key])) {
+        errors.push(`${path}: "${key}" must be a #RRGGBB color`);
+    }
+}
+
+function optionalLink(obj, key, path, errors) {
+    if (obj[key] !== undefined && obj[key] !== null && typeof obj[key] !== 'string') {
+        errors.push(`${path}: "${key}" must be a URL string or null`);
+    }
+}
+
+function checkInWorld(x, path, config, errors) {
+    if (x < 0 || x > config.width) {
+        errors.push(`${path}: x ${x} is outside world width ${config.width}`);
+    }
+}
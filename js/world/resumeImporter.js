@@ -0,0 +1,303 @@
+/**
+ * resumeImporter.js — Builds world content from a JSON Resume document
+ * (https://jsonresume.org/schema). Maps projects[] to houses, work[] to
+ * offices and skills[] to the Skills Park, places a guide NPC beside every
+ * building, and lays everything out along the world width with props and
+ * signs in between. Each section that has entries gets a sign in the street
+ * before it (🏠 Projects, 🌳 Skills Park, 🏢 Work).
+ *
+ * Layout, left to right:
+ *   welcome zone → project houses → Skills Park → work offices → farewell zone
+ */
+const WELCOME_ZONE = 520;       // px reserved for the welcome sign + tutorial NPC
+const FAREWELL_ZONE = 420;      // px reserved for the thanks sign + final NPC
+const MIN_GAP = 140;            // minimum street between two buildings
+const SKILL_SPACING = 170;      // distance between skill icons in the park
+const PARK_PADDING = 110;       // park margin on either side of the skills
+const LAMP_SPACING = 650;
+
+const HOUSE_WIDTHS = [160, 150, 155];
+const HOUSE_HEIGHTS = [140, 130, 135, 125];
+const OFFICE_SIZE = { width: 200, height: 160 };
+
+const HOUSE_PALETTES = [
+    { color: '#F4D9A0', roofColor: '#8B5E3C' },
+    { color: '#E8B4A0', roofColor: '#7A5040' },
+    { color: '#A8D5BA', roofColor: '#5A8A65' },
+    { color: '#C5B8D9', roofColor: '#6A5A80' }
+];
+const OFFICE_PALETTE = { color: '#B0BEC5', roofColor: '#607D8B' };
+const SKILL_COLORS = ['#3776AB', '#61DAFB', '#FF6F00', '#4285F4', '#2496ED', '#E91E63'];
+const GUIDE_TYPES = ['developer', 'gardener', 'sweeper'];
+
+/** Emoji for common skill names; anything else gets a star */
+const SKILL_ICONS = {
+    python: '🐍', javascript: '📜', typescript: '📘', react: '⚛️', node: '🟩',
+    'machine learning': '🧠', ml: '🧠', ai: '🤖', data: '📊', cloud: '☁️',
+    aws: '☁️', devops: '🔧', docker: '🐳', kubernetes: '⎈', design: '🎨',
+    web: '🌐', mobile: '📱', security: '🔒', database: '🗄️', sql: '🗄️'
+};
+
+/**
+ * True when a parsed JSON document looks like a JSON Resume (it has a
+ * `basics` key, possibly null)
+ */
+export function isJsonResume(data) {
+    return data !== null && typeof data === 'object' && typeof data.basics === 'object';
+}
+
+/**
+ * Convert a JSON Resume into world content
+ * @param {object} resume — JSON Resume document
+ * @param {object} config — WORLD_CONFIG (only width is used)
+ * @returns {object} { buildings, npcs, skills, environment }
+ * @throws {Error} when the entries cannot fit in the world width
+ */
+export function importJsonResume(resume, config) {
+    const basics = resume.basics || {};   // `basics: null` still passes isJsonResume
+    const person = firstName(basics.name) || 'My';
+    const projects = (resume.projects || []).filter(p => p && p.name);
+    const jobs = (resume.work || []).filter(w => w && w.name);
+    const skills = (resume.skills || []).filter(s => s && s.name);
+
+    const houseData = projects.map((p, i) => projectToBuilding(p, i));
+    const officeData = jobs.map((w, i) => workToBuilding(w, i));
+
+    // --- Horizontal budget ---
+    const parkWidth = skills.length > 0 ? (skills.length - 1) * SKILL_SPACING + PARK_PADDING * 2 : 0;
+    const buildingWidth = [...houseData, ...officeData].reduce((sum, b) => sum + b.width, 0);
+    const slots = houseData.length + officeData.length + (parkWidth > 0 ? 1 : 0) + 1;
+    const free = config.width - WELCOME_ZONE - FAREWELL_ZONE - parkWidth - buildingWidth;
+    const gap = free / slots;
+
+    if (gap < MIN_GAP) {
+        throw new Error(
+            `resume: ${houseData.length} projects, ${officeData.length} jobs and ${skills.length} skills ` +
+            `need more than ${config.width}px of street`
+        );
+    }
+
+    const buildings = [];
+    const npcs = [];
+    const skillIcons = [];
+    const gaps = [];   // [start, end, sign?] ranges of open street, used for props and section signs
+
+    let cursor = WELCOME_ZONE;
+
+    const placeBuilding = (data, guide, sign) => {
+        gaps.push(sign ? [cursor, cursor + gap, sign] : [cursor, cursor + gap]);
+        cursor += gap;
+        data.x = Math.round(cursor);
+        buildings.push(data);
+        npcs.push({ ...guide, x: data.x - 70 });
+        cursor += data.width;
+    };
+
+    houseData.forEach((b, i) => {
+        placeBuilding(b, {
+            id: `npc-${b.id}`,
+            type: GUIDE_TYPES[i % GUIDE_TYPES.length],
+            speech: `This house holds ${possessive(person)} ${b.project.name} project. Press E to take a look!`,
+            direction: 1
+        }, i === 0 ? { role: 'projects', text: '🏠 Projects' } : null);
+    });
+
+    let park = null;
+    if (parkWidth > 0) {
+        gaps.push([cursor, cursor + gap]);
+        cursor += gap;
+        park = { start: Math.round(cursor), end: Math.round(cursor + parkWidth) };
+        skills.forEach((s, i) => {
+            skillIcons.push(skillToIcon(s, i, park.start + PARK_PADDING + i * SKILL_SPACING));
+        });
+        cursor += parkWidth;
+    }
+
+    officeData.forEach((b, i) => {
+        const job = jobs[i];
+        const current = !job.endDate;
+        const role = job.position ? ` as ${withArticle(job.position)}` : '';
+        placeBuilding(b, {
+            id: `npc-${b.id}`,
+            type: 'delivery',
+            speech: `That's the ${job.name} office. ${person} ${current ? 'is working' : 'worked'} there${role}!`,
+            direction: -1,
+            isWalking: true,
+            walkRange: 40
+        }, i === 0 ? { role: 'work', text: '🏢 Work' } : null);
+    });
+    gaps.push([cursor, config.width - FAREWELL_ZONE]);
+
+    // --- Welcome & farewell NPCs ---
+    npcs.unshift({
+        id: 'npc-tutorial',
+        type: 'developer',
+        x: 330,
+        speech: `Welcome! Use arrow keys to explore ${possessive(person)} neighborhood. Press E near buildings to learn more!`,
+        direction: 1
+    });
+    npcs.push({
+        id: 'npc-end',
+        type: 'developer',
+        x: config.width - 300,
+        speech: `Thanks for visiting ${possessive(person)} portfolio!${contactLine(basics)}`,
+        direction: -1
+    });
+
+    return {
+        buildings,
+        npcs,
+        skills: skillIcons,
+        environment: buildEnvironment(person, gaps, park, config)
+    };
+}
+
+// --------------------------------------------------
+// Entry mappers
+// --------------------------------------------------
+
+function projectToBuilding(p, index) {
+    const palette = HOUSE_PALETTES[index % HOUSE_PALETTES.length];
+    const url = p.url || null;
+    const isRepo = url !== null && /github\.com|gitlab\.com/.test(url);
+
+    return {
+        id: `house-${slugify(p.name)}-${index}`,
+        type: 'house',
+        x: 0,
+        width: HOUSE_WIDTHS[index % HOUSE_WIDTHS.length],
+        height: HOUSE_HEIGHTS[index % HOUSE_HEIGHTS.length],
+        color: palette.color,
+        roofColor: palette.roofColor,
+        label: shortLabel(p.name),
+        project: {
+            name: p.name,
+            description: describe(p.description, p.highlights),
+            techStack: stringList(p.keywords),
+            github: isRepo ? url : null,
+            live: isRepo ? null : url,
+        }
+    };
+}
+
+function workToBuilding(w, index) {
+    return {
+        id: `work-${slugify(w.name)}-${index}`,
+        type: 'office',
+        x: 0,
+        width: OFFICE_SIZE.width,
+        height: OFFICE_SIZE.height,
+        color: OFFICE_PALETTE.color,
+        roofColor: OFFICE_PALETTE.roofColor,
+        label: shortLabel(w.name),
+        project: {
+            name: w.position ? `${w.position} — ${w.name}` : w.name,
+            description: describe(w.summary, w.highlights),
+            techStack: stringList(w.keywords),
+            github: null,
+            live: w.url || null,
+        }
+    };
+}
+
+function skillToIcon(s, index, x) {
+    const keywords = stringList(s.keywords);
+    return {
+        id: `skill-${slugify(s.name)}-${index}`,
+        x: Math.round(x),
+        name: s.name,
+        icon: SKILL_ICONS[s.name.toLowerCase()] || '⭐',
+        color: SKILL_COLORS[index % SKILL_COLORS.length],
+        description: keywords.length > 0 ? keywords.join(', ') + '.' : (s.level || s.name)
+    };
+}
+
+// --------------------------------------------------
+// Props
+// --------------------------------------------------
+
+function buildEnvironment(person, gaps, park, config) {
+    const trees = [];
+    const flowers = [];
+    const fences = [{ x: 180, width: 250 }];
+
+    const signs = [{ x: 200, role: 'welcome', text: `Welcome to\n${possessive(person)} Neighborhood!` }];
+
+    gaps.forEach(([start, end, sign], i) => {
+        const mid = Math.round((start + end) / 2);
+        if (sign) {
+            // The section sign stands where the tree would
+            signs.push({ x: mid, ...sign });
+        } else if (end - start >= MIN_GAP) {
+            trees.push({ x: mid, size: [1.0, 0.85, 1.1, 0.9][i % 4] });
+        }
+        if (end - start >= MIN_GAP) {
+            flowers.push({ x: Math.round(start + (end - start) * 0.25), count: 3 + (i % 3), spread: 30 });
+        }
+    });
+
+    const benches = [];
+    if (park) {
+        signs.push({ x: park.start + 40, role: 'park', text: '🌳 Skills Park' });
+        for (let x = park.start + PARK_PADDING + SKILL_SPACING / 2; x < park.end - PARK_PADDING; x += SKILL_SPACING * 2) {
+            benches.push({ x: Math.round(x) });
+        }
+        trees.push({ x: park.start + 20, size: 1.2 }, { x: park.end - 20, size: 1.0 });
+    }
+    signs.push({ x: config.width - 350, role: 'farewell', text: 'Thanks for\nvisiting!' });
+
+    const lamps = [];
+    for (let x = 480; x < config.width - 200; x += LAMP_SPACING) {
+        lamps.push({ x });
+    }
+
+    trees.sort((a, b) => a.x - b.x);
+    signs.sort((a, b) => a.x - b.x);
+    return { trees, fences, flowers, lamps, signs, benches };
+}
+
+// --------------------------------------------------
+// Text helpers
+// --------------------------------------------------
+
+function firstName(name) {
+    return typeof name === 'string' ? name.trim().split(/\s+/)[0] : '';
+}
+
+function possessive(name) {
+    if (name === 'My') return 'my';
+    return name.endsWith('s') ? `${name}'` : `${name}'s`;
+}
+
+function withArticle(word) {
+    return /^[aeiou]/i.test(word) ? `an ${word}` : `a ${word}`;
+}
+
+function describe(summary, highlights) {
+    const parts = [];
+    if (typeof summary === 'string' && summary.trim()) parts.push(summary.trim());
+    for (const h of stringList(highlights)) parts.push(h.endsWith('.') ? h : `${h}.`);
+    return parts.join(' ') || 'Details coming soon.';
+}
+
+function contactLine(basics = {}) {
+    const networks = (basics.profiles || []).map(p => p.network).filter(Boolean);
+    return networks.length > 0 ? ` Feel free to connect on ${networks.join(' or ')}.` : '';
+}
+
+function shortLabel(name) {
+    return name.length > 18 ? name.slice(0, 17).trimEnd() + '…' : name;
+}
+
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(v => typeof v === 'string') : [];
+}
+
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '') // accents split off by NFKD: 'ü' → 'u'
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'entry';
+}
@@ -0,0 +1,102 @@
+/**
+ * build-content.js — Regenerates what is built from content/world.json:
+ *
+ *   js/world/bundledContent.js   the fallback bundled with the page
+ *   index.html                   the classic page between the classic markers
+ *
+ * After editing world.json, run (from the repository root):
+ *
+ *   node --experimental-default-type=module scripts/build-content.js
+ *
+ * With --check nothing is written; it exits with 1 if either file is out
+ * of date. tests/content.test.js runs the same comparison.
+ */
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { validateWorldContent } from '../js/world/contentSchema.js';
+import { renderClassicHtml } from '../js/systems/ClassicView.js';
+import { WORLD_CONFIG } from '../js/world/worldData.js';
+
+const ROOT = new URL('../', import.meta.url);
+export const CONTENT_FILE = new URL('content/world.json', ROOT);
+export const BUNDLE_FILE = new URL('js/world/bundledContent.js', ROOT);
+export const PAGE_FILE = new URL('index.html', ROOT);
+
+const CLASSIC_START = '<!-- classic:start -->';
+const CLASSIC_END = '<!-- classic:end -->';
+const CLASSIC_INDENT = ' '.repeat(12);
+
+/**
+ * Source of js/world/bundledContent.js for a content document
+ * @param {object} content — { buildings, npcs, skills, environment }
+ * @returns {string}
+ */
+export function bundleSource(content) {
+    return [
+        '/**',
+        ' * bundledContent.js — Generated from content/world.json by',
+        ' * scripts/build-content.js; edit world.json and run the script instead.',
+        ' * The world falls back to this copy when world.json cannot be loaded.',
+        ' */',
+        `export const BUNDLED_CONTENT = ${JSON.stringify(content, null, 4)};`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * index.html with the classic page for a content document between its markers
+ * @param {string} html — index.html as it is
+ * @param {object} content
+ * @returns {string}
+ */
+export function withClassicPage(html, content) {
+    const start = html.indexOf(CLASSIC_START);
+    const end = html.indexOf(CLASSIC_END);
+    if (start === -1 || end < start) throw new Error('index.html: classic markers missing');
+
+    const page = renderClassicHtml(content).split('\n').map(line => CLASSIC_INDENT + line).join('\n');
+    const endLine = html.lastIndexOf('\n', end);
+    return html.slice(0, start + CLASSIC_START.length) + '\n' + page + html.slice(endLine);
+}
+
+/**
+ * content/world.json, validated
+ * @throws {Error} listing the schema errors
+ */
+export function readContent() {
+    const content = JSON.parse(readFileSync(CONTENT_FILE, 'utf8'));
+    const errors = validateWorldContent(content, WORLD_CONFIG);
+    if (errors.length > 0) {
+        throw new Error(`content/world.json:\n  ${errors.join('\n  ')}`);
+    }
+    return content;
+}
+
+/**
+ * The generated files, with what they hold now and what they should hold
+ * @returns {{ file: URL, current: string, expected: string }[]}
+ */
+export function buildOutputs(content = readContent()) {
+    const bundle = existsSync(BUNDLE_FILE) ? readFileSync(BUNDLE_FILE, 'utf8') : '';
+    const page = readFileSync(PAGE_FILE, 'utf8');
+    return [
+        { file: BUNDLE_FILE, current: bundle, expected: bundleSource(content) },
+        { file: PAGE_FILE, current: page, expected: withClassicPage(page, content) }
+    ];
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const check = process.argv.includes('--check');
+    const stale = buildOutputs().filter(o => o.current !== o.expected);
+
+    for (const { file, expected } of stale) {
+        const name = fileURLToPath(file).slice(fileURLToPath(ROOT).length);
+        if (check) {
+            console.error(`${name} is out of date`);
+        } else {
+            writeFileSync(file, expected);
+            console.log(`wrote ${name}`);
+        }
+    }
+    if (check && stale.length > 0) process.exitCode = 1;
+}
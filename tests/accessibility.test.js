@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import {
+    streetPointsOfInterest,
+    interiorPointsOfInterest,
+    nextPointOfInterest
+} from '../js/systems/AccessibilityMirror.js';
+import { BUILDINGS, NPCS, SKILLS, ENVIRONMENT, WORLD_CONFIG } from '../js/world/worldData.js';
+
+const web3 = BUILDINGS.find(b => b.id === 'house-web3');
+
+test('the street is listed in world order under its signs', () => {
+    const h = new HeadlessHarness({ render: false });
+    const points = streetPointsOfInterest(h.world, 90);
+
+    const count = (kind) => points.filter(p => p.kind === kind).length;
+    assert.equal(count('zone'), ENVIRONMENT.signs.length);
+    assert.equal(count('building'), BUILDINGS.length);
+    assert.equal(count('npc'), NPCS.length);
+    assert.equal(count('skill'), SKILLS.length);
+    assert.deepEqual(points.map(p => p.x), [...points.map(p => p.x)].sort((a, b) => a - b));
+
+    assert.ok(points.some(p => p.kind === 'zone' && p.label === 'Skills Park'), 'sign emoji dropped');
+    const guide = points.find(p => p.kind === 'npc' && p.entity.data.id === NPCS[0].id);
+    assert.ok(guide.label.includes(NPCS[0].speech));
+
+    // A new line is read out from then on
+    guide.entity.data.speech = 'Fireworks at midnight!';
+    assert.ok(guide.label.endsWith('“Fireworks at midnight!”'));
+});
+
+test('standing at a listed building or neighbour makes it what E uses', () => {
+    const h = new HeadlessHarness({ render: false });
+    for (const point of streetPointsOfInterest(h.world, 90)) {
+        if (point.kind !== 'building' && point.kind !== 'npc') continue;
+        for (const fromX of [0, WORLD_CONFIG.width]) {
+            assert.equal(h.world.interactionAt(point.approach(fromX), 90)?.data, point.entity.data, point.label);
+        }
+    }
+});
+
+test('next and previous walk from place to place and stop at the ends', () => {
+    const h = new HeadlessHarness({ render: false });
+    const points = streetPointsOfInterest(h.world, 90);
+    const visited = [];
+
+    for (let i = 0; i < 3; i++) {
+        const target = nextPointOfInterest(points, h.player.x, 1);
+        assert.ok(target.x > h.player.x);
+        h.input.walkTo(target.x);
+        assert.ok(h.stepUntil(({ input }) => !input.autoWalk.isActive, 600), `reached ${target.point.label}`);
+        visited.push(target.point);
+
+        if (target.point.kind === 'skill') {
+            assert.equal(h.world.nearestSkill(h.player.x, 90), target.point.entity.data);
+        } else {
+            assert.equal(h.interaction?.data, target.point.entity.data);
+        }
+    }
+    assert.equal(new Set(visited).size, 3);
+
+    const back = nextPointOfInterest(points, h.player.x, -1);
+    assert.equal(back.point, visited[1]);
+
+    assert.equal(nextPointOfInterest(points, WORLD_CONFIG.width, 1), null);
+    assert.equal(nextPointOfInterest(points, 0, -1), null);
+});
+
+test('a room lists its door, desk and screens', () => {
+    const h = new HeadlessHarness({ render: false, playerX: web3.x + web3.width / 2 });
+    h.step(1);
+    h.input.press('interact');
+    assert.ok(h.stepUntil(({ scenes }) => scenes.isInside && !scenes.isTransitioning, 120), 'entered');
+
+    const interior = h.scenes.interior;
+    const points = interiorPointsOfInterest(interior);
+    assert.deepEqual(points.map(p => p.kind).slice(0, 2), ['exit', 'desk']);
+    assert.equal(points.length, 2 + interior.screens.length);
+
+    for (const point of points) {
+        assert.equal(interior.checkInteractions(point.approach(h.player.x), 60)?.data, point.entity.data, point.label);
+    }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { BUILDINGS, NPCS, SKILLS, ENVIRONMENT } from '../js/world/worldData.js';
+
+const web3 = BUILDINGS.find(b => b.id === 'house-web3');
+
+test('tap-to-walk arrives at the spot and stops', () => {
+    const h = new HeadlessHarness({ render: false });
+    const target = h.player.x - 120;
+    h.input.walkTo(target);
+
+    assert.ok(h.stepUntil(({ input }) => !input.autoWalk.isActive, 300), 'arrived');
+    assert.ok(Math.abs(h.player.x - target) <= 6);
+    assert.equal(h.player.direction, -1);
+
+    const x = h.player.x;
+    h.step(10);
+    assert.equal(h.player.x, x, 'stands still after arriving');
+});
+
+test('long walks sprint, and tapping a building walks in', () => {
+    const h = new HeadlessHarness({ render: false });
+    const door = web3.x + web3.width / 2;
+    assert.ok(door - h.player.x > 320, 'far enough to sprint');
+
+    h.input.walkTo(door, true);
+    h.step(1);
+    assert.equal(h.player.isSprinting, true);
+
+    assert.ok(h.stepUntil(({ scenes }) => scenes.isInside, 1200), 'walked in');
+    assert.equal(h.scenes.interior.building.id, 'house-web3');
+});
+
+test('any manual movement cancels the walk', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.input.walkTo(h.player.x + 400);
+    h.step(5);
+    assert.ok(h.input.autoWalk.isActive);
+
+    h.input.hold('left');
+    h.step(1);
+    assert.equal(h.input.autoWalk.isActive, false);
+    assert.equal(h.player.direction, -1);
+});
+
+test('crates on the way are jumped', () => {
+    const crate = ENVIRONMENT.crates[0];
+    const h = new HeadlessHarness({ render: false, playerX: crate.x - 60 });
+    let jumps = 0;
+    h.player.onJump = () => jumps++;
+    h.input.walkTo(crate.x + crate.width + 60);
+
+    assert.ok(h.stepUntil(({ input }) => !input.autoWalk.isActive, 300), 'arrived');
+    assert.ok(h.player.x > crate.x + crate.width, 'past the crate');
+    assert.equal(jumps, 1);
+});
+
+test('a walk that cannot get any further gives up', () => {
+    const h = new HeadlessHarness({ render: false, playerX: 80 });
+    h.input.walkTo(-200);
+
+    assert.ok(h.stepUntil(({ input }) => !input.autoWalk.isActive, 300), 'gave up');
+    assert.equal(h.player.x, h.player.width / 2, 'stopped at the world edge');
+});
+
+test('clicking an NPC walks to where E talks to them, not to the house behind', () => {
+    const npc = NPCS.find(n => n.id === 'npc-ml');
+    const h = new HeadlessHarness({ render: false });
+    const entity = h.world.entityAt(npc.x, h.groundY - 30);
+    assert.equal(entity.type, 'npc');
+    assert.equal(h.world.interactionAt(npc.x, 90).type, 'building', 'the house wins right at the NPC');
+
+    h.input.walkTo(h.world.approachX(entity, h.player.x, 90), true);
+    assert.ok(h.stepUntil(({ input }) => !input.autoWalk.isActive, 600), 'arrived');
+    assert.equal(h.interaction.type, 'npc', 'the arrival step pressed E at the NPC');
+    assert.equal(h.interaction.data.id, 'npc-ml');
+    assert.equal(h.scenes.isInside, false);
+});
+
+test('pointer hit-testing finds badges, buildings and empty ground', () => {
+    const h = new HeadlessHarness({ render: false });
+    const skill = SKILLS[0];
+    assert.equal(h.world.entityAt(skill.x, h.groundY - 60).type, 'skill');
+    assert.equal(h.world.entityAt(web3.x + 10, h.groundY - 20).data.id, 'house-web3');
+    assert.equal(h.world.entityAt(web3.x + 10, h.groundY - web3.height - 40), null, 'sky above the roof');
+    assert.equal(h.world.entityAt(ENVIRONMENT.crates[0].x - 50, h.groundY - 10), null);
+});
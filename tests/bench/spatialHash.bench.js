@@ -0,0 +1,153 @@
+/**
+ * spatialHash.bench.js — Per-frame query cost on a generated 50,000px world,
+ * linear scans (the pre-index algorithm) vs the SpatialHash broadphase.
+ * Times interaction lookup, foreground/entity culling and collision
+ * queries while the player sweeps the whole street; drawing is excluded.
+ *
+ *   node --experimental-default-type=module tests/bench/spatialHash.bench.js
+ */
+import { performance } from 'node:perf_hooks';
+import { Camera } from '../../js/engine/Camera.js';
+import { CollisionSystem } from '../../js/engine/CollisionSystem.js';
+import { WorldBuilder } from '../../js/world/WorldBuilder.js';
+import { Random } from '../../js/utils/Random.js';
+
+const WORLD_WIDTH = 50000;
+const CANVAS = { width: 1280, height: 720 };
+const FRAMES = 4000;
+const RANGE = 90;
+
+const PROP_GROUPS = ['trees', 'fences', 'flowers', 'lamps', 'signs', 'benches', 'crates'];
+
+// --------------------------------------------------
+// Generated world
+// --------------------------------------------------
+
+function generateContent(rng) {
+    const content = {
+        buildings: [], npcs: [], skills: [],
+        environment: { trees: [], fences: [], flowers: [], lamps: [], signs: [], benches: [], crates: [] }
+    };
+    const env = content.environment;
+
+    for (let x = 500, i = 0; x < WORLD_WIDTH - 600; x += 420, i++) {
+        const type = i % 4 === 3 ? 'office' : 'house';
+        const width = type === 'office' ? 200 : rng.int(150, 165);
+        content.buildings.push({
+            id: `b-${i}`, type, x, width, height: rng.int(125, 160),
+            color: '#F4D9A0', roofColor: '#8B5E3C', label: `Building ${i}`,
+            project: { name: `Project ${i}`, description: '', techStack: [], github: null, live: null }
+        });
+        content.npcs.push({ id: `n-${i}`, type: 'developer', x: x - 70, speech: `Hello ${i}`, direction: 1, isWalking: i % 3 === 0, walkRange: 40 });
+        content.skills.push({ id: `s-${i}`, x: x + width + 110, name: `Skill ${i}`, icon: '⭐', color: '#3776AB', description: '' });
+        env.crates.push({ x: x + width + 30, width: 36, height: 30 });
+        env.benches.push({ x: x + width + 180 });
+    }
+    for (let x = 60; x < WORLD_WIDTH; x += rng.int(90, 160)) env.trees.push({ x, size: rng.range(0.8, 1.2) });
+    for (let x = 120; x < WORLD_WIDTH; x += rng.int(150, 260)) env.flowers.push({ x, count: rng.int(3, 6), spread: 30 });
+    for (let x = 180; x < WORLD_WIDTH; x += 700) env.fences.push({ x, width: 120 });
+    for (let x = 480; x < WORLD_WIDTH; x += 650) env.lamps.push({ x });
+    for (let x = 200; x < WORLD_WIDTH; x += 2500) env.signs.push({ x, text: 'Sign' });
+
+    return content;
+}
+
+// --------------------------------------------------
+// Per-frame workloads
+// --------------------------------------------------
+
+/** The pre-index algorithms: every query scans every list */
+function linearFrame(world, collision, camera, player) {
+    let work = 0;
+
+    // Interaction lookup (WorldBuilder.checkInteractions)
+    let hit = null;
+    for (const b of world.buildings) {
+        if (Math.abs(player.x - (b.x + b.width / 2)) < RANGE + b.width / 2) { hit = b; break; }
+    }
+    if (!hit) {
+        for (const n of world.npcs) {
+            if (Math.abs(player.x - n.x) < RANGE) { hit = n; break; }
+        }
+    }
+
+    // Culling (WorldBuilder.render / renderForeground)
+    for (const b of world.buildings) if (camera.isVisible(b.x - 20, 0, b.width + 40, CANVAS.height)) work++;
+    for (const n of world.npcs) if (camera.isVisible(n.x - 30, 0, 60, CANVAS.height)) work++;
+    for (const s of world.skills) if (camera.isVisible(s.x - 30, 0, 60, CANVAS.height)) work++;
+    for (const group of PROP_GROUPS) {
+        for (const p of world.content.environment[group]) if (camera.isVisible(p.x - 60, 0, 120, CANVAS.height)) work++;
+    }
+
+    // Collision (CollisionSystem.constrainPlayer / findNearbyInteractive)
+    for (const z of [...collision.solidZones, ...collision.platforms]) {
+        if (z.x < player.x + 14 && z.x + z.width > player.x - 14) work++;
+    }
+    for (const z of collision.interactiveZones) {
+        if (Math.abs(player.x - (z.x + z.width / 2)) < RANGE) work++;
+    }
+
+    return { hit, work };
+}
+
+/** The indexed path used by the game */
+function indexedFrame(world, collision, camera, player) {
+    let work = 0;
+
+    const interaction = world.checkInteractions(player.x, RANGE);
+
+    for (const group of ['buildings', 'npcs', 'skills', ...PROP_GROUPS]) {
+        work += world.queryVisible(group, camera).length;
+    }
+
+    collision.constrainPlayer(player);
+    collision.findNearbyInteractive(player, RANGE);
+
+    return { hit: interaction ? interaction.data : null, work };
+}
+
+function run(label, frameFn, world, collision, camera) {
+    const player = { x: 0, y: world.groundY, prevY: world.groundY, width: 28, height: 48, velocityY: 0, isGrounded: true };
+    const hits = [];
+
+    const start = performance.now();
+    for (let i = 0; i < FRAMES; i++) {
+        player.x = 20 + (i * (WORLD_WIDTH - 40)) / FRAMES;
+        camera.renderX = player.x - camera.width / 2;
+        hits.push(frameFn(world, collision, camera, player).hit);
+    }
+    const elapsed = performance.now() - start;
+
+    console.log(`${label.padEnd(8)} ${(elapsed / FRAMES * 1000).toFixed(1).padStart(8)} µs/frame`);
+    return { elapsed, hits };
+}
+
+// --------------------------------------------------
+// Main
+// --------------------------------------------------
+
+const rng = new Random('bench');
+const content = generateContent(rng);
+const world = new WorldBuilder(CANVAS.width, CANVAS.height, rng.fork('world'), content);
+const collision = new CollisionSystem(WORLD_WIDTH, world.groundY);
+world.setupCollisions(collision);
+const camera = new Camera(CANVAS.width, CANVAS.height, WORLD_WIDTH, rng.fork('camera'));
+
+const props = PROP_GROUPS.reduce((sum, g) => sum + content.environment[g].length, 0);
+console.log(
+    `world: ${WORLD_WIDTH}px, ${content.buildings.length} buildings, ${content.npcs.length} NPCs, ` +
+    `${content.skills.length} skills, ${props} props, ` +
+    `${collision.solidZones.length + collision.platforms.length} collision surfaces`
+);
+console.log(`${FRAMES} frames, player sweeping the whole street\n`);
+
+// Warm up both paths so the JIT has compiled them before timing
+run('warmup', linearFrame, world, collision, camera);
+run('warmup', indexedFrame, world, collision, camera);
+console.log('');
+
+const linear = run('linear', linearFrame, world, collision, camera);
+const indexed = run('indexed', indexedFrame, world, collision, camera);
+
+const mismatches = linear.hits.filter((hit, i) => hit !== indexed.hits[i]).length;
+console.log(`\nspeedup: ${(linear.elapsed / indexed.elapsed).toFixed(1)}×, interaction mismatches: ${mismatches}`);
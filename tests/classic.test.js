@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { renderClassicHtml } from '../js/systems/ClassicView.js';
+import { BUNDLED_CONTENT } from '../js/world/contentLoader.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const lines = (html) => html.split('\n').map(line => line.trim()).filter(Boolean);
+
+test('index.html has the classic page for visitors without JavaScript', () => {
+    const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+    const start = html.indexOf('<!-- classic:start -->');
+    const end = html.indexOf('<!-- classic:end -->');
+    assert.ok(start !== -1 && end > start, 'markers present');
+
+    const fallback = html.slice(start + '<!-- classic:start -->'.length, end);
+    assert.deepEqual(lines(fallback), lines(renderClassicHtml(BUNDLED_CONTENT)),
+        'out of date: run scripts/build-content.js');
+});
+
+test('houses are projects, offices are experience, each with the modal content', () => {
+    const html = renderClassicHtml(BUNDLED_CONTENT);
+    const experience = html.indexOf('id="classic-experience"');
+    assert.ok(html.indexOf('id="classic-projects"') < experience);
+
+    for (const b of BUNDLED_CONTENT.buildings) {
+        const at = html.indexOf(`id="project-${b.id}"`);
+        assert.ok(at !== -1, b.id);
+        assert.equal(at > experience, b.type === 'office', `${b.id} in the right section`);
+        assert.ok(html.includes(`<li class="tech-pill">${b.project.techStack[0]}</li>`));
+    }
+    for (const s of BUNDLED_CONTENT.skills) assert.ok(html.includes(`<strong>${s.name}</strong>`), s.id);
+    assert.equal(html.match(/<figure class="classic-quote">/g).length, BUNDLED_CONTENT.npcs.length);
+});
+
+test('content is escaped and missing links are left out', () => {
+    const content = clone(BUNDLED_CONTENT);
+    const project = content.buildings[0].project;
+    project.name = 'Tom & Jerry <3';
+    delete project.live;
+    project.screenshots = ['shots/a.png'];
+
+    const html = renderClassicHtml(content);
+    assert.ok(html.includes('Tom &amp; Jerry &lt;3'));
+    assert.ok(!html.includes('Tom & Jerry'));
+    assert.ok(html.includes('<img class="classic-screenshot" src="shots/a.png" alt="Screenshot of Tom &amp; Jerry &lt;3" loading="lazy">'));
+
+    const card = html.slice(html.indexOf(`id="project-${content.buildings[0].id}"`), html.indexOf('</article>'));
+    assert.ok(card.includes('GitHub'));
+    assert.ok(!card.includes('Live Demo'));
+});
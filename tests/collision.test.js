@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { CollisionSystem } from '../js/engine/CollisionSystem.js';
+import { ENVIRONMENT } from '../js/world/worldData.js';
+
+const GROUND = 500;
+
+function body(overrides = {}) {
+    return { x: 100, y: GROUND, prevY: GROUND, width: 28, height: 48, velocityY: 0, isGrounded: true, ...overrides };
+}
+
+test('one-way platforms catch a falling player but not a rising one', () => {
+    const c = new CollisionSystem(1000, GROUND);
+    c.addPlatform(80, 450, 40);
+
+    const rising = c.constrainPlayer(body({ y: 445, prevY: 455, velocityY: -200, isGrounded: false }));
+    assert.equal(rising.grounded, false);
+    assert.equal(rising.y, 445);
+
+    const falling = c.constrainPlayer(body({ y: 455, prevY: 445, velocityY: 200, isGrounded: false }));
+    assert.equal(falling.grounded, true);
+    assert.equal(falling.landed, true);
+    assert.equal(falling.y, 450);
+});
+
+test('solid blocks stop the head when jumping from below', () => {
+    const c = new CollisionSystem(1000, GROUND);
+    c.addSolidZone(60, 380, 80, 20);
+
+    const result = c.constrainPlayer(body({ y: 440, prevY: 452, velocityY: -300, isGrounded: false }));
+    assert.equal(result.hitCeiling, true);
+    assert.equal(result.y, 400 + 48);
+});
+
+test('obstacles ahead are found only in the walking direction and at body height', () => {
+    const c = new CollisionSystem(1000, GROUND);
+    c.addSolidZone(130, 470, 30, 30, 'crate');
+    c.addSolidZone(40, 300, 30, 30, 'shelf');
+
+    assert.equal(c.findObstacleAhead(body(), 1, 20).id, 'crate');
+    assert.equal(c.findObstacleAhead(body(), 1, 10), null, 'too far');
+    assert.equal(c.findObstacleAhead(body(), -1, 40), null, 'above the head');
+    assert.equal(c.findObstacleAhead(body({ y: 470 }), 1, 20), null, 'standing level with its top');
+});
+
+test('walking into a crate stops at its side', () => {
+    const crate = ENVIRONMENT.crates[0];
+    const h = new HeadlessHarness({ render: false, playerX: crate.x - 60 });
+    h.input.hold('right');
+    h.step(60);
+    assert.equal(h.player.x, crate.x - h.player.width / 2);
+    assert.equal(h.player.isGrounded, true);
+});
+
+test('jumping onto a crate lands on its top, walking off falls back down', () => {
+    const crate = ENVIRONMENT.crates[0];
+    const h = new HeadlessHarness({ render: false, playerX: crate.x - 40 });
+    const top = h.groundY - crate.height;
+
+    h.input.press('jump');
+    h.input.hold('right');
+    h.stepUntil(({ player }) => player.x >= crate.x + crate.width / 2, 120);
+    h.input.release('right');
+    assert.ok(h.stepUntil(({ player }) => player.isGrounded, 120));
+    assert.equal(h.player.y, top);
+
+    h.input.hold('right');
+    assert.ok(h.stepUntil(({ player }) => !player.isGrounded, 60), 'walked off the edge');
+    assert.equal(h.player.isJumping, false);
+    assert.ok(h.stepUntil(({ player }) => player.isFalling, 10));
+    assert.ok(h.stepUntil(({ player }) => player.isGrounded, 120));
+    assert.equal(h.player.y, h.groundY);
+});
+
+test('bench seats are one-way platforms', () => {
+    const bench = ENVIRONMENT.benches[0];
+    const h = new HeadlessHarness({ render: false, playerX: bench.x });
+    let landed = 0;
+    h.player.onLand = () => landed++;
+
+    h.input.press('jump');
+    h.step(1);
+    assert.ok(h.stepUntil(({ player }) => player.isGrounded, 120));
+    assert.equal(h.player.y, h.groundY - 18);
+    assert.equal(landed, 1);
+});
+
+test('every building exposes reachable platforms', () => {
+    const h = new HeadlessHarness({ render: false });
+    const reach = (h.player.jumpForce ** 2) / (2 * h.player.gravity);
+
+    for (const b of h.world.buildings) {
+        const heights = b.getPlatforms()
+            .map(p => h.groundY - p.y)
+            .sort((a, c) => a - c);
+        let standing = 0;
+        for (const height of heights) {
+            assert.ok(height - standing < reach, `${b.id}: ${height}px ledge out of reach from ${standing}px`);
+            standing = height;
+        }
+    }
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { ComfortSettings } from '../js/systems/ComfortSettings.js';
+import { Camera } from '../js/engine/Camera.js';
+import { ParticleSystem } from '../js/systems/ParticleSystem.js';
+
+function memoryStorage() {
+    const data = {};
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+}
+
+/**
+ * Stand-in for matchMedia('(prefers-reduced-motion: reduce)')
+ */
+function fakeMedia(matches) {
+    const listeners = [];
+    return {
+        matches,
+        addEventListener: (type, fn) => listeners.push(fn),
+        flip(value) {
+            this.matches = value;
+            for (const fn of listeners) fn({ matches: value });
+        }
+    };
+}
+
+test('comfort mode follows the browser until the visitor picks', () => {
+    const storage = memoryStorage();
+    const media = fakeMedia(true);
+    const comfort = new ComfortSettings(storage, media);
+    const seen = [];
+    comfort.onChange((enabled) => seen.push(enabled));
+    assert.equal(comfort.enabled, true);
+
+    media.flip(false);
+    assert.equal(comfort.enabled, false);
+
+    comfort.toggle();
+    media.flip(false);
+    assert.equal(comfort.enabled, true, 'the choice wins over the browser');
+    assert.deepEqual(seen, [false, true]);
+
+    const nextVisit = new ComfortSettings(storage, fakeMedia(false));
+    assert.equal(nextVisit.enabled, true);
+    assert.equal(new ComfortSettings(null, null).enabled, false);
+});
+
+test('the camera snaps to the player and never shakes', () => {
+    const camera = new Camera(800, 600, 5000);
+    camera.setReducedMotion(true);
+    camera.update({ x: 2000 }, 1 / 60);
+    assert.equal(camera.x, 2000 - 400);
+
+    camera.shake(3, 0.2);
+    camera.update({ x: 2000 }, 1 / 60);
+    assert.equal(camera.shakeOffsetX, 0);
+    assert.equal(camera.shakeOffsetY, 0);
+
+    camera.setReducedMotion(false);
+    camera.update({ x: 3000 }, 1 / 60);
+    assert.ok(camera.x < 3000 - 400, 'eases again');
+});
+
+test('no sprint trails, bobbing badges or flickering windows', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.world.setReducedMotion(true);
+    h.player.setReducedMotion(true);
+    const skill = h.world.skills[0];
+    const building = h.world.buildings[0];
+    const bob = skill.bobCycle;
+    const flicker = building.windowFlicker;
+
+    h.input.hold('right');
+    h.input.hold('sprint');
+    h.step(60);
+
+    assert.ok(h.player.x > 500, 'still sprinting');
+    assert.equal(h.player.sprintTrails.length, 0);
+    assert.equal(skill.bobCycle, bob);
+    assert.equal(building.windowFlicker, flicker);
+    assert.ok(h.world.parallaxLayers.every(layer => layer.reducedMotion));
+});
+
+test('fewer particles in comfort mode', () => {
+    const particles = new ParticleSystem(1280, 720, 5000);
+    const full = particles.particles.length;
+    particles.setReducedMotion(true);
+    assert.ok(particles.particles.length < full / 2);
+    particles.setReducedMotion(false);
+    assert.equal(particles.particles.length, full);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateWorldContent } from '../js/world/contentSchema.js';
+import { BUNDLED_CONTENT, loadWorldContent } from '../js/world/contentLoader.js';
+import { WORLD_CONFIG } from '../js/world/worldData.js';
+import { buildOutputs } from '../scripts/build-content.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const jsonResponse = (body, status = 200) => async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+});
+
+test('bundled content is valid', () => {
+    assert.deepEqual(validateWorldContent(BUNDLED_CONTENT, WORLD_CONFIG), []);
+});
+
+test('content/world.json is valid and what it generates is up to date', () => {
+    const file = JSON.parse(readFileSync(new URL('../content/world.json', import.meta.url), 'utf8'));
+    assert.deepEqual(validateWorldContent(file, WORLD_CONFIG), []);
+    for (const { file: generated, current, expected } of buildOutputs(file)) {
+        assert.ok(current === expected, `${generated.pathname} is out of date: run scripts/build-content.js`);
+    }
+});
+
+test('reports a missing project.techStack with its building id', () => {
+    const content = clone(BUNDLED_CONTENT);
+    delete content.buildings[1].project.techStack;
+    const errors = validateWorldContent(content, WORLD_CONFIG);
+    assert.deepEqual(errors, ['buildings[1] (house-web3): missing "project.techStack"']);
+});
+
+test('reports overlapping building x ranges', () => {
+    const content = clone(BUNDLED_CONTENT);
+    content.buildings[1].x = content.buildings[0].x + 20;
+    const errors = validateWorldContent(content, WORLD_CONFIG);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /"house-ml" .* and "house-web3" .* overlap/);
+});
+
+test('reports an NPC outside the world width', () => {
+    const content = clone(BUNDLED_CONTENT);
+    content.npcs[0].x = WORLD_CONFIG.width + 100;
+    const errors = validateWorldContent(content, WORLD_CONFIG);
+    assert.deepEqual(errors, [`npcs[0] (npc-tutorial): x ${WORLD_CONFIG.width + 100} (±0) is outside world width ${WORLD_CONFIG.width}`]);
+});
+
+test('reports sign roles that are not strings or name two signs', () => {
+    const content = clone(BUNDLED_CONTENT);
+    content.environment.signs[1].role = 'welcome';
+    content.environment.signs[2].role = 7;
+    assert.deepEqual(validateWorldContent(content, WORLD_CONFIG), [
+        'environment.signs: duplicate role "welcome"',
+        'environment.signs[2]: missing "role" (string)'
+    ]);
+});
+
+test('loader returns remote content when valid', async () => {
+    const remote = clone(BUNDLED_CONTENT);
+    remote.buildings[0].label = 'Renamed Lab';
+    const result = await loadWorldContent('world.json', jsonResponse(remote));
+    assert.equal(result.source, 'remote');
+    assert.equal(result.content.buildings[0].label, 'Renamed Lab');
+});
+
+test('loader falls back to bundled content on HTTP or validation errors', async () => {
+    const missing = await loadWorldContent('world.json', jsonResponse(null, 404));
+    assert.equal(missing.source, 'bundled');
+    assert.deepEqual(missing.errors, ['world.json: HTTP 404']);
+
+    const broken = clone(BUNDLED_CONTENT);
+    broken.skills[0].color = 'blue';
+    const invalid = await loadWorldContent('world.json', jsonResponse(broken));
+    assert.equal(invalid.content, BUNDLED_CONTENT);
+    assert.match(invalid.errors[0], /skills\[0\] \(skill-python\): "color" must be a #RRGGBB color/);
+});
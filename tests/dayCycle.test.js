@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { DayCycle, nightAmount, goldenAmount, skyArc, formatHours } from '../js/systems/DayCycle.js';
+
+function memoryStorage() {
+    const data = {};
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+}
+
+const at = (hours, minutes = 0) => () => new Date(2026, 5, 21, hours, minutes);
+
+test('the sky darkens and glows smoothly through the day', () => {
+    assert.equal(nightAmount(12), 0);
+    assert.equal(nightAmount(0), 1);
+    assert.ok(Math.abs(nightAmount(19) - 0.5) < 1e-9, 'half dark at sunset');
+    assert.equal(goldenAmount(12), 0);
+    assert.equal(goldenAmount(0), 0);
+    assert.ok(goldenAmount(18.5) > 0.9, 'golden hour');
+    assert.ok(goldenAmount(6.75) > 0.9, 'sunrise');
+
+    // No jumps from one minute to the next, round midnight included
+    for (let m = 0; m < 24 * 60; m++) {
+        const h = m / 60;
+        assert.ok(Math.abs(nightAmount(h + 1 / 60) - nightAmount(h)) < 0.05, formatHours(h));
+        assert.ok(Math.abs(goldenAmount(h + 1 / 60) - goldenAmount(h)) < 0.05, formatHours(h));
+    }
+
+    assert.ok(skyArc(12).sun > 0.4 && skyArc(12).sun < 0.6);
+    assert.ok(skyArc(12).moon > 1, 'moon below the horizon at noon');
+    assert.ok(skyArc(1).moon > 0.4 && skyArc(1).moon < 0.6);
+    assert.equal(formatHours(7.09), '07:05');
+    assert.equal(formatHours(24), '00:00');
+});
+
+test('the clock follows the visitor, runs fast or holds for the slider', () => {
+    const storage = memoryStorage();
+    const cycle = new DayCycle(storage, at(18, 30));
+    assert.equal(cycle.mode, 'manual');
+    assert.equal(cycle.isActive, false);
+
+    const changes = [];
+    cycle.onChange((mode, hours) => changes.push([mode, hours]));
+
+    cycle.nextMode();
+    assert.equal(cycle.mode, 'local');
+    assert.equal(cycle.hours, 18.5);
+    for (let i = 0; i < 60 * 60; i++) cycle.update(1 / 60);
+    assert.ok(Math.abs(cycle.hours - (18.5 + 1 / 60)) < 1e-9, 'a minute later');
+
+    cycle.nextMode();
+    assert.equal(cycle.mode, 'fast');
+    const start = cycle.hours;
+    for (let i = 0; i < 60 * 120; i++) cycle.update(1 / 60);
+    assert.ok(Math.abs(cycle.hours - (start + 12) % 24) < 1e-6, 'half a day in two minutes');
+
+    cycle.scrub(26);
+    assert.equal(cycle.mode, 'debug');
+    assert.equal(cycle.hours, 2);
+    cycle.update(10);
+    assert.equal(cycle.hours, 2);
+    assert.equal(cycle.isNight, true);
+    assert.equal(changes.length, 3);
+
+    // The menu's choice is remembered, the slider's isn't
+    assert.equal(new DayCycle(storage, at(9)).mode, 'fast');
+    assert.equal(new DayCycle(null, at(9)).mode, 'manual');
+});
+
+test('the world blends with the hour and windows go dark late at night', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.world.setTimeOfDay(18.5);
+    h.step(300);
+    assert.ok(Math.abs(h.world.nightT - nightAmount(18.5)) < 0.01);
+    assert.ok(h.world.goldenT > 0.9);
+    assert.ok(h.world.skybox.goldenProgress > 0.9);
+
+    h.world.setTimeOfDay(23);
+    h.step(300);
+    assert.ok(h.world.nightT > 0.99);
+    const building = h.world.buildings[0];
+    const windows = Array.from({ length: 40 }, (_, i) => [building.x + i * 7, building.groundY - 50 - i * 3]);
+    const lit = () => windows.filter(([x, y]) => building._windowGlow(x, y) > 0).length;
+    assert.equal(lit(), windows.length, 'all lit in the evening');
+
+    h.world.setTimeOfDay(3);
+    const lateNight = lit();
+    assert.ok(lateNight > 0 && lateNight < windows.length / 2, `${lateNight} still up at 3am`);
+
+    // Back to plain day/night: the sky follows the theme again
+    h.world.setTimeOfDay(null);
+    h.world.setNightMode(false);
+    h.step(300);
+    assert.ok(h.world.nightT < 0.01);
+    assert.ok(h.world.goldenT < 0.01);
+});
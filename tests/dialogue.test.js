@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Conversation, speechScript } from '../js/systems/DialogueScript.js';
+import { dialogueKey } from '../js/systems/DialogueSystem.js';
+import { KeyBindings } from '../js/engine/KeyBindings.js';
+import { validateWorldContent } from '../js/world/contentSchema.js';
+import { BUNDLED_CONTENT } from '../js/world/contentLoader.js';
+import { WORLD_CONFIG, NPCS } from '../js/world/worldData.js';
+
+const SCRIPT = {
+    start: 'hello',
+    nodes: {
+        hello: {
+            text: 'Hi!',
+            actions: ['set:met'],
+            choices: [
+                { text: 'Tell me more', next: 'more' },
+                { text: 'Seen the lab', if: 'visited:house-ml' },
+                { text: 'Night owl', if: ['night', '!flag:sleepy'] },
+                { text: 'Show project', actions: ['openProject:house-ml'], next: 'more' },
+                { text: 'Bye' }
+            ]
+        },
+        more: { text: 'More.', next: 'hello' }
+    }
+};
+
+function context(overrides = {}) {
+    return { visited: new Set(), flags: new Set(), isNight: false, ...overrides };
+}
+
+test('conditions filter the choices shown', () => {
+    const day = new Conversation(SCRIPT, context()).start();
+    assert.deepEqual(day.choices.map(c => c.text), ['Tell me more', 'Show project', 'Bye']);
+
+    const night = new Conversation(SCRIPT, context({ isNight: true, visited: new Set(['house-ml']) })).start();
+    assert.deepEqual(night.choices.map(c => c.text), ['Tell me more', 'Seen the lab', 'Night owl', 'Show project', 'Bye']);
+
+    const sleepy = new Conversation(SCRIPT, context({ isNight: true, flags: new Set(['sleepy']) })).start();
+    assert.ok(!sleepy.choices.some(c => c.text === 'Night owl'));
+});
+
+test('node actions run on entry and choices branch', () => {
+    const ctx = context();
+    const convo = new Conversation(SCRIPT, ctx);
+    convo.start();
+    assert.ok(ctx.flags.has('met'));
+
+    const more = convo.choose(0);
+    assert.equal(more.text, 'More.');
+    assert.deepEqual(more.choices, [{ text: 'Continue →' }]);
+
+    assert.equal(convo.choose(0).text, 'Hi!');
+    assert.equal(convo.choose(2), null, 'a choice without next ends the conversation');
+    assert.equal(convo.isOver, true);
+});
+
+test('leaving actions are dispatched and end the conversation', () => {
+    const calls = [];
+    const convo = new Conversation(SCRIPT, context(), (type, arg) => calls.push([type, arg]));
+    convo.start();
+    assert.equal(convo.choose(1), null);
+    assert.deepEqual(calls, [['openProject', 'house-ml']]);
+});
+
+test('NPCs without a script get a single speech node', () => {
+    const view = new Conversation(speechScript('Hello there'), context()).start();
+    assert.deepEqual(view, { text: 'Hello there', choices: [{ text: 'Goodbye' }] });
+});
+
+test('bundled NPC scripts are valid and every node is reachable', () => {
+    assert.deepEqual(validateWorldContent(BUNDLED_CONTENT, WORLD_CONFIG), []);
+
+    for (const npc of NPCS.filter(n => n.dialogue)) {
+        const { start, nodes } = npc.dialogue;
+        const seen = new Set([start]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const node = nodes[queue.shift()];
+            const targets = [node.next, ...(node.choices || []).map(c => c.next)].filter(Boolean);
+            for (const id of targets) {
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    queue.push(id);
+                }
+            }
+        }
+        assert.deepEqual([...seen].sort(), Object.keys(nodes).sort(), npc.id);
+    }
+});
+
+test('schema rejects broken dialogue scripts', () => {
+    const content = structuredClone(BUNDLED_CONTENT);
+    content.npcs[0].dialogue = {
+        start: 'missing',
+        nodes: {
+            a: {
+                text: 'Hi',
+                choices: [
+                    { text: 'Go', next: 'nowhere' },
+                    { text: 'Fly', actions: ['teleport:house-moon', 'dance'] },
+                    { text: 'Maybe', if: 'weather:rain' }
+                ]
+            }
+        }
+    };
+    const errors = validateWorldContent(content, WORLD_CONFIG);
+    const path = 'npcs[0] (npc-tutorial).dialogue';
+    assert.deepEqual(errors, [
+        `${path}: "start" must name one of the nodes`,
+        `${path}.nodes.a.choices[0]: "next" points to unknown node "nowhere"`,
+        `${path}.nodes.a.choices[1]: "teleport:house-moon" refers to unknown building "house-moon"`,
+        `${path}.nodes.a.choices[1]: unknown action "dance"`,
+        `${path}.nodes.a.choices[2]: unknown condition "weather:rain"`
+    ]);
+});
+
+test('dialogue keys follow the bindings and leave bound digits to the game', () => {
+    const bindings = new KeyBindings(null);
+    assert.deepEqual(['e', 'enter', ' ', 'w', 'arrowup', 's', 'arrowdown', '3', 'x'].map(k => dialogueKey(k, bindings)),
+        ['confirm', 'confirm', 'confirm', 'up', 'up', 'down', 'down', 3, null]);
+
+    bindings.bind('jump', 1, 'z');
+    bindings.bind('interact', 0, 'f');
+    bindings.bind('theme', 0, '3');
+    bindings.bind('map', 0, 's');
+    assert.equal(dialogueKey('z', bindings), 'up');
+    assert.equal(dialogueKey('w', bindings), null);
+    assert.equal(dialogueKey('f', bindings), 'confirm');
+    assert.equal(dialogueKey('e', bindings), null);
+    assert.equal(dialogueKey('3', bindings), null, 'bound to Day / Night');
+    assert.equal(dialogueKey('s', bindings), null, 'bound to Map');
+    assert.equal(dialogueKey('4', bindings), 4);
+});
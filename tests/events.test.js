@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RecordingContext } from './harness/RecordingContext.js';
+import { isInRange, activeEvent, pickEvent, applyEvent } from '../js/systems/EventCalendar.js';
+import { BUNDLED_CONTENT } from '../js/world/contentLoader.js';
+import { EVENTS, WORLD_CONFIG } from '../js/world/worldData.js';
+import { importJsonResume } from '../js/world/resumeImporter.js';
+import { Building } from '../js/entities/Building.js';
+import { ParticleSystem } from '../js/systems/ParticleSystem.js';
+import { Random } from '../js/utils/Random.js';
+import { Conversation } from '../js/systems/DialogueScript.js';
+
+const day = (month, date) => new Date(2026, month - 1, date, 12);
+
+test('events are on for their dates, including ranges over New Year', () => {
+    assert.ok(isInRange(day(10, 31), { from: '10-24', to: '10-31' }));
+    assert.ok(!isInRange(day(11, 1), { from: '10-24', to: '10-31' }));
+    assert.ok(isInRange(day(12, 31), { from: '12-31', to: '01-01' }));
+    assert.ok(isInRange(day(1, 1), { from: '12-31', to: '01-01' }));
+    assert.ok(!isInRange(day(1, 2), { from: '12-31', to: '01-01' }));
+
+    assert.equal(activeEvent(day(10, 30)).id, 'halloween');
+    assert.equal(activeEvent(day(12, 20)).id, 'winter-holidays');
+    assert.equal(activeEvent(day(1, 1)).id, 'new-year');
+    assert.equal(activeEvent(day(6, 1)), null);
+});
+
+test('?event= previews an event or turns them off', () => {
+    assert.equal(pickEvent('new-year', day(6, 1)).id, 'new-year');
+    assert.equal(pickEvent('none', day(10, 30)), null);
+    assert.equal(pickEvent(null, day(10, 30)).id, 'halloween');
+});
+
+test('an event swaps signs and NPC lines and decorates the buildings, leaving the content as it was', () => {
+    const event = EVENTS.find(e => e.id === 'new-year');
+    const welcome = BUNDLED_CONTENT.environment.signs.find(s => s.role === 'welcome').text;
+    const content = applyEvent(BUNDLED_CONTENT, event);
+
+    assert.equal(content.environment.signs.find(s => s.role === 'welcome').text, event.signs[0].text);
+    assert.equal(content.environment.signs.length, BUNDLED_CONTENT.environment.signs.length);
+    assert.equal(content.npcs.find(n => n.id === 'npc-tutorial').speech, event.npcs['npc-tutorial']);
+    assert.ok(content.buildings.every(b => b.decorations.includes('string-lights')));
+
+    assert.equal(BUNDLED_CONTENT.environment.signs.find(s => s.role === 'welcome').text, welcome);
+    assert.ok(BUNDLED_CONTENT.buildings.every(b => !b.decorations));
+    assert.equal(applyEvent(BUNDLED_CONTENT, null), BUNDLED_CONTENT);
+
+    // A sign at a new spot is added in order
+    const added = applyEvent(BUNDLED_CONTENT, { signs: [{ x: 1000, text: 'Party!' }] });
+    assert.deepEqual(added.environment.signs.map(s => s.x), [200, 1000, 1950, 5150]);
+});
+
+test('NPCs with a dialogue script open their conversation with the event line', () => {
+    const event = EVENTS.find(e => e.id === 'halloween');
+    const before = BUNDLED_CONTENT.npcs.find(n => n.id === 'npc-end');
+    const npc = applyEvent(BUNDLED_CONTENT, event).npcs.find(n => n.id === 'npc-end');
+    assert.ok(before.dialogue && npc.dialogue);
+
+    const context = { visited: new Set(), flags: new Set(), isNight: false };
+    const talk = new Conversation(npc.dialogue, context);
+    assert.deepEqual(talk.start(), { text: event.npcs['npc-end'], choices: [{ text: 'Continue →' }] });
+    assert.deepEqual(talk.choose(0), new Conversation(before.dialogue, context).start());
+
+    assert.equal(before.dialogue.start, 'hello', 'the content is left as it was');
+});
+
+test('event signs find their sign by role wherever the content put it', () => {
+    const resume = JSON.parse(readFileSync(new URL('../content/resume.example.json', import.meta.url), 'utf8'));
+    const content = importJsonResume(resume, { ...WORLD_CONFIG, width: 4800 });
+    const farewell = content.environment.signs.find(s => s.role === 'farewell');
+    assert.notEqual(farewell.x, 5150);
+
+    const holidays = applyEvent(content, EVENTS.find(e => e.id === 'winter-holidays'));
+    const signs = holidays.environment.signs;
+    assert.equal(signs.length, content.environment.signs.length);
+    assert.deepEqual(signs.find(s => s.role === 'farewell'), { ...farewell, text: 'Happy Holidays!\nThanks for visiting!' });
+
+    // No sign with that role and nowhere to put it: nothing changes
+    assert.deepEqual(applyEvent(content, { signs: [{ role: 'pier', text: 'Ahoy' }] }).environment.signs, content.environment.signs);
+});
+
+test('decorated buildings draw their lights, pumpkins and snow', () => {
+    const fills = (data) => {
+        const building = new Building(data, 500, new Random(1));
+        const ctx = new RecordingContext();
+        building.render(ctx);
+        return ctx.calls.filter(c => c.name === 'fill').length;
+    };
+    for (const data of BUNDLED_CONTENT.buildings.slice(0, 3)) {
+        const plain = fills(data);
+        for (const decoration of ['string-lights', 'pumpkins', 'roof-snow']) {
+            assert.ok(fills({ ...data, decorations: [decoration] }) > plain, `${data.type} ${decoration}`);
+        }
+    }
+});
+
+test('fireworks burst over the view during the event, and stop after it', () => {
+    const particles = new ParticleSystem(800, 600, 5000, new Random(6));
+    particles.setEvent(EVENTS.find(e => e.id === 'new-year'));
+
+    let most = 0;
+    for (let t = 0; t < 10; t += 1 / 60) {
+        particles.update(1 / 60, 1200);
+        most = Math.max(most, particles.sparks.length);
+    }
+    assert.ok(most >= 36, `${most} sparks`);
+    assert.ok(particles.sparks.every(s => s.x > 1000 && s.x < 2200));
+
+    particles.setEvent(null);
+    for (let t = 0; t < 5; t += 1 / 60) particles.update(1 / 60, 1200);
+    assert.equal(particles.sparks.length + particles.rockets.length, 0);
+});
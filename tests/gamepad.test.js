@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput } from '../js/engine/GamepadInput.js';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { WORLD_CONFIG } from '../js/world/worldData.js';
+
+/**
+ * Fake navigator.getGamepads() with one standard-layout slot
+ */
+function withPad(fn) {
+    const pads = [null];
+    const original = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => pads },
+        configurable: true
+    });
+    const plug = (axes = [0, 0], pressed = []) => {
+        pads[0] = {
+            index: 0,
+            connected: true,
+            axes,
+            buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 }))
+        };
+    };
+    const unplug = () => { pads[0] = null; };
+    try {
+        fn(new GamepadInput(), plug, unplug);
+    } finally {
+        if (original) Object.defineProperty(globalThis, 'navigator', original);
+        else delete globalThis.navigator;
+    }
+}
+
+test('stick dead-zone and analog walk axis', () => {
+    withPad((pad, plug) => {
+        plug([0.15, 0]);
+        pad.poll();
+        assert.equal(pad.moveAxis, 0, 'drift inside the dead-zone is ignored');
+
+        plug([-0.6, 0]);
+        pad.poll();
+        assert.ok(Math.abs(pad.moveAxis + 0.5) < 1e-9, 'rescaled past the dead-zone');
+
+        plug([1, 0]);
+        pad.poll();
+        assert.equal(pad.moveAxis, 1);
+
+        plug([0, 0], [14]); // d-pad left is digital
+        pad.poll();
+        assert.equal(pad.moveAxis, -1);
+    });
+});
+
+test('buttons report a press once until released', () => {
+    withPad((pad, plug) => {
+        plug([0, 0], [0, 5]);
+        pad.poll();
+        assert.deepEqual([...pad.justPressed].sort(), ['confirm', 'jump']);
+        assert.equal(pad.isSprinting, true);
+
+        pad.poll();
+        assert.equal(pad.justPressed.size, 0, 'holding A does not repeat');
+
+        plug([0, 0.9]);
+        pad.poll();
+        assert.deepEqual([...pad.justPressed], ['nav-down']);
+        assert.equal(pad.isSprinting, false);
+    });
+});
+
+test('unplugging releases held input and a new pad is picked up', () => {
+    withPad((pad, plug, unplug) => {
+        plug([1, 0], [7]);
+        pad.poll();
+        assert.equal(pad.isConnected, true);
+
+        unplug();
+        pad.poll();
+        assert.equal(pad.isConnected, false);
+        assert.equal(pad.moveAxis, 0);
+        assert.equal(pad.isSprinting, false);
+
+        plug([0, 0], [0]);
+        pad.poll();
+        assert.equal(pad.isConnected, true);
+        assert.ok(pad.justPressed.has('jump'), 'a button held while plugging in counts as a press');
+    });
+});
+
+test('a half-tilted stick walks at half speed', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.input.tilt(0.5);
+    h.step(60);
+    const expected = WORLD_CONFIG.playerStart + h.player.speed * 0.5 * h.updates / 60;
+    assert.ok(Math.abs(h.player.x - expected) < 1e-6);
+    assert.equal(h.player.direction, 1);
+
+    h.input.tilt(-0.25);
+    h.step(1);
+    assert.equal(h.player.direction, -1);
+});
@@ -0,0 +1,207 @@
+/**
+ * HeadlessHarness.js — Runs the engine, player and world under Node.
+ * Takes the same simulation step as main.js (SceneStep.js: player →
+ * camera → world → particles → interactions), plus entering and leaving
+ * buildings, on a manually clocked GameLoop, so tests can step N frames deterministically
+ * and inspect the results.
+ */
+import { GameLoop } from '../../js/engine/GameLoop.js';
+import { Camera } from '../../js/engine/Camera.js';
+import { CollisionSystem } from '../../js/engine/CollisionSystem.js';
+import { Player } from '../../js/entities/Player.js';
+import { WorldBuilder } from '../../js/world/WorldBuilder.js';
+import { ParticleSystem } from '../../js/systems/ParticleSystem.js';
+import { SceneManager } from '../../js/systems/SceneManager.js';
+import { stepScene, stepTransition } from '../../js/systems/SceneStep.js';
+import { WORLD_CONFIG } from '../../js/world/worldData.js';
+import { Random } from '../../js/utils/Random.js';
+import { ReplayInput } from '../../js/engine/InputRecorder.js';
+import { ScriptedInput } from './ScriptedInput.js';
+import { RecordingContext } from './RecordingContext.js';
+
+export class HeadlessHarness {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.canvasWidth]
+     * @param {number} [options.canvasHeight]
+     * @param {number} [options.playerX] — starting X, defaults to WORLD_CONFIG.playerStart
+     * @param {number} [options.frameTime] — simulated display frame in ms
+     * @param {boolean} [options.render] — run render callbacks into the recording context
+     * @param {number|string} [options.seed] — world seed, defaults to WORLD_CONFIG.seed
+     * @param {string|object} [options.replay] — play a recording back (its seed and canvas size win)
+     */
+    constructor(options = {}) {
+        if (options.replay) {
+            this.input = new ReplayInput(options.replay);
+            const { seed, width, height } = this.input.recording;
+            options = { ...options, seed, canvasWidth: width, canvasHeight: height };
+        } else {
+            this.input = new ScriptedInput();
+        }
+
+        this.canvasWidth = options.canvasWidth || 1280;
+        this.canvasHeight = options.canvasHeight || 720;
+        this.frameTime = options.frameTime || 1000 / 60;
+        this.shouldRender = options.render !== false;
+        this.groundY = this.canvasHeight * WORLD_CONFIG.groundFraction;
+        this.seed = options.seed ?? WORLD_CONFIG.seed;
+        this.rng = new Random(this.seed);
+
+        // Manual clock: frames only advance when step() is called
+        this.clock = 0;
+        this.frame = 0;
+        this.updates = 0; // simulation steps taken
+        this._pendingFrame = null;
+
+        this.gameLoop = new GameLoop({
+            fixedStep: 1 / 60,
+            maxSteps: 5,
+            requestFrame: (fn) => { this._pendingFrame = fn; },
+            now: () => this.clock
+        });
+
+        this.ctx = new RecordingContext();
+        this.camera = new Camera(this.canvasWidth, this.canvasHeight, WORLD_CONFIG.width, this.rng.fork('camera'));
+        this.collision = new CollisionSystem(WORLD_CONFIG.width, this.groundY);
+        this.world = new WorldBuilder(this.canvasWidth, this.canvasHeight, this.rng.fork('world'));
+        this.particles = new ParticleSystem(this.canvasWidth, this.canvasHeight, WORLD_CONFIG.width, this.rng.fork('particles'));
+        this.player = new Player(options.playerX ?? WORLD_CONFIG.playerStart, this.groundY, this.canvasHeight, this.rng.fork('player'));
+
+        this.scenes = new SceneManager({
+            player: this.player,
+            camera: this.camera,
+            streetCollision: this.collision,
+            streetWidth: WORLD_CONFIG.width,
+            canvasWidth: this.canvasWidth,
+            canvasHeight: this.canvasHeight
+        });
+
+        this.world.setupCollisions(this.collision);
+
+        /** What a simulation step moves (see SceneStep.js) */
+        this.scene = {
+            input: this.input,
+            player: this.player,
+            camera: this.camera,
+            world: this.world,
+            particles: this.particles,
+            scenes: this.scenes
+        };
+
+        /** Result of the most recent WorldBuilder/Interior.checkInteractions */
+        this.interaction = null;
+
+        /** Scheduled callbacks keyed by frame number */
+        this._script = new Map();
+
+        this.gameLoop.onFrame(() => this.input.poll());
+        this.gameLoop.onUpdate((dt) => this._update(dt));
+        if (this.shouldRender) {
+            this.gameLoop.onRender((dt, alpha) => this._render(alpha));
+        }
+
+        this.gameLoop.start();
+    }
+
+    /**
+     * Record the scripted input from now on, with what a replay needs
+     * @returns {InputRecorder}
+     */
+    record() {
+        return this.input.startRecording({
+            seed: this.seed,
+            width: this.canvasWidth,
+            height: this.canvasHeight,
+            step: this.gameLoop.fixedStep
+        });
+    }
+
+    /**
+     * Run fn(harness) right before the given frame is simulated
+     */
+    at(frame, fn) {
+        if (!this._script.has(frame)) this._script.set(frame, []);
+        this._script.get(frame).push(fn);
+        return this;
+    }
+
+    /**
+     * Advance the loop by N display frames
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            const scripted = this._script.get(this.frame);
+            if (scripted) {
+                for (const fn of scripted) fn(this);
+                this._script.delete(this.frame);
+            }
+
+            this.clock += this.frameTime;
+            this.frame++;
+
+            const tick = this._pendingFrame;
+            this._pendingFrame = null;
+            if (tick) tick(this.clock);
+        }
+        return this;
+    }
+
+    /**
+     * Step until predicate(harness) is true or maxFrames elapse
+     * @returns {boolean} whether the predicate was met
+     */
+    stepUntil(predicate, maxFrames = 600) {
+        for (let i = 0; i < maxFrames; i++) {
+            if (predicate(this)) return true;
+            this.step();
+        }
+        return predicate(this);
+    }
+
+    _update(dt) {
+        this.updates++;
+        this.input.beginFrame(); // UI events: the harness has no dialogue or modal to apply them to
+
+        if (this.scenes.isTransitioning) {
+            stepTransition(this.scene, dt);
+            this.input.endFrame();
+            return;
+        }
+
+        this.interaction = stepScene(this.scene, dt);
+
+        if (this.input.isInteractPressed()) {
+            if (this.interaction?.type === 'exit') {
+                this.scenes.exit();
+            } else if (this.interaction?.type === 'building') {
+                this.scenes.enter(this.interaction.data);
+            }
+        }
+
+        this.input.endFrame();
+    }
+
+    _render(alpha) {
+        const ctx = this.ctx;
+        this.camera.interpolate(alpha);
+        ctx.clear();
+
+        if (this.scenes.isInside) {
+            this.camera.applyTransform(ctx);
+            this.scenes.interior.render(ctx);
+            this.player.render(ctx, alpha);
+            this.camera.resetTransform(ctx);
+            this.scenes.renderTransition(ctx, this.canvasWidth, this.canvasHeight);
+            return;
+        }
+
+        this.world.render(ctx, this.camera, alpha);
+        this.camera.applyTransform(ctx);
+        this.player.render(ctx, alpha);
+        this.camera.resetTransform(ctx);
+        this.world.renderForeground(ctx, this.camera);
+        this.particles.render(ctx, this.camera);
+        this.world.renderSpeechBubbles(ctx, this.camera, alpha);
+        this.scenes.renderTransition(ctx, this.canvasWidth, this.canvasHeight);
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * RecordingAudioContext.js — OfflineAudioContext stand-in for Node.
+ * Builds a graph of plain nodes and records every source started and
+ * every parameter change, so tests can assert on what music was
+ * scheduled without Web Audio. Its constructor takes the same arguments
+ * as OfflineAudioContext; startRendering() resolves to the log.
+ */
+class RecordingParam {
+    constructor(context, node, name, value) {
+        this.context = context;
+        this.node = node;
+        this.name = name;
+        this.value = value;
+    }
+
+    _log(method, value, time, extra) {
+        this.context.calls.push({ node: this.node.id, param: this.name, method, value, time, ...extra });
+        return this;
+    }
+
+    setValueAtTime(value, time) {
+        this.value = value;
+        return this._log('setValueAtTime', value, time);
+    }
+
+    linearRampToValueAtTime(value, time) {
+        return this._log('linearRampToValueAtTime', value, time);
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        return this._log('exponentialRampToValueAtTime', value, time);
+    }
+
+    setTargetAtTime(value, time, timeConstant) {
+        return this._log('setTargetAtTime', value, time, { timeConstant });
+    }
+
+    cancelScheduledValues(time) {
+        return this._log('cancelScheduledValues', null, time);
+    }
+}
+
+class RecordingNode {
+    constructor(context, kind, params = {}) {
+        this.context = context;
+        this.kind = kind;
+        this.id = context.nodes.length;
+        this.outputs = [];
+        context.nodes.push(this);
+        for (const [name, value] of Object.entries(params)) {
+            this[name] = new RecordingParam(context, this, name, value);
+        }
+    }
+
+    connect(destination) {
+        this.outputs.push(destination);
+        return destination;
+    }
+
+    disconnect() {
+        this.outputs = [];
+    }
+
+    start(time = 0) {
+        const frequency = this.frequency ? this.frequency.value : null;
+        this.context.started.push({ node: this.id, kind: this.kind, type: this.type ?? null, frequency, time });
+    }
+
+    stop(time = 0) {
+        this.context.calls.push({ node: this.id, method: 'stop', time });
+    }
+}
+
+export class RecordingAudioContext {
+    constructor(channels = 2, length = 44100, sampleRate = 44100) {
+        this.channels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+
+        /** Every node created, by id */
+        this.nodes = [];
+        /** Sources started: { node, kind, type, frequency, time } */
+        this.started = [];
+        /** Parameter changes and stops, in order */
+        this.calls = [];
+        this.rendered = false;
+
+        this.destination = new RecordingNode(this, 'destination');
+    }
+
+    createGain() {
+        return new RecordingNode(this, 'gain', { gain: 1 });
+    }
+
+    createOscillator() {
+        const osc = new RecordingNode(this, 'oscillator', { frequency: 440, detune: 0 });
+        osc.type = 'sine';
+        return osc;
+    }
+
+    createBiquadFilter() {
+        const filter = new RecordingNode(this, 'filter', { frequency: 350, Q: 1, gain: 0 });
+        filter.type = 'lowpass';
+        return filter;
+    }
+
+    createBufferSource() {
+        const source = new RecordingNode(this, 'buffer', { playbackRate: 1 });
+        source.buffer = null;
+        source.loop = false;
+        return source;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: (i) => data[i] };
+    }
+
+    startRendering() {
+        this.rendered = true;
+        return Promise.resolve({ started: this.started, calls: this.calls });
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * RecordingContext.js — CanvasRenderingContext2D stand-in for Node.
+ * Records every method call and property assignment so tests can assert
+ * on what was drawn without a real canvas.
+ */
+class RecordingGradient {
+    constructor(kind, args) {
+        this.kind = kind;
+        this.args = args;
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+}
+
+export class RecordingContext {
+    constructor() {
+        /** Ordered log of { type: 'call' | 'set', name, args | value } */
+        this.calls = [];
+
+        // Plain drawing state that code reads back
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.globalAlpha = 1;
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+
+        // Wrap in a proxy: unknown methods become recorded no-ops,
+        // assignments are logged alongside calls.
+        return new Proxy(this, {
+            get(target, prop) {
+                if (prop in target) return target[prop];
+                if (typeof prop === 'symbol') return undefined;
+                return (...args) => {
+                    target.calls.push({ type: 'call', name: prop, args });
+                };
+            },
+            set(target, prop, value) {
+                target[prop] = value;
+                if (prop !== 'calls') {
+                    target.calls.push({ type: 'set', name: prop, value });
+                }
+                return true;
+            }
+        });
+    }
+
+    createLinearGradient(...args) {
+        this.calls.push({ type: 'call', name: 'createLinearGradient', args });
+        return new RecordingGradient('linear', args);
+    }
+
+    createRadialGradient(...args) {
+        this.calls.push({ type: 'call', name: 'createRadialGradient', args });
+        return new RecordingGradient('radial', args);
+    }
+
+    /** Approximate text metrics: 6px per character */
+    measureText(text) {
+        this.calls.push({ type: 'call', name: 'measureText', args: [text] });
+        return { width: String(text).length * 6 };
+    }
+
+    /**
+     * All recorded calls to a given method
+     */
+    callsTo(name) {
+        return this.calls.filter(c => c.type === 'call' && c.name === name);
+    }
+
+    /**
+     * Text strings drawn with fillText, in draw order
+     */
+    textDrawn() {
+        return this.callsTo('fillText').map(c => c.args[0]);
+    }
+
+    /**
+     * Forget everything recorded so far
+     */
+    clear() {
+        this.calls.length = 0;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * ScriptedInput.js — Drop-in replacement for InputManager in headless runs.
+ * Exposes the same query API, driven by hold/release/press calls instead
+ * of keyboard and touch events. Can record itself like InputManager.
+ */
+import { InputRecorder } from '../../js/engine/InputRecorder.js';
+import { AutoWalk } from '../../js/engine/AutoWalk.js';
+
+export class ScriptedInput {
+    constructor() {
+        /** Actions currently held down ('left', 'right', 'sprint') */
+        this.held = new Set();
+
+        /** Actions pressed this frame ('jump', 'interact', 'theme', 'close', 'map', 'next-place', …) */
+        this.justPressed = new Set();
+
+        /** Analog stick position, -1 … 1 (used when neither direction is held) */
+        this.stick = 0;
+
+        this.recorder = null;
+        this.autoWalk = new AutoWalk();
+    }
+
+    startRecording(meta) {
+        this.recorder = new InputRecorder(meta);
+        return this.recorder;
+    }
+
+    hold(action) {
+        this.held.add(action);
+    }
+
+    release(action) {
+        this.held.delete(action);
+    }
+
+    /**
+     * Push the analog stick: -1 (full left) … 1 (full right), 0 to let go
+     */
+    tilt(axis) {
+        this.stick = axis;
+    }
+
+    /**
+     * Queue a single-press action for the next update
+     */
+    press(action) {
+        this.justPressed.add(action);
+    }
+
+    reset() {
+        this.held.clear();
+        this.justPressed.clear();
+        this.stick = 0;
+        this.autoWalk.cancel();
+    }
+
+    /**
+     * Walk to a world x as if tapped or clicked there
+     */
+    walkTo(x, interact = false) {
+        this.autoWalk.walkTo(x, interact);
+    }
+
+    steer(player, collision) {
+        this.autoWalk.steer(player, collision, this._manualAxis());
+    }
+
+    poll() {}
+
+    beginFrame() {
+        return [];
+    }
+
+    endFrame() {
+        if (this.recorder) this.recorder.capture(this);
+        this.justPressed.clear();
+        this.autoWalk.endFrame();
+    }
+
+    isMovingLeft() {
+        return this.getMoveAxis() < 0;
+    }
+
+    isMovingRight() {
+        return this.getMoveAxis() > 0;
+    }
+
+    getMoveAxis() {
+        const manual = this._manualAxis();
+        return manual !== 0 ? manual : this.autoWalk.axis;
+    }
+
+    _manualAxis() {
+        if (this.held.has('right')) return 1;
+        if (this.held.has('left')) return -1;
+        return this.stick;
+    }
+
+    isSprinting() {
+        return this.held.has('sprint') || this.autoWalk.sprint;
+    }
+
+    isJumpPressed() {
+        return this.justPressed.has('jump') || this.autoWalk.jump;
+    }
+
+    isInteractPressed() {
+        return this.justPressed.has('interact') || this.autoWalk.interact;
+    }
+
+    isThemeTogglePressed() {
+        return this.justPressed.has('theme');
+    }
+
+    isClosePressed() {
+        return this.justPressed.has('close');
+    }
+
+    isMapPressed() {
+        return this.justPressed.has('map');
+    }
+
+    isNavPressed(direction) {
+        return this.justPressed.has('nav-' + direction);
+    }
+
+    isPlacePressed(direction) {
+        return this.justPressed.has(direction + '-place');
+    }
+
+    isConfirmPressed() {
+        return this.justPressed.has('confirm');
+    }
+}
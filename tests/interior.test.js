@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { Interior } from '../js/world/Interior.js';
+import { BUILDINGS } from '../js/world/worldData.js';
+
+const web3 = BUILDINGS.find(b => b.id === 'house-web3');
+
+function enterWeb3() {
+    const h = new HeadlessHarness({ playerX: web3.x + web3.width / 2 });
+    h.step(1);
+    h.input.press('interact');
+    assert.ok(h.stepUntil(({ scenes }) => scenes.isInside && !scenes.isTransitioning, 120), 'entered');
+    return h;
+}
+
+test('E at a building walks in through the door', () => {
+    const h = enterWeb3();
+    const interior = h.scenes.interior;
+    assert.equal(interior.building.id, 'house-web3');
+    assert.equal(h.player.x, interior.entranceX);
+    assert.equal(h.player.y, interior.floorY);
+    assert.equal(h.camera.worldWidth, interior.width);
+    assert.ok(h.ctx.textDrawn().includes(web3.project.name));
+});
+
+test('interior walls and camera bounds keep the player in the room', () => {
+    const h = enterWeb3();
+    const interior = h.scenes.interior;
+
+    h.input.hold('right');
+    h.input.hold('sprint');
+    h.step(600);
+    assert.ok(h.player.x <= interior.width - 40 - h.player.width / 2);
+    assert.ok(h.camera.x <= interior.width - h.camera.width);
+
+    h.input.release('right');
+    h.input.hold('left');
+    h.step(600);
+    assert.equal(h.player.x, 40 + h.player.width / 2);
+    assert.equal(h.camera.x, 0);
+});
+
+test('walking to a wall screen offers the project', () => {
+    const h = enterWeb3();
+    const screen = h.scenes.interior.screens[0];
+    h.input.hold('right');
+    assert.ok(h.stepUntil(({ interaction }) => interaction?.type === 'screen', 300));
+    assert.equal(h.interaction.data, screen);
+});
+
+test('the desk is a platform', () => {
+    const h = enterWeb3();
+    const desk = h.scenes.interior.desk;
+    h.input.hold('right');
+    h.stepUntil(({ player }) => player.x >= desk.x + desk.width / 2, 300);
+    h.input.release('right');
+    h.input.press('jump');
+    h.step(1);
+    assert.ok(h.stepUntil(({ player }) => player.isGrounded, 120));
+    assert.equal(h.player.y, desk.y);
+});
+
+test('leaving through the exit door restores the exact street position', () => {
+    const h = new HeadlessHarness({ playerX: web3.x + web3.width / 2 });
+    h.step(90);
+    const street = { x: h.player.x, y: h.player.y, cameraX: h.camera.x };
+
+    h.input.press('interact');
+    h.stepUntil(({ scenes }) => scenes.isInside && !scenes.isTransitioning, 120);
+
+    h.input.hold('left');
+    assert.ok(h.stepUntil(({ interaction }) => interaction?.type === 'exit', 120));
+    h.input.release('left');
+    h.input.press('interact');
+    assert.ok(h.stepUntil(({ scenes }) => !scenes.isInside && !scenes.isTransitioning, 120), 'left');
+
+    assert.equal(h.player.x, street.x);
+    assert.equal(h.player.y, street.y);
+    assert.equal(h.camera.worldWidth, h.scenes.streetWidth);
+    assert.ok(Math.abs(h.camera.x - street.cameraX) < 1);
+});
+
+test('one wall screen per screenshot, at least one', () => {
+    const building = { id: 'b', type: 'house', color: '#F4D9A0', roofColor: '#8B5E3C', project: { ...web3.project } };
+    assert.equal(new Interior(building, 1280, 720).screens.length, 1);
+
+    building.project = { ...web3.project, screenshots: ['a.png', 'b.png', 'c.png', 'd.png'] };
+    assert.equal(new Interior(building, 1280, 720).screens.length, 3);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyBindings, DEFAULT_BINDINGS, keyLabel } from '../js/engine/KeyBindings.js';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function memoryStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+}
+
+test('defaults cover the classic keys', () => {
+    const bindings = new KeyBindings(null);
+    assert.deepEqual(bindings.bindings, DEFAULT_BINDINGS);
+    assert.equal(bindings.actionFor('w'), 'jump');
+    assert.equal(bindings.actionFor('q'), null);
+    assert.equal(bindings.label('left'), '←');
+    assert.equal(bindings.label('jump'), 'Space');
+    assert.equal(keyLabel('z'), 'Z');
+});
+
+test('rebinding replaces a slot, appends and removes keys', () => {
+    const bindings = new KeyBindings(null);
+    const changes = [];
+    bindings.onChange(() => changes.push(true));
+
+    assert.deepEqual(bindings.bind('left', 1, 'q'), { ok: true });
+    assert.deepEqual(bindings.get('left'), ['arrowleft', 'q']);
+
+    assert.deepEqual(bindings.bind('interact', 1, 'f'), { ok: true });
+    assert.deepEqual(bindings.get('interact'), ['e', 'f']);
+
+    assert.equal(bindings.unbind('interact', 0), true);
+    assert.equal(bindings.label('interact'), 'F');
+    assert.equal(bindings.unbind('interact', 0), false, 'the last key stays');
+    assert.equal(changes.length, 3);
+});
+
+test('conflicting and reserved keys are refused', () => {
+    const bindings = new KeyBindings(null);
+    assert.deepEqual(bindings.bind('interact', 0, 'w'), { ok: false, reason: 'conflict', conflict: 'jump' });
+    assert.deepEqual(bindings.bind('interact', 0, 'escape'), { ok: false, reason: 'reserved' });
+    assert.deepEqual(bindings.bind('jump', 3, 'j'), { ok: false, reason: 'full' });
+    assert.deepEqual(bindings.get('interact'), ['e']);
+
+    // Moving a key within one action is not a conflict
+    assert.deepEqual(bindings.bind('jump', 0, 'w'), { ok: true });
+    assert.deepEqual(bindings.get('jump'), ['w', 'arrowup']);
+});
+
+test('bindings persist across visits', () => {
+    const storage = memoryStorage();
+    const first = new KeyBindings(storage);
+    first.bind('left', 1, 'q');
+    first.bind('jump', 1, 'z');
+
+    const second = new KeyBindings(storage);
+    assert.deepEqual(second.get('left'), ['arrowleft', 'q']);
+    assert.deepEqual(second.get('jump'), [' ', 'z', 'arrowup']);
+
+    second.reset();
+    assert.deepEqual(new KeyBindings(storage).bindings, DEFAULT_BINDINGS);
+});
+
+test('corrupt or clashing saved bindings fall back to defaults', () => {
+    const corrupt = memoryStorage({ 'neighborhood.keyBindings': '{not json' });
+    assert.deepEqual(new KeyBindings(corrupt).bindings, DEFAULT_BINDINGS);
+
+    const clash = { ...DEFAULT_BINDINGS, interact: ['a'] };
+    const clashing = memoryStorage({ 'neighborhood.keyBindings': JSON.stringify(clash) });
+    assert.deepEqual(new KeyBindings(clashing).bindings, DEFAULT_BINDINGS);
+});
+
+test('bindings saved before an action existed keep working', () => {
+    const { map, ...older } = DEFAULT_BINDINGS;
+    const saved = memoryStorage({ 'neighborhood.keyBindings': JSON.stringify({ ...older, left: ['arrowleft', 'q'] }) });
+    const bindings = new KeyBindings(saved);
+    assert.deepEqual(bindings.get('left'), ['arrowleft', 'q']);
+    assert.deepEqual(bindings.get('map'), map);
+
+    const usingM = memoryStorage({ 'neighborhood.keyBindings': JSON.stringify({ ...older, theme: ['m'] }) });
+    assert.deepEqual(new KeyBindings(usingM).bindings, DEFAULT_BINDINGS, 'no key left for the new action');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { mapDestinations, VisitedPlaces } from '../js/systems/MapSystem.js';
+import { BUILDINGS, SKILLS } from '../js/world/worldData.js';
+
+const devops = BUILDINGS.find(b => b.id === 'house-devops');
+const web3 = BUILDINGS.find(b => b.id === 'house-web3');
+
+function memoryStorage() {
+    const data = {};
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+}
+
+test('the map lists every building and the Skills Park in world order', () => {
+    const h = new HeadlessHarness({ render: false });
+    const places = mapDestinations(h.world);
+
+    assert.equal(places.length, BUILDINGS.length + 1);
+    assert.deepEqual(places.map(p => p.x), [...places.map(p => p.x)].sort((a, b) => a - b));
+
+    const park = places.find(p => p.id === 'skills-park');
+    const xs = SKILLS.map(s => s.x);
+    assert.ok(park.x > Math.min(...xs) && park.x < Math.max(...xs));
+    assert.equal(places.find(p => p.id === 'house-devops').x, devops.x + devops.width / 2);
+});
+
+test('visited places are remembered across visits', () => {
+    const storage = memoryStorage();
+    const first = new VisitedPlaces(storage);
+    assert.equal(first.add('house-ml'), true);
+    assert.equal(first.add('house-ml'), false);
+
+    const second = new VisitedPlaces(storage);
+    assert.equal(second.has('house-ml'), true);
+    assert.equal(second.has('house-web3'), false);
+
+    storage.setItem('neighborhood.visitedPlaces', '{oops');
+    assert.equal(new VisitedPlaces(storage).ids.size, 0);
+});
+
+test('fast travel pans the camera first, then fades the player over', () => {
+    const h = new HeadlessHarness({ render: false });
+    const startX = h.player.x;
+    const door = devops.x + devops.width / 2;
+    h.step(1);
+
+    h.scenes.travel(door, h.groundY, { pan: true });
+    const cameraXs = [];
+    h.stepUntil(({ scenes, camera }) => {
+        if (scenes.transition?.phase === 'pan') cameraXs.push(camera.x);
+        return !scenes.isTransitioning;
+    }, 300);
+
+    assert.ok(cameraXs.length > 10, 'the camera glided over several steps');
+    assert.ok(cameraXs.every((x, i) => i === 0 || x >= cameraXs[i - 1]), 'always towards the destination');
+    assert.equal(h.player.x, door);
+    assert.notEqual(h.player.x, startX);
+    assert.ok(Math.abs(h.camera.x - (door - h.camera.width / 2)) < 1);
+});
+
+test('travelling from inside a building leads out to the destination', () => {
+    const h = new HeadlessHarness({ render: false, playerX: web3.x + web3.width / 2 });
+    h.step(1);
+    h.input.press('interact');
+    assert.ok(h.stepUntil(({ scenes }) => scenes.isInside && !scenes.isTransitioning, 120), 'entered');
+
+    const door = devops.x + devops.width / 2;
+    h.scenes.travel(door, h.groundY, { pan: true });
+    assert.ok(h.stepUntil(({ scenes }) => !scenes.isTransitioning, 120));
+    assert.equal(h.scenes.isInside, false);
+    assert.equal(h.player.x, door);
+    assert.equal(h.camera.worldWidth, h.scenes.streetWidth);
+});
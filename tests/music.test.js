@@ -0,0 +1,147 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RecordingAudioContext } from './harness/RecordingAudioContext.js';
+import {
+    MusicSequencer, TRACKS, SCALES, composeBar, trackFor, scaleNote, midiToFrequency, renderMusic
+} from '../js/systems/MusicSequencer.js';
+import { AudioManager, DUCK_LEVEL } from '../js/systems/AudioManager.js';
+
+/**
+ * Values a gain will still move to, in order, once cancelScheduledValues
+ * has removed what came after it
+ */
+function scheduledValues(ctx, node) {
+    const events = [];
+    for (const call of ctx.calls) {
+        if (call.node !== node.id || call.param !== 'gain') continue;
+        if (call.method === 'cancelScheduledValues') {
+            events.splice(0, events.length, ...events.filter(e => e.time < call.time));
+        } else {
+            events.push(call);
+        }
+    }
+    return events;
+}
+
+test('every season has a day and a night track, slower and sparser at night', () => {
+    for (const season of ['spring', 'summer', 'autumn', 'winter']) {
+        const day = TRACKS[trackFor(season, false)];
+        const night = TRACKS[trackFor(season, true)];
+        assert.ok(day && night, season);
+        assert.ok(night.tempo < day.tempo, `${season} tempo`);
+        assert.ok(night.density < day.density, `${season} density`);
+        assert.ok(!night.hats);
+    }
+    assert.equal(trackFor('monsoon', true), 'summer-night');
+    assert.equal(midiToFrequency(69), 440);
+    assert.equal(scaleNote(TRACKS['summer-day'], 5), TRACKS['summer-day'].root + 12, 'a pentatonic degree 5 is the octave');
+});
+
+test('bars are composed from the seed, in the track\'s scale', () => {
+    assert.deepEqual(composeBar('autumn-day', 7), composeBar('autumn-day', 7));
+    assert.notDeepEqual(composeBar('autumn-day', 7), composeBar('autumn-day', 8));
+    assert.notDeepEqual(composeBar('autumn-day', 7), composeBar('autumn-day', 7, 'other seed'));
+
+    for (const [id, track] of Object.entries(TRACKS)) {
+        const inScale = new Set(SCALES[track.scale]);
+        for (let bar = 0; bar < 8; bar++) {
+            for (const event of composeBar(id, bar)) {
+                assert.ok(event.time >= 0 && event.time < 4, `${id} bar ${bar}`);
+                if (event.voice === 'hat') continue;
+                assert.ok(inScale.has((((event.note - track.root) % 12) + 12) % 12), `${id} note ${event.note}`);
+            }
+        }
+    }
+});
+
+test('scheduling in small steps plays the same notes as all at once', () => {
+    const started = (steps) => {
+        const ctx = new RecordingAudioContext();
+        const music = new MusicSequencer(ctx, ctx.destination);
+        music.play('spring-day', 0);
+        for (let t = 0; t <= 10; t += 10 / steps) music.scheduleUntil(t);
+        return ctx.started;
+    };
+    const once = started(1);
+    assert.ok(once.length > 50);
+    assert.deepEqual(started(100), once);
+});
+
+test('changing track crossfades, and the old one leaves the graph', () => {
+    const ctx = new RecordingAudioContext();
+    const music = new MusicSequencer(ctx, ctx.destination);
+    music.play('summer-day', 0);
+    music.scheduleUntil(4);
+    const old = music.decks[0];
+
+    ctx.currentTime = 4;
+    music.play('summer-night');
+    assert.equal(music.trackId, 'summer-night');
+    assert.equal(music.decks.length, 2);
+    const fades = ctx.calls.filter(c => c.method === 'setTargetAtTime' && c.time === 4);
+    assert.deepEqual(fades.map(c => [c.node, c.value]), [[old.gain.id, 0], [music.decks[1].gain.id, 1]]);
+
+    music.play('summer-night'); // already playing
+    assert.equal(music.decks.length, 2);
+
+    ctx.currentTime = 8;
+    music.scheduleUntil(8.4);
+    assert.equal(music.decks.length, 1);
+    assert.deepEqual(old.gain.outputs, []);
+});
+
+test('a late timer drops the notes it missed instead of bunching them', () => {
+    const ctx = new RecordingAudioContext();
+    const music = new MusicSequencer(ctx, ctx.destination);
+    music.play('winter-night', 0);
+    ctx.currentTime = 30;
+    music.scheduleUntil(32.5);
+    assert.ok(ctx.started.length > 0);
+    assert.ok(ctx.started.every(s => s.time >= 29.95));
+});
+
+test('offline renders schedule the same music every time', async () => {
+    const render = () => renderMusic({ season: 'autumn', isNight: true, seconds: 12, OfflineContext: RecordingAudioContext });
+    const first = await render();
+    assert.ok(first.started.some(s => s.kind === 'oscillator'));
+    assert.deepEqual(await render(), first);
+});
+
+// Node has no Web Audio, so under `node --test` only the schedule above is
+// checked; this runs where OfflineAudioContext exists. The samples
+// themselves are checked in a browser by tests/browser/music.html.
+test('offline renders come out sample for sample the same', { skip: typeof OfflineAudioContext === 'undefined' && 'no Web Audio in this runtime' }, async () => {
+    const first = await renderMusic({ seconds: 4 });
+    const second = await renderMusic({ seconds: 4 });
+    const samples = first.getChannelData(0);
+    assert.ok(samples.some(v => Math.abs(v) > 0.001), 'not silent');
+    assert.deepEqual(second.getChannelData(0), samples);
+});
+
+test('music stays ducked under a dialogue opened by a UI sound', () => {
+    mock.timers.enable({ apis: ['setInterval'] }); // the ambience and music timers
+    try {
+        const ctx = new RecordingAudioContext();
+        const audio = new AudioManager(() => ctx);
+        audio.ensureReady();
+
+        ctx.currentTime = 1;
+        audio.play('interact');
+        audio.setDucked(true);
+        const after = scheduledValues(ctx, audio.musicGain).filter(e => e.time >= 1);
+        assert.ok(after.length > 0);
+        assert.ok(after.every(e => e.value === DUCK_LEVEL), JSON.stringify(after));
+
+        // A sound while ducked dips under the ducked level and comes back to it
+        ctx.currentTime = 3;
+        audio.play('close');
+        const last = scheduledValues(ctx, audio.musicGain).at(-1);
+        assert.deepEqual([last.time, last.value], [3.4, DUCK_LEVEL]);
+
+        ctx.currentTime = 4;
+        audio.setDucked(false);
+        assert.deepEqual(scheduledValues(ctx, audio.musicGain).filter(e => e.time >= 4).map(e => e.value), [1]);
+    } finally {
+        mock.timers.reset();
+    }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { WORLD_CONFIG } from '../js/world/worldData.js';
+
+test('player starts on the ground at playerStart', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.step(1);
+    assert.equal(h.player.x, WORLD_CONFIG.playerStart);
+    assert.equal(h.player.y, h.groundY);
+    assert.equal(h.player.isGrounded, true);
+});
+
+test('walking right covers speed × time', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.input.hold('right');
+    h.step(60);
+    const expected = WORLD_CONFIG.playerStart + h.player.speed * h.updates / 60;
+    assert.ok(h.updates >= 59);
+    assert.ok(Math.abs(h.player.x - expected) < 1e-6);
+    assert.equal(h.player.direction, 1);
+});
+
+test('jump rises to v²/2g and lands back on the ground', () => {
+    const h = new HeadlessHarness({ render: false });
+    let peak = h.groundY;
+
+    h.input.press('jump');
+    h.step(1);
+    assert.equal(h.player.isGrounded, false);
+
+    h.stepUntil(({ player }) => {
+        peak = Math.min(peak, player.y);
+        return player.isGrounded;
+    }, 120);
+
+    const expected = (h.player.jumpForce ** 2) / (2 * h.player.gravity);
+    assert.ok(Math.abs((h.groundY - peak) - expected) < 6, `apex ${h.groundY - peak} vs ${expected}`);
+    assert.equal(h.player.y, h.groundY);
+    assert.equal(h.player.isGrounded, true);
+});
+
+test('jump arc is identical at 60Hz and 144Hz', () => {
+    const run = (hz) => {
+        const h = new HeadlessHarness({ render: false, frameTime: 1000 / hz });
+        const samples = [];
+        h.gameLoop.onUpdate(() => samples.push([h.player.x, h.player.y]));
+        h.input.press('jump');
+        h.input.hold('right');
+        h.stepUntil(() => samples.length >= 40, 200);
+        return samples.slice(0, 40);
+    };
+    assert.deepEqual(run(144), run(60));
+});
+
+test('player is clamped to world bounds', () => {
+    const left = new HeadlessHarness({ render: false, playerX: 40 });
+    left.input.hold('left');
+    left.step(60);
+    assert.equal(left.player.x, left.player.width / 2);
+
+    const right = new HeadlessHarness({ render: false, playerX: WORLD_CONFIG.width - 40 });
+    right.input.hold('right');
+    right.input.hold('sprint');
+    right.step(60);
+    assert.equal(right.player.x, WORLD_CONFIG.width - right.player.width / 2);
+});
+
+test('paused loop does not advance the player', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.input.hold('right');
+    h.gameLoop.pause();
+    h.step(30);
+    assert.equal(h.player.x, WORLD_CONFIG.playerStart);
+
+    h.gameLoop.step(1);
+    h.step(1);
+    assert.ok(h.player.x > WORLD_CONFIG.playerStart);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { ScriptedInput } from './harness/ScriptedInput.js';
+import { InputRecorder, ReplayInput, parseRecording, snapshotInput } from '../js/engine/InputRecorder.js';
+import { BUILDINGS } from '../js/world/worldData.js';
+
+const web3 = BUILDINGS.find(b => b.id === 'house-web3');
+
+test('recordings store only the steps where input changed', () => {
+    const input = new ScriptedInput();
+    const recorder = new InputRecorder({ seed: 7 });
+
+    input.hold('right');
+    for (let i = 0; i < 30; i++) recorder.capture(input);
+    input.press('jump');
+    recorder.capture(input);
+    input.endFrame();
+    for (let i = 0; i < 9; i++) recorder.capture(input);
+    recorder.note('theme');
+
+    const data = recorder.toJSON();
+    assert.equal(data.length, 40);
+    assert.equal(data.seed, 7);
+    assert.deepEqual(data.input, [
+        [0, { axis: 1 }],
+        [30, { axis: 1, pressed: ['jump'] }],
+        [31, { axis: 1 }]
+    ]);
+    assert.deepEqual(data.events, [[40, 'theme']]);
+});
+
+test('replay answers the query API step by step', () => {
+    const replay = new ReplayInput({
+        version: 1,
+        length: 3,
+        input: [[0, { axis: -0.5, sprint: 1 }], [1, { pressed: ['interact', 'nav-down'] }]],
+        events: [[1, 'dialogue-select', 2]]
+    });
+
+    assert.deepEqual(replay.beginFrame(), []);
+    assert.equal(replay.getMoveAxis(), -0.5);
+    assert.equal(replay.isMovingLeft(), true);
+    assert.equal(replay.isSprinting(), true);
+    replay.endFrame();
+
+    assert.deepEqual(replay.beginFrame(), [['dialogue-select', 2]]);
+    assert.deepEqual(snapshotInput(replay), { axis: 0, sprint: false, pressed: ['interact', 'nav-down'] });
+    replay.endFrame();
+    replay.endFrame();
+
+    assert.equal(replay.isFinished, true);
+    assert.equal(replay.isInteractPressed(), false, 'idle once the recording runs out');
+});
+
+test('recordings from another version are rejected', () => {
+    assert.throws(() => parseRecording('{"version": 99}'), /Unsupported recording version/);
+    assert.throws(() => parseRecording('{"version": 1}'), /missing/);
+});
+
+test('a recorded session replays exactly, indoors and out', () => {
+    const playerX = web3.x + web3.width / 2;
+    const trace = (h) => {
+        const samples = [];
+        h.gameLoop.onUpdate(() => samples.push([h.player.x, h.player.y, h.scenes.isInside]));
+        return samples;
+    };
+
+    const live = new HeadlessHarness({ render: false, playerX });
+    const recorder = live.record();
+    const liveTrace = trace(live);
+    live
+        .at(5, ({ input }) => { input.hold('right'); input.hold('sprint'); })
+        .at(12, ({ input }) => input.press('jump'))
+        .at(35, ({ input }) => { input.release('right'); input.hold('left'); })
+        .at(65, ({ input }) => { input.release('left'); input.release('sprint'); })
+        .at(100, ({ input }) => input.press('interact'))
+        .at(150, ({ input }) => input.tilt(0.35))
+        .at(200, ({ input }) => input.tilt(-0.8))
+        .at(230, ({ input }) => input.tilt(0));
+    live.step(260);
+    assert.ok(liveTrace.some(([, , inside]) => inside), 'the session went indoors');
+
+    const replayed = new HeadlessHarness({ render: false, playerX, replay: recorder.export() });
+    const replayTrace = trace(replayed);
+    replayed.step(260);
+
+    assert.equal(replayTrace.length, liveTrace.length);
+    assert.deepEqual(replayTrace, liveTrace);
+    assert.equal(replayed.input.isFinished, true);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { importJsonResume, isJsonResume } from '../js/world/resumeImporter.js';
+import { validateWorldContent } from '../js/world/contentSchema.js';
+import { loadWorldContent } from '../js/world/contentLoader.js';
+import { WORLD_CONFIG } from '../js/world/worldData.js';
+
+const resume = JSON.parse(readFileSync(new URL('../content/resume.example.json', import.meta.url), 'utf8'));
+
+test('example resume is detected as JSON Resume', () => {
+    assert.ok(isJsonResume(resume));
+    assert.ok(!isJsonResume({ buildings: [] }));
+});
+
+test('generated world passes the content schema', () => {
+    const content = importJsonResume(resume, WORLD_CONFIG);
+    assert.deepEqual(validateWorldContent(content, WORLD_CONFIG), []);
+});
+
+test('projects become houses, work becomes offices, in street order', () => {
+    const { buildings, skills } = importJsonResume(resume, WORLD_CONFIG);
+    assert.deepEqual(buildings.map(b => b.type), ['house', 'house', 'house', 'office']);
+    assert.equal(buildings[3].project.name, 'Automation Intern — Dell Technologies');
+    assert.deepEqual(buildings[0].project.techStack, resume.projects[0].keywords);
+    assert.equal(buildings[1].project.github, 'https://github.com/example/web3-dapp');
+
+    // Skills Park sits between the last house and the office
+    const lastHouse = buildings[2];
+    assert.ok(skills[0].x > lastHouse.x + lastHouse.width);
+    assert.ok(skills[skills.length - 1].x < buildings[3].x);
+});
+
+test('every building gets a guide NPC on its doorstep', () => {
+    const { buildings, npcs } = importJsonResume(resume, WORLD_CONFIG);
+    for (const b of buildings) {
+        const guide = npcs.find(n => n.id === `npc-${b.id}`);
+        assert.ok(guide, `no guide for ${b.id}`);
+        assert.ok(guide.x < b.x && b.x - guide.x <= 100);
+    }
+    assert.match(npcs.find(n => n.id === 'npc-end').speech, /LinkedIn or GitHub/);
+});
+
+test('each section gets a sign in the street before it', () => {
+    const { buildings, skills, environment } = importJsonResume(resume, WORLD_CONFIG);
+    const signs = environment.signs;
+    assert.deepEqual(signs.map(s => s.text.split('\n')[0]), ['Welcome to', '🏠 Projects', '🌳 Skills Park', '🏢 Work', 'Thanks for']);
+
+    const projects = signs[1];
+    assert.ok(projects.x > signs[0].x && projects.x + 50 < buildings[0].x);
+    const work = signs[3];
+    assert.ok(work.x > skills[skills.length - 1].x && work.x + 50 < buildings[3].x);
+});
+
+test('entries with the same name still get unique ids', () => {
+    const twins = {
+        basics: { name: 'Sam' },
+        projects: [{ name: 'Blog' }, { name: 'Blog' }],
+        work: [{ name: 'Acme' }, { name: 'Acme' }],
+        skills: [{ name: 'Go' }, { name: 'Go' }]
+    };
+    const content = importJsonResume(twins, WORLD_CONFIG);
+    assert.deepEqual(validateWorldContent(content, WORLD_CONFIG), []);
+    assert.equal(new Set(content.buildings.map(b => b.id)).size, 4);
+    assert.equal(new Set(content.skills.map(s => s.id)).size, 2);
+});
+
+test('accented names keep their letters in ids', () => {
+    const accented = { basics: { name: 'Zoë' }, projects: [{ name: 'Ünïcode Café' }], skills: [{ name: 'Señor SQL' }] };
+    const content = importJsonResume(accented, WORLD_CONFIG);
+    assert.equal(content.buildings[0].id, 'house-unicode-cafe-0');
+    assert.equal(content.skills[0].id, 'skill-senor-sql-0');
+});
+
+test('null basics imports like empty basics', () => {
+    const anonymous = { basics: null, projects: [{ name: 'Blog' }] };
+    assert.ok(isJsonResume(anonymous));
+    const content = importJsonResume(anonymous, WORLD_CONFIG);
+    assert.deepEqual(validateWorldContent(content, WORLD_CONFIG), []);
+    assert.match(content.npcs.find(n => n.id === 'npc-end').speech, /^Thanks for visiting my portfolio!$/);
+});
+
+test('too many entries for the world width is an error', () => {
+    const crowded = { basics: { name: 'Busy' }, projects: Array.from({ length: 40 }, (_, i) => ({ name: `P${i}` })) };
+    assert.throws(() => importJsonResume(crowded, WORLD_CONFIG), /need more than 5500px/);
+});
+
+test('loader converts a JSON Resume document', async () => {
+    const fetchFn = async () => ({ ok: true, status: 200, json: async () => resume });
+    const result = await loadWorldContent('resume.json', fetchFn);
+    assert.equal(result.source, 'remote');
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.content.buildings.length, 4);
+});
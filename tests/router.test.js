@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router, parseRoute, formatRoute } from '../js/systems/Router.js';
+import { destinationNear } from '../js/systems/MapSystem.js';
+
+/**
+ * Just enough of window.location/history for the router, with a real
+ * back stack. visit() stands in for the visitor editing the address.
+ * With deferBack set, back() waits for arrive(), as browsers do.
+ */
+function fakeWindow(hash = '') {
+    const listeners = [];
+    const entries = [{ state: null, hash }];
+    let index = 0;
+
+    const win = {
+        entries,
+        location: { pathname: '/', search: '?seed=3', hash },
+        history: {
+            get state() { return entries[index].state; },
+            pushState(state, _title, url) {
+                entries.splice(index + 1);
+                entries.push({ state, hash: hashOf(url) });
+                index++;
+                win.location.hash = hashOf(url);
+            },
+            replaceState(state, _title, url) {
+                entries[index] = { state, hash: hashOf(url) };
+                win.location.hash = hashOf(url);
+            },
+            back() {
+                if (index === 0) return;
+                if (win.deferBack) {
+                    win.pending.push(() => { win.deferBack = false; win.history.back(); win.deferBack = true; });
+                    return;
+                }
+                index--;
+                win.location.hash = entries[index].hash;
+                for (const fn of listeners) fn({ state: entries[index].state });
+            }
+        },
+        deferBack: false,
+        pending: [],
+        arrive() {
+            for (const fn of win.pending.splice(0)) fn();
+        },
+        addEventListener(type, fn) {
+            if (type === 'popstate') listeners.push(fn);
+        },
+        visit(newHash) {
+            entries.splice(index + 1);
+            entries.push({ state: null, hash: newHash });
+            index++;
+            win.location.hash = newHash;
+            for (const fn of listeners) fn({ state: null });
+        }
+    };
+    return win;
+}
+
+function hashOf(url) {
+    assert.ok(url.startsWith('/?seed=3'), 'path and query are kept');
+    const at = url.indexOf('#');
+    return at === -1 ? '' : url.slice(at);
+}
+
+test('routes round-trip through the hash', () => {
+    assert.deepEqual(parseRoute('#/project/house-web3'), { type: 'project', id: 'house-web3' });
+    assert.deepEqual(parseRoute('#/inside/dell-office/'), { type: 'inside', id: 'dell-office' });
+    assert.equal(parseRoute('#/elsewhere/x'), null);
+    assert.equal(parseRoute(''), null);
+    assert.equal(formatRoute({ type: 'place', id: 'skills-park' }), '#/place/skills-park');
+    assert.equal(formatRoute(null), '');
+});
+
+test('walking around replaces the entry, opening a project pushes one', () => {
+    const win = fakeWindow();
+    const router = new Router(win);
+
+    router.replace({ type: 'place', id: 'house-ml' });
+    router.replace({ type: 'place', id: 'house-web3' });
+    assert.equal(win.entries.length, 1);
+    assert.equal(win.location.hash, '#/place/house-web3');
+
+    router.push({ type: 'project', id: 'house-web3' });
+    assert.equal(win.entries.length, 2);
+    assert.equal(win.location.hash, '#/project/house-web3');
+});
+
+test('closing a pushed project goes Back; Back itself is reported as ours', () => {
+    const win = fakeWindow();
+    const router = new Router(win);
+    const seen = [];
+    router.onNavigate((route, external) => seen.push([route, external]));
+
+    router.replace({ type: 'inside', id: 'house-web3' });
+    router.push({ type: 'project', id: 'house-web3' });
+    router.pop({ type: 'inside', id: 'house-web3' });
+
+    assert.equal(win.location.hash, '#/inside/house-web3');
+    assert.deepEqual(seen, [[{ type: 'inside', id: 'house-web3' }, false]]);
+});
+
+test('walking on before Back lands leaves the project entry alone', () => {
+    const win = fakeWindow();
+    const router = new Router(win);
+    win.deferBack = true;
+
+    router.replace({ type: 'inside', id: 'house-web3' });
+    router.push({ type: 'project', id: 'house-web3' });
+    router.pop({ type: 'inside', id: 'house-web3' });
+    router.replace({ type: 'inside', id: 'house-web3' }); // the next frame, before popstate
+    assert.deepEqual(win.entries.map(e => e.hash), ['#/inside/house-web3', '#/project/house-web3']);
+
+    win.arrive();
+    router.replace({ type: 'place', id: 'house-web3' });
+    assert.deepEqual(win.entries.map(e => e.hash), ['#/place/house-web3', '#/project/house-web3']);
+    assert.equal(win.location.hash, '#/place/house-web3');
+});
+
+test('a project opened from a link is replaced on close, and typed addresses are external', () => {
+    const win = fakeWindow('#/project/house-ml');
+    const router = new Router(win);
+    const seen = [];
+    router.onNavigate((route, external) => seen.push([route, external]));
+
+    router.push({ type: 'project', id: 'house-ml' });
+    assert.equal(win.entries.length, 1, 'already showing');
+    router.pop({ type: 'place', id: 'house-ml' });
+    assert.equal(win.location.hash, '#/place/house-ml');
+
+    win.visit('#/place/skills-park');
+    assert.deepEqual(seen, [[{ type: 'place', id: 'skills-park' }, true]]);
+});
+
+test('a disabled router leaves the address alone', () => {
+    const win = fakeWindow();
+    const router = new Router(win);
+    router.enabled = false;
+    router.replace({ type: 'place', id: 'house-ml' });
+    router.push({ type: 'project', id: 'house-ml' });
+    assert.equal(win.entries.length, 1);
+    assert.equal(win.location.hash, '');
+});
+
+test('the URL names the part of town the player is in', () => {
+    const places = [{ id: 'a', x: 500 }, { id: 'b', x: 1200 }];
+    assert.equal(destinationNear(places, 700).id, 'a');
+    assert.equal(destinationNear(places, 900).id, 'b');
+    assert.equal(destinationNear(places, 2000), null);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seasonForDate, hemisphereForTimeZone, initialSeason } from '../js/systems/SeasonManager.js';
+import { SeasonFade, seasonPalette, blendPalettes, mixHex } from '../js/world/SeasonFade.js';
+import { WorldBuilder } from '../js/world/WorldBuilder.js';
+import { ParticleSystem } from '../js/systems/ParticleSystem.js';
+import { WORLD_CONFIG } from '../js/world/worldData.js';
+import { Random } from '../js/utils/Random.js';
+
+test('the season comes from the date, flipped south of the equator', () => {
+    const month = (m) => new Date(2024, m, 15);
+    assert.equal(seasonForDate(month(0)), 'winter');
+    assert.equal(seasonForDate(month(2)), 'spring');
+    assert.equal(seasonForDate(month(6)), 'summer');
+    assert.equal(seasonForDate(month(10)), 'autumn');
+    assert.equal(seasonForDate(month(11)), 'winter');
+    assert.equal(seasonForDate(month(0), 'south'), 'summer');
+    assert.equal(seasonForDate(month(4), 'south'), 'autumn');
+    assert.equal(seasonForDate(month(7), 'south'), 'winter');
+
+    assert.equal(hemisphereForTimeZone('Australia/Sydney'), 'south');
+    assert.equal(hemisphereForTimeZone('America/Argentina/Buenos_Aires'), 'south');
+    assert.equal(hemisphereForTimeZone('Pacific/Auckland'), 'south');
+    assert.equal(hemisphereForTimeZone('Europe/Berlin'), 'north');
+    assert.equal(hemisphereForTimeZone(''), 'north');
+});
+
+test('the URL wins over the saved choice, which wins over the date', () => {
+    const date = new Date(2024, 6, 1);
+    assert.equal(initialSeason({ date }), 'summer');
+    assert.equal(initialSeason({ date, hemisphere: 'south' }), 'winter');
+    assert.equal(initialSeason({ date, saved: 'autumn' }), 'autumn');
+    assert.equal(initialSeason({ date, saved: 'auto' }), 'summer');
+    assert.equal(initialSeason({ date, saved: 'autumn', override: 'spring' }), 'spring');
+    assert.equal(initialSeason({ date, override: 'monsoon' }), 'summer');
+});
+
+test('palettes blend every colour, and a fade eases from one season to the next', () => {
+    assert.equal(mixHex('#000000', '#ffffff', 0.5), '#808080');
+
+    const summer = seasonPalette('summer');
+    const winter = seasonPalette('winter');
+    const half = blendPalettes(summer, winter, 0.5);
+    assert.equal(half.grass, mixHex(summer.grass, winter.grass, 0.5));
+    assert.equal(half.snow, 0.5);
+    assert.equal(half.particles.length, Math.max(summer.particles.length, winter.particles.length));
+
+    const fade = new SeasonFade('summer', 4);
+    fade.start('winter');
+    assert.equal(fade.palette.skyTop, summer.skyTop, 'starts from the old season');
+    fade.update(1);
+    const early = fade.palette.snow;
+    fade.update(1);
+    assert.ok(early > 0 && early < fade.palette.snow - early, 'eases in');
+    assert.ok(fade.isFading);
+
+    // Changing again mid-fade carries on from where the colours are
+    const between = fade.palette.grass;
+    fade.start('spring');
+    assert.equal(fade.palette.grass, between);
+    fade.update(4);
+    assert.ok(!fade.isFading);
+    assert.deepEqual(fade.palette, seasonPalette('spring'));
+
+    fade.start('autumn', true);
+    assert.deepEqual(fade.palette, seasonPalette('autumn'));
+    // A fade time of 0 switches straight away
+    const cut = new SeasonFade('summer', 0);
+    cut.start('winter');
+    assert.ok(!cut.isFading);
+    assert.deepEqual(cut.palette, winter);
+    cut.update(1 / 60);
+    assert.deepEqual(cut.palette, winter);
+});
+
+test('the world crossfades its sky, hills and ground over the configured time', () => {
+    const world = new WorldBuilder(1280, 720, new Random(4));
+    const summer = seasonPalette('summer');
+    const autumn = seasonPalette('autumn');
+
+    world.setSeason('autumn');
+    assert.equal(world.skybox.palette.skyTop, summer.skyTop);
+    world.update(WORLD_CONFIG.seasonFadeSeconds / 2, { x: 0 });
+    assert.notEqual(world.skybox.palette.skyTop, summer.skyTop);
+    assert.notEqual(world.skybox.palette.skyTop, autumn.skyTop);
+    assert.equal(world.parallaxLayers[1].colors.fill, world.seasonFade.palette.grass);
+
+    world.update(WORLD_CONFIG.seasonFadeSeconds, { x: 0 });
+    assert.equal(world.skybox.palette.skyTop, autumn.skyTop);
+    assert.equal(world.parallaxLayers[2].colors.fill, autumn.leaves);
+
+    world.setSeason('winter', true);
+    assert.equal(world.parallaxLayers[0].colors.fill, '#b0bec5');
+});
+
+test('leaves turn to snow once the fade is over, without a respawn', () => {
+    const particles = new ParticleSystem(800, 600, 5000, new Random(5));
+    const before = particles.particles.map(p => p.x);
+
+    particles.setSeason('winter');
+    particles.update(1 / 60);
+    assert.ok(particles.particles.some(p => p.type === 'leaf'), 'leaves fade out first');
+
+    for (let t = 0; t < WORLD_CONFIG.seasonFadeSeconds; t += 1 / 60) particles.update(1 / 60);
+    assert.ok(particles.particles.every(p => p.type !== 'leaf'));
+    assert.equal(particles.particles.length, before.length);
+
+    particles.setSeason('spring', true);
+    assert.ok(particles.particles.every(p => p.type !== 'snow'));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash } from '../js/engine/SpatialHash.js';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { BUILDINGS, ENVIRONMENT } from '../js/world/worldData.js';
+
+test('query returns overlapping items once, in insertion order', () => {
+    const hash = new SpatialHash(100);
+    hash.insert('wide', 50, 450);     // spans five cells
+    hash.insert('a', 120, 140);
+    hash.insert('b', 10, 20);
+    hash.insert('far', 900, 950);
+
+    assert.deepEqual(hash.query(0, 300), ['wide', 'a', 'b']);
+    assert.deepEqual(hash.query(130), ['wide', 'a']);
+    assert.deepEqual(hash.query(460, 899), []);
+    assert.deepEqual(hash.query(-500, 5000), ['wide', 'a', 'b', 'far']);
+});
+
+test('clear empties every bucket', () => {
+    const hash = new SpatialHash();
+    hash.insert('x', 0, 1000);
+    hash.clear();
+    assert.deepEqual(hash.query(0, 1000), []);
+    assert.equal(hash.count, 0);
+});
+
+test('culling only draws props near the camera', () => {
+    const h = new HeadlessHarness();
+    h.step(2);
+    const visibleTrees = h.world.queryVisible('trees', h.camera);
+    assert.ok(visibleTrees.length > 0);
+    assert.ok(visibleTrees.length < ENVIRONMENT.trees.length);
+    for (const tree of visibleTrees) {
+        assert.ok(tree.x + 30 >= h.camera.renderX && tree.x - 30 <= h.camera.renderX + h.camera.width);
+    }
+});
+
+test('leaving a building clears its highlight', () => {
+    const ml = BUILDINGS.find(b => b.id === 'house-ml');
+    const h = new HeadlessHarness({ render: false, playerX: ml.x + ml.width / 2 });
+    h.step(1);
+    assert.equal(h.world.buildings[0].isHighlighted, true);
+
+    h.player.x = ml.x + 1200;
+    h.step(1);
+    assert.equal(h.world.buildings[0].isHighlighted, false);
+});
@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { WeatherSystem, WEATHER_TYPES, WEATHER_CHOICES } from '../js/systems/WeatherSystem.js';
+import { ParticleSystem } from '../js/systems/ParticleSystem.js';
+import { Random } from '../js/utils/Random.js';
+import { InputRecorder, ReplayInput } from '../js/engine/InputRecorder.js';
+import { ScriptedInput } from './harness/ScriptedInput.js';
+
+/** Run the weather for a while, in coarse steps */
+function run(weather, seconds, dt = 0.25) {
+    const seen = new Set([weather.state]);
+    for (let t = 0; t < seconds; t += dt) {
+        weather.update(dt);
+        seen.add(weather.state);
+    }
+    return seen;
+}
+
+test('the schedule changes the weather by season, the same for the same seed', () => {
+    const summer = new WeatherSystem(new Random('sky'));
+    const again = new WeatherSystem(new Random('sky'));
+    const states = run(summer, 3 * 3600);
+    run(again, 3 * 3600);
+    assert.equal(again.state, summer.state);
+    assert.ok(states.size >= 3, [...states].join());
+    assert.ok(!states.has('snowstorm'), 'no snowstorms in summer');
+
+    const winter = new WeatherSystem(new Random('sky'));
+    winter.setSeason('winter');
+    const winterStates = run(winter, 3 * 3600);
+    assert.ok(winterStates.has('snowstorm'));
+    assert.ok(!winterStates.has('rain') && !winterStates.has('thunderstorm'));
+
+    // Leaving winter ends a snowstorm at once, as a change but not a pick
+    const changes = [];
+    const picks = [];
+    winter.pick('snowstorm');
+    winter.pick('auto');
+    winter.onChange((state) => changes.push(state));
+    winter.onPick((choice) => picks.push(choice));
+    winter.setSeason('spring');
+    assert.notEqual(winter.state, 'snowstorm');
+    assert.deepEqual(changes, [winter.state]);
+    assert.deepEqual(picks, []);
+});
+
+test('a picked weather stays, and its levels roll in', () => {
+    const weather = new WeatherSystem(new Random(1));
+    const changes = [];
+    weather.onChange((state, choice) => changes.push(`${state}/${choice}`));
+
+    weather.nextChoice();
+    assert.equal(weather.choice, WEATHER_CHOICES[1]);
+    weather.pick('fog');
+    assert.deepEqual(run(weather, 1200), new Set(['fog']));
+    assert.ok(Math.abs(weather.levels.fog - WEATHER_TYPES.fog.fog) < 0.01);
+    assert.equal(weather.label, 'Fog');
+
+    weather.pick('rain');
+    weather.update(1 / 60);
+    assert.ok(weather.levels.rain < 0.05, 'eases in');
+    run(weather, 60);
+    assert.ok(weather.levels.rain > 0.55);
+    assert.ok(weather.wetness > 0.5, 'puddles filled');
+
+    weather.pick('clear');
+    run(weather, 10);
+    assert.ok(weather.wetness > 0.3, 'the path dries slowly');
+    assert.deepEqual(changes, ['clear/clear', 'fog/fog', 'rain/rain', 'clear/clear']);
+
+    weather.pick('auto');
+    assert.equal(weather.label, 'Auto (Clear)');
+    weather.pick('hail');
+    assert.equal(weather.choice, 'auto');
+});
+
+test('thunderstorms strike with thunder to follow, and the flash fades', () => {
+    const weather = new WeatherSystem(new Random(2));
+    const strikes = [];
+    weather.onLightning((strike) => strikes.push(strike));
+    weather.pick('thunderstorm');
+
+    let brightest = 0;
+    for (let t = 0; t < 120; t += 1 / 60) {
+        weather.update(1 / 60);
+        brightest = Math.max(brightest, weather.flash);
+    }
+    assert.ok(strikes.length >= 5, `${strikes.length} strikes`);
+    assert.equal(brightest, 1);
+    assert.ok(strikes.every(s => s.x > 0 && s.x < 1 && s.delay > 0));
+
+    weather.pick('clear');
+    run(weather, 60, 1 / 60);
+    const count = strikes.length;
+    run(weather, 60, 1 / 60);
+    assert.equal(strikes.length, count, 'no lightning once it clears');
+    assert.equal(weather.flash, 0);
+});
+
+test('rain falls around the view and splashes on the path', () => {
+    const particles = new ParticleSystem(800, 600, 5000, new Random(3));
+    const weather = new WeatherSystem(new Random(3));
+    particles.setWeather(weather);
+    weather.pick('thunderstorm');
+
+    const viewX = 2000;
+    let splashed = false;
+    for (let i = 0; i < 60 * 30; i++) {
+        weather.update(1 / 60);
+        particles.update(1 / 60, viewX);
+        splashed ||= particles.splashes.length > 0;
+    }
+    const rain = particles.drops.filter(d => d.type === 'rain');
+    assert.ok(rain.length > 150, `${rain.length} drops`);
+    assert.ok(rain.every(d => d.x >= viewX - 200 && d.x <= viewX + 1000));
+    assert.ok(splashed);
+    assert.ok(particles.splashes.every(s => s.y >= particles.groundY && s.y <= particles.groundY + 18));
+
+    particles.setReducedMotion(true);
+    particles.update(1 / 60, viewX);
+    for (let i = 0; i < 60 * 5; i++) particles.update(1 / 60, viewX);
+    assert.ok(particles.drops.length < 80, 'fewer drops in comfort mode');
+
+    weather.pick('clear');
+    for (let i = 0; i < 60 * 30; i++) {
+        weather.update(1 / 60);
+        particles.update(1 / 60, viewX);
+    }
+    assert.equal(particles.drops.length, 0);
+});
+
+test('storms are drawn over the street without changing what happens in it', () => {
+    const calm = new HeadlessHarness();
+    const stormy = new HeadlessHarness();
+    const weather = new WeatherSystem(new Random(4));
+    stormy.world.setWeather(weather);
+    stormy.particles.setWeather(weather);
+    weather.pick('thunderstorm');
+
+    for (const h of [calm, stormy]) h.input.hold('right');
+    let lit = false;
+    for (let i = 0; i < 60 * 20; i++) {
+        weather.update(1 / 60);
+        calm.step(1);
+        stormy.step(1);
+        lit ||= stormy.ctx.calls.some(c => c.type === 'set' && c.name === 'fillStyle' && /^rgba\(255, 255, 255, 0\.[1-3]/.test(c.value));
+    }
+    assert.equal(stormy.player.x, calm.player.x);
+    assert.ok(lit, 'lightning flashed over the scene');
+
+    // Puddles mirror the sky along the path
+    const puddleY = stormy.world.groundY + 11;
+    const ellipses = stormy.ctx.calls.filter(c => c.name === 'ellipse' && c.args[1] === puddleY);
+    assert.ok(ellipses.length > 0);
+    assert.ok(stormy.world.puddles.every((p, i, all) => i === 0 || p.x > all[i - 1].x));
+});
+
+test('a season change under auto weather records and replays the same sky', () => {
+    // Wired like main.js: picks and season changes are noted, then replayed
+    const live = new WeatherSystem(new Random('replay'));
+    const recorder = new InputRecorder({ seed: 'replay' });
+    const idle = new ScriptedInput();
+    live.onPick((choice) => recorder.note('weather', choice));
+    const script = {
+        30: () => live.pick('rain'),
+        60: () => live.pick('auto'),
+        90: () => { recorder.note('season', 'winter'); live.setSeason('winter'); }
+    };
+
+    const liveStates = [];
+    for (let step = 0; step < 900; step++) {
+        script[step]?.();
+        live.update(1);
+        liveStates.push(live.state);
+        recorder.capture(idle);
+    }
+    assert.deepEqual(recorder.toJSON().events, [[30, 'weather', 'rain'], [60, 'weather', 'auto'], [90, 'season', 'winter']]);
+    assert.notEqual(liveStates[90], 'rain', 'winter moved the rain on');
+
+    const replayed = new WeatherSystem(new Random('replay'));
+    const replay = new ReplayInput(recorder.toJSON());
+    const replayStates = [];
+    for (let step = 0; step < 900; step++) {
+        for (const [type, value] of replay.beginFrame()) {
+            if (type === 'weather') replayed.pick(value);
+            if (type === 'season') replayed.setSeason(value);
+        }
+        replayed.update(1);
+        replayStates.push(replayed.state);
+        replay.endFrame();
+    }
+    assert.deepEqual(replayStates, liveStates);
+});
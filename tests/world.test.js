@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHarness } from './harness/HeadlessHarness.js';
+import { BUILDINGS, NPCS } from '../js/world/worldData.js';
+
+test('no interaction at the starting position', () => {
+    const h = new HeadlessHarness({ render: false });
+    h.step(1);
+    assert.notEqual(h.interaction?.type, 'building');
+});
+
+test('standing in front of a building reports it', () => {
+    const ml = BUILDINGS.find(b => b.id === 'house-ml');
+    const h = new HeadlessHarness({ render: false, playerX: ml.x + ml.width / 2 });
+    h.step(1);
+    assert.equal(h.interaction.type, 'building');
+    assert.equal(h.interaction.data.id, 'house-ml');
+    assert.equal(h.interaction.data.isHighlighted, true);
+});
+
+test('walking into range of a building triggers proximity', () => {
+    const web3 = BUILDINGS.find(b => b.id === 'house-web3');
+    const h = new HeadlessHarness({ render: false, playerX: web3.x - 300 });
+    h.input.hold('right');
+    const reached = h.stepUntil(({ interaction }) => interaction?.data.id === 'house-web3', 240);
+    assert.ok(reached);
+    // Range is 90px plus half the building width, measured from its centre
+    const centre = web3.x + web3.width / 2;
+    assert.ok(centre - h.player.x < 90 + web3.width / 2);
+});
+
+test('NPC in range shows its speech bubble', () => {
+    const npc = NPCS.find(n => n.id === 'npc-tutorial');
+    const h = new HeadlessHarness({ playerX: npc.x });
+    h.step(30);
+    assert.equal(h.interaction.type, 'npc');
+    assert.ok(h.ctx.textDrawn().some(line => npc.speech.startsWith(line.split(' ')[0])));
+});
+
+test('render draws visible building labels only', () => {
+    const ml = BUILDINGS.find(b => b.id === 'house-ml');
+    const h = new HeadlessHarness({ playerX: ml.x + ml.width / 2 });
+    h.step(120);
+    const text = h.ctx.textDrawn();
+    assert.ok(text.includes('ML Lab'));
+    assert.ok(!text.includes('Cloud Ops'));
+});